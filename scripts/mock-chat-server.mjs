@@ -0,0 +1,124 @@
+/**
+ * Stand-in for the chat service, for development:
+ *
+ *   npm run chat-server
+ *   REACT_APP_CHAT_API_URL=http://localhost:3001/api/chat npm start
+ *
+ * Answers POST /api/chat { question, history } by streaming the matching
+ * sample response as NDJSON (see src/utils/responseStream.js), word by word
+ * and section by section. Questions it doesn't know get the list of
+ * sample questions. Options (environment variables):
+ *   PORT           Port to listen on (default 3001)
+ *   TOKEN_DELAY    Pause between words, in ms (default 40)
+ *   SECTION_DELAY  Pause between sections, in ms (default 600)
+ *   FAIL_AFTER     Stop with an error event after this many events, to try
+ *                  out failures
+ */
+import { readFile } from 'fs/promises';
+import http from 'http';
+
+const PORT = Number(process.env.PORT) || 3001;
+const TOKEN_DELAY = Number(process.env.TOKEN_DELAY ?? 40);
+const SECTION_DELAY = Number(process.env.SECTION_DELAY ?? 600);
+const FAIL_AFTER = process.env.FAIL_AFTER ? Number(process.env.FAIL_AFTER) : Infinity;
+
+// The app's modules are ES modules without a package "type", so load them
+// from their source, the way the app's bundler reads them
+const importSource = async (path) => {
+  const source = await readFile(new URL(path, import.meta.url), 'utf8');
+  return import(`data:text/javascript;charset=utf-8,${encodeURIComponent(source)}`);
+};
+
+const { SAMPLE_MESSAGES } = await importSource('../src/data/sampleMessages.js');
+const { getResponseEvents, NDJSON_CONTENT_TYPE } = await importSource('../src/utils/responseStream.js');
+const { getSampleAnswer } = await importSource('../src/utils/sampleAnswers.js');
+
+let responseCount = 0;
+
+const getResponse = (question) => {
+  responseCount += 1;
+  const { id = 'resp', ...response } = getSampleAnswer(SAMPLE_MESSAGES, question, {
+    unknownAnswer: 'The development chat server only knows the sample questions. Ask one of these:'
+  });
+  return { ...response, id: `${id}-stream-${responseCount}` };
+};
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const readBody = (request) => new Promise((resolve, reject) => {
+  let body = '';
+  request.setEncoding('utf8');
+  request.on('data', (chunk) => {
+    body += chunk;
+  });
+  request.on('end', () => resolve(body));
+  request.on('error', reject);
+});
+
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'POST, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type, Accept, Authorization'
+};
+
+const sendJson = (response, status, body) => {
+  response.writeHead(status, { ...CORS_HEADERS, 'Content-Type': 'application/json' });
+  response.end(JSON.stringify(body));
+};
+
+const streamAnswer = async (request, response) => {
+  let question;
+  try {
+    ({ question } = JSON.parse(await readBody(request)));
+  } catch (error) {
+    sendJson(response, 400, { error: 'Expected a JSON body' });
+    return;
+  }
+  if (typeof question !== 'string' || !question.trim()) {
+    sendJson(response, 400, { error: 'Expected a question' });
+    return;
+  }
+
+  let closed = false;
+  response.on('close', () => {
+    closed = true;
+  });
+  response.writeHead(200, {
+    ...CORS_HEADERS,
+    'Content-Type': `${NDJSON_CONTENT_TYPE}; charset=utf-8`,
+    'Cache-Control': 'no-cache'
+  });
+  console.log(`Answering: ${question}`);
+
+  const events = getResponseEvents(getResponse(question));
+  for (let i = 0; i < events.length && !closed; i++) {
+    const event = events[i];
+    if (i >= FAIL_AFTER) {
+      response.write(`${JSON.stringify({ type: 'error', message: 'The development server failed on purpose (FAIL_AFTER)' })}\n`);
+      break;
+    }
+    if (event.type === 'answer') await wait(TOKEN_DELAY);
+    if (event.type === 'section') await wait(SECTION_DELAY);
+    response.write(`${JSON.stringify(event)}\n`);
+  }
+  response.end();
+};
+
+const server = http.createServer((request, response) => {
+  if (request.method === 'OPTIONS') {
+    response.writeHead(204, CORS_HEADERS);
+    response.end();
+  } else if (request.method === 'POST' && request.url === '/api/chat') {
+    streamAnswer(request, response).catch((error) => {
+      console.error(error);
+      if (!response.headersSent) sendJson(response, 500, { error: error.message });
+      else response.end();
+    });
+  } else {
+    sendJson(response, 404, { error: 'Not found: POST /api/chat' });
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`Chat server stand-in on http://localhost:${PORT}/api/chat`);
+});
@@ -1,10 +1,14 @@
 import './App.css';
 import ChatApp from './ChatApp';
+import ThemeProvider from './components/ThemeProvider';
 
 function App() {
   return (
     <div className="App">
-      <ChatApp />
+      {/* Pass a partial theme (see utils/theme.js) to rebrand responses and exports */}
+      <ThemeProvider>
+        <ChatApp />
+      </ThemeProvider>
     </div>
   );
 }
@@ -0,0 +1,66 @@
+import React, { useEffect, useRef, useState } from 'react';
+import '../styles/ChatComposer.css';
+
+// Rows the question box grows to before it scrolls
+const MAX_ROWS = 6;
+
+/**
+ * Question box: Enter sends, Shift+Enter starts a new line. The text stays
+ * while `disabled` (a question is being answered) and is cleared once sent.
+ */
+const ChatComposer = ({ onSend, disabled = false, placeholder = 'Ask a question about your data…' }) => {
+  const [text, setText] = useState('');
+  const inputRef = useRef(null);
+  const canSend = !disabled && text.trim() !== '';
+
+  // Fit the box to its text
+  useEffect(() => {
+    const input = inputRef.current;
+    if (!input) return;
+    const lineHeight = parseFloat(window.getComputedStyle(input).lineHeight) || 20;
+    input.style.height = 'auto';
+    input.style.height = `${Math.min(input.scrollHeight, lineHeight * MAX_ROWS + 20)}px`;
+  }, [text]);
+
+  // Back to the box once the answer is in
+  useEffect(() => {
+    if (!disabled && inputRef.current) inputRef.current.focus();
+  }, [disabled]);
+
+  const send = () => {
+    if (!canSend) return;
+    onSend(text.trim());
+    setText('');
+  };
+
+  return (
+    <form
+      className="chat-composer"
+      onSubmit={(event) => {
+        event.preventDefault();
+        send();
+      }}
+    >
+      <textarea
+        ref={inputRef}
+        className="chat-composer-input"
+        rows={1}
+        value={text}
+        onChange={(event) => setText(event.target.value)}
+        onKeyDown={(event) => {
+          if (event.key === 'Enter' && !event.shiftKey && !event.nativeEvent.isComposing) {
+            event.preventDefault();
+            send();
+          }
+        }}
+        placeholder={placeholder}
+        aria-label="Question"
+      />
+      <button type="submit" className="chat-composer-send-btn" disabled={!canSend}>
+        {disabled ? '⏳' : 'Send'}
+      </button>
+    </form>
+  );
+};
+
+export default ChatComposer;
@@ -1,4 +1,4 @@
-import React, { useRef, useState, useMemo } from 'react';
+import React, { useCallback, useEffect, useRef, useState, useMemo } from 'react';
 import {
   BarChart,
   Bar,
@@ -27,453 +27,179 @@ import {
   Legend,
   ResponsiveContainer,
 } from 'recharts';
-import html2canvas from 'html2canvas';
-import { jsPDF } from 'jspdf';
-import autoTable from 'jspdf-autotable';
-import { parseFormattedText, addFormattedText, replaceEmojisForPDF } from '../utils/pdfTextFormatter';
+import { hasChartSeries } from '../utils/chartRenderer';
+import { buildResponseDocx, saveDocx } from '../utils/docxExport';
+import { buildResponseHtml, saveHtml } from '../utils/htmlExport';
+import { buildResponseMarkdown } from '../utils/markdownExport';
+import { getResponseSections } from '../utils/responseSections';
+import { getResponseData, getSectionData, saveCSV, saveWorkbook } from '../utils/spreadsheetExport';
+import { applyTableViews } from '../utils/tableView';
+import { createTheme, getChartColors, getThemeStyle } from '../utils/theme';
+import { renderMarkdownToHTML } from '../utils/markdownRenderer';
+import { sanitizeHtml } from '../utils/sanitizeHtml';
+import DataTable from './DataTable';
+import ExportDialog from './ExportDialog';
+import { useTheme } from './ThemeProvider';
 import '../styles/ChatResponse.css';
 
-const ChatResponse = ({ responseId, question, answer, chartData, chartType = 'bar', charts = [], sections = [] }) => {
-  const messageRef = useRef(null);
-  const sectionRefs = useRef({});
-  const [isDownloading, setIsDownloading] = useState(false);
-
-  // Create base sections from various input formats
-  const baseSections = useMemo(() => {
-    if (sections.length > 0) {
-      return sections;
-    } else if (charts.length > 0) {
-      return charts.map((chart, i) => ({
-        type: 'chart',
-        id: `chart-${i}`,
-        heading: `Data Visualization ${i + 1}`,
-        ...chart
-      }));
-    } else if (chartData) {
-      return [{
-        type: 'chart',
-        id: 'chart-0',
-        heading: 'Data Visualization',
-        data: chartData,
-        chartType
-      }];
+const ChatResponse = ({
+  responseId,
+  question,
+  answer,
+  chartData,
+  chartType = 'bar',
+  charts = [],
+  sections = [],
+  tableViews,
+  onTableViewChange,
+  theme: themeOverrides,
+  pageSetup,
+  // Still arriving: downloads wait for the complete response
+  isStreaming = false
+}) => {
+  const [isExportOpen, setIsExportOpen] = useState(false);
+  const [isExportingWord, setIsExportingWord] = useState(false);
+  const [isMenuOpen, setIsMenuOpen] = useState(false);
+  const [isCopied, setIsCopied] = useState(false);
+  const menuRef = useRef(null);
+
+  // Table views (sort, filter, hidden columns) by section id. A parent can
+  // own them by passing tableViews/onTableViewChange; otherwise they're local.
+  const [localTableViews, setLocalTableViews] = useState({});
+  const views = tableViews || localTableViews;
+
+  // When the response finished arriving, shown under it
+  const generatedAt = useMemo(() => (isStreaming ? null : new Date()), [isStreaming]);
+  const updateTableView = (sectionId, update) => {
+    if (onTableViewChange) {
+      onTableViewChange(sectionId, update);
+    } else {
+      setLocalTableViews((current) => ({ ...current, [sectionId]: update(current[sectionId]) }));
     }
-    return [];
-  }, [sections, charts, chartData, chartType]);
-
-  // CRITICAL FIX: Make section IDs unique by prefixing with responseId
-  // This prevents refs from being overwritten when multiple ChatResponse components exist
-  const sectionsToRender = useMemo(() => {
-    return baseSections.map(section => ({
-      ...section,
-      id: `${responseId}-${section.id}` // Ensures global uniqueness across all chat responses
-    }));
-  }, [baseSections, responseId]);
-
-  // Convert formatted text to HTML for display
-  const formatTextToHTML = (text) => {
-    if (!text) return '';
-    
-    let html = text;
-    
-    // Convert ***bold+italic*** to <strong><em> (must be before ** and *)
-    html = html.replace(/\*\*\*(.+?)\*\*\*/g, '<strong><em>$1</em></strong>');
-    
-    // Convert **bold** to <strong>
-    html = html.replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>');
-    
-    // Convert *italic* to <em> (but not ** which is already processed)
-    html = html.replace(/(?<!\*)\*(?!\*)(.+?)\*(?!\*)/g, '<em>$1</em>');
-    
-    // Convert bullet points to list items
-    const lines = html.split('\n');
-    let inList = false;
-    const processedLines = [];
-    
-    lines.forEach(line => {
-      const trimmed = line.trim();
-      // Check if it's a numbered list
-      const isNumberedList = /^\d+\.\s/.test(trimmed);
-      
-      // Only treat as bullet if it has bullet markers and is NOT a numbered list
-      const isBullet = !isNumberedList && (trimmed.startsWith('•') || trimmed.startsWith('-') || (trimmed.startsWith('*') && !trimmed.startsWith('**')));
-      
-      if (isBullet) {
-        if (!inList) {
-          processedLines.push('<ul>');
-          inList = true;
-        }
-        const content = trimmed.replace(/^[•\-*]\s*/, '');
-        // Check for tab indent (sub-bullet)
-        if (line.startsWith('\t')) {
-          processedLines.push(`<li style="margin-left: 20px;">${content}</li>`);
-        } else {
-          processedLines.push(`<li>${content}</li>`);
-        }
-      } else {
-        if (inList) {
-          processedLines.push('</ul>');
-          inList = false;
-        }
-        if (trimmed) {
-          processedLines.push(`<p>${line}</p>`);
-        } else {
-          processedLines.push('<br />');
-        }
-      }
-    });
-    
-    if (inList) {
-      processedLines.push('</ul>');
+  };
+
+  // The theme prop completes the ThemeProvider's (or the default) theme
+  const contextTheme = useTheme();
+  const theme = useMemo(
+    () => (themeOverrides ? createTheme(themeOverrides, contextTheme) : contextTheme),
+    [themeOverrides, contextTheme]
+  );
+  const chartColors = getChartColors(theme);
+
+  const response = useMemo(
+    () => ({ id: responseId, question, answer, sections, charts, chartData, chartType }),
+    [responseId, question, answer, sections, charts, chartData, chartType]
+  );
+
+  // Normalize the input formats into sections. Section IDs are prefixed
+  // with responseId so refs stay unique across multiple ChatResponse components
+  const sectionsToRender = useMemo(
+    () => getResponseSections({ id: responseId, sections, charts, chartData, chartType }),
+    [responseId, sections, charts, chartData, chartType]
+  );
+
+  // The export dialog builds the PDF (or Word / HTML) with the chosen options
+  const closeExportDialog = useCallback(() => setIsExportOpen(false), []);
+
+  const downloadMessageDocx = async () => {
+    if (isExportingWord) return;
+    setIsExportingWord(true);
+
+    try {
+      const doc = await buildResponseDocx(response, { tableViews: views });
+      await saveDocx(doc, `chat-${responseId}`);
+    } catch (error) {
+      console.error('Error generating Word document:', error);
+      alert(`Failed to generate Word document: ${error.message}`);
+    } finally {
+      setIsExportingWord(false);
     }
-    
-    return processedLines.join('');
   };
 
-  const downloadMessagePDF = async () => {
-    if (isDownloading) return;
-    setIsDownloading(true);
+  // Close the formats menu on a click outside it or Escape
+  useEffect(() => {
+    if (!isMenuOpen) return undefined;
+    const onPointerDown = (event) => {
+      if (menuRef.current && !menuRef.current.contains(event.target)) setIsMenuOpen(false);
+    };
+    const onKeyDown = (event) => {
+      if (event.key === 'Escape') setIsMenuOpen(false);
+    };
+    document.addEventListener('pointerdown', onPointerDown);
+    document.addEventListener('keydown', onKeyDown);
+    return () => {
+      document.removeEventListener('pointerdown', onPointerDown);
+      document.removeEventListener('keydown', onKeyDown);
+    };
+  }, [isMenuOpen]);
+
+  const downloadMessageHtml = () => {
+    try {
+      saveHtml(buildResponseHtml(response, { tableViews: views, theme }), `chat-${responseId}`);
+    } catch (error) {
+      console.error('Error generating HTML:', error);
+      alert(`Failed to generate HTML: ${error.message}`);
+    }
+  };
 
+  const copyMarkdown = async () => {
     try {
-      const pdf = new jsPDF('p', 'mm', 'a4');
-      const pageWidth = pdf.internal.pageSize.getWidth();
-      const pageHeight = pdf.internal.pageSize.getHeight();
-      let yPosition = 15;
-      const lineHeight = 7;
-      const margin = 15;
-      const maxWidth = pageWidth - 2 * margin;
-
-      // Set font for title
-      pdf.setFontSize(16);
-      pdf.setFont(undefined, 'bold');
-      pdf.setTextColor(51, 51, 51);
-      pdf.text('Chat Response', margin, yPosition);
-      yPosition += 12;
-
-      // Add question
-      pdf.setFontSize(11);
-      pdf.setFont(undefined, 'bold');
-      pdf.setTextColor(51, 51, 51);
-      pdf.text('Question:', margin, yPosition);
-      yPosition += 7;
-      
-      pdf.setFont(undefined, 'normal');
-      pdf.setFontSize(10);
-      pdf.setTextColor(85, 85, 85);
-      const questionLines = pdf.splitTextToSize(question, maxWidth);
-      pdf.text(questionLines, margin, yPosition);
-      yPosition += questionLines.length * 6 + 10;
-
-      // Add answer
-      pdf.setFontSize(11);
-      pdf.setFont(undefined, 'bold');
-      pdf.setTextColor(51, 51, 51);
-      pdf.text('Answer:', margin, yPosition);
-      yPosition += 7;
-      
-      pdf.setFont(undefined, 'normal');
-      pdf.setFontSize(10);
-      pdf.setTextColor(85, 85, 85);
-      const answerLines = pdf.splitTextToSize(answer, maxWidth);
-      pdf.text(answerLines, margin, yPosition);
-      yPosition += answerLines.length * 6.5 + 12;
-
-      // Add sections if available
-      if (sectionsToRender.length > 0) {
-        // Wait for all content to render properly (especially charts with labels)
-        await new Promise(resolve => setTimeout(resolve, 1500));
-
-        for (let i = 0; i < sectionsToRender.length; i++) {
-          const section = sectionsToRender[i];
-          const sectionRefElement = sectionRefs.current[section.id];
-          
-          console.log('Processing section:', {
-            type: section.type,
-            id: section.id,
-            hasRef: !!sectionRefElement,
-            elementType: sectionRefElement?.tagName,
-            elementClass: sectionRefElement?.className,
-            elementText: sectionRefElement?.textContent?.substring(0, 50)
-          });
-
-          if (section.type === 'text' && sectionRefElement) {
-            // Handle text section - check if it has rich formatting
-            if (section.isFormatted) {
-              // Render as formatted text with styling
-              if (yPosition > pageHeight - 30) {
-                pdf.addPage();
-                yPosition = 15;
-              }
-
-              // Add heading if provided
-              if (section.heading) {
-                pdf.setFontSize(11);
-                pdf.setFont(undefined, 'bold');
-                pdf.setTextColor(51, 51, 51);
-                pdf.text(replaceEmojisForPDF(section.heading), margin, yPosition);
-                yPosition += 3;
-                
-                // Add underline
-                pdf.setDrawColor(224, 224, 224);
-                pdf.setLineWidth(0.3);
-                pdf.line(margin, yPosition, pageWidth - margin, yPosition);
-                yPosition += 8;
-              }
-
-              // Parse and render formatted text
-              const segments = parseFormattedText(section.content);
-              yPosition = addFormattedText(
-                pdf,
-                segments,
-                margin,
-                yPosition,
-                maxWidth,
-                {
-                  lineHeight: 6.5,
-                  fontSize: 10,
-                  color: [85, 85, 85],
-                  pageHeight,
-                }
-              );
-              yPosition += 8;
-            } else {
-              // Render as image to preserve complex styling
-              if (yPosition > pageHeight - 50) {
-                pdf.addPage();
-                yPosition = 15;
-              }
-
-              // Capture text section as image
-              const textCanvas = await html2canvas(sectionRefElement, {
-                scale: 2,
-                useCORS: true,
-                allowTaint: true,
-                backgroundColor: '#ffffff',
-                logging: false,
-              });
-
-              const textImgData = textCanvas.toDataURL('image/png');
-              const textWidth = maxWidth;
-              const textHeight = (textCanvas.height * textWidth) / textCanvas.width;
-
-              // Check if content fits on current page
-              if (yPosition + textHeight > pageHeight - 15) {
-                pdf.addPage();
-                yPosition = 15;
-              }
-
-              pdf.addImage(textImgData, 'PNG', margin, yPosition, textWidth, textHeight);
-              yPosition += textHeight + 10;
-            }
-          } else if (section.type === 'text') {
-            // Text section without ref - render as formatted text
-            if (yPosition > pageHeight - 30) {
-              pdf.addPage();
-              yPosition = 15;
-            }
-
-            // Add heading if provided
-            if (section.heading) {
-              pdf.setFontSize(11);
-              pdf.setFont(undefined, 'bold');
-              pdf.setTextColor(51, 51, 51);
-              pdf.text(replaceEmojisForPDF(section.heading), margin, yPosition);
-              yPosition += 3;
-              
-              // Add underline
-              pdf.setDrawColor(224, 224, 224);
-              pdf.setLineWidth(0.3);
-              pdf.line(margin, yPosition, pageWidth - margin, yPosition);
-              yPosition += 8;
-            }
-
-            // Parse and render formatted text
-            const segments = parseFormattedText(section.content);
-            yPosition = addFormattedText(
-              pdf,
-              segments,
-              margin,
-              yPosition,
-              maxWidth,
-              {
-                lineHeight: 6.5,
-                fontSize: 10,
-                color: [85, 85, 85],
-                pageHeight,
-              }
-            );
-            yPosition += 8;
-          } else if (section.type === 'table') {
-            // Handle table section - render as native PDF table
-            if (yPosition > pageHeight - 100) {
-              pdf.addPage();
-              yPosition = 15;
-            }
-
-            // Add table heading if provided
-            if (section.heading) {
-              pdf.setFontSize(11);
-              pdf.setFont(undefined, 'bold');
-              pdf.setTextColor(51, 51, 51);
-              pdf.text(replaceEmojisForPDF(section.heading), margin, yPosition);
-              yPosition += 3;
-              
-              // Add underline with brand color
-              pdf.setDrawColor(102, 126, 234);
-              pdf.setLineWidth(0.5);
-              pdf.line(margin, yPosition, pageWidth - margin, yPosition);
-              yPosition += 8;
-            }
-
-            // Render table using autoTable
-            if (section.rows && section.columns) {
-              try {
-                // Calculate available width for the table
-                const availableWidth = pageWidth - (2 * margin);
-                
-                // Build columnStyles for all columns with auto width + word wrap
-                const columnStyles = {};
-                section.columns.forEach((col, index) => {
-                  columnStyles[index] = {
-                    cellWidth: 'auto',  // Auto-size based on content
-                    overflow: 'linebreak',  // Wrap if content is too long
-                    cellPadding: 2.5
-                  };
-                });
-                
-                // Call autoTable as a function (v5.x API) with styling
-                autoTable(pdf, {
-                  startY: yPosition,
-                  head: [section.columns],
-                  body: section.rows,
-                  theme: 'grid',
-                  headStyles: {
-                    fillColor: [240, 244, 248],
-                    textColor: [51, 51, 51],
-                    fontStyle: 'bold',
-                    fontSize: 8,
-                    halign: 'left',
-                    lineWidth: 0.5,
-                    lineColor: [102, 126, 234],
-                    overflow: 'linebreak',
-                    minCellHeight: 8
-                  },
-                  bodyStyles: {
-                    textColor: [85, 85, 85],
-                    fontSize: 7.5,
-                    cellPadding: 2.5,
-                    overflow: 'linebreak',
-                    valign: 'top',
-                    minCellHeight: 8
-                  },
-                  alternateRowStyles: {
-                    fillColor: [249, 249, 249]
-                  },
-                  margin: { left: margin, right: margin },
-                  styles: {
-                    lineColor: [224, 224, 224],
-                    lineWidth: 0.2,
-                    overflow: 'linebreak',  // Key: wrap long content
-                    minCellHeight: 8,
-                    halign: 'left',
-                    fontSize: 7.5
-                  },
-                  tableWidth: 'auto',  // Auto-size table to fit content
-                  horizontalPageBreak: false,
-                  horizontalPageBreakRepeat: null,
-                  columnStyles: columnStyles
-                });
-                
-                // Get the final Y position after table
-                if (pdf.lastAutoTable && pdf.lastAutoTable.finalY) {
-                  yPosition = pdf.lastAutoTable.finalY + 12;
-                } else {
-                  yPosition += 100; // Fallback
-                }
-              } catch (tableError) {
-                console.error('Error rendering table:', tableError);
-                yPosition += 50;
-              }
-            }
-          } else if (section.type === 'chart' && sectionRefElement) {
-            // Handle chart section - capture as image
-            if (yPosition > pageHeight - 100) {
-              pdf.addPage();
-              yPosition = 15;
-            }
-
-            // Add chart heading if provided
-            if (section.heading) {
-              pdf.setFontSize(11);
-              pdf.setFont(undefined, 'bold');
-              pdf.setTextColor(51, 51, 51);
-              pdf.text(replaceEmojisForPDF(section.heading), margin, yPosition);
-              yPosition += 3;
-              
-              // Add underline
-              pdf.setDrawColor(224, 224, 224);
-              pdf.setLineWidth(0.3);
-              pdf.line(margin, yPosition, pageWidth - margin, yPosition);
-              yPosition += 8;
-            }
-
-            // Capture chart as image
-            try {
-              // Extra wait for chart labels to render
-              await new Promise(resolve => setTimeout(resolve, 300));
-              
-              const chartCanvas = await html2canvas(sectionRefElement, {
-                scale: 2,
-                useCORS: true,
-                allowTaint: true,
-                backgroundColor: '#ffffff',
-                logging: false,
-              });
-
-              const chartImgData = chartCanvas.toDataURL('image/png');
-              const chartWidth = maxWidth;
-              const chartHeight = (chartCanvas.height * chartWidth) / chartCanvas.width;
-
-              // Check if chart fits on current page
-              if (yPosition + chartHeight > pageHeight - 15) {
-                pdf.addPage();
-                yPosition = 15;
-              }
-
-              pdf.addImage(chartImgData, 'PNG', margin, yPosition, chartWidth, chartHeight);
-              yPosition += chartHeight + 10;
-            } catch (chartError) {
-              console.error('Error rendering chart:', chartError);
-              yPosition += 50;
-            }
-          }
-        }
-      }
+      if (!navigator.clipboard) throw new Error('Clipboard access is not available');
+      await navigator.clipboard.writeText(buildResponseMarkdown(response, { tableViews: views }));
+      setIsCopied(true);
+    } catch (error) {
+      console.error('Error copying Markdown:', error);
+      alert(`Failed to copy Markdown: ${error.message}`);
+    }
+  };
+
+  // "Copied" shows on the menu button for a moment
+  useEffect(() => {
+    if (!isCopied) return undefined;
+    const timer = setTimeout(() => setIsCopied(false), 2000);
+    return () => clearTimeout(timer);
+  }, [isCopied]);
 
-      // Add timestamp
-      pdf.setFontSize(9);
-      pdf.setFont(undefined, 'italic');
-      pdf.setTextColor(150);
-      pdf.text(`Generated on ${new Date().toLocaleString()}`, margin, pageHeight - 10);
+  const chooseFormat = (download) => {
+    setIsMenuOpen(false);
+    download();
+  };
+
+  const hasData = sectionsToRender.some((section) => section.type === 'table' || section.type === 'chart');
 
-      const timestamp = new Date().toISOString().slice(0, 19).replace(/:/g, '-');
-      pdf.save(`chat-${responseId}-${timestamp}.pdf`);
+  // CSV / Excel of one section, or of every table and chart (one sheet each)
+  const downloadData = async (format, section) => {
+    try {
+      const dataList = section
+        ? [getSectionData(applyTableViews([section], views)[0])].filter(Boolean)
+        : getResponseData(response, { tableViews: views });
+      if (dataList.length === 0) return;
+
+      const prefix = `chat-${section ? section.id : responseId}`;
+      if (format === 'csv') {
+        saveCSV(dataList, prefix);
+      } else {
+        await saveWorkbook(dataList, prefix);
+      }
     } catch (error) {
-      console.error('Error generating PDF:', error);
-      console.error('Error message:', error.message);
-      console.error('Error stack:', error.stack);
-      alert(`Failed to generate PDF: ${error.message}`);
-    } finally {
-      setIsDownloading(false);
+      console.error('Error exporting data:', error);
+      alert(`Failed to export data: ${error.message}`);
     }
   };
 
+  const renderSectionDownloads = (section) => (
+    <div className="section-downloads">
+      <button type="button" onClick={() => downloadData('csv', section)} disabled={isStreaming}>CSV</button>
+      <button type="button" onClick={() => downloadData('xlsx', section)} disabled={isStreaming}>Excel</button>
+    </div>
+  );
+
   const renderChart = (chartData, chartType) => {
     if (!chartData || chartData.length === 0) {
       return null;
     }
 
-    const COLORS = ['#0088FE', '#00C49F', '#FFBB28', '#FF8042', '#8884D8', '#82CA9D', '#FFC658', '#8DD1E1'];
+    const { series, categories: COLORS } = chartColors;
 
     // Line Chart
     if (chartType === 'line') {
@@ -485,8 +211,8 @@ const ChatResponse = ({ responseId, question, answer, chartData, chartType = 'ba
             <YAxis />
             <Tooltip />
             <Legend />
-            <Line type="monotone" dataKey="value" stroke="#8884d8" strokeWidth={2} label={{ position: 'top', fill: '#8884d8' }} />
-            {chartData[0]?.value2 && <Line type="monotone" dataKey="value2" stroke="#82ca9d" strokeWidth={2} label={{ position: 'top', fill: '#82ca9d' }} />}
+            <Line type="monotone" dataKey="value" stroke={series.value} strokeWidth={2} label={{ position: 'top', fill: series.value }} />
+            {hasChartSeries(chartData, 'value2') && <Line type="monotone" dataKey="value2" stroke={series.value2} strokeWidth={2} label={{ position: 'top', fill: series.value2 }} />}
           </LineChart>
         </ResponsiveContainer>
       );
@@ -504,7 +230,7 @@ const ChatResponse = ({ responseId, question, answer, chartData, chartType = 'ba
               labelLine={true}
               label={({ name, value, percent }) => `${name}: ${value} (${(percent * 100).toFixed(1)}%)`}
               outerRadius={100}
-              fill="#8884d8"
+              fill={series.value}
               dataKey="value"
             >
               {chartData.map((entry, index) => (
@@ -528,8 +254,8 @@ const ChatResponse = ({ responseId, question, answer, chartData, chartType = 'ba
             <YAxis />
             <Tooltip />
             <Legend />
-            <Area type="monotone" dataKey="value" stroke="#8884d8" fill="#8884d8" fillOpacity={0.6} label={{ position: 'top', fill: '#8884d8' }} />
-            {chartData[0]?.value2 && <Area type="monotone" dataKey="value2" stroke="#82ca9d" fill="#82ca9d" fillOpacity={0.6} label={{ position: 'top', fill: '#82ca9d' }} />}
+            <Area type="monotone" dataKey="value" stroke={series.value} fill={series.value} fillOpacity={0.6} label={{ position: 'top', fill: series.value }} />
+            {hasChartSeries(chartData, 'value2') && <Area type="monotone" dataKey="value2" stroke={series.value2} fill={series.value2} fillOpacity={0.6} label={{ position: 'top', fill: series.value2 }} />}
           </AreaChart>
         </ResponsiveContainer>
       );
@@ -543,8 +269,8 @@ const ChatResponse = ({ responseId, question, answer, chartData, chartType = 'ba
             <PolarGrid />
             <PolarAngleAxis dataKey="name" />
             <PolarRadiusAxis />
-            <Radar name="Value" dataKey="value" stroke="#8884d8" fill="#8884d8" fillOpacity={0.6} />
-            {chartData[0]?.value2 && <Radar name="Value 2" dataKey="value2" stroke="#82ca9d" fill="#82ca9d" fillOpacity={0.6} />}
+            <Radar name="Value" dataKey="value" stroke={series.value} fill={series.value} fillOpacity={0.6} />
+            {hasChartSeries(chartData, 'value2') && <Radar name="Value 2" dataKey="value2" stroke={series.value2} fill={series.value2} fillOpacity={0.6} />}
             <Tooltip />
             <Legend />
           </RadarChart>
@@ -563,7 +289,7 @@ const ChatResponse = ({ responseId, question, answer, chartData, chartType = 'ba
             <ZAxis range={[100, 1000]} />
             <Tooltip cursor={{ strokeDasharray: '3 3' }} />
             <Legend />
-            <Scatter name="Data" data={chartData} fill="#8884d8" />
+            <Scatter name="Data" data={chartData} fill={series.value} />
           </ScatterChart>
         </ResponsiveContainer>
       );
@@ -599,9 +325,9 @@ const ChatResponse = ({ responseId, question, answer, chartData, chartType = 'ba
             <YAxis />
             <Tooltip />
             <Legend />
-            <Bar dataKey="value" fill="#8884d8" label={{ position: 'top', fill: '#8884d8' }} />
-            {chartData[0]?.value2 && <Line type="monotone" dataKey="value2" stroke="#82ca9d" strokeWidth={2} label={{ position: 'top', fill: '#82ca9d' }} />}
-            {chartData[0]?.value3 && <Area type="monotone" dataKey="value3" fill="#ffc658" stroke="#ffc658" fillOpacity={0.6} />}
+            <Bar dataKey="value" fill={series.value} label={{ position: 'top', fill: series.value }} />
+            {hasChartSeries(chartData, 'value2') && <Line type="monotone" dataKey="value2" stroke={series.value2} strokeWidth={2} label={{ position: 'top', fill: series.value2 }} />}
+            {hasChartSeries(chartData, 'value3') && <Area type="monotone" dataKey="value3" fill={series.value3} stroke={series.value3} fillOpacity={0.6} />}
           </ComposedChart>
         </ResponsiveContainer>
       );
@@ -616,18 +342,20 @@ const ChatResponse = ({ responseId, question, answer, chartData, chartType = 'ba
           <YAxis />
           <Tooltip />
           <Legend />
-          <Bar dataKey="value" fill="#8884d8" label={{ position: 'top', fill: '#333' }} />
-          {chartData[0]?.value2 && <Bar dataKey="value2" fill="#82ca9d" label={{ position: 'top', fill: '#333' }} />}
+          <Bar dataKey="value" fill={series.value} label={{ position: 'top', fill: theme.palette.heading }} />
+          {hasChartSeries(chartData, 'value2') && <Bar dataKey="value2" fill={series.value2} label={{ position: 'top', fill: theme.palette.heading }} />}
         </BarChart>
       </ResponsiveContainer>
     );
   };
 
   return (
-    <div className="chat-response-container">
-      {/* Content to be captured in PDF */}
-      <div ref={messageRef} className="chat-response-content">
-        
+    <div className="chat-response-container" style={getThemeStyle(theme)} aria-busy={isStreaming}>
+      <div className="chat-response-content">
+        {theme.logo && (
+          <img className="response-logo" src={theme.logo.src} alt={theme.logo.alt || ''} />
+        )}
+
         {/* Question Section */}
         <div className="chat-question-section">
           <div className="question-label">📝 You asked:</div>
@@ -637,7 +365,10 @@ const ChatResponse = ({ responseId, question, answer, chartData, chartType = 'ba
         {/* Answer Section */}
         <div className="chat-answer-section">
           <div className="answer-label">🤖 AI Response:</div>
-          <p className="answer-text">{answer}</p>
+          <p className="answer-text">
+            {answer}
+            {isStreaming && <span className="streaming-cursor" aria-hidden="true" />}
+          </p>
         </div>
 
         {/* Sections */}
@@ -646,15 +377,10 @@ const ChatResponse = ({ responseId, question, answer, chartData, chartType = 'ba
             {sectionsToRender.map((section) => (
               <div key={section.id} className={`section section-${section.type}`}>
                 {section.type === 'text' && (
-                  <div 
-                    className="text-section" 
-                    ref={(el) => {
-                      if (el) sectionRefs.current[section.id] = el;
-                    }}
-                  >
+                  <div className="text-section">
                     {section.heading && <h3 className="section-heading">{section.heading}</h3>}
                     {section.isFormatted ? (
-                      <div className="section-text" dangerouslySetInnerHTML={{ __html: formatTextToHTML(section.content) }} />
+                      <div className="section-text" dangerouslySetInnerHTML={{ __html: sanitizeHtml(renderMarkdownToHTML(section.content)) }} />
                     ) : (
                       <p className="section-text">{section.content}</p>
                     )}
@@ -662,52 +388,29 @@ const ChatResponse = ({ responseId, question, answer, chartData, chartType = 'ba
                 )}
 
                 {section.type === 'table' && (
-                  <div 
-                    className="table-section" 
-                    ref={(el) => {
-                      if (el) sectionRefs.current[section.id] = el;
-                    }}
-                  >
+                  <div className="table-section">
                     {section.heading && <h3 className="table-title">{section.heading}</h3>}
                     {section.tableHtml && (
-                      <div className="table-wrapper" dangerouslySetInnerHTML={{ __html: section.tableHtml }} />
+                      <div className="table-wrapper" dangerouslySetInnerHTML={{ __html: sanitizeHtml(section.tableHtml) }} />
                     )}
                     {section.rows && !section.tableHtml && (
-                      <div className="table-wrapper" style={{ overflowX: 'auto', width: '100%' }}>
-                        <table className="data-table">
-                          <thead>
-                            <tr>
-                              {section.columns.map((col, idx) => (
-                                <th key={idx}>{col}</th>
-                              ))}
-                            </tr>
-                          </thead>
-                          <tbody>
-                            {section.rows.map((row, rowIdx) => (
-                              <tr key={rowIdx}>
-                                {row.map((cell, cellIdx) => (
-                                  <td key={cellIdx}>{cell}</td>
-                                ))}
-                              </tr>
-                            ))}
-                          </tbody>
-                        </table>
-                      </div>
+                      <DataTable
+                        section={section}
+                        view={views[section.id]}
+                        onViewChange={(update) => updateTableView(section.id, update)}
+                      />
                     )}
+                    {renderSectionDownloads(section)}
                   </div>
                 )}
 
                 {section.type === 'chart' && (
                   <div className="chart-section">
                     {section.heading && <div className="chart-title">{section.heading}</div>}
-                    <div 
-                      ref={(el) => {
-                        if (el) sectionRefs.current[section.id] = el;
-                      }}
-                      className="chart-capture-container"
-                    >
+                    <div className="chart-capture-container">
                       {renderChart(section.data, section.chartType || 'bar')}
                     </div>
+                    {renderSectionDownloads(section)}
                   </div>
                 )}
               </div>
@@ -718,20 +421,70 @@ const ChatResponse = ({ responseId, question, answer, chartData, chartType = 'ba
         {/* Metadata */}
         <div className="message-metadata">
           <span className="timestamp">
-            Generated on {new Date().toLocaleString()}
+            {isStreaming ? 'Writing…' : `Generated on ${generatedAt.toLocaleString()}`}
           </span>
         </div>
 
       </div>
 
-      {/* Download button OUTSIDE the captured area */}
-      <button 
-        className={`download-message-btn ${isDownloading ? 'downloading' : ''}`}
-        onClick={downloadMessagePDF}
-        disabled={isDownloading}
-      >
-        {isDownloading ? '⏳ Generating PDF...' : '📥 Download as PDF'}
-      </button>
+      {/* Download buttons */}
+      <div className="download-bar">
+        <button
+          className="download-message-btn"
+          onClick={() => setIsExportOpen(true)}
+          aria-haspopup="dialog"
+          disabled={isStreaming}
+        >
+          📥 Download as PDF…
+        </button>
+        <div className="download-menu" ref={menuRef}>
+          <button
+            type="button"
+            className="download-menu-toggle"
+            aria-haspopup="menu"
+            aria-expanded={isMenuOpen}
+            onClick={() => setIsMenuOpen((open) => !open)}
+            disabled={isStreaming}
+          >
+            {isExportingWord ? '⏳ Generating...' : isCopied ? '✓ Copied' : 'More formats ▾'}
+          </button>
+          {isMenuOpen && (
+            <div className="download-menu-list" role="menu">
+              <button type="button" role="menuitem" onClick={() => chooseFormat(downloadMessageDocx)} disabled={isExportingWord}>
+                📝 Word (.docx)
+              </button>
+              <button type="button" role="menuitem" onClick={() => chooseFormat(downloadMessageHtml)}>
+                🌐 HTML (.html)
+              </button>
+              <button type="button" role="menuitem" onClick={() => chooseFormat(copyMarkdown)}>
+                📋 Copy as Markdown
+              </button>
+              {hasData && (
+                <>
+                  <button type="button" role="menuitem" onClick={() => chooseFormat(() => downloadData('csv'))}>
+                    📄 CSV
+                  </button>
+                  <button type="button" role="menuitem" onClick={() => chooseFormat(() => downloadData('xlsx'))}>
+                    📊 Excel (.xlsx)
+                  </button>
+                </>
+              )}
+            </div>
+          )}
+        </div>
+      </div>
+
+      {isExportOpen && (
+        <ExportDialog
+          response={response}
+          sections={sectionsToRender}
+          tableViews={views}
+          theme={theme}
+          pageSetup={pageSetup}
+          defaultFileName={`chat-${responseId}`}
+          onClose={closeExportDialog}
+        />
+      )}
     </div>
   );
 };
@@ -0,0 +1,152 @@
+import React, { useEffect, useRef, useState } from 'react';
+import '../styles/ConversationSidebar.css';
+
+const isSameDay = (a, b) => a.toDateString() === b.toDateString();
+
+// "14:05" today, "12 Mar" this year, "12 Mar 2025" before
+const formatDate = (timestamp) => {
+  const date = new Date(timestamp);
+  const today = new Date();
+  if (isSameDay(date, today)) {
+    return date.toLocaleTimeString(undefined, { hour: '2-digit', minute: '2-digit' });
+  }
+  return date.toLocaleDateString(undefined, {
+    day: 'numeric',
+    month: 'short',
+    year: date.getFullYear() === today.getFullYear() ? undefined : 'numeric'
+  });
+};
+
+/**
+ * Saved conversations: search, reopen, rename, delete, export as JSON, and
+ * import a JSON file. `conversations` are summaries ({ id, title,
+ * createdAt, updatedAt }) the parent filters with `onSearch`.
+ */
+const ConversationSidebar = ({
+  conversations,
+  activeId,
+  query,
+  onSearch,
+  onSelect,
+  onNew,
+  onRename,
+  onDelete,
+  onExport,
+  onImport
+}) => {
+  const [editingId, setEditingId] = useState(null);
+  const [title, setTitle] = useState('');
+  const fileInputRef = useRef(null);
+  const titleInputRef = useRef(null);
+  // Set once a rename is saved or cancelled, so the blur that follows doesn't save it (again)
+  const cancelledRef = useRef(false);
+
+  useEffect(() => {
+    if (editingId && titleInputRef.current) titleInputRef.current.select();
+  }, [editingId]);
+
+  const startRename = (conversation) => {
+    cancelledRef.current = false;
+    setEditingId(conversation.id);
+    setTitle(conversation.title);
+  };
+
+  const finishRename = () => {
+    if (cancelledRef.current) return;
+    cancelledRef.current = true;
+    if (editingId && title.trim()) onRename(editingId, title.trim());
+    setEditingId(null);
+  };
+
+  const confirmDelete = (conversation) => {
+    if (window.confirm(`Delete "${conversation.title}"? This can't be undone.`)) {
+      onDelete(conversation.id);
+    }
+  };
+
+  return (
+    <aside className="conversation-sidebar" aria-label="Conversations">
+      <div className="conversation-sidebar-actions">
+        <button type="button" className="conversation-new-btn" onClick={onNew}>＋ New chat</button>
+        <button type="button" onClick={() => fileInputRef.current.click()} title="Import a conversation (.json)">
+          Import
+        </button>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept="application/json,.json"
+          hidden
+          onChange={(event) => {
+            const [file] = event.target.files;
+            // Picking the same file again should import it again
+            event.target.value = '';
+            if (file) onImport(file);
+          }}
+        />
+      </div>
+
+      <input
+        type="search"
+        className="conversation-search"
+        value={query}
+        onChange={(event) => onSearch(event.target.value)}
+        placeholder="Search conversations"
+        aria-label="Search conversations"
+      />
+
+      <ul className="conversation-list">
+        {conversations.map((conversation) => (
+          <li
+            key={conversation.id}
+            className={`conversation-item ${conversation.id === activeId ? 'active' : ''}`.trim()}
+          >
+            {editingId === conversation.id ? (
+              <input
+                ref={titleInputRef}
+                className="conversation-title-input"
+                value={title}
+                onChange={(event) => setTitle(event.target.value)}
+                onBlur={finishRename}
+                onKeyDown={(event) => {
+                  if (event.key === 'Enter') finishRename();
+                  if (event.key === 'Escape') {
+                    // Don't close a dialog around the sidebar too
+                    event.stopPropagation();
+                    cancelledRef.current = true;
+                    setEditingId(null);
+                  }
+                }}
+                aria-label="Conversation title"
+              />
+            ) : (
+              <button
+                type="button"
+                className="conversation-open-btn"
+                onClick={() => onSelect(conversation.id)}
+                aria-current={conversation.id === activeId ? 'true' : undefined}
+              >
+                <span className="conversation-title">{conversation.title}</span>
+                <time className="conversation-date" dateTime={new Date(conversation.updatedAt).toISOString()}>
+                  {formatDate(conversation.updatedAt)}
+                </time>
+              </button>
+            )}
+            <div className="conversation-item-actions">
+              <button type="button" onClick={() => startRename(conversation)} title="Rename" aria-label={`Rename "${conversation.title}"`}>✏️</button>
+              <button type="button" onClick={() => onExport(conversation.id)} title="Export as JSON" aria-label={`Export "${conversation.title}"`}>⬇️</button>
+              <button type="button" onClick={() => confirmDelete(conversation)} title="Delete" aria-label={`Delete "${conversation.title}"`}>🗑️</button>
+            </div>
+          </li>
+        ))}
+      </ul>
+
+      {conversations.length === 0 && (
+        <p className="conversation-list-empty">
+          {query ? 'No conversations match.' : 'Conversations you start are saved here.'}
+        </p>
+      )}
+    </aside>
+  );
+};
+
+export default ConversationSidebar;
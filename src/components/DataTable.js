@@ -0,0 +1,203 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { formatTableRows, getCellAlignment, getColumnFormats } from '../utils/cellFormat';
+import { applyTableView, DEFAULT_TABLE_VIEW, isDefaultTableView } from '../utils/tableView';
+import '../styles/DataTable.css';
+
+const MIN_COLUMN_WIDTH = 60;
+const RESIZE_STEP = 20;
+
+const SORT_LABELS = { asc: 'ascending', desc: 'descending' };
+
+/**
+ * Rows/columns table with sorting, filtering, column hiding and resizing.
+ * The view lives with the parent (`view` / `onViewChange`) so downloads can
+ * export the table as shown; onViewChange receives an updater function.
+ */
+const DataTable = ({ section, view: viewProp, onViewChange }) => {
+  const view = useMemo(() => ({ ...DEFAULT_TABLE_VIEW, ...viewProp }), [viewProp]);
+  const formats = useMemo(() => getColumnFormats(section), [section]);
+  const hidden = new Set(view.hiddenColumns);
+  const visibleColumns = section.columns.map((_, index) => index).filter((index) => !hidden.has(index));
+
+  const { body, totals } = useMemo(() => formatTableRows(applyTableView(section, view)), [section, view]);
+  const rowCount = section.rows.length - (section.totalsRow === true && section.rows.length > 0 ? 1 : 0);
+
+  // Resized columns count too: only the content ignores them
+  const isChanged = !isDefaultTableView(view) || Object.keys(view.columnWidths).length > 0;
+
+  const updateView = (changes) => onViewChange((current) => ({ ...DEFAULT_TABLE_VIEW, ...current, ...changes }));
+
+  // Ascending, then descending, then back to the original order
+  const toggleSort = (column) => {
+    if (view.sortColumn !== column) {
+      updateView({ sortColumn: column, sortDirection: 'asc' });
+    } else if (view.sortDirection === 'asc') {
+      updateView({ sortDirection: 'desc' });
+    } else {
+      updateView({ sortColumn: null, sortDirection: 'asc' });
+    }
+  };
+
+  const toggleColumn = (column) => {
+    const hiddenColumns = hidden.has(column)
+      ? view.hiddenColumns.filter((index) => index !== column)
+      : [...view.hiddenColumns, column];
+    updateView({
+      hiddenColumns,
+      ...(hiddenColumns.includes(view.sortColumn) ? { sortColumn: null } : {})
+    });
+  };
+
+  const setColumnWidth = (column, width) => onViewChange((current) => ({
+    ...DEFAULT_TABLE_VIEW,
+    ...current,
+    columnWidths: { ...(current && current.columnWidths), [column]: Math.max(MIN_COLUMN_WIDTH, Math.round(width)) }
+  }));
+
+  // The column being dragged and its width so far: the view (and so the
+  // saved conversation) only changes once the pointer is released
+  const [dragWidth, setDragWidth] = useState(null);
+  const stopDragRef = useRef(null);
+
+  // Let go of the window listeners if the table goes away mid-drag
+  useEffect(() => () => {
+    if (stopDragRef.current) stopDragRef.current();
+  }, []);
+
+  const startResize = (event, column) => {
+    event.preventDefault();
+    const startX = event.clientX;
+    const startWidth = event.currentTarget.parentElement.offsetWidth;
+    let width = startWidth;
+
+    const stopDrag = () => {
+      window.removeEventListener('pointermove', onMove);
+      window.removeEventListener('pointerup', onUp);
+      stopDragRef.current = null;
+    };
+    const onMove = (moveEvent) => {
+      width = Math.max(MIN_COLUMN_WIDTH, Math.round(startWidth + moveEvent.clientX - startX));
+      setDragWidth({ column, width });
+    };
+    const onUp = () => {
+      stopDrag();
+      setDragWidth(null);
+      if (width !== startWidth) setColumnWidth(column, width);
+    };
+    window.addEventListener('pointermove', onMove);
+    window.addEventListener('pointerup', onUp);
+    stopDragRef.current = stopDrag;
+  };
+
+  const resizeWithKeys = (event, column) => {
+    if (event.key !== 'ArrowLeft' && event.key !== 'ArrowRight') return;
+    event.preventDefault();
+    const width = view.columnWidths[column] || event.currentTarget.parentElement.offsetWidth;
+    setColumnWidth(column, width + (event.key === 'ArrowRight' ? RESIZE_STEP : -RESIZE_STEP));
+  };
+
+  const cellProps = (column) => {
+    const width = dragWidth && dragWidth.column === column ? dragWidth.width : view.columnWidths[column];
+    return {
+      className: `cell-${getCellAlignment(formats[column])}`,
+      style: width ? { width, minWidth: width, maxWidth: width } : undefined
+    };
+  };
+
+  return (
+    <div className="data-table-container">
+      <div className="data-table-toolbar">
+        <input
+          type="search"
+          className="data-table-filter"
+          placeholder="Filter rows..."
+          aria-label={`Filter ${section.heading || 'table'} rows`}
+          value={view.filter}
+          onChange={(event) => updateView({ filter: event.target.value })}
+        />
+        <details className="data-table-columns">
+          <summary>Columns</summary>
+          <div className="data-table-columns-menu">
+            {section.columns.map((column, index) => (
+              <label key={index}>
+                <input
+                  type="checkbox"
+                  checked={!hidden.has(index)}
+                  // Keep at least one column
+                  disabled={!hidden.has(index) && visibleColumns.length === 1}
+                  onChange={() => toggleColumn(index)}
+                />
+                {column}
+              </label>
+            ))}
+          </div>
+        </details>
+        <span className="data-table-count">
+          {body.length === rowCount ? `${rowCount} rows` : `${body.length} of ${rowCount} rows`}
+        </span>
+        {isChanged && (
+          <button type="button" className="data-table-reset" onClick={() => onViewChange(() => DEFAULT_TABLE_VIEW)}>
+            Reset view
+          </button>
+        )}
+      </div>
+
+      <div className="table-wrapper" style={{ overflowX: 'auto', width: '100%' }}>
+        <table className="data-table">
+          <thead>
+            <tr>
+              {visibleColumns.map((column) => {
+                const sorted = view.sortColumn === column ? view.sortDirection : null;
+                const { className, style } = cellProps(column);
+                return (
+                  <th key={column} className={className} style={style} aria-sort={sorted ? SORT_LABELS[sorted] : 'none'}>
+                    <button type="button" className="data-table-sort" onClick={() => toggleSort(column)}>
+                      {section.columns[column]}
+                      <span className={`sort-indicator ${sorted || ''}`} aria-hidden="true">
+                        {sorted === 'desc' ? '▼' : '▲'}
+                      </span>
+                    </button>
+                    <span
+                      className="column-resizer"
+                      role="separator"
+                      aria-orientation="vertical"
+                      aria-label={`Resize ${section.columns[column]} column`}
+                      tabIndex={0}
+                      onPointerDown={(event) => startResize(event, column)}
+                      onKeyDown={(event) => resizeWithKeys(event, column)}
+                    />
+                  </th>
+                );
+              })}
+            </tr>
+          </thead>
+          <tbody>
+            {body.map((row, rowIdx) => (
+              <tr key={rowIdx}>
+                {row.map((cell, position) => (
+                  <td key={visibleColumns[position]} {...cellProps(visibleColumns[position])}>{cell}</td>
+                ))}
+              </tr>
+            ))}
+            {body.length === 0 && (
+              <tr className="data-table-empty">
+                <td colSpan={visibleColumns.length}>No rows match "{view.filter}"</td>
+              </tr>
+            )}
+          </tbody>
+          {totals && (
+            <tfoot>
+              <tr className="totals-row">
+                {totals.map((cell, position) => (
+                  <td key={visibleColumns[position]} {...cellProps(visibleColumns[position])}>{cell}</td>
+                ))}
+              </tr>
+            </tfoot>
+          )}
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default DataTable;
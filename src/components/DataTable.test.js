@@ -0,0 +1,87 @@
+import React, { useState } from 'react';
+import { fireEvent, render, screen, within } from '@testing-library/react';
+import DataTable from './DataTable';
+
+const section = {
+  id: 'regions',
+  type: 'table',
+  heading: 'Regions',
+  columns: ['Region', 'Revenue', 'Owner'],
+  rows: [
+    ['West', 300, 'Ana'],
+    ['East', 100, 'Ben'],
+    ['North', 200, 'Cho'],
+  ],
+};
+
+// Holds the view like ChatResponse does
+const Table = ({ initialView }) => {
+  const [view, setView] = useState(initialView);
+  return <DataTable section={section} view={view} onViewChange={(update) => setView(update)} />;
+};
+
+const getColumn = (index) => screen.getAllByRole('row').slice(1).map((row) => within(row).getAllByRole('cell')[index].textContent);
+const getHeadings = () => screen.getAllByRole('columnheader').map((heading) => within(heading).getByRole('button').textContent.replace(/[▲▼]/, ''));
+const resetButton = () => screen.queryByRole('button', { name: 'Reset view' });
+
+describe('DataTable', () => {
+  it('sorts ascending, then descending, then back to the original order', () => {
+    render(<Table />);
+    const sortByRevenue = () => fireEvent.click(screen.getByRole('button', { name: /Revenue/ }));
+
+    sortByRevenue();
+    expect(getColumn(0)).toEqual(['East', 'North', 'West']);
+    expect(screen.getByRole('columnheader', { name: /Revenue/ })).toHaveAttribute('aria-sort', 'ascending');
+
+    sortByRevenue();
+    expect(getColumn(0)).toEqual(['West', 'North', 'East']);
+
+    sortByRevenue();
+    expect(getColumn(0)).toEqual(['West', 'East', 'North']);
+    expect(resetButton()).not.toBeInTheDocument();
+  });
+
+  it('filters the rows and counts the matches', () => {
+    render(<Table />);
+    fireEvent.change(screen.getByRole('searchbox', { name: 'Filter Regions rows' }), { target: { value: 'st' } });
+
+    expect(getColumn(0)).toEqual(['West', 'East']);
+    expect(screen.getByText('2 of 3 rows')).toBeInTheDocument();
+  });
+
+  it('hides columns, keeping at least one', () => {
+    render(<Table />);
+    fireEvent.click(screen.getByRole('checkbox', { name: 'Revenue' }));
+    fireEvent.click(screen.getByRole('checkbox', { name: 'Owner' }));
+
+    expect(getHeadings()).toEqual(['Region']);
+    expect(screen.getByRole('checkbox', { name: 'Region' })).toBeDisabled();
+  });
+
+  it('resets the sort, filter and columns', () => {
+    render(<Table />);
+    fireEvent.click(screen.getByRole('button', { name: /Revenue/ }));
+    fireEvent.change(screen.getByRole('searchbox'), { target: { value: 'e' } });
+    fireEvent.click(screen.getByRole('checkbox', { name: 'Owner' }));
+
+    fireEvent.click(resetButton());
+
+    expect(getHeadings()).toEqual(['Region', 'Revenue', 'Owner']);
+    expect(getColumn(0)).toEqual(['West', 'East', 'North']);
+    expect(screen.getByRole('searchbox')).toHaveValue('');
+    expect(resetButton()).not.toBeInTheDocument();
+  });
+
+  it('offers a reset once only a column width has changed', () => {
+    render(<Table />);
+    expect(resetButton()).not.toBeInTheDocument();
+
+    fireEvent.keyDown(screen.getByRole('separator', { name: 'Resize Owner column' }), { key: 'ArrowRight' });
+    // jsdom lays nothing out, so the column starts from no width and gets the narrowest
+    expect(screen.getByRole('columnheader', { name: /Owner/ })).toHaveStyle({ width: '60px' });
+
+    fireEvent.click(resetButton());
+    expect(screen.getByRole('columnheader', { name: /Owner/ }).style.width).toBe('');
+    expect(resetButton()).not.toBeInTheDocument();
+  });
+});
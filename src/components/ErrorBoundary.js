@@ -0,0 +1,27 @@
+import React from 'react';
+
+/**
+ * Shows `fallback` instead of children that fail to render, so one broken
+ * message (say, from an imported file) doesn't take the whole chat down.
+ * Error boundaries have to be class components.
+ */
+class ErrorBoundary extends React.Component {
+  constructor(props) {
+    super(props);
+    this.state = { error: null };
+  }
+
+  static getDerivedStateFromError(error) {
+    return { error };
+  }
+
+  componentDidCatch(error, info) {
+    console.error('Error showing a message:', error, info.componentStack);
+  }
+
+  render() {
+    return this.state.error ? this.props.fallback : this.props.children;
+  }
+}
+
+export default ErrorBoundary;
@@ -0,0 +1,363 @@
+import React, { useEffect, useId, useMemo, useRef, useState } from 'react';
+import { TOC_MIN_HEADINGS } from '../utils/pdfDocumentBuilder';
+import { DEFAULT_HEADER_FOOTER } from '../utils/pdfHeaderFooter';
+import { buildExportPDF, countExportPages, EXPORT_FORMATS, exportResponse, saveExportPDF } from '../utils/responseExport';
+import { createTheme, THEME_PRESETS } from '../utils/theme';
+import PageSetupControls from './PageSetupControls';
+import PdfPreview from './PdfPreview';
+import '../styles/ExportDialog.css';
+
+// Wait for the options to settle before laying the document out again
+const PAGE_COUNT_DELAY = 400;
+
+const PAGE_NUMBER_TEMPLATE = DEFAULT_HEADER_FOOTER.footer.pageNumbers;
+
+const SECTION_TYPE_LABELS = { text: 'Text', table: 'Table', chart: 'Chart' };
+
+/**
+ * Export options for one response: format, file name, title, sections, the
+ * question/answer preamble, page setup, header and footer (PDF) and theme,
+ * with a live page count.
+ * PDFs can be previewed, then saved or printed, before leaving the dialog.
+ * `sections` are the response's normalized sections (see responseSections).
+ */
+const ExportDialog = ({
+  response,
+  sections,
+  tableViews,
+  theme,
+  pageSetup,
+  defaultFileName,
+  onClose
+}) => {
+  const titleId = useId();
+  const dialogRef = useRef(null);
+  const [format, setFormat] = useState('pdf');
+  const [fileName, setFileName] = useState(defaultFileName);
+  // Empty for the theme's title
+  const [title, setTitle] = useState('');
+  const [sectionIds, setSectionIds] = useState(() => sections.map((section) => section.id));
+  const [includePreamble, setIncludePreamble] = useState(true);
+  const [page, setPage] = useState(pageSetup || {});
+  const [themeChoice, setThemeChoice] = useState('current');
+  const [header, setHeader] = useState(true);
+  const [footer, setFooter] = useState({ pageNumbers: true, timestamp: true, label: '' });
+  // null until chosen: long responses get a table of contents
+  const [toc, setToc] = useState(null);
+  const [pageCount, setPageCount] = useState(null);
+  const [pageCountError, setPageCountError] = useState(false);
+  const [isExporting, setIsExporting] = useState(false);
+  // The built PDF while it is previewed
+  const [preview, setPreview] = useState(null);
+
+  const exportTheme = useMemo(
+    () => (themeChoice === 'current' ? theme : createTheme(THEME_PRESETS[themeChoice].theme, theme)),
+    [themeChoice, theme]
+  );
+  // As the PDF builders take it (see pdfHeaderFooter)
+  const headerFooter = useMemo(() => ({
+    header: header && DEFAULT_HEADER_FOOTER.header,
+    footer: (footer.pageNumbers || footer.timestamp || footer.label.trim() !== '') && {
+      pageNumbers: footer.pageNumbers && PAGE_NUMBER_TEMPLATE,
+      timestamp: footer.timestamp,
+      label: footer.label.trim()
+    }
+  }), [header, footer]);
+  // Everything that changes the layout (not the format or file name)
+  const layoutSettings = useMemo(
+    () => ({
+      title: title.trim() || undefined,
+      sectionIds,
+      includePreamble,
+      tableViews,
+      page,
+      headerFooter,
+      theme: exportTheme,
+      toc: toc === null ? undefined : toc
+    }),
+    [title, sectionIds, includePreamble, tableViews, page, headerFooter, exportTheme, toc]
+  );
+  const { hasPages, extension } = EXPORT_FORMATS[format];
+  const isEmpty = !includePreamble && sectionIds.length === 0;
+  const headingCount = sections.filter((section) => section.heading && sectionIds.includes(section.id)).length;
+
+  // Lay the document out to count its pages
+  useEffect(() => {
+    if (!hasPages) return undefined;
+    let cancelled = false;
+    setPageCount(null);
+    const timer = setTimeout(() => {
+      countExportPages(response, layoutSettings)
+        .then((count) => {
+          if (cancelled) return;
+          setPageCount(count);
+          setPageCountError(false);
+        })
+        .catch(() => {
+          if (!cancelled) setPageCountError(true);
+        });
+    }, PAGE_COUNT_DELAY);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [hasPages, response, layoutSettings]);
+
+  useEffect(() => {
+    const firstField = dialogRef.current && dialogRef.current.querySelector('input, select, button');
+    if (firstField) firstField.focus();
+  }, []);
+
+  useEffect(() => {
+    const onKeyDown = (event) => {
+      if (event.key !== 'Escape') return;
+      // Leave the preview first
+      if (preview) {
+        setPreview(null);
+      } else {
+        onClose();
+      }
+    };
+    document.addEventListener('keydown', onKeyDown);
+    return () => document.removeEventListener('keydown', onKeyDown);
+  }, [preview, onClose]);
+
+  const updateFooter = (changes) => setFooter((current) => ({ ...current, ...changes }));
+
+  const toggleSection = (id) => {
+    setSectionIds((current) => (
+      current.includes(id)
+        ? current.filter((sectionId) => sectionId !== id)
+        // Keep the response's order
+        : sections.map((section) => section.id).filter((sectionId) => sectionId === id || current.includes(sectionId))
+    ));
+  };
+
+  const submit = async (event) => {
+    event.preventDefault();
+    if (isExporting || isEmpty) return;
+    setIsExporting(true);
+    try {
+      await exportResponse(response, { ...layoutSettings, format, fileName });
+      onClose();
+    } catch (error) {
+      console.error('Error exporting response:', error);
+      alert(`Failed to export: ${error.message}`);
+      setIsExporting(false);
+    }
+  };
+
+  const showPreview = async () => {
+    if (isExporting || isEmpty) return;
+    setIsExporting(true);
+    try {
+      setPreview(await buildExportPDF(response, layoutSettings));
+    } catch (error) {
+      console.error('Error building preview:', error);
+      alert(`Failed to build the preview: ${error.message}`);
+    }
+    setIsExporting(false);
+  };
+
+  const savePreview = () => {
+    saveExportPDF(preview, response, { fileName });
+    onClose();
+  };
+
+  let pageCountLabel = '';
+  if (hasPages && !isEmpty) {
+    if (pageCountError) {
+      pageCountLabel = 'Check the page size';
+    } else if (pageCount === null) {
+      pageCountLabel = 'Counting pages…';
+    } else {
+      const pages = `${pageCount} ${pageCount === 1 ? 'page' : 'pages'}`;
+      pageCountLabel = format === 'pdf' ? pages : `About ${pages}`;
+    }
+  }
+
+  return (
+    <div
+      className="export-dialog-backdrop"
+      onMouseDown={(event) => {
+        if (event.target === event.currentTarget) onClose();
+      }}
+    >
+      <div
+        ref={dialogRef}
+        className={`export-dialog ${preview ? 'previewing' : ''}`.trim()}
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby={titleId}
+      >
+        <h2 id={titleId} className="export-dialog-title">{preview ? 'Preview' : 'Export response'}</h2>
+        {preview ? (
+          <PdfPreview
+            pdf={preview}
+            fileName={fileName || defaultFileName}
+            onSave={savePreview}
+            onBack={() => setPreview(null)}
+          />
+        ) : (
+          <form onSubmit={submit}>
+            <fieldset className="export-field">
+              <legend>Format</legend>
+              <div className="export-format-options">
+                {Object.entries(EXPORT_FORMATS).map(([key, { label }]) => (
+                  <label key={key} className={`export-format-option ${format === key ? 'selected' : ''}`}>
+                    <input
+                      type="radio"
+                      name="export-format"
+                      value={key}
+                      checked={format === key}
+                      onChange={() => setFormat(key)}
+                    />
+                    {label}
+                  </label>
+                ))}
+              </div>
+            </fieldset>
+
+            <label className="export-field">
+              <span className="export-field-label">File name</span>
+              <span className="export-file-name">
+                <input
+                  type="text"
+                  value={fileName}
+                  onChange={(event) => setFileName(event.target.value)}
+                  placeholder={defaultFileName}
+                />
+                <span className="export-file-extension">.{extension}</span>
+              </span>
+            </label>
+
+            <label className="export-field">
+              <span className="export-field-label">Title</span>
+              <input
+                type="text"
+                className="export-title-input"
+                value={title}
+                onChange={(event) => setTitle(event.target.value)}
+                placeholder={exportTheme.title}
+              />
+            </label>
+
+            <fieldset className="export-field">
+              <legend>Include</legend>
+              <div className="export-section-list">
+                <label>
+                  <input
+                    type="checkbox"
+                    checked={includePreamble}
+                    onChange={(event) => setIncludePreamble(event.target.checked)}
+                  />
+                  Question and answer
+                </label>
+                {sections.map((section, index) => (
+                  <label key={section.id}>
+                    <input
+                      type="checkbox"
+                      checked={sectionIds.includes(section.id)}
+                      onChange={() => toggleSection(section.id)}
+                    />
+                    {section.heading || `Section ${index + 1}`}
+                    <span className="export-section-type">{SECTION_TYPE_LABELS[section.type] || section.type}</span>
+                  </label>
+                ))}
+                {format === 'pdf' && (
+                  <label>
+                    <input
+                      type="checkbox"
+                      checked={headingCount > 0 && (toc === null ? headingCount >= TOC_MIN_HEADINGS : toc)}
+                      disabled={headingCount === 0}
+                      onChange={(event) => setToc(event.target.checked)}
+                    />
+                    Table of contents
+                  </label>
+                )}
+              </div>
+              {sections.length > 1 && (
+                <div className="export-section-actions">
+                  <button type="button" onClick={() => setSectionIds(sections.map((section) => section.id))}>All</button>
+                  <button type="button" onClick={() => setSectionIds([])}>None</button>
+                </div>
+              )}
+            </fieldset>
+
+            {hasPages && (
+              <fieldset className="export-field">
+                <legend>Page setup</legend>
+                <PageSetupControls value={page} onChange={setPage} />
+              </fieldset>
+            )}
+
+            {format === 'pdf' && (
+              <fieldset className="export-field">
+                <legend>Header and footer</legend>
+                <div className="export-section-list">
+                  <label>
+                    <input type="checkbox" checked={header} onChange={(event) => setHeader(event.target.checked)} />
+                    Title and logo on every page
+                  </label>
+                  <label>
+                    <input
+                      type="checkbox"
+                      checked={footer.pageNumbers}
+                      onChange={(event) => updateFooter({ pageNumbers: event.target.checked })}
+                    />
+                    Page numbers
+                  </label>
+                  <label>
+                    <input
+                      type="checkbox"
+                      checked={footer.timestamp}
+                      onChange={(event) => updateFooter({ timestamp: event.target.checked })}
+                    />
+                    Generation time
+                  </label>
+                  <label>
+                    Footer label
+                    <input
+                      type="text"
+                      className="export-footer-label"
+                      value={footer.label}
+                      onChange={(event) => updateFooter({ label: event.target.value })}
+                      placeholder="e.g. Confidential"
+                    />
+                  </label>
+                </div>
+              </fieldset>
+            )}
+
+            <label className="export-field">
+              <span className="export-field-label">Theme</span>
+              <select value={themeChoice} onChange={(event) => setThemeChoice(event.target.value)}>
+                <option value="current">Current ({theme.title})</option>
+                {Object.entries(THEME_PRESETS).map(([key, preset]) => (
+                  <option key={key} value={key}>{preset.label}</option>
+                ))}
+              </select>
+            </label>
+
+            <div className="export-dialog-footer">
+              <span className="export-page-count" aria-live="polite">
+                {isEmpty ? 'Nothing selected' : pageCountLabel}
+              </span>
+              <button type="button" className="export-cancel-btn" onClick={onClose}>Cancel</button>
+              {format === 'pdf' && (
+                <button type="button" className="export-preview-btn" onClick={showPreview} disabled={isExporting || isEmpty}>
+                  Preview
+                </button>
+              )}
+              <button type="submit" className="export-submit-btn" disabled={isExporting || isEmpty}>
+                {isExporting ? '⏳ Exporting...' : `Export ${EXPORT_FORMATS[format].label}`}
+              </button>
+            </div>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ExportDialog;
@@ -0,0 +1,78 @@
+import React from 'react';
+import { DEFAULT_PAGE_SIZE, PAGE_SIZES } from '../utils/pageSetup';
+import '../styles/PageSetupControls.css';
+
+/**
+ * Page size (named or custom, in mm) and orientation for PDF exports.
+ * `value` is a page setup as the PDF builders take it (see pageSetup);
+ * onChange receives the updated one.
+ */
+const PageSetupControls = ({ value = {}, onChange, className = '' }) => {
+  const size = value.size || DEFAULT_PAGE_SIZE;
+  // Custom sizes wider than tall are landscape unless chosen otherwise
+  const orientation = value.orientation || (size === 'custom' && value.width > value.height ? 'landscape' : 'portrait');
+  const update = (changes) => onChange({ ...value, size, ...changes });
+
+  const changeSize = (nextSize) => {
+    if (nextSize === 'custom' && size !== 'custom') {
+      // Start from the size that was selected
+      const paper = PAGE_SIZES[size];
+      update({ size: nextSize, width: value.width || paper.width, height: value.height || paper.height });
+    } else {
+      update({ size: nextSize });
+    }
+  };
+
+  return (
+    <div className={`page-setup ${className}`.trim()}>
+      <label>
+        <span className="page-setup-label">Page</span>
+        <select value={size} onChange={(event) => changeSize(event.target.value)}>
+          {Object.entries(PAGE_SIZES).map(([key, paper]) => (
+            <option key={key} value={key}>{paper.label}</option>
+          ))}
+          <option value="custom">Custom…</option>
+        </select>
+      </label>
+      {size === 'custom' && (
+        <>
+          <label>
+            <span className="page-setup-label">W</span>
+            <input
+              type="number"
+              min="50"
+              step="1"
+              value={value.width || ''}
+              onChange={(event) => update({ width: Number(event.target.value) })}
+              aria-label="Page width in millimetres"
+            />
+          </label>
+          <label>
+            <span className="page-setup-label">H</span>
+            <input
+              type="number"
+              min="50"
+              step="1"
+              value={value.height || ''}
+              onChange={(event) => update({ height: Number(event.target.value) })}
+              aria-label="Page height in millimetres"
+            />
+          </label>
+          <span className="page-setup-unit">mm</span>
+        </>
+      )}
+      <label>
+        <span className="page-setup-label">Orientation</span>
+        <select
+          value={orientation}
+          onChange={(event) => update({ orientation: event.target.value })}
+        >
+          <option value="portrait">Portrait</option>
+          <option value="landscape">Landscape</option>
+        </select>
+      </label>
+    </div>
+  );
+};
+
+export default PageSetupControls;
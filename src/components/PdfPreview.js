@@ -0,0 +1,74 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { pdfToBlob } from '../utils/pdfDocumentBuilder';
+import '../styles/PdfPreview.css';
+
+/**
+ * The generated PDF shown in the browser's PDF viewer (through a Blob URL)
+ * with page navigation, before it is saved. `pdf` is a built jsPDF document;
+ * onSave downloads that same document, onBack returns to the options.
+ */
+const PdfPreview = ({ pdf, fileName, onSave, onBack }) => {
+  const frameRef = useRef(null);
+  const [url, setUrl] = useState(null);
+  const [page, setPage] = useState(1);
+  const pageCount = pdf.getNumberOfPages();
+
+  useEffect(() => {
+    const objectUrl = URL.createObjectURL(pdfToBlob(pdf));
+    setUrl(objectUrl);
+    setPage(1);
+    return () => URL.revokeObjectURL(objectUrl);
+  }, [pdf]);
+
+  const goToPage = (nextPage) => {
+    if (Number.isNaN(nextPage)) return;
+    setPage(Math.min(Math.max(nextPage, 1), pageCount));
+  };
+
+  const print = () => {
+    try {
+      frameRef.current.contentWindow.focus();
+      frameRef.current.contentWindow.print();
+    } catch (error) {
+      // Viewers that block printing from the page: print from a new tab
+      window.open(url, '_blank', 'noopener');
+    }
+  };
+
+  return (
+    <div className="pdf-preview">
+      <div className="pdf-preview-toolbar">
+        <button type="button" className="pdf-preview-back-btn" onClick={onBack}>← Options</button>
+        <div className="pdf-preview-pages">
+          <button type="button" onClick={() => goToPage(page - 1)} disabled={page <= 1} aria-label="Previous page">‹</button>
+          <label>
+            Page
+            <input
+              type="number"
+              min="1"
+              max={pageCount}
+              value={page}
+              onChange={(event) => goToPage(parseInt(event.target.value, 10))}
+            />
+            of {pageCount}
+          </label>
+          <button type="button" onClick={() => goToPage(page + 1)} disabled={page >= pageCount} aria-label="Next page">›</button>
+        </div>
+        <button type="button" className="pdf-preview-print-btn" onClick={print} disabled={!url}>🖨️ Print</button>
+        <button type="button" className="pdf-preview-save-btn" onClick={onSave}>📥 Save</button>
+      </div>
+      {url && (
+        <iframe
+          // The viewer only reads the page from the URL when it loads
+          key={page}
+          ref={frameRef}
+          className="pdf-preview-frame"
+          src={`${url}#page=${page}`}
+          title={`Preview of ${fileName}`}
+        />
+      )}
+    </div>
+  );
+};
+
+export default PdfPreview;
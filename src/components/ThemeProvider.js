@@ -0,0 +1,21 @@
+import React, { createContext, useContext, useMemo } from 'react';
+import { createTheme, DEFAULT_THEME } from '../utils/theme';
+
+const ThemeContext = createContext(DEFAULT_THEME);
+
+/**
+ * The theme of the nearest ThemeProvider (the default theme without one)
+ */
+export const useTheme = () => useContext(ThemeContext);
+
+/**
+ * Provides a theme to every ChatResponse (and export) below it. `theme` may
+ * be partial; it completes the theme of any provider above.
+ */
+const ThemeProvider = ({ theme, children }) => {
+  const parentTheme = useTheme();
+  const value = useMemo(() => createTheme(theme, parentTheme), [theme, parentTheme]);
+  return <ThemeContext.Provider value={value}>{children}</ThemeContext.Provider>;
+};
+
+export default ThemeProvider;
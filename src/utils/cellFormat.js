@@ -0,0 +1,132 @@
+/**
+ * Typed table cells
+ * Table sections can declare a type per column in `columnTypes` (by index,
+ * like `columns`) so rows can carry raw values that the UI and the PDF
+ * format the same way:
+ *
+ *   columnTypes: ['text', { type: 'currency', decimals: 0, suffix: 'K' }, 'percent']
+ *   rows: [['North', 5300, 0.185]]   ->   North | $5,300K | 18.5%
+ *
+ * A type is a name or an options object:
+ *   currency  { currency = 'USD', decimals, suffix }  5300 -> $5,300.00
+ *   percent   { decimals }                            0.185 -> 18.5% (a ratio)
+ *   number    { decimals, suffix }                    1234.5 -> 1,234.5
+ *   date      {}                                      '2026-01-15' -> Jan 15, 2026
+ *   text      (default)
+ *
+ * Strings in typed columns are taken as already formatted and kept as is,
+ * so existing rows of preformatted strings still work (and still align).
+ *
+ * `totalsRow: true` marks the last row of `rows` as the totals row; an
+ * array is used as the totals row itself.
+ */
+
+const LOCALE = 'en-US';
+const NUMERIC_TYPES = new Set(['currency', 'percent', 'number']);
+
+/**
+ * Normalize one columnTypes entry to an options object with a `type`
+ */
+const normalizeFormat = (entry) => {
+  if (!entry) return { type: 'text' };
+  if (typeof entry === 'string') return { type: entry };
+  return { type: 'text', ...entry };
+};
+
+/**
+ * Column formats for a table section, one per column
+ * @param {Object} section - Table section with `columns` and optional `columnTypes`
+ * @returns {Array<Object>}
+ */
+export const getColumnFormats = (section) => {
+  const columnTypes = section.columnTypes || [];
+  return (section.columns || []).map((_, index) => normalizeFormat(columnTypes[index]));
+};
+
+/**
+ * Whether a column holds numbers (and so is right-aligned)
+ */
+export const isNumericFormat = (format) => NUMERIC_TYPES.has(format && format.type);
+
+/**
+ * Horizontal alignment for cells of a column
+ * @returns {'left' | 'right'}
+ */
+export const getCellAlignment = (format) => (isNumericFormat(format) ? 'right' : 'left');
+
+const fractionDigits = (decimals) => (decimals === undefined
+  ? {}
+  : { minimumFractionDigits: decimals, maximumFractionDigits: decimals });
+
+/**
+ * Parse a date value; date-only ISO strings are read as UTC so they don't
+ * shift a day in time zones west of UTC
+ */
+const toDate = (value) => {
+  if (value instanceof Date) return value;
+  if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)) return new Date(`${value}T00:00:00Z`);
+  return new Date(value);
+};
+
+/**
+ * Format a raw cell value for display
+ * @param {*} value - Raw value (number, Date, ISO date string) or a preformatted string
+ * @param {Object} format - Column format from getColumnFormats
+ * @returns {string}
+ */
+export const formatCell = (value, format = { type: 'text' }) => {
+  if (value === null || value === undefined) return '';
+  const { type, suffix = '' } = format;
+
+  if (type === 'date') {
+    if (typeof value === 'string' && !/^\d{4}-\d{2}-\d{2}/.test(value)) return value;
+    const date = toDate(value);
+    if (Number.isNaN(date.getTime())) return String(value);
+    const options = { year: 'numeric', month: 'short', day: 'numeric' };
+    // Date-only values carry no time zone, so show them as given
+    if (typeof value === 'string' && value.length === 10) options.timeZone = 'UTC';
+    return new Intl.DateTimeFormat(LOCALE, options).format(date);
+  }
+
+  if (!isNumericFormat(format) || typeof value !== 'number' || !Number.isFinite(value)) {
+    return String(value);
+  }
+
+  if (type === 'currency') {
+    return new Intl.NumberFormat(LOCALE, {
+      style: 'currency',
+      currency: format.currency || 'USD',
+      ...fractionDigits(format.decimals),
+    }).format(value) + suffix;
+  }
+  if (type === 'percent') {
+    const digits = format.decimals === undefined ? { maximumFractionDigits: 1 } : fractionDigits(format.decimals);
+    return new Intl.NumberFormat(LOCALE, { style: 'percent', ...digits }).format(value);
+  }
+  return new Intl.NumberFormat(LOCALE, fractionDigits(format.decimals)).format(value) + suffix;
+};
+
+/**
+ * Formatted rows of a rows/columns table section, with the totals row
+ * split out
+ * @returns {{ formats: Array<Object>, body: Array<Array<string>>, totals: Array<string> | null }}
+ */
+export const formatTableRows = (section) => {
+  const formats = getColumnFormats(section);
+  const formatRow = (row) => row.map((value, index) => formatCell(value, formats[index]));
+
+  let rows = section.rows || [];
+  let totals = null;
+  if (Array.isArray(section.totalsRow)) {
+    totals = section.totalsRow;
+  } else if (section.totalsRow && rows.length > 0) {
+    totals = rows[rows.length - 1];
+    rows = rows.slice(0, -1);
+  }
+
+  return {
+    formats,
+    body: rows.map(formatRow),
+    totals: totals ? formatRow(totals) : null,
+  };
+};
@@ -0,0 +1,60 @@
+import { formatCell, formatTableRows, getCellAlignment, getColumnFormats } from './cellFormat';
+
+describe('formatCell', () => {
+  test('formats currency, with optional decimals and suffix', () => {
+    expect(formatCell(5300, { type: 'currency' })).toBe('$5,300.00');
+    expect(formatCell(5300, { type: 'currency', decimals: 0, suffix: 'K' })).toBe('$5,300K');
+    expect(formatCell(-12.5, { type: 'currency', currency: 'EUR' })).toBe('-€12.50');
+  });
+
+  test('formats percentages from ratios', () => {
+    expect(formatCell(0.185, { type: 'percent' })).toBe('18.5%');
+    expect(formatCell(1.16, { type: 'percent' })).toBe('116%');
+    expect(formatCell(0.5, { type: 'percent', decimals: 2 })).toBe('50.00%');
+  });
+
+  test('formats numbers with grouping', () => {
+    expect(formatCell(1234567.891, { type: 'number', decimals: 1 })).toBe('1,234,567.9');
+    expect(formatCell(42, { type: 'number', suffix: ' units' })).toBe('42 units');
+  });
+
+  test('formats dates without shifting date-only values', () => {
+    expect(formatCell('2026-01-15', { type: 'date' })).toBe('Jan 15, 2026');
+    expect(formatCell('Q1 2026', { type: 'date' })).toBe('Q1 2026');
+  });
+
+  test('keeps preformatted strings and empty cells', () => {
+    expect(formatCell('$5,300K', { type: 'currency' })).toBe('$5,300K');
+    expect(formatCell('n/a', { type: 'number' })).toBe('n/a');
+    expect(formatCell(null, { type: 'number' })).toBe('');
+    expect(formatCell(7)).toBe('7');
+  });
+});
+
+describe('table formats', () => {
+  const section = {
+    columns: ['Region', 'Sales', 'Growth'],
+    columnTypes: ['text', { type: 'currency', decimals: 0 }, 'percent'],
+    rows: [['North', 4500, 0.12], ['South', 3800, 0.08], ['Total', 8300, 0.1]],
+  };
+
+  test('normalizes column types and aligns numeric columns right', () => {
+    const formats = getColumnFormats(section);
+    expect(formats).toEqual([{ type: 'text' }, { type: 'currency', decimals: 0 }, { type: 'percent' }]);
+    expect(formats.map(getCellAlignment)).toEqual(['left', 'right', 'right']);
+    expect(getColumnFormats({ columns: ['A', 'B'] })).toEqual([{ type: 'text' }, { type: 'text' }]);
+  });
+
+  test('splits out the last row as totals', () => {
+    const { body, totals } = formatTableRows({ ...section, totalsRow: true });
+    expect(body).toEqual([['North', '$4,500', '12%'], ['South', '$3,800', '8%']]);
+    expect(totals).toEqual(['Total', '$8,300', '10%']);
+  });
+
+  test('takes an explicit totals row', () => {
+    const { body, totals } = formatTableRows({ ...section, totalsRow: ['Sum', 16600, 0.3] });
+    expect(body).toHaveLength(3);
+    expect(totals).toEqual(['Sum', '$16,600', '30%']);
+    expect(formatTableRows(section).totals).toBeNull();
+  });
+});
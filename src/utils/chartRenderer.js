@@ -0,0 +1,718 @@
+/**
+ * Native chart rendering for exports
+ * Charts are laid out from `section.data` into simple drawing primitives
+ * (lines, rects, polygons, polylines, circles, text) which are then painted
+ * with jsPDF vector operations - no DOM capture involved.
+ *
+ * The layout mirrors the Recharts charts drawn by ChatResponse so that the
+ * exported chart looks like the one on screen.
+ */
+import { drawText } from './pdfFonts';
+
+/**
+ * Slice / cell colours used by pie and radial bar charts
+ */
+export const CHART_COLORS = ['#0088FE', '#00C49F', '#FFBB28', '#FF8042', '#8884D8', '#82CA9D', '#FFC658', '#8DD1E1'];
+
+/**
+ * Colour of each data series (`value`, `value2`, `value3`)
+ */
+export const SERIES_COLORS = {
+  value: '#8884d8',
+  value2: '#82ca9d',
+  value3: '#ffc658',
+};
+
+const GRID_COLOR = '#cccccc';
+const AXIS_COLOR = '#666666';
+const LABEL_COLOR = '#333333';
+
+/**
+ * Primitive structure
+ * { type: 'line', x1, y1, x2, y2, color, width, dash }
+ * { type: 'rect', x, y, w, h, fill }
+ * { type: 'polygon', points: [[x, y], ...], fill, stroke, opacity, width }
+ * { type: 'polyline', points: [[x, y], ...], color, width }
+ * { type: 'circle', cx, cy, r, fill, stroke, width }
+ * { type: 'text', x, y, text, size, color, align: 'left' | 'center' | 'right', bold }
+ *
+ * Text y is the vertical centre of the text. All sizes are in the same
+ * units as the chart box.
+ */
+
+/**
+ * Rough text width estimate (average glyph is about half the font size wide)
+ */
+const estimateTextWidth = (text, size) => String(text).length * size * 0.5;
+
+/**
+ * Compute "nice" axis ticks covering [min, max] and zero, where bars start
+ */
+const getNiceTicks = (min, max, count = 5) => {
+  const low = Math.min(0, min);
+  const high = Math.max(0, max) > low ? Math.max(0, max) : low + 1;
+  const rawStep = (high - low) / (count - 1);
+  const magnitude = Math.pow(10, Math.floor(Math.log10(rawStep)));
+  const step = [1, 2, 2.5, 5, 10].map(m => m * magnitude).find(s => s >= rawStep);
+
+  const start = Math.floor(low / step) * step;
+  const ticks = [];
+  for (let tick = start; tick < high + step * 0.999; tick += step) {
+    ticks.push(Number(tick.toPrecision(12)));
+  }
+  return ticks;
+};
+
+/**
+ * Whether a chart draws a series: `value` always, the others (`value2`,
+ * `value3`) when any point has them, zeros included. Shared with ChatResponse.
+ */
+export const hasChartSeries = (data, key) => (
+  key === 'value' || data.some(d => d[key] !== undefined && d[key] !== null && d[key] !== '')
+);
+
+/**
+ * Whether a point has no value for a series; like Recharts, such points get
+ * no bar, dot or label, and lines and areas break there
+ */
+const isMissing = (value) => value === undefined || value === null;
+
+/**
+ * Series present in the data, in drawing order
+ */
+const getSeries = (data, keys) => keys.filter(key => hasChartSeries(data, key));
+
+const polarPoint = (cx, cy, radius, angleDeg) => {
+  const rad = (angleDeg * Math.PI) / 180;
+  return [cx + radius * Math.cos(rad), cy - radius * Math.sin(rad)];
+};
+
+/**
+ * Points along an arc from startAngle to endAngle (degrees, counter-clockwise
+ * positive, 0 = 3 o'clock)
+ */
+const arcPoints = (cx, cy, radius, startAngle, endAngle) => {
+  const steps = Math.max(2, Math.ceil(Math.abs(endAngle - startAngle) / 3));
+  const points = [];
+  for (let i = 0; i <= steps; i++) {
+    points.push(polarPoint(cx, cy, radius, startAngle + ((endAngle - startAngle) * i) / steps));
+  }
+  return points;
+};
+
+const addLegend = (primitives, entries, box, fontSize) => {
+  const swatch = fontSize * 0.9;
+  const gap = fontSize * 1.2;
+  const widths = entries.map(entry => swatch + fontSize * 0.4 + estimateTextWidth(entry.label, fontSize));
+  const totalWidth = widths.reduce((sum, w) => sum + w, 0) + gap * (entries.length - 1);
+  const y = box.y + box.height - fontSize * 0.8;
+  let x = box.x + (box.width - totalWidth) / 2;
+
+  entries.forEach((entry, i) => {
+    primitives.push({ type: 'rect', x, y: y - swatch / 2, w: swatch, h: swatch, fill: entry.color });
+    primitives.push({
+      type: 'text',
+      x: x + swatch + fontSize * 0.4,
+      y,
+      text: entry.label,
+      size: fontSize,
+      color: entry.color,
+      align: 'left',
+    });
+    x += widths[i] + gap;
+  });
+};
+
+/**
+ * Axes, gridlines and tick labels shared by the cartesian charts.
+ * Returns the plot area and scale helpers.
+ */
+const layoutCartesian = (primitives, data, seriesKeys, box, fontSize) => {
+  const values = data.flatMap(d => seriesKeys.map(key => Number(d[key]) || 0));
+  const ticks = getNiceTicks(Math.min(...values), Math.max(...values));
+  const minTick = ticks[0];
+  const maxTick = ticks[ticks.length - 1];
+
+  const yAxisWidth = Math.max(...ticks.map(t => estimateTextWidth(t, fontSize))) + fontSize;
+  const plot = {
+    left: box.x + yAxisWidth,
+    right: box.x + box.width - fontSize,
+    top: box.y + fontSize * 2,
+    bottom: box.y + box.height - fontSize * 4.5,
+  };
+  const plotHeight = plot.bottom - plot.top;
+  const bandWidth = (plot.right - plot.left) / data.length;
+  const dash = [fontSize * 0.35, fontSize * 0.35];
+
+  const scaleY = (value) => plot.bottom - ((value - minTick) / (maxTick - minTick)) * plotHeight;
+  const bandCenter = (index) => plot.left + bandWidth * (index + 0.5);
+
+  // Horizontal gridlines with y tick labels
+  ticks.forEach((tick) => {
+    const y = scaleY(tick);
+    primitives.push({ type: 'line', x1: plot.left, y1: y, x2: plot.right, y2: y, color: GRID_COLOR, width: 0.2, dash });
+    primitives.push({ type: 'text', x: plot.left - fontSize * 0.5, y, text: String(tick), size: fontSize, color: AXIS_COLOR, align: 'right' });
+  });
+
+  // Vertical gridlines with category labels
+  data.forEach((d, i) => {
+    const x = bandCenter(i);
+    primitives.push({ type: 'line', x1: x, y1: plot.top, x2: x, y2: plot.bottom, color: GRID_COLOR, width: 0.2, dash });
+    primitives.push({ type: 'text', x, y: plot.bottom + fontSize * 1.2, text: String(d.name), size: fontSize, color: AXIS_COLOR, align: 'center' });
+  });
+
+  // Axis lines
+  primitives.push({ type: 'line', x1: plot.left, y1: plot.top, x2: plot.left, y2: plot.bottom, color: AXIS_COLOR, width: 0.3 });
+  primitives.push({ type: 'line', x1: plot.left, y1: plot.bottom, x2: plot.right, y2: plot.bottom, color: AXIS_COLOR, width: 0.3 });
+
+  return { plot, bandWidth, scaleY, bandCenter, baseline: scaleY(Math.max(0, minTick)) };
+};
+
+const addBars = (primitives, data, keys, scale, fontSize, colors, labelColor) => {
+  const groupWidth = scale.bandWidth * 0.8;
+  const barGap = keys.length > 1 ? groupWidth * 0.04 : 0;
+  const barWidth = (groupWidth - barGap * (keys.length - 1)) / keys.length;
+
+  data.forEach((d, i) => {
+    const groupLeft = scale.bandCenter(i) - groupWidth / 2;
+    keys.forEach((key, k) => {
+      if (isMissing(d[key])) return;
+      const value = Number(d[key]) || 0;
+      const x = groupLeft + k * (barWidth + barGap);
+      const top = Math.min(scale.scaleY(value), scale.baseline);
+      const height = Math.abs(scale.scaleY(value) - scale.baseline);
+      primitives.push({ type: 'rect', x, y: top, w: barWidth, h: height, fill: colors.series[key] });
+      primitives.push({
+        type: 'text',
+        x: x + barWidth / 2,
+        y: top - fontSize * 0.7,
+        text: String(d[key]),
+        size: fontSize,
+        color: labelColor || colors.series[key],
+        align: 'center',
+      });
+    });
+  });
+};
+
+/**
+ * Runs of consecutive points of a series, split where a value is missing:
+ * [[{ x, y, text }, ...], ...]
+ */
+const getSegments = (data, key, scale) => {
+  const segments = [];
+  let current = null;
+  data.forEach((d, i) => {
+    if (isMissing(d[key])) {
+      current = null;
+      return;
+    }
+    if (!current) {
+      current = [];
+      segments.push(current);
+    }
+    current.push({ x: scale.bandCenter(i), y: scale.scaleY(Number(d[key]) || 0), text: String(d[key]) });
+  });
+  return segments;
+};
+
+const addLine = (primitives, data, key, scale, fontSize, colors) => {
+  const color = colors.series[key];
+
+  getSegments(data, key, scale).forEach((segment) => {
+    primitives.push({ type: 'polyline', points: segment.map(({ x, y }) => [x, y]), color, width: 0.6 });
+    segment.forEach(({ x, y, text }) => {
+      primitives.push({ type: 'circle', cx: x, cy: y, r: fontSize * 0.25, fill: '#ffffff', stroke: color, width: 0.4 });
+      primitives.push({ type: 'text', x, y: y - fontSize * 0.9, text, size: fontSize, color, align: 'center' });
+    });
+  });
+};
+
+const addArea = (primitives, data, key, scale, fontSize, colors, withLabels = true) => {
+  const color = colors.series[key];
+
+  getSegments(data, key, scale).forEach((segment) => {
+    const points = segment.map(({ x, y }) => [x, y]);
+    const first = points[0];
+    const last = points[points.length - 1];
+
+    primitives.push({
+      type: 'polygon',
+      points: [[first[0], scale.baseline], ...points, [last[0], scale.baseline]],
+      fill: color,
+      opacity: 0.6,
+    });
+    primitives.push({ type: 'polyline', points, color, width: 0.5 });
+    if (withLabels) {
+      segment.forEach(({ x, y, text }) => {
+        primitives.push({ type: 'text', x, y: y - fontSize * 0.8, text, size: fontSize, color, align: 'center' });
+      });
+    }
+  });
+};
+
+const layoutBarChart = (primitives, data, box, fontSize, colors) => {
+  const keys = getSeries(data, ['value', 'value2']);
+  const scale = layoutCartesian(primitives, data, keys, box, fontSize);
+  addBars(primitives, data, keys, scale, fontSize, colors, LABEL_COLOR);
+  addLegend(primitives, keys.map(key => ({ label: key, color: colors.series[key] })), box, fontSize);
+};
+
+const layoutLineChart = (primitives, data, box, fontSize, colors) => {
+  const keys = getSeries(data, ['value', 'value2']);
+  const scale = layoutCartesian(primitives, data, keys, box, fontSize);
+  keys.forEach(key => addLine(primitives, data, key, scale, fontSize, colors));
+  addLegend(primitives, keys.map(key => ({ label: key, color: colors.series[key] })), box, fontSize);
+};
+
+const layoutAreaChart = (primitives, data, box, fontSize, colors) => {
+  const keys = getSeries(data, ['value', 'value2']);
+  const scale = layoutCartesian(primitives, data, keys, box, fontSize);
+  keys.forEach(key => addArea(primitives, data, key, scale, fontSize, colors));
+  addLegend(primitives, keys.map(key => ({ label: key, color: colors.series[key] })), box, fontSize);
+};
+
+const layoutComposedChart = (primitives, data, box, fontSize, colors) => {
+  const keys = getSeries(data, ['value', 'value2', 'value3']);
+  const scale = layoutCartesian(primitives, data, keys, box, fontSize);
+  addBars(primitives, data, ['value'], scale, fontSize, colors);
+  if (keys.includes('value2')) addLine(primitives, data, 'value2', scale, fontSize, colors);
+  if (keys.includes('value3')) addArea(primitives, data, 'value3', scale, fontSize, colors, false);
+  addLegend(primitives, keys.map(key => ({ label: key, color: colors.series[key] })), box, fontSize);
+};
+
+const layoutScatterChart = (primitives, data, box, fontSize, colors) => {
+  const scale = layoutCartesian(primitives, data, ['value'], box, fontSize);
+  data.forEach((d, i) => {
+    primitives.push({
+      type: 'circle',
+      cx: scale.bandCenter(i),
+      cy: scale.scaleY(Number(d.value) || 0),
+      r: fontSize * 0.6,
+      fill: colors.series.value,
+    });
+  });
+  addLegend(primitives, [{ label: 'Data', color: colors.series.value }], box, fontSize);
+};
+
+const layoutPieChart = (primitives, data, box, fontSize, colors) => {
+  const total = data.reduce((sum, d) => sum + (Number(d.value) || 0), 0) || 1;
+  const labels = data.map(d => `${d.name}: ${d.value} (${(((Number(d.value) || 0) / total) * 100).toFixed(1)}%)`);
+  const labelWidth = Math.max(...labels.map(label => estimateTextWidth(label, fontSize)));
+
+  const areaHeight = box.height - fontSize * 3;
+  const cx = box.x + box.width / 2;
+  const cy = box.y + areaHeight / 2;
+  const radius = Math.max(
+    fontSize * 3,
+    Math.min(areaHeight / 2 - fontSize * 2, box.width / 2 - labelWidth - fontSize * 3)
+  );
+
+  // Recharts starts at 3 o'clock and goes counter-clockwise
+  let angle = 0;
+  data.forEach((d, i) => {
+    const sweep = ((Number(d.value) || 0) / total) * 360;
+    const color = colors.categories[i % colors.categories.length];
+    primitives.push({
+      type: 'polygon',
+      points: [[cx, cy], ...arcPoints(cx, cy, radius, angle, angle + sweep)],
+      fill: color,
+      stroke: '#ffffff',
+      width: 0.3,
+    });
+
+    // Label line and label
+    const mid = angle + sweep / 2;
+    const [x1, y1] = polarPoint(cx, cy, radius, mid);
+    const [x2, y2] = polarPoint(cx, cy, radius + fontSize * 1.6, mid);
+    const onRight = Math.cos((mid * Math.PI) / 180) >= 0;
+    primitives.push({ type: 'line', x1, y1, x2, y2, color, width: 0.25 });
+    primitives.push({
+      type: 'text',
+      x: x2 + (onRight ? fontSize * 0.3 : -fontSize * 0.3),
+      y: y2,
+      text: labels[i],
+      size: fontSize,
+      color,
+      align: onRight ? 'left' : 'right',
+    });
+
+    angle += sweep;
+  });
+
+  addLegend(primitives, data.map((d, i) => ({ label: String(d.name), color: colors.categories[i % colors.categories.length] })), box, fontSize);
+};
+
+const layoutRadarChart = (primitives, data, box, fontSize, colors) => {
+  const keys = getSeries(data, ['value', 'value2']);
+  const values = data.flatMap(d => keys.map(key => Number(d[key]) || 0));
+  const ticks = getNiceTicks(0, Math.max(...values));
+  const maxTick = ticks[ticks.length - 1];
+
+  const areaHeight = box.height - fontSize * 3;
+  const cx = box.x + box.width / 2;
+  const cy = box.y + areaHeight / 2;
+  const radius = areaHeight / 2 - fontSize * 2;
+  // Recharts starts at 12 o'clock and goes clockwise
+  const angleAt = (i) => 90 - (360 * i) / data.length;
+
+  // Polar grid
+  ticks.slice(1).forEach((tick) => {
+    const r = (tick / maxTick) * radius;
+    primitives.push({
+      type: 'polygon',
+      points: data.map((d, i) => polarPoint(cx, cy, r, angleAt(i))),
+      stroke: GRID_COLOR,
+      width: 0.2,
+    });
+    primitives.push({ type: 'text', x: cx + fontSize * 0.3, y: cy - r, text: String(tick), size: fontSize * 0.85, color: AXIS_COLOR, align: 'left' });
+  });
+  data.forEach((d, i) => {
+    const [x, y] = polarPoint(cx, cy, radius, angleAt(i));
+    const [lx, ly] = polarPoint(cx, cy, radius + fontSize * 1.2, angleAt(i));
+    const cos = Math.cos((angleAt(i) * Math.PI) / 180);
+    primitives.push({ type: 'line', x1: cx, y1: cy, x2: x, y2: y, color: GRID_COLOR, width: 0.2 });
+    primitives.push({
+      type: 'text',
+      x: lx,
+      y: ly,
+      text: String(d.name),
+      size: fontSize,
+      color: AXIS_COLOR,
+      align: Math.abs(cos) < 0.1 ? 'center' : cos > 0 ? 'left' : 'right',
+    });
+  });
+
+  keys.forEach((key) => {
+    primitives.push({
+      type: 'polygon',
+      points: data.map((d, i) => polarPoint(cx, cy, ((Number(d[key]) || 0) / maxTick) * radius, angleAt(i))),
+      fill: colors.series[key],
+      stroke: colors.series[key],
+      opacity: 0.6,
+      width: 0.4,
+    });
+  });
+
+  addLegend(primitives, keys.map((key, i) => ({ label: i === 0 ? 'Value' : 'Value 2', color: colors.series[key] })), box, fontSize);
+};
+
+const layoutRadialBarChart = (primitives, data, box, fontSize, colors) => {
+  const ticks = getNiceTicks(0, Math.max(...data.map(d => Number(d.value) || 0)));
+  const maxTick = ticks[ticks.length - 1];
+
+  // Half circle from 9 o'clock (180) to 3 o'clock (0), as on screen
+  const areaHeight = box.height - fontSize * 3;
+  const cx = box.x + box.width / 2;
+  const cy = box.y + areaHeight - fontSize;
+  const outerRadius = Math.min(box.width / 2, areaHeight - fontSize * 2);
+  const innerRadius = outerRadius * 0.125;
+  const ringWidth = (outerRadius - innerRadius) / data.length;
+
+  data.forEach((d, i) => {
+    const color = colors.categories[i % colors.categories.length];
+    const r0 = innerRadius + ringWidth * i + ringWidth * 0.1;
+    const r1 = innerRadius + ringWidth * (i + 1) - ringWidth * 0.1;
+    const sweep = Math.max(15, ((Number(d.value) || 0) / maxTick) * 180);
+
+    const ring = (start, end) => [...arcPoints(cx, cy, r1, start, end), ...arcPoints(cx, cy, r0, end, start)];
+    primitives.push({ type: 'polygon', points: ring(180, 0), fill: '#eeeeee' });
+    primitives.push({ type: 'polygon', points: ring(180, 180 - sweep), fill: color });
+
+    const [lx, ly] = polarPoint(cx, cy, (r0 + r1) / 2, 180 - Math.min(sweep, 8) / 2);
+    primitives.push({
+      type: 'text',
+      x: lx,
+      y: ly - fontSize * 0.9,
+      text: String(d.value),
+      size: Math.min(fontSize, ringWidth * 0.8),
+      color: '#ffffff',
+      align: 'left',
+      bold: true,
+    });
+  });
+
+  addLegend(primitives, data.map((d, i) => ({ label: String(d.name), color: colors.categories[i % colors.categories.length] })), box, fontSize);
+};
+
+const CHART_LAYOUTS = {
+  bar: layoutBarChart,
+  line: layoutLineChart,
+  area: layoutAreaChart,
+  composed: layoutComposedChart,
+  scatter: layoutScatterChart,
+  pie: layoutPieChart,
+  radar: layoutRadarChart,
+  radialBar: layoutRadialBarChart,
+};
+
+/**
+ * Lay out a chart into drawing primitives
+ * @param {Array} data - Chart data ([{ name, value, value2?, value3? }])
+ * @param {string} chartType - bar | line | area | composed | scatter | pie | radar | radialBar
+ * @param {Object} box - { x, y, width, height } area to draw into
+ * @param {Object} options - { fontSize } text height in box units, { colors }
+ *   series ({ value, value2, value3 }) and categories (slices) colours
+ * @returns {Array} primitives
+ */
+export const layoutChart = (data, chartType, box, options = {}) => {
+  if (!data || data.length === 0) return [];
+  const { fontSize = 2.8, colors = {} } = options;
+  const layout = CHART_LAYOUTS[chartType] || layoutBarChart;
+  const primitives = [];
+  layout(primitives, data, box, fontSize, {
+    series: { ...SERIES_COLORS, ...colors.series },
+    categories: colors.categories && colors.categories.length > 0 ? colors.categories : CHART_COLORS,
+  });
+  return primitives;
+};
+
+const toRgb = (color) => {
+  const hex = color.replace('#', '');
+  const full = hex.length === 3 ? hex.split('').map(c => c + c).join('') : hex;
+  return [0, 2, 4].map(i => parseInt(full.substring(i, i + 2), 16));
+};
+
+/**
+ * jsPDF lines() takes a start point plus relative segments
+ */
+const drawPath = (pdf, points, style, closed) => {
+  const [start, ...rest] = points;
+  let [prevX, prevY] = start;
+  const segments = rest.map(([x, y]) => {
+    const segment = [x - prevX, y - prevY];
+    prevX = x;
+    prevY = y;
+    return segment;
+  });
+  pdf.lines(segments, start[0], start[1], [1, 1], style, closed);
+};
+
+const paintPrimitive = (pdf, primitive) => {
+  switch (primitive.type) {
+    case 'line':
+      pdf.setDrawColor(...toRgb(primitive.color));
+      pdf.setLineWidth(primitive.width || 0.2);
+      pdf.setLineDashPattern(primitive.dash || [], 0);
+      pdf.line(primitive.x1, primitive.y1, primitive.x2, primitive.y2);
+      pdf.setLineDashPattern([], 0);
+      break;
+    case 'rect':
+      pdf.setFillColor(...toRgb(primitive.fill));
+      pdf.rect(primitive.x, primitive.y, primitive.w, primitive.h, 'F');
+      break;
+    case 'polygon':
+    case 'polyline': {
+      const closed = primitive.type === 'polygon';
+      const fill = closed ? primitive.fill : null;
+      const stroke = closed ? primitive.stroke : primitive.color;
+      if (fill) pdf.setFillColor(...toRgb(fill));
+      if (stroke) {
+        pdf.setDrawColor(...toRgb(stroke));
+        pdf.setLineWidth(primitive.width || 0.2);
+      }
+      const style = fill && stroke ? 'FD' : fill ? 'F' : 'S';
+
+      if (primitive.opacity !== undefined) {
+        pdf.saveGraphicsState();
+        pdf.setGState(new pdf.GState({ opacity: primitive.opacity }));
+        drawPath(pdf, primitive.points, style, closed);
+        pdf.restoreGraphicsState();
+      } else {
+        drawPath(pdf, primitive.points, style, closed);
+      }
+      break;
+    }
+    case 'circle': {
+      if (primitive.fill) pdf.setFillColor(...toRgb(primitive.fill));
+      if (primitive.stroke) {
+        pdf.setDrawColor(...toRgb(primitive.stroke));
+        pdf.setLineWidth(primitive.width || 0.2);
+      }
+      const style = primitive.fill && primitive.stroke ? 'FD' : primitive.fill ? 'F' : 'S';
+      pdf.circle(primitive.cx, primitive.cy, primitive.r, style);
+      break;
+    }
+    case 'text':
+      pdf.setFont(undefined, primitive.bold ? 'bold' : 'normal');
+      // Primitive sizes are in document units; jsPDF font sizes are points
+      pdf.setFontSize(primitive.size * pdf.internal.scaleFactor);
+      pdf.setTextColor(...toRgb(primitive.color));
+      drawText(pdf, primitive.text, primitive.x, primitive.y, { align: primitive.align, baseline: 'middle' });
+      break;
+    default:
+      break;
+  }
+};
+
+/**
+ * Draw a chart into a jsPDF document with vector primitives
+ * @param {jsPDF} pdf - jsPDF instance
+ * @param {Array} data - Chart data
+ * @param {string} chartType - Chart type as used by ChatResponse
+ * @param {Object} box - { x, y, width, height } in document units
+ * @param {Object} options - Layout options (see layoutChart)
+ */
+export const drawChartToPDF = (pdf, data, chartType, box, options = {}) => {
+  layoutChart(data, chartType, box, options).forEach(primitive => paintPrimitive(pdf, primitive));
+};
+
+const paintPrimitiveToCanvas = (ctx, primitive) => {
+  ctx.save();
+  switch (primitive.type) {
+    case 'line':
+      ctx.strokeStyle = primitive.color;
+      ctx.lineWidth = primitive.width || 0.2;
+      ctx.setLineDash(primitive.dash || []);
+      ctx.beginPath();
+      ctx.moveTo(primitive.x1, primitive.y1);
+      ctx.lineTo(primitive.x2, primitive.y2);
+      ctx.stroke();
+      break;
+    case 'rect':
+      ctx.fillStyle = primitive.fill;
+      ctx.fillRect(primitive.x, primitive.y, primitive.w, primitive.h);
+      break;
+    case 'polygon':
+    case 'polyline': {
+      const closed = primitive.type === 'polygon';
+      const fill = closed ? primitive.fill : null;
+      const stroke = closed ? primitive.stroke : primitive.color;
+      if (primitive.opacity !== undefined) ctx.globalAlpha = primitive.opacity;
+      ctx.beginPath();
+      primitive.points.forEach(([x, y], i) => (i === 0 ? ctx.moveTo(x, y) : ctx.lineTo(x, y)));
+      if (closed) ctx.closePath();
+      if (fill) {
+        ctx.fillStyle = fill;
+        ctx.fill();
+      }
+      if (stroke) {
+        ctx.strokeStyle = stroke;
+        ctx.lineWidth = primitive.width || 0.2;
+        ctx.stroke();
+      }
+      break;
+    }
+    case 'circle':
+      ctx.beginPath();
+      ctx.arc(primitive.cx, primitive.cy, primitive.r, 0, Math.PI * 2);
+      if (primitive.fill) {
+        ctx.fillStyle = primitive.fill;
+        ctx.fill();
+      }
+      if (primitive.stroke) {
+        ctx.strokeStyle = primitive.stroke;
+        ctx.lineWidth = primitive.width || 0.2;
+        ctx.stroke();
+      }
+      break;
+    case 'text':
+      ctx.font = `${primitive.bold ? 'bold ' : ''}${primitive.size}px sans-serif`;
+      ctx.fillStyle = primitive.color;
+      ctx.textAlign = primitive.align || 'left';
+      ctx.textBaseline = 'middle';
+      ctx.fillText(String(primitive.text), primitive.x, primitive.y);
+      break;
+    default:
+      break;
+  }
+  ctx.restore();
+};
+
+/**
+ * Draw a chart onto a canvas 2D context with the same primitives as the PDF
+ * @param {CanvasRenderingContext2D} ctx - Context, scaled so box units map to pixels as wanted
+ * @param {Array} data - Chart data
+ * @param {string} chartType - Chart type as used by ChatResponse
+ * @param {Object} box - { x, y, width, height } in context units
+ * @param {Object} options - Layout options (see layoutChart)
+ */
+export const drawChartToCanvas = (ctx, data, chartType, box, options = {}) => {
+  layoutChart(data, chartType, box, options).forEach(primitive => paintPrimitiveToCanvas(ctx, primitive));
+};
+
+// Chart images use the PDF chart layout. Tick labels are right-aligned to
+// estimated widths; the inset keeps labels a little wider than estimated
+// inside the image.
+const IMAGE_SIZE = { width: 180, height: 90 };
+const IMAGE_BOX = { x: 4, y: 2, width: 172, height: 86 };
+
+/**
+ * Render a chart to a PNG, laid out like the PDF chart (180 x 90 units)
+ * @param {Array} data - Chart data
+ * @param {string} chartType - Chart type as used by ChatResponse
+ * @param {Object} options - { width } of the image in pixels, { colors } (see layoutChart)
+ * @returns {Promise<{ data: Uint8Array, width: number, height: number }>}
+ */
+export const renderChartToPNG = async (data, chartType, { width = 1440, colors } = {}) => {
+  const scale = width / IMAGE_SIZE.width;
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = Math.round(IMAGE_SIZE.height * scale);
+
+  const ctx = canvas.getContext('2d');
+  ctx.fillStyle = '#ffffff';
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  ctx.scale(scale, scale);
+  drawChartToCanvas(ctx, data, chartType, IMAGE_BOX, { colors });
+
+  const blob = await new Promise((resolve, reject) => {
+    canvas.toBlob(result => (result ? resolve(result) : reject(new Error('Could not render chart image'))), 'image/png');
+  });
+  return { data: new Uint8Array(await blob.arrayBuffer()), width: canvas.width, height: canvas.height };
+};
+
+const escapeXml = (text) => String(text).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+
+const formatNumber = (value) => String(Math.round(value * 100) / 100);
+
+const svgPoints = (points) => points.map(([x, y]) => `${formatNumber(x)},${formatNumber(y)}`).join(' ');
+
+const SVG_TEXT_ANCHORS = { left: 'start', center: 'middle', right: 'end' };
+
+const primitiveToSVG = (primitive) => {
+  switch (primitive.type) {
+    case 'line': {
+      const dash = primitive.dash ? ` stroke-dasharray="${primitive.dash.map(formatNumber).join(' ')}"` : '';
+      return `<line x1="${formatNumber(primitive.x1)}" y1="${formatNumber(primitive.y1)}" x2="${formatNumber(primitive.x2)}" y2="${formatNumber(primitive.y2)}" stroke="${primitive.color}" stroke-width="${primitive.width || 0.2}"${dash}/>`;
+    }
+    case 'rect':
+      return `<rect x="${formatNumber(primitive.x)}" y="${formatNumber(primitive.y)}" width="${formatNumber(primitive.w)}" height="${formatNumber(primitive.h)}" fill="${primitive.fill}"/>`;
+    case 'polygon': {
+      const stroke = primitive.stroke ? ` stroke="${primitive.stroke}" stroke-width="${primitive.width || 0.2}"` : '';
+      const opacity = primitive.opacity !== undefined ? ` opacity="${primitive.opacity}"` : '';
+      return `<polygon points="${svgPoints(primitive.points)}" fill="${primitive.fill || 'none'}"${stroke}${opacity}/>`;
+    }
+    case 'polyline':
+      return `<polyline points="${svgPoints(primitive.points)}" fill="none" stroke="${primitive.color}" stroke-width="${primitive.width || 0.2}"/>`;
+    case 'circle': {
+      const stroke = primitive.stroke ? ` stroke="${primitive.stroke}" stroke-width="${primitive.width || 0.2}"` : '';
+      return `<circle cx="${formatNumber(primitive.cx)}" cy="${formatNumber(primitive.cy)}" r="${formatNumber(primitive.r)}" fill="${primitive.fill || 'none'}"${stroke}/>`;
+    }
+    case 'text': {
+      const weight = primitive.bold ? ' font-weight="bold"' : '';
+      return `<text x="${formatNumber(primitive.x)}" y="${formatNumber(primitive.y)}" font-size="${formatNumber(primitive.size)}" fill="${primitive.color}" text-anchor="${SVG_TEXT_ANCHORS[primitive.align] || 'start'}" dominant-baseline="central"${weight}>${escapeXml(primitive.text)}</text>`;
+    }
+    default:
+      return '';
+  }
+};
+
+/**
+ * Render a chart to inline SVG markup, laid out like the PDF chart
+ * (180 x 90 units, scaled to the container width)
+ * @param {Array} data - Chart data
+ * @param {string} chartType - Chart type as used by ChatResponse
+ * @param {Object} options - { title } for the accessible name, { colors } (see layoutChart)
+ * @returns {string} SVG element markup, or '' without data
+ */
+export const renderChartToSVG = (data, chartType, { title = 'Chart', colors } = {}) => {
+  const primitives = layoutChart(data, chartType, IMAGE_BOX, { colors });
+  if (primitives.length === 0) return '';
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${IMAGE_SIZE.width} ${IMAGE_SIZE.height}" width="100%" role="img" aria-label="${escapeXml(title)}" font-family="sans-serif">`,
+    `<title>${escapeXml(title)}</title>`,
+    ...primitives.map(primitiveToSVG),
+    '</svg>',
+  ].join('\n');
+};
@@ -0,0 +1,125 @@
+import { layoutChart, SERIES_COLORS } from './chartRenderer';
+
+const box = { x: 0, y: 0, width: 160, height: 90 };
+
+// The y axis labels, bottom to top
+const getTicks = (primitives) => primitives
+  .filter((primitive) => primitive.type === 'text' && primitive.align === 'right')
+  .map((primitive) => Number(primitive.text));
+
+const getBars = (primitives) => primitives.filter((primitive) => primitive.type === 'rect' && primitive.h !== primitive.w);
+
+// The plot area, from the axis lines
+const getPlot = (primitives) => {
+  const [yAxis, xAxis] = primitives.filter((primitive) => primitive.type === 'line' && !primitive.dash);
+  return { top: yAxis.y1, bottom: yAxis.y2, left: xAxis.x1, right: xAxis.x2 };
+};
+
+describe('layoutChart', () => {
+  it('draws nothing without data', () => {
+    expect(layoutChart([], 'bar', box)).toEqual([]);
+    expect(layoutChart(null, 'line', box)).toEqual([]);
+  });
+
+  it('covers the data with evenly spaced, round ticks from zero', () => {
+    expect(getTicks(layoutChart([{ name: 'A', value: 37 }, { name: 'B', value: 81 }], 'bar', box)))
+      .toEqual([0, 25, 50, 75, 100]);
+    expect(getTicks(layoutChart([{ name: 'A', value: 0.3 }, { name: 'B', value: 0.72 }], 'line', box)))
+      .toEqual([0, 0.2, 0.4, 0.6, 0.8]);
+    expect(getTicks(layoutChart([{ name: 'A', value: 5300, value2: 12000 }], 'bar', box)))
+      .toEqual([0, 5000, 10000, 15000]);
+  });
+
+  it('gives all-zero data a unit axis and flat bars on it', () => {
+    const primitives = layoutChart([{ name: 'A', value: 0 }, { name: 'B', value: 0 }], 'bar', box);
+    const plot = getPlot(primitives);
+
+    expect(getTicks(primitives)).toEqual([0, 0.25, 0.5, 0.75, 1]);
+    expect(getBars(primitives)).toHaveLength(2);
+    getBars(primitives).forEach((bar) => {
+      expect(bar.h).toBe(0);
+      expect(bar.y).toBeCloseTo(plot.bottom);
+    });
+  });
+
+  it('draws a series whose first value is zero', () => {
+    const primitives = layoutChart([{ name: 'A', value: 0, value2: 0 }, { name: 'B', value: 4, value2: 2 }], 'bar', box);
+    expect(getBars(primitives).map((bar) => bar.fill)).toEqual([
+      SERIES_COLORS.value, SERIES_COLORS.value2, SERIES_COLORS.value, SERIES_COLORS.value2,
+    ]);
+  });
+
+  it('skips the missing points of a sparse series', () => {
+    const data = [
+      { name: 'A', value: 4, value2: 2 },
+      { name: 'B', value: 6, value2: null },
+      { name: 'C', value: 5 },
+      { name: 'D', value: 3, value2: 1 },
+    ];
+    const getLabels = (primitives, color) => primitives
+      .filter((primitive) => primitive.type === 'text' && primitive.color === color)
+      .map((primitive) => primitive.text);
+
+    const bars = layoutChart(data, 'bar', box);
+    expect(getBars(bars).map((bar) => bar.fill)).toEqual([
+      SERIES_COLORS.value, SERIES_COLORS.value2, SERIES_COLORS.value, SERIES_COLORS.value, SERIES_COLORS.value, SERIES_COLORS.value2,
+    ]);
+    expect(bars.map((primitive) => primitive.text)).not.toContain('null');
+    expect(bars.map((primitive) => primitive.text)).not.toContain('undefined');
+
+    const line = layoutChart(data, 'line', box);
+    const value2Line = line.filter((primitive) => primitive.type === 'polyline' && primitive.color === SERIES_COLORS.value2);
+    expect(value2Line.map((polyline) => polyline.points.length)).toEqual([1, 1]);
+    expect(line.filter((primitive) => primitive.type === 'circle' && primitive.stroke === SERIES_COLORS.value2)).toHaveLength(2);
+    expect(getLabels(line, SERIES_COLORS.value2)).toEqual(['2', '1', 'value2']);
+
+    const area = layoutChart(data, 'area', box);
+    expect(area.filter((primitive) => primitive.type === 'polygon' && primitive.fill === SERIES_COLORS.value2)).toHaveLength(2);
+    expect(getLabels(area, SERIES_COLORS.value2)).toEqual(['2', '1', 'value2']);
+  });
+
+  it('hangs negative bars below a zero baseline inside the plot', () => {
+    const mixed = layoutChart([{ name: 'A', value: -5 }, { name: 'B', value: 10 }], 'bar', box);
+    expect(getTicks(mixed)).toEqual([-5, 0, 5, 10]);
+
+    const negative = layoutChart([{ name: 'A', value: -3 }, { name: 'B', value: -8 }], 'bar', box);
+    const plot = getPlot(negative);
+    expect(getTicks(negative)).toEqual([-8, -6, -4, -2, 0]);
+    getBars(negative).forEach((bar) => {
+      // From the zero line at the top, down
+      expect(bar.y).toBeCloseTo(plot.top);
+      expect(bar.y + bar.h).toBeLessThanOrEqual(plot.bottom + 1e-9);
+    });
+  });
+
+  it('lays out a single point in the middle of the plot', () => {
+    const line = layoutChart([{ name: 'Only', value: 7 }], 'line', box);
+    const plot = getPlot(line);
+    const [point] = line.filter((primitive) => primitive.type === 'circle');
+    expect(point.cx).toBeCloseTo((plot.left + plot.right) / 2);
+
+    const area = layoutChart([{ name: 'Only', value: 7 }], 'area', box);
+    expect(area.filter((primitive) => primitive.type === 'polygon')).toHaveLength(1);
+
+    const pie = layoutChart([{ name: 'Only', value: 7 }], 'pie', box);
+    expect(pie.some((primitive) => primitive.type === 'text' && primitive.text === 'Only: 7 (100.0%)')).toBe(true);
+  });
+
+  it('keeps every primitive finite', () => {
+    const datasets = [
+      [{ name: 'A', value: 0 }],
+      [{ name: 'A', value: -1 }, { name: 'B', value: -1 }],
+      [{ name: 'A' }, { name: 'B', value: 'n/a' }],
+    ];
+    ['bar', 'line', 'area', 'composed', 'scatter', 'pie', 'radar', 'radialBar'].forEach((chartType) => {
+      datasets.forEach((data) => {
+        layoutChart(data, chartType, box).forEach((primitive) => {
+          Object.values(primitive)
+            .flat(2)
+            .filter((value) => typeof value === 'number')
+            .forEach((value) => expect(Number.isFinite(value)).toBe(true));
+        });
+      });
+    });
+  });
+});
@@ -0,0 +1,228 @@
+/**
+ * Chat providers
+ * The app asks questions through a provider, so the same UI runs against
+ * the chat service in production and offline in development:
+ *
+ *   provider.getInitialMessages() -> messages to start the conversation with
+ *   provider.sendMessage(question, { history, signal, onUpdate }) -> Promise<response>
+ *
+ * Responses have the shape ChatResponse and the exporters take:
+ *   { id, type: 'response', question, answer, sections, charts, chartData, chartType }
+ * While a response streams in (see responseStream), onUpdate is called with
+ * the response so far, under the id of the complete response.
+ *
+ * createChatProvider() picks the HTTP provider when REACT_APP_CHAT_API_URL
+ * is set, and the mock provider (sample conversation) otherwise.
+ */
+import { SAMPLE_MESSAGES } from '../data/sampleMessages';
+import {
+  applyStreamEvent,
+  createStreamState,
+  getResponseEvents,
+  isStreamContentType,
+  NDJSON_CONTENT_TYPE,
+  readResponseStream,
+  withSectionId
+} from './responseStream';
+import { getSampleAnswer } from './sampleAnswers';
+
+// Pauses of the mock provider, like a real service's: before it answers,
+// between the words of the answer and between sections
+const MOCK_DELAY = 600;
+const MOCK_TOKEN_DELAY = 30;
+const MOCK_SECTION_DELAY = 400;
+
+let messageCount = 0;
+
+/**
+ * Unique message id, e.g. resp-lq2x8k-3
+ */
+export const createMessageId = (prefix) => {
+  messageCount += 1;
+  return `${prefix}-${Date.now().toString(36)}-${messageCount}`;
+};
+
+/**
+ * Earlier turns of a conversation, as sent along with a question
+ * @returns {Array<{ question: string, answer: string }>}
+ */
+export const getHistory = (messages) => messages
+  .filter((message) => message.type === 'response')
+  .map(({ question, answer }) => ({ question, answer }));
+
+/**
+ * Check a response from a provider and complete it into a response message
+ * @param {Object} data - { answer, sections, charts, chartData, chartType, id }
+ * @param {string} question - The question it answers
+ */
+export const normalizeResponse = (data, question) => {
+  if (!data || typeof data !== 'object') {
+    throw new Error('The chat service returned an invalid response');
+  }
+  if (typeof data.answer !== 'string') {
+    throw new Error('The chat service response has no answer');
+  }
+  ['sections', 'charts', 'chartData'].forEach((key) => {
+    if (data[key] !== undefined && data[key] !== null && !Array.isArray(data[key])) {
+      throw new Error(`The chat service response has an invalid "${key}"`);
+    }
+  });
+  const sections = data.sections || [];
+  sections.forEach((section, index) => {
+    if (!section || typeof section !== 'object') {
+      throw new Error(`The chat service response has an invalid section ${index + 1}`);
+    }
+  });
+
+  const response = {
+    id: data.id ? String(data.id) : createMessageId('resp'),
+    type: 'response',
+    question,
+    answer: data.answer,
+    sections: sections.map(withSectionId)
+  };
+  if (data.charts) response.charts = data.charts;
+  if (data.chartData) {
+    response.chartData = data.chartData;
+    response.chartType = data.chartType || 'bar';
+  }
+  return response;
+};
+
+/**
+ * A response so far, as passed to onUpdate
+ */
+const toPartialResponse = ({ done, ...state }, question) => ({ ...state, type: 'response', question });
+
+// Rejection of an aborted request, named like fetch's
+const createAbortError = () => {
+  const error = new Error('The request was aborted');
+  error.name = 'AbortError';
+  return error;
+};
+
+/**
+ * Resolve after `ms`, or reject when the signal aborts first
+ */
+const wait = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal && signal.aborted) {
+    reject(createAbortError());
+    return;
+  }
+  const onAbort = () => {
+    clearTimeout(timer);
+    reject(createAbortError());
+  };
+  const timer = setTimeout(() => {
+    if (signal) signal.removeEventListener('abort', onAbort);
+    resolve();
+  }, ms);
+  if (signal) signal.addEventListener('abort', onAbort, { once: true });
+});
+
+/**
+ * Provider for the chat service: POSTs { question, history } as JSON to
+ * `url` and expects the response fields back, either streamed as NDJSON
+ * events or as one JSON object.
+ * @param {Object} options
+ * @param {string} options.url - Endpoint of the chat service
+ * @param {Object} options.headers - Extra request headers (e.g. Authorization)
+ * @param {Function} options.fetch - fetch implementation (default: window.fetch)
+ */
+export const createHttpChatProvider = ({ url, headers = {}, fetch: fetchImpl } = {}) => {
+  if (!url) throw new Error('The HTTP chat provider needs a url');
+
+  return {
+    name: 'http',
+    getInitialMessages: () => [],
+    sendMessage: async (question, { history = [], signal, onUpdate } = {}) => {
+      const request = fetchImpl || window.fetch.bind(window);
+      const response = await request(url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          Accept: `${NDJSON_CONTENT_TYPE}, application/json`,
+          ...headers
+        },
+        body: JSON.stringify({ question, history }),
+        signal
+      });
+      if (!response.ok) {
+        throw new Error(`The chat service answered with HTTP ${response.status}`);
+      }
+
+      if (response.body && isStreamContentType(response.headers && response.headers.get('Content-Type'))) {
+        const streamed = await readResponseStream(response.body, {
+          id: createMessageId('resp'),
+          onUpdate: onUpdate && ((state) => onUpdate(toPartialResponse(state, question)))
+        });
+        return normalizeResponse(streamed, question);
+      }
+
+      let data;
+      try {
+        data = await response.json();
+      } catch (error) {
+        throw new Error('The chat service returned invalid JSON');
+      }
+      return normalizeResponse(data, question);
+    }
+  };
+};
+
+/**
+ * Offline provider that serves the sample conversation: it starts with the
+ * sample messages and answers each sample question with its sample
+ * response, streamed word by word and section by section when there's an
+ * onUpdate. Other questions get a list of the questions it knows.
+ * @param {Object} options
+ * @param {Array} options.messages - Conversation to serve (default: the sample)
+ * @param {number} options.delay - Pause before answering, in ms
+ * @param {number} options.tokenDelay - Pause between words of a streamed answer
+ * @param {number} options.sectionDelay - Pause between streamed sections
+ */
+export const createMockChatProvider = ({
+  messages = SAMPLE_MESSAGES,
+  delay = MOCK_DELAY,
+  tokenDelay = MOCK_TOKEN_DELAY,
+  sectionDelay = MOCK_SECTION_DELAY
+} = {}) => {
+  const getResponse = (question) => {
+    const { id, ...data } = getSampleAnswer(messages, question, {
+      unknownAnswer: 'This is the offline demo, which only knows the sample questions. Ask one of these, or set REACT_APP_CHAT_API_URL to use the chat service.'
+    });
+    // A fresh id, so section ids and table views don't clash with the sample's
+    return normalizeResponse({ ...data, id: id && createMessageId(id) }, question);
+  };
+
+  return {
+    name: 'mock',
+    getInitialMessages: () => messages,
+    sendMessage: async (question, { signal, onUpdate } = {}) => {
+      await wait(delay, signal);
+      const response = getResponse(question);
+      if (!onUpdate) return response;
+
+      let state = createStreamState(response.id);
+      for (const event of getResponseEvents(response)) {
+        if (event.type === 'answer' || event.type === 'section') {
+          await wait(event.type === 'answer' ? tokenDelay : sectionDelay, signal);
+        }
+        state = applyStreamEvent(state, event);
+        if (!state.done) onUpdate(toPartialResponse(state, question));
+      }
+      return response;
+    }
+  };
+};
+
+/**
+ * The provider for this environment: HTTP when REACT_APP_CHAT_API_URL is
+ * set, the mock provider otherwise
+ * @param {Object} env - Environment variables (default: process.env)
+ */
+export const createChatProvider = (env = process.env) => (
+  env.REACT_APP_CHAT_API_URL
+    ? createHttpChatProvider({ url: env.REACT_APP_CHAT_API_URL })
+    : createMockChatProvider()
+);
@@ -0,0 +1,193 @@
+/**
+ * @jest-environment node
+ */
+import { ReadableStream } from 'stream/web';
+import {
+  createChatProvider,
+  createHttpChatProvider,
+  createMockChatProvider,
+  getHistory,
+  normalizeResponse,
+} from './chatProviders';
+import { getResponseEvents } from './responseStream';
+import { SAMPLE_MESSAGES } from '../data/sampleMessages';
+
+const jsonResponse = (body, status = 200) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  headers: new Map([['Content-Type', 'application/json']]),
+  json: () => Promise.resolve(body),
+});
+
+const streamResponse = (events) => {
+  const text = events.map((event) => `${JSON.stringify(event)}\n`).join('');
+  return {
+    ok: true,
+    status: 200,
+    headers: new Map([['Content-Type', 'application/x-ndjson; charset=utf-8']]),
+    body: new ReadableStream({
+      start(controller) {
+        controller.enqueue(new TextEncoder().encode(text));
+        controller.close();
+      },
+    }),
+  };
+};
+
+describe('normalizeResponse', () => {
+  it('completes a response message', () => {
+    const response = normalizeResponse({ answer: 'Sales are up.', chartData: [{ name: 'A', value: 1 }] }, 'How are sales?');
+    expect(response).toMatchObject({
+      type: 'response',
+      question: 'How are sales?',
+      answer: 'Sales are up.',
+      sections: [],
+      chartType: 'bar',
+    });
+    expect(response.id).toMatch(/^resp-/);
+  });
+
+  it('rejects responses without an answer or with invalid sections', () => {
+    expect(() => normalizeResponse(null, 'Q')).toThrow('invalid response');
+    expect(() => normalizeResponse({ sections: [] }, 'Q')).toThrow('no answer');
+    expect(() => normalizeResponse({ answer: 'A', sections: 'text' }, 'Q')).toThrow('"sections"');
+    expect(() => normalizeResponse({ answer: 'A', sections: [{ type: 'text', content: 'T' }, null] }, 'Q'))
+      .toThrow('invalid section 2');
+  });
+
+  it('gives sections without an id one from their position', () => {
+    const { sections } = normalizeResponse({
+      answer: 'A',
+      sections: [{ type: 'text', content: 'T' }, { id: 'chart', type: 'chart', data: [] }, { type: 'text', content: 'U' }],
+    }, 'Q');
+    expect(sections.map((section) => section.id)).toEqual(['section-0', 'chart', 'section-2']);
+  });
+});
+
+describe('getHistory', () => {
+  it('lists the answered questions', () => {
+    const history = getHistory(SAMPLE_MESSAGES.slice(0, 3));
+    expect(history).toEqual([{ question: SAMPLE_MESSAGES[1].question, answer: SAMPLE_MESSAGES[1].answer }]);
+  });
+});
+
+describe('createHttpChatProvider', () => {
+  it('posts the question and history as JSON', async () => {
+    const fetch = jest.fn(() => Promise.resolve(jsonResponse({
+      id: 'r1',
+      answer: 'Here you go.',
+      sections: [{ id: 's1', type: 'text', content: 'Detail' }],
+    })));
+    const provider = createHttpChatProvider({ url: '/api/chat', headers: { Authorization: 'Bearer x' }, fetch });
+    const history = [{ question: 'Q1', answer: 'A1' }];
+
+    const response = await provider.sendMessage('Q2', { history });
+
+    const [url, request] = fetch.mock.calls[0];
+    expect(url).toBe('/api/chat');
+    expect(request.method).toBe('POST');
+    expect(request.headers).toMatchObject({ 'Content-Type': 'application/json', Authorization: 'Bearer x' });
+    expect(JSON.parse(request.body)).toEqual({ question: 'Q2', history });
+    expect(response).toMatchObject({ id: 'r1', type: 'response', question: 'Q2', answer: 'Here you go.' });
+    expect(response.sections).toHaveLength(1);
+  });
+
+  it('reads streamed responses and reports them as they arrive', async () => {
+    const events = getResponseEvents({
+      answer: 'Two sections follow.',
+      sections: [
+        { id: 's1', type: 'text', content: 'First' },
+        { id: 's2', type: 'text', content: 'Second' },
+      ],
+    });
+    const provider = createHttpChatProvider({ url: '/api/chat', fetch: () => Promise.resolve(streamResponse(events)) });
+    const updates = [];
+
+    const response = await provider.sendMessage('Q', { onUpdate: (partial) => updates.push(partial) });
+
+    expect(response).toMatchObject({ type: 'response', question: 'Q', answer: 'Two sections follow.' });
+    expect(response.sections).toHaveLength(2);
+    expect(updates[0]).toMatchObject({ type: 'response', question: 'Q', answer: 'Two ' });
+    expect(updates[updates.length - 1].sections).toHaveLength(2);
+    // One id from the first update on, so table views carry over
+    expect(new Set(updates.map((partial) => partial.id))).toEqual(new Set([response.id]));
+  });
+
+  it('fails when a stream reports an error', async () => {
+    const provider = createHttpChatProvider({
+      url: '/api/chat',
+      fetch: () => Promise.resolve(streamResponse([{ type: 'answer', text: 'Half' }, { type: 'error', message: 'Model overloaded' }])),
+    });
+    await expect(provider.sendMessage('Q', { onUpdate: () => {} })).rejects.toThrow('Model overloaded');
+  });
+
+  it('starts with an empty conversation', () => {
+    expect(createHttpChatProvider({ url: '/api/chat', fetch: jest.fn() }).getInitialMessages()).toEqual([]);
+  });
+
+  it('fails on HTTP errors and invalid JSON', async () => {
+    const failing = createHttpChatProvider({ url: '/api/chat', fetch: () => Promise.resolve(jsonResponse({}, 503)) });
+    await expect(failing.sendMessage('Q')).rejects.toThrow('HTTP 503');
+
+    const invalid = createHttpChatProvider({
+      url: '/api/chat',
+      fetch: () => Promise.resolve({ ok: true, status: 200, json: () => Promise.reject(new SyntaxError('Unexpected token')) }),
+    });
+    await expect(invalid.sendMessage('Q')).rejects.toThrow('invalid JSON');
+  });
+
+  it('needs a url', () => {
+    expect(() => createHttpChatProvider({})).toThrow('url');
+  });
+});
+
+describe('createMockChatProvider', () => {
+  it('starts with the sample conversation', () => {
+    expect(createMockChatProvider({ delay: 0 }).getInitialMessages()).toBe(SAMPLE_MESSAGES);
+  });
+
+  it('answers a sample question with its sample response under a new id', async () => {
+    const provider = createMockChatProvider({ delay: 0 });
+    const sample = SAMPLE_MESSAGES.find((message) => message.id === 'resp-1');
+
+    const response = await provider.sendMessage(`  ${sample.question.toUpperCase()}? `);
+
+    expect(response.answer).toBe(sample.answer);
+    expect(response.chartData).toEqual(sample.chartData);
+    expect(response.id).not.toBe(sample.id);
+  });
+
+  it('streams its answer when asked for updates', async () => {
+    const provider = createMockChatProvider({ delay: 0, tokenDelay: 0, sectionDelay: 0 });
+    const sample = SAMPLE_MESSAGES.find((message) => message.sections && message.sections.length > 1);
+    const updates = [];
+
+    const response = await provider.sendMessage(sample.question, { onUpdate: (partial) => updates.push(partial) });
+
+    expect(updates.length).toBeGreaterThan(sample.sections.length);
+    expect(updates[0].answer.length).toBeLessThan(sample.answer.length);
+    expect(updates[updates.length - 1].answer).toBe(response.answer);
+    expect(updates[updates.length - 1].sections).toEqual(response.sections);
+    expect(updates.every((partial) => partial.id === response.id)).toBe(true);
+  });
+
+  it('lists the sample questions for other questions', async () => {
+    const response = await createMockChatProvider({ delay: 0 }).sendMessage('What is the weather?');
+    expect(response.question).toBe('What is the weather?');
+    expect(response.sections[0].content).toContain(SAMPLE_MESSAGES[0].content);
+  });
+
+  it('stops waiting when the request is aborted', async () => {
+    const controller = new AbortController();
+    const request = createMockChatProvider({ delay: 1000 }).sendMessage('Q', { signal: controller.signal });
+    controller.abort();
+    await expect(request).rejects.toMatchObject({ name: 'AbortError' });
+  });
+});
+
+describe('createChatProvider', () => {
+  it('uses the chat service when its url is set, the sample conversation otherwise', () => {
+    expect(createChatProvider({ REACT_APP_CHAT_API_URL: 'https://chat.example.com/api' }).name).toBe('http');
+    expect(createChatProvider({}).name).toBe('mock');
+  });
+});
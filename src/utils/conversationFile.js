@@ -0,0 +1,142 @@
+/**
+ * Conversation files
+ * A conversation exported as JSON, to back it up or move it to another
+ * browser. The file holds the conversation as it is saved (see
+ * conversationStore), with every response's full section model:
+ *   { format: 'chat-conversation', version: 1, exportedAt, conversation: {...} }
+ */
+import { downloadBlob, getExportFilename } from './download';
+
+export const CONVERSATION_FILE_FORMAT = 'chat-conversation';
+export const CONVERSATION_FILE_VERSION = 1;
+
+const MESSAGE_TYPES = ['question', 'response'];
+const SECTION_TYPES = ['text', 'table', 'chart'];
+
+/**
+ * The JSON of a conversation file
+ * @param {Object} conversation - { id, title, createdAt, updatedAt, messages, tableViews }
+ */
+export const serializeConversation = (conversation) => JSON.stringify({
+  format: CONVERSATION_FILE_FORMAT,
+  version: CONVERSATION_FILE_VERSION,
+  exportedAt: new Date().toISOString(),
+  conversation: {
+    id: conversation.id,
+    title: conversation.title,
+    createdAt: conversation.createdAt,
+    updatedAt: conversation.updatedAt,
+    messages: conversation.messages,
+    tableViews: conversation.tableViews || {}
+  }
+}, null, 2);
+
+const isOptionalString = (value) => value === undefined || typeof value === 'string';
+
+// A section the response would fail to show (or export) is rejected up front
+const checkSection = (section, where) => {
+  if (!section || typeof section !== 'object' || !SECTION_TYPES.includes(section.type)) {
+    throw new Error(`The conversation file's ${where} is invalid`);
+  }
+  if (!isOptionalString(section.heading)) {
+    throw new Error(`The conversation file's ${where} has an invalid heading`);
+  }
+  if (section.type === 'text' && typeof section.content !== 'string') {
+    throw new Error(`The conversation file's ${where} has no text`);
+  }
+  if (section.type === 'table') {
+    if (!isOptionalString(section.tableHtml)) {
+      throw new Error(`The conversation file's ${where} has an invalid "tableHtml"`);
+    }
+    if (!section.tableHtml && !(Array.isArray(section.columns) && Array.isArray(section.rows))) {
+      throw new Error(`The conversation file's ${where} has no columns and rows`);
+    }
+    if (section.rows !== undefined && !(Array.isArray(section.rows) && section.rows.every(Array.isArray))) {
+      throw new Error(`The conversation file's ${where} has invalid "rows"`);
+    }
+    if (section.columns !== undefined && !Array.isArray(section.columns)) {
+      throw new Error(`The conversation file's ${where} has invalid "columns"`);
+    }
+  }
+  if (section.type === 'chart' && !Array.isArray(section.data)) {
+    throw new Error(`The conversation file's ${where} has no chart data`);
+  }
+};
+
+const checkMessage = (message, index) => {
+  const where = `message ${index + 1}`;
+  if (!message || typeof message !== 'object' || !MESSAGE_TYPES.includes(message.type)) {
+    throw new Error(`The conversation file has an invalid ${where}`);
+  }
+  if (typeof message.id !== 'string' && typeof message.id !== 'number') {
+    throw new Error(`The conversation file's ${where} has no id`);
+  }
+  if (message.type === 'question' && typeof message.content !== 'string') {
+    throw new Error(`The conversation file's ${where} has no question`);
+  }
+  if (message.type === 'response') {
+    if (typeof message.answer !== 'string') {
+      throw new Error(`The conversation file's ${where} has no answer`);
+    }
+    ['sections', 'charts', 'chartData'].forEach((key) => {
+      if (message[key] !== undefined && !Array.isArray(message[key])) {
+        throw new Error(`The conversation file's ${where} has an invalid "${key}"`);
+      }
+    });
+    (message.sections || []).forEach((section, i) => checkSection(section, `section ${i + 1} of ${where}`));
+    (message.charts || []).forEach((chart, i) => {
+      if (!chart || typeof chart !== 'object' || !Array.isArray(chart.data)) {
+        throw new Error(`The conversation file's ${where} has an invalid chart ${i + 1}`);
+      }
+    });
+  }
+};
+
+/**
+ * Read a conversation file
+ * @param {string} text - The file's JSON
+ * @returns {Object} The conversation: { id, title, createdAt, updatedAt, messages, tableViews }
+ * @throws {Error} When the text isn't a conversation file this version reads
+ */
+export const parseConversation = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error('The conversation file is not valid JSON');
+  }
+  if (!data || data.format !== CONVERSATION_FILE_FORMAT || !data.conversation) {
+    throw new Error('This is not a conversation file');
+  }
+  if (typeof data.version !== 'number' || data.version > CONVERSATION_FILE_VERSION) {
+    throw new Error('The conversation file is from a newer version of the app');
+  }
+
+  const { conversation } = data;
+  if (!Array.isArray(conversation.messages)) {
+    throw new Error('The conversation file has no messages');
+  }
+  conversation.messages.forEach(checkMessage);
+
+  return {
+    id: conversation.id ? String(conversation.id) : undefined,
+    title: typeof conversation.title === 'string' ? conversation.title : undefined,
+    createdAt: Number.isFinite(conversation.createdAt) ? conversation.createdAt : undefined,
+    updatedAt: Number.isFinite(conversation.updatedAt) ? conversation.updatedAt : undefined,
+    messages: conversation.messages,
+    tableViews: conversation.tableViews && typeof conversation.tableViews === 'object' ? conversation.tableViews : {}
+  };
+};
+
+/**
+ * Download a conversation as a JSON file
+ */
+export const saveConversationFile = (conversation, prefix = 'chat-conversation') => {
+  const blob = new Blob([serializeConversation(conversation)], { type: 'application/json;charset=utf-8' });
+  downloadBlob(blob, getExportFilename(prefix, 'json'));
+};
+
+/**
+ * Read a conversation from a File the user picked
+ */
+export const readConversationFile = async (file) => parseConversation(await file.text());
@@ -0,0 +1,87 @@
+import {
+  CONVERSATION_FILE_FORMAT,
+  parseConversation,
+  readConversationFile,
+  serializeConversation,
+} from './conversationFile';
+import { SAMPLE_MESSAGES } from '../data/sampleMessages';
+
+const conversation = {
+  id: 'conv-1',
+  title: 'Quarterly review',
+  createdAt: Date.UTC(2026, 0, 15),
+  updatedAt: Date.UTC(2026, 0, 16),
+  messages: SAMPLE_MESSAGES,
+  tableViews: { 'resp-6-sales-table': { filter: 'North', hiddenColumns: [2] } },
+};
+
+const toFile = (data) => JSON.stringify({ format: CONVERSATION_FILE_FORMAT, version: 1, ...data });
+
+describe('serializeConversation / parseConversation', () => {
+  it('round-trips a conversation with its full section model', () => {
+    expect(parseConversation(serializeConversation(conversation))).toEqual(conversation);
+  });
+
+  it('marks the file with its format and version', () => {
+    const data = JSON.parse(serializeConversation(conversation));
+    expect(data).toMatchObject({ format: CONVERSATION_FILE_FORMAT, version: 1 });
+    expect(Date.parse(data.exportedAt)).not.toBeNaN();
+  });
+});
+
+describe('parseConversation', () => {
+  it('rejects files that are not conversations', () => {
+    expect(() => parseConversation('not json')).toThrow('not valid JSON');
+    expect(() => parseConversation('{"answer": "A"}')).toThrow('not a conversation file');
+    expect(() => parseConversation(toFile({ version: 2, conversation: { messages: [] } }))).toThrow('newer version');
+    expect(() => parseConversation(toFile({ conversation: {} }))).toThrow('no messages');
+  });
+
+  it('names the message that is invalid', () => {
+    const file = (messages) => toFile({ conversation: { messages } });
+    expect(() => parseConversation(file([{ id: 'q1', type: 'question', content: 'Q' }, { id: 'x', type: 'chart' }])))
+      .toThrow('invalid message 2');
+    expect(() => parseConversation(file([{ id: 'r1', type: 'response' }]))).toThrow('message 1 has no answer');
+    expect(() => parseConversation(file([{ id: 'r1', type: 'response', answer: 'A', sections: {} }]))).toThrow('"sections"');
+    expect(() => parseConversation(file([{ type: 'question', content: 'Q' }]))).toThrow('has no id');
+  });
+
+  it('names the section that is invalid', () => {
+    const file = (section) => toFile({
+      conversation: { messages: [{ id: 'r1', type: 'response', answer: 'A', sections: [{ type: 'text', id: 't', content: 'T' }, section] }] },
+    });
+    expect(() => parseConversation(file(null))).toThrow('section 2 of message 1 is invalid');
+    expect(() => parseConversation(file({ id: 's', type: 'video' }))).toThrow('section 2 of message 1 is invalid');
+    expect(() => parseConversation(file({ id: 's', type: 'text', content: 5 }))).toThrow('has no text');
+    expect(() => parseConversation(file({ id: 's', type: 'text', content: 'T', heading: {} }))).toThrow('invalid heading');
+    expect(() => parseConversation(file({ id: 's', type: 'table', columns: ['A'] }))).toThrow('no columns and rows');
+    expect(() => parseConversation(file({ id: 's', type: 'table', columns: ['A'], rows: ['x'] }))).toThrow('"rows"');
+    expect(() => parseConversation(file({ id: 's', type: 'table', tableHtml: '<table></table>', columns: 'A' }))).toThrow('"columns"');
+    expect(() => parseConversation(file({ id: 's', type: 'chart', data: {} }))).toThrow('no chart data');
+    expect(parseConversation(file({ id: 's', type: 'table', tableHtml: '<table></table>' })).messages).toHaveLength(1);
+  });
+
+  it('rejects charts without data', () => {
+    const file = toFile({ conversation: { messages: [{ id: 'r1', type: 'response', answer: 'A', charts: [{ type: 'bar' }] }] } });
+    expect(() => parseConversation(file)).toThrow('invalid chart 1');
+  });
+
+  it('fills in what older or hand-made files leave out', () => {
+    const parsed = parseConversation(toFile({ conversation: { messages: [{ id: 'q1', type: 'question', content: 'Q' }] } }));
+    expect(parsed).toEqual({
+      id: undefined,
+      title: undefined,
+      createdAt: undefined,
+      updatedAt: undefined,
+      messages: [{ id: 'q1', type: 'question', content: 'Q' }],
+      tableViews: {},
+    });
+  });
+});
+
+describe('readConversationFile', () => {
+  it('reads the conversation from a picked file', async () => {
+    const file = { text: () => Promise.resolve(serializeConversation(conversation)) };
+    await expect(readConversationFile(file)).resolves.toEqual(conversation);
+  });
+});
@@ -0,0 +1,224 @@
+/**
+ * Saved conversations
+ * Conversations are kept in localStorage, so they survive a refresh:
+ *   chat-conversations          index: [{ id, title, createdAt, updatedAt }]
+ *   chat-conversation:<id>      { id, title, createdAt, updatedAt, messages, tableViews }
+ *   chat-conversations:current  id of the conversation that was open last
+ * Messages are stored as they are (questions and responses with their
+ * full section model); error rows are left out.
+ */
+
+const INDEX_KEY = 'chat-conversations';
+const CURRENT_KEY = 'chat-conversations:current';
+const CONVERSATION_PREFIX = 'chat-conversation:';
+
+// Longest title made from a question
+const TITLE_LENGTH = 60;
+
+/**
+ * Storage with the localStorage interface that lives as long as the page,
+ * for tests and for browsers that block localStorage
+ */
+export const createMemoryStorage = () => {
+  const items = new Map();
+  return {
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: (key) => items.delete(key)
+  };
+};
+
+const getDefaultStorage = () => {
+  try {
+    const storage = window.localStorage;
+    const probe = `${INDEX_KEY}:probe`;
+    storage.setItem(probe, probe);
+    storage.removeItem(probe);
+    return storage;
+  } catch (error) {
+    console.warn('localStorage is not available; conversations will not be saved:', error);
+    return createMemoryStorage();
+  }
+};
+
+/**
+ * Unique conversation id, e.g. conv-lq2x8k-f3a9c1
+ */
+export const createConversationId = () => (
+  `conv-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`
+);
+
+/**
+ * Title for a conversation: its first question, shortened
+ */
+export const getConversationTitle = (messages) => {
+  const first = messages.find((message) => message.type === 'question' && message.content)
+    || messages.find((message) => message.type === 'response' && message.question);
+  if (!first) return 'New conversation';
+
+  const text = String(first.content || first.question).replace(/\s+/g, ' ').trim();
+  return text.length > TITLE_LENGTH ? `${text.slice(0, TITLE_LENGTH - 1).trimEnd()}…` : text;
+};
+
+/**
+ * Messages worth keeping: questions and responses
+ */
+export const getStoredMessages = (messages) => messages.filter(
+  (message) => message.type === 'question' || message.type === 'response'
+);
+
+// Everything a search looks through, in lower case
+const getSearchText = (conversation) => {
+  const parts = [conversation.title];
+  conversation.messages.forEach((message) => {
+    parts.push(message.content, message.question, message.answer);
+    (message.sections || []).forEach((section) => {
+      parts.push(section.heading);
+      if (typeof section.content === 'string') parts.push(section.content);
+    });
+  });
+  return parts.filter(Boolean).join('\n').toLowerCase();
+};
+
+/**
+ * Conversation store
+ * @param {Object} options
+ * @param {Storage} options.storage - Where to keep conversations (default: localStorage)
+ * @param {Function} options.now - Clock, for tests (default: Date.now)
+ */
+export const createConversationStore = ({ storage = getDefaultStorage(), now = Date.now } = {}) => {
+  const read = (key, fallback) => {
+    try {
+      const value = storage.getItem(key);
+      return value === null ? fallback : JSON.parse(value);
+    } catch (error) {
+      console.warn(`Ignoring unreadable saved data "${key}":`, error);
+      return fallback;
+    }
+  };
+
+  const write = (key, value) => {
+    try {
+      storage.setItem(key, JSON.stringify(value));
+    } catch (error) {
+      throw new Error(`The conversation could not be saved (${error.name === 'QuotaExceededError' ? 'storage is full' : error.message})`);
+    }
+  };
+
+  const readIndex = () => {
+    const index = read(INDEX_KEY, []);
+    return Array.isArray(index) ? index : [];
+  };
+
+  const writeIndex = (index) => write(INDEX_KEY, index);
+
+  const toSummary = ({ id, title, createdAt, updatedAt }) => ({ id, title, createdAt, updatedAt });
+
+  /**
+   * Saved conversations, the most recently updated first
+   * @returns {Array<{ id, title, createdAt, updatedAt }>}
+   */
+  const listConversations = () => readIndex()
+    .slice()
+    .sort((a, b) => b.updatedAt - a.updatedAt);
+
+  /**
+   * A saved conversation, or null
+   */
+  const loadConversation = (id) => {
+    const conversation = read(`${CONVERSATION_PREFIX}${id}`, null);
+    return conversation && Array.isArray(conversation.messages) ? conversation : null;
+  };
+
+  /**
+   * Save a conversation, adding it to the list when it's new. It keeps its
+   * title (given or saved before), or gets one from its first question.
+   * @param {Object} conversation - { id, messages, tableViews, title, createdAt }
+   * @returns {Object} The saved conversation
+   */
+  const saveConversation = (conversation) => {
+    if (!conversation.id) throw new Error('A conversation needs an id to be saved');
+    const saved = loadConversation(conversation.id);
+    const messages = getStoredMessages(conversation.messages || []);
+    const updatedAt = now();
+    const stored = {
+      id: conversation.id,
+      title: conversation.title || (saved && saved.title) || getConversationTitle(messages),
+      createdAt: conversation.createdAt || (saved && saved.createdAt) || updatedAt,
+      updatedAt,
+      messages,
+      tableViews: conversation.tableViews || {}
+    };
+
+    write(`${CONVERSATION_PREFIX}${stored.id}`, stored);
+    writeIndex([...readIndex().filter((entry) => entry.id !== stored.id), toSummary(stored)]);
+    return stored;
+  };
+
+  /**
+   * Give a saved conversation a new title (blank titles are ignored)
+   */
+  const renameConversation = (id, title) => {
+    const conversation = loadConversation(id);
+    const trimmed = String(title).trim();
+    if (!conversation || !trimmed) return conversation;
+    const renamed = { ...conversation, title: trimmed };
+    write(`${CONVERSATION_PREFIX}${id}`, renamed);
+    writeIndex(readIndex().map((entry) => (entry.id === id ? toSummary(renamed) : entry)));
+    return renamed;
+  };
+
+  /**
+   * The conversation that was open last, to reopen after a refresh
+   */
+  const getCurrentConversationId = () => read(CURRENT_KEY, null);
+
+  const setCurrentConversationId = (id) => {
+    if (id) {
+      write(CURRENT_KEY, id);
+    } else {
+      storage.removeItem(CURRENT_KEY);
+    }
+  };
+
+  const deleteConversation = (id) => {
+    storage.removeItem(`${CONVERSATION_PREFIX}${id}`);
+    writeIndex(readIndex().filter((entry) => entry.id !== id));
+    if (getCurrentConversationId() === id) setCurrentConversationId(null);
+  };
+
+  /**
+   * Conversations whose title, questions, answers or text sections contain
+   * the query (any case), the most recently updated first
+   */
+  const searchConversations = (query) => {
+    const needle = String(query || '').trim().toLowerCase();
+    const conversations = listConversations();
+    if (!needle) return conversations;
+    return conversations.filter((summary) => {
+      const conversation = loadConversation(summary.id);
+      return conversation && getSearchText(conversation).includes(needle);
+    });
+  };
+
+  /**
+   * Save an imported conversation as a new one: it gets a new id when its
+   * own is taken, so nothing saved is overwritten
+   */
+  const importConversation = (conversation) => {
+    const id = conversation.id && !loadConversation(conversation.id) ? conversation.id : createConversationId();
+    return saveConversation({ ...conversation, id });
+  };
+
+  return {
+    listConversations,
+    loadConversation,
+    saveConversation,
+    renameConversation,
+    deleteConversation,
+    searchConversations,
+    importConversation,
+    getCurrentConversationId,
+    setCurrentConversationId
+  };
+};
@@ -0,0 +1,163 @@
+import {
+  createConversationStore,
+  createMemoryStorage,
+  getConversationTitle,
+  getStoredMessages,
+} from './conversationStore';
+import { SAMPLE_MESSAGES } from '../data/sampleMessages';
+
+// A clock that moves a minute forward on every call
+const createClock = () => {
+  let time = Date.UTC(2026, 0, 15, 10, 0);
+  return () => {
+    time += 60000;
+    return time;
+  };
+};
+
+const createStore = (storage = createMemoryStorage()) => createConversationStore({ storage, now: createClock() });
+
+const question = (id, content) => ({ id, type: 'question', content });
+const answer = (id, questionText, text, sections = []) => ({ id, type: 'response', question: questionText, answer: text, sections });
+
+describe('getConversationTitle', () => {
+  it('uses the first question, shortened', () => {
+    expect(getConversationTitle([question('q1', '  Show me   Q1 sales  ')])).toBe('Show me Q1 sales');
+    const title = getConversationTitle([question('q1', 'word '.repeat(30))]);
+    expect(title.length).toBeLessThanOrEqual(60);
+    expect(title.endsWith('…')).toBe(true);
+  });
+
+  it('has a placeholder for conversations without questions', () => {
+    expect(getConversationTitle([])).toBe('New conversation');
+  });
+});
+
+describe('getStoredMessages', () => {
+  it('leaves error rows out', () => {
+    const messages = [question('q1', 'Q'), { id: 'e1', type: 'error', content: 'HTTP 503' }];
+    expect(getStoredMessages(messages)).toEqual([messages[0]]);
+  });
+});
+
+describe('createConversationStore', () => {
+  it('saves and loads conversations with their full section model', () => {
+    const store = createStore();
+    const tableViews = { 'resp-6-sales-table': { sort: { column: 1, direction: 'desc' } } };
+
+    const saved = store.saveConversation({ id: 'c1', messages: SAMPLE_MESSAGES, tableViews });
+    const loaded = store.loadConversation('c1');
+
+    expect(loaded).toEqual(saved);
+    expect(loaded.messages).toEqual(SAMPLE_MESSAGES);
+    expect(loaded.tableViews).toEqual(tableViews);
+    expect(loaded.title).toBe(SAMPLE_MESSAGES[0].content);
+  });
+
+  it('lists conversations, the most recently updated first', () => {
+    const store = createStore();
+    store.saveConversation({ id: 'c1', messages: [question('q1', 'First')] });
+    store.saveConversation({ id: 'c2', messages: [question('q2', 'Second')] });
+    expect(store.listConversations().map((entry) => entry.title)).toEqual(['Second', 'First']);
+
+    const before = store.loadConversation('c1');
+    store.saveConversation({ id: 'c1', messages: [question('q1', 'First'), answer('r1', 'First', 'Done')] });
+    const after = store.loadConversation('c1');
+
+    expect(store.listConversations().map((entry) => entry.id)).toEqual(['c1', 'c2']);
+    expect(after.createdAt).toBe(before.createdAt);
+    expect(after.updatedAt).toBeGreaterThan(before.updatedAt);
+  });
+
+  it('renames conversations and keeps the name when they are saved again', () => {
+    const store = createStore();
+    store.saveConversation({ id: 'c1', messages: [question('q1', 'First')] });
+
+    store.renameConversation('c1', '  Sales review ');
+    store.saveConversation({ id: 'c1', messages: [question('q1', 'First'), question('q2', 'More')] });
+
+    expect(store.loadConversation('c1').title).toBe('Sales review');
+    expect(store.listConversations()[0].title).toBe('Sales review');
+    store.renameConversation('c1', '   ');
+    expect(store.loadConversation('c1').title).toBe('Sales review');
+  });
+
+  it('deletes conversations, and forgets them as the current one', () => {
+    const store = createStore();
+    store.saveConversation({ id: 'c1', messages: [question('q1', 'First')] });
+    store.saveConversation({ id: 'c2', messages: [question('q2', 'Second')] });
+    store.setCurrentConversationId('c1');
+
+    store.deleteConversation('c1');
+
+    expect(store.loadConversation('c1')).toBeNull();
+    expect(store.listConversations().map((entry) => entry.id)).toEqual(['c2']);
+    expect(store.getCurrentConversationId()).toBeNull();
+  });
+
+  it('searches titles, questions, answers and text sections', () => {
+    const store = createStore();
+    store.saveConversation({ id: 'c1', messages: [question('q1', 'Revenue by month')] });
+    store.saveConversation({
+      id: 'c2',
+      messages: [answer('r2', 'Churn', 'Churn fell.', [{ id: 's1', type: 'text', heading: 'Retention', content: 'Cohorts in **EMEA** held up' }])],
+    });
+    store.renameConversation('c1', 'Board pack');
+
+    const search = (query) => store.searchConversations(query).map((entry) => entry.id);
+    expect(search('board')).toEqual(['c1']);
+    expect(search('REVENUE')).toEqual(['c1']);
+    expect(search('churn fell')).toEqual(['c2']);
+    expect(search('retention')).toEqual(['c2']);
+    expect(search('emea')).toEqual(['c2']);
+    expect(search('forecast')).toEqual([]);
+    expect(search('  ')).toHaveLength(2);
+  });
+
+  it('imports conversations without overwriting saved ones', () => {
+    const store = createStore();
+    store.saveConversation({ id: 'c1', messages: [question('q1', 'Mine')] });
+
+    const imported = store.importConversation({ id: 'c1', title: 'Theirs', createdAt: 1, messages: [question('q9', 'Theirs')] });
+
+    expect(imported.id).not.toBe('c1');
+    expect(imported).toMatchObject({ title: 'Theirs', createdAt: 1 });
+    expect(store.loadConversation('c1').title).toBe('Mine');
+    expect(store.listConversations()).toHaveLength(2);
+  });
+
+  it('remembers the current conversation across store instances', () => {
+    const storage = createMemoryStorage();
+    createStore(storage).setCurrentConversationId('c7');
+    expect(createStore(storage).getCurrentConversationId()).toBe('c7');
+  });
+
+  it('ignores unreadable saved data', () => {
+    const storage = createMemoryStorage();
+    storage.setItem('chat-conversations', '{not json');
+    storage.setItem('chat-conversation:c1', '{"id":"c1"}');
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    const store = createStore(storage);
+    expect(store.listConversations()).toEqual([]);
+    expect(store.loadConversation('c1')).toBeNull();
+    warn.mockRestore();
+  });
+
+  it('reports a full storage', () => {
+    const storage = createMemoryStorage();
+    storage.setItem = () => {
+      const error = new Error('Quota exceeded');
+      error.name = 'QuotaExceededError';
+      throw error;
+    };
+    expect(() => createStore(storage).saveConversation({ id: 'c1', messages: [] })).toThrow('storage is full');
+  });
+
+  it('keeps conversations in localStorage by default', () => {
+    window.localStorage.clear();
+    createConversationStore().saveConversation({ id: 'c1', messages: [question('q1', 'Saved')] });
+    expect(createConversationStore().loadConversation('c1').title).toBe('Saved');
+    window.localStorage.clear();
+  });
+});
@@ -0,0 +1,371 @@
+/**
+ * Word (DOCX) export of a response
+ * Walks the same section model as ChatResponse and the PDF builder: text
+ * sections through the markdown tree, tables through cellFormat /
+ * htmlTableParser (as native Word tables) and charts as PNGs painted from
+ * the chartRenderer primitives.
+ */
+import {
+  AlignmentType,
+  BorderStyle,
+  Document,
+  ExternalHyperlink,
+  HeadingLevel,
+  ImageRun,
+  LevelFormat,
+  Packer,
+  PageOrientation,
+  Paragraph,
+  ShadingType,
+  Table,
+  TableCell,
+  TableRow,
+  TextRun,
+  WidthType
+} from 'docx';
+import { parseMarkdown, parsePlainText } from './markdownParser';
+import { parseHtmlTable } from './htmlTableParser';
+import { formatTableRows, getCellAlignment } from './cellFormat';
+import { renderChartToPNG } from './chartRenderer';
+import { isSafeUrl } from './sanitizeHtml';
+import { getResponseSections, selectSections } from './responseSections';
+import { resolvePageSetup } from './pageSetup';
+import { applyTableViews } from './tableView';
+import { downloadBlob, getExportFilename } from './download';
+
+const TEXT_COLOR = '555555';
+const HEADING_COLOR = '333333';
+const BRAND_COLOR = '667EEA';
+const RULE_COLOR = 'E0E0E0';
+const HEADER_FILL = 'F0F4F8';
+const CODE_FILL = 'F4F4F4';
+const QUOTE_COLOR = '666666';
+const MONO_FONT = 'Consolas';
+
+// Sizes are in half-points, distances in twentieths of a point
+const TABLE_FONT_SIZE = 18;
+const LIST_INDENT = 360;
+// The PDF's 15mm margins
+const PAGE_MARGIN = 850;
+const TWIPS_PER_MM = 1440 / 25.4;
+// Chart image width in pixels (96 dpi), narrower on pages without room for it
+const CHART_WIDTH = 600;
+const PIXELS_PER_MM = 96 / 25.4;
+
+const HEADING_LEVELS = [
+  HeadingLevel.HEADING_1,
+  HeadingLevel.HEADING_2,
+  HeadingLevel.HEADING_3,
+  HeadingLevel.HEADING_4,
+  HeadingLevel.HEADING_5,
+  HeadingLevel.HEADING_6
+];
+
+const shading = (fill) => ({ type: ShadingType.CLEAR, fill, color: 'auto' });
+
+/**
+ * Text runs for a string; line breaks become breaks
+ */
+const textRuns = (text, style = {}) => String(text ?? '').split('\n').map((line, index) => (
+  new TextRun({ ...style, text: line, break: index > 0 ? 1 : undefined })
+));
+
+/**
+ * Runs for inline markdown nodes
+ */
+const inlineRuns = (nodes, style = {}) => nodes.flatMap((node) => {
+  switch (node.type) {
+    case 'text':
+      return [new TextRun({ ...style, text: node.value })];
+    case 'strong':
+      return inlineRuns(node.children, { ...style, bold: true });
+    case 'emphasis':
+      return inlineRuns(node.children, { ...style, italics: true });
+    case 'code':
+      return [new TextRun({ ...style, text: node.value, font: MONO_FONT, shading: shading(CODE_FILL) })];
+    case 'link':
+      // Links to unsafe URLs are kept as plain text, as on screen
+      if (!isSafeUrl(node.href)) return inlineRuns(node.children, style);
+      return [new ExternalHyperlink({ link: node.href, children: inlineRuns(node.children, { ...style, style: 'Hyperlink' }) })];
+    case 'break':
+      return [new TextRun({ break: 1 })];
+    default:
+      return [];
+  }
+});
+
+/**
+ * Numbering definitions for ordered lists; one per start number, each
+ * list gets its own instance so numbering restarts
+ */
+const createNumbering = () => {
+  const starts = new Set();
+  let instance = 0;
+  return {
+    next(start) {
+      starts.add(start);
+      instance += 1;
+      return { reference: `ordered-${start}`, instance };
+    },
+    config() {
+      return [...starts].map((start) => ({
+        reference: `ordered-${start}`,
+        levels: Array.from({ length: 9 }, (_, level) => ({
+          level,
+          format: LevelFormat.DECIMAL,
+          text: `%${level + 1}.`,
+          alignment: AlignmentType.START,
+          start: level === 0 ? start : 1,
+          style: { paragraph: { indent: { left: LIST_INDENT * (level + 2), hanging: LIST_INDENT } } }
+        }))
+      }));
+    }
+  };
+};
+
+/**
+ * Paragraph options for markdown block nodes
+ * @param {Array} nodes - Block nodes
+ * @param {Object} ctx - { numbering } plus the list/quote state of the parents
+ */
+const blockParagraphs = (nodes, ctx) => nodes.flatMap((node) => {
+  const base = {
+    ...(ctx.indent ? { indent: { left: ctx.indent } } : {}),
+    ...(ctx.quote ? { border: { left: { style: BorderStyle.SINGLE, size: 24, color: BRAND_COLOR, space: 8 } } } : {})
+  };
+
+  switch (node.type) {
+    case 'heading':
+      return [{
+        ...base,
+        heading: HEADING_LEVELS[Math.min(node.level + 1, 5)],
+        children: inlineRuns(node.children)
+      }];
+    case 'paragraph':
+      return [{ ...base, children: inlineRuns(node.children, ctx.quote ? { color: QUOTE_COLOR } : {}) }];
+    case 'list': {
+      const level = ctx.listLevel === undefined ? 0 : ctx.listLevel + 1;
+      const numbering = node.ordered ? ctx.numbering.next(node.start) : null;
+      return node.items.flatMap((item) => {
+        // The first paragraph carries the bullet or number; the rest of the
+        // item lines up with its text
+        const [first, ...rest] = blockParagraphs(item.children, {
+          ...ctx,
+          listLevel: level,
+          indent: LIST_INDENT * (level + 2)
+        });
+        if (!first) return [];
+        const marker = numbering ? { numbering: { ...numbering, level } } : { bullet: { level } };
+        return [{ ...marker, children: first.children }, ...rest];
+      });
+    }
+    case 'blockquote':
+      return blockParagraphs(node.children, { ...ctx, quote: true, indent: (ctx.indent || 0) + LIST_INDENT });
+    case 'codeBlock':
+      return [{
+        ...base,
+        shading: shading(CODE_FILL),
+        children: textRuns(node.value, { font: MONO_FONT, size: 18 })
+      }];
+    case 'thematicBreak':
+      return [{ border: { bottom: { style: BorderStyle.SINGLE, size: 6, color: RULE_COLOR, space: 1 } } }];
+    default:
+      return [];
+  }
+});
+
+const tableCell = (children, { alignment = AlignmentType.LEFT, fill, colSpan, rowSpan } = {}) => new TableCell({
+  children: [new Paragraph({ alignment, children })],
+  shading: fill ? shading(fill) : undefined,
+  columnSpan: colSpan > 1 ? colSpan : undefined,
+  rowSpan: rowSpan > 1 ? rowSpan : undefined,
+  margins: { top: 60, bottom: 60, left: 100, right: 100 }
+});
+
+const TABLE_BORDER = { style: BorderStyle.SINGLE, size: 4, color: RULE_COLOR };
+
+const createTable = (rows) => new Table({
+  rows,
+  width: { size: 100, type: WidthType.PERCENTAGE },
+  borders: {
+    top: TABLE_BORDER,
+    bottom: TABLE_BORDER,
+    left: TABLE_BORDER,
+    right: TABLE_BORDER,
+    insideHorizontal: TABLE_BORDER,
+    insideVertical: TABLE_BORDER
+  }
+});
+
+/**
+ * Word table for a rows/columns section, formatted like on screen
+ */
+const rowsTable = (section) => {
+  const { formats, body, totals } = formatTableRows(section);
+  const alignments = formats.map((format) => (
+    getCellAlignment(format) === 'right' ? AlignmentType.RIGHT : AlignmentType.LEFT
+  ));
+  const row = (cells, { header = false, bold = false, fill } = {}) => new TableRow({
+    tableHeader: header || undefined,
+    children: cells.map((text, index) => tableCell(
+      textRuns(text, { bold, size: TABLE_FONT_SIZE, color: bold ? HEADING_COLOR : TEXT_COLOR }),
+      { alignment: alignments[index], fill }
+    ))
+  });
+
+  return createTable([
+    row(section.columns, { header: true, bold: true, fill: HEADER_FILL }),
+    ...body.map((cells) => row(cells)),
+    ...(totals ? [row(totals, { bold: true, fill: HEADER_FILL })] : [])
+  ]);
+};
+
+/**
+ * Word table for a tableHtml section, keeping spans and inline styles
+ */
+const htmlTable = (section) => {
+  const table = parseHtmlTable(section.tableHtml);
+  if (!table) return null;
+
+  const cellRuns = (cell, sectionStyle) => {
+    const style = { size: TABLE_FONT_SIZE, color: sectionStyle.bold ? HEADING_COLOR : TEXT_COLOR };
+    if (cell.inline) return inlineRuns(cell.inline, style);
+    const fontStyle = cell.styles.fontStyle || '';
+    return textRuns(cell.content, {
+      ...style,
+      bold: sectionStyle.bold || fontStyle.includes('bold'),
+      italics: fontStyle.includes('italic')
+    });
+  };
+  const rows = (sectionRows, sectionStyle) => sectionRows.map((cells) => new TableRow({
+    tableHeader: sectionStyle.header || undefined,
+    children: cells.map((cell) => tableCell(cellRuns(cell, sectionStyle), {
+      fill: sectionStyle.fill,
+      colSpan: cell.colSpan,
+      rowSpan: cell.rowSpan
+    }))
+  }));
+
+  return createTable([
+    ...rows(table.head, { header: true, bold: true, fill: HEADER_FILL }),
+    ...rows(table.body, {}),
+    ...rows(table.foot, { bold: true, fill: HEADER_FILL })
+  ]);
+};
+
+const sectionHeading = (text) => new Paragraph({ heading: HeadingLevel.HEADING_2, children: [new TextRun(text)] });
+
+const labeledParagraphs = (label, text) => [
+  new Paragraph({ heading: HeadingLevel.HEADING_3, children: [new TextRun(label)] }),
+  new Paragraph({ children: textRuns(text) })
+];
+
+/**
+ * Document content for one section
+ */
+const sectionContent = async (section, ctx) => {
+  const content = section.heading ? [sectionHeading(section.heading)] : [];
+
+  if (section.type === 'text') {
+    const tree = section.isFormatted ? parseMarkdown(section.content) : parsePlainText(section.content);
+    content.push(...blockParagraphs(tree.children, ctx).map((options) => new Paragraph(options)));
+  } else if (section.type === 'table') {
+    const table = section.rows && section.columns ? rowsTable(section) : htmlTable(section);
+    if (table) content.push(table, new Paragraph({}));
+  } else if (section.type === 'chart' && section.data && section.data.length > 0) {
+    const image = await renderChartToPNG(section.data, section.chartType || 'bar');
+    content.push(new Paragraph({
+      alignment: AlignmentType.CENTER,
+      children: [new ImageRun({
+        type: 'png',
+        data: image.data,
+        transformation: { width: ctx.chartWidth, height: Math.round((ctx.chartWidth * image.height) / image.width) },
+        altText: { name: section.id || 'chart', title: section.heading || 'Chart', description: section.heading || 'Chart' }
+      })]
+    }));
+  }
+  return content;
+};
+
+const headingStyle = (id, name, size, color) => ({
+  id,
+  name,
+  basedOn: 'Normal',
+  next: 'Normal',
+  quickFormat: true,
+  run: { size, bold: true, color },
+  paragraph: { spacing: { before: 240, after: 120 } }
+});
+
+/**
+ * Build a Word document for a single response
+ * @param {Object} response - { id, question, answer, sections, charts, chartData, chartType }
+ * @param {Object} options
+ * @param {string} options.title - Document title
+ * @param {Object} options.tableViews - Table views by section id (see tableView)
+ * @param {string[]} options.sectionIds - Sections to include (default: all)
+ * @param {boolean} options.includePreamble - Whether to write the question and answer (default: true)
+ * @param {Object} options.page - Page size and orientation (see pageSetup; default A4 portrait)
+ * @returns {Promise<Document>}
+ */
+export const buildResponseDocx = async (response, options = {}) => {
+  const { title = 'Chat Response', tableViews, sectionIds, includePreamble = true } = options;
+  const { format: [pageWidth, pageHeight], orientation } = resolvePageSetup(options.page);
+  const textWidth = (orientation === 'landscape' ? pageHeight : pageWidth) - (2 * PAGE_MARGIN) / TWIPS_PER_MM;
+  const ctx = {
+    numbering: createNumbering(),
+    chartWidth: Math.min(CHART_WIDTH, Math.floor(textWidth * PIXELS_PER_MM))
+  };
+  const children = [
+    new Paragraph({ heading: HeadingLevel.HEADING_1, children: [new TextRun(title)] }),
+    ...(includePreamble
+      ? [...labeledParagraphs('Question:', response.question), ...labeledParagraphs('Answer:', response.answer)]
+      : [])
+  ];
+
+  const sections = selectSections(applyTableViews(getResponseSections(response), tableViews), sectionIds);
+  for (const section of sections) {
+    children.push(...await sectionContent(section, ctx));
+  }
+
+  children.push(new Paragraph({
+    spacing: { before: 240 },
+    children: [new TextRun({ text: `Generated on ${new Date().toLocaleString()}`, italics: true, size: 16, color: '969696' })]
+  }));
+
+  return new Document({
+    title,
+    creator: 'Chat Analytics Assistant',
+    styles: {
+      default: { document: { run: { font: 'Calibri', size: 21, color: TEXT_COLOR } } },
+      paragraphStyles: [
+        headingStyle('Heading1', 'Heading 1', 32, HEADING_COLOR),
+        headingStyle('Heading2', 'Heading 2', 26, BRAND_COLOR),
+        headingStyle('Heading3', 'Heading 3', 22, HEADING_COLOR),
+        headingStyle('Heading4', 'Heading 4', 21, HEADING_COLOR)
+      ]
+    },
+    numbering: { config: ctx.numbering.config() },
+    sections: [{
+      properties: {
+        page: {
+          size: {
+            width: Math.round(pageWidth * TWIPS_PER_MM),
+            height: Math.round(pageHeight * TWIPS_PER_MM),
+            orientation: orientation === 'landscape' ? PageOrientation.LANDSCAPE : PageOrientation.PORTRAIT
+          },
+          margin: { top: PAGE_MARGIN, right: PAGE_MARGIN, bottom: PAGE_MARGIN, left: PAGE_MARGIN }
+        }
+      },
+      children
+    }]
+  });
+};
+
+/**
+ * Download a Word document (see getExportFilename for the options)
+ */
+export const saveDocx = async (doc, prefix, options) => {
+  const blob = await Packer.toBlob(doc);
+  downloadBlob(blob, getExportFilename(prefix, 'docx', options));
+};
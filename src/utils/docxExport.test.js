@@ -0,0 +1,100 @@
+import { TextEncoder } from 'util';
+import { Packer } from 'docx';
+import JSZip from 'jszip';
+import { buildResponseDocx } from './docxExport';
+
+// jsdom doesn't provide TextEncoder, which Packer needs
+global.TextEncoder = global.TextEncoder || TextEncoder;
+
+// The .docx container is a zip
+const readDocumentXml = async (doc) => {
+  const zip = await JSZip.loadAsync(await Packer.toBuffer(doc));
+  return zip.file('word/document.xml').async('string');
+};
+
+const response = {
+  id: 'resp-1',
+  question: 'How did sales do?',
+  answer: 'Sales grew in every region.',
+  sections: [
+    {
+      type: 'text',
+      id: 'notes',
+      heading: 'Notes',
+      isFormatted: true,
+      content: '**Bold** and *italic* with a [link](https://example.com)\n\n1. First\n2. Second\n\n- Bullet',
+    },
+    {
+      type: 'table',
+      id: 'sales',
+      heading: 'Sales',
+      columns: ['Region', 'Sales'],
+      columnTypes: ['text', { type: 'currency', decimals: 0 }],
+      rows: [['North', 5300], ['South', 4100], ['Total', 9400]],
+      totalsRow: true,
+    },
+    {
+      type: 'table',
+      id: 'spans',
+      heading: 'Spans',
+      tableHtml: '<table><thead><tr><th colspan="2">Revenue</th></tr></thead><tbody><tr><td>Q1</td><td>Q2</td></tr></tbody></table>',
+    },
+  ],
+};
+
+describe('buildResponseDocx', () => {
+  it('writes the question, answer and formatted text', async () => {
+    const xml = await readDocumentXml(await buildResponseDocx(response, { title: 'Sales Report' }));
+
+    expect(xml).toContain('Sales Report');
+    expect(xml).toContain('How did sales do?');
+    expect(xml).toContain('Sales grew in every region.');
+    expect(xml).toMatch(/<w:b\/>.*?Bold/);
+    expect(xml).toMatch(/<w:i\/>.*?italic/);
+    expect(xml).toContain('<w:hyperlink');
+  });
+
+  it('uses Word bullets and numbering for lists', async () => {
+    const xml = await readDocumentXml(await buildResponseDocx(response));
+
+    expect(xml.match(/<w:numPr>/g)).toHaveLength(3);
+    expect(xml).toContain('First');
+    expect(xml).toContain('Bullet');
+  });
+
+  it('exports tables as native tables with formatted values', async () => {
+    const xml = await readDocumentXml(await buildResponseDocx(response));
+
+    expect(xml.match(/<w:tbl>/g)).toHaveLength(2);
+    expect(xml).toContain('$5,300');
+    expect(xml).toContain('$9,400');
+    expect(xml).toContain('<w:gridSpan w:val="2"/>');
+  });
+
+  it('exports tables as shown', async () => {
+    const xml = await readDocumentXml(await buildResponseDocx(response, {
+      tableViews: { 'resp-1-sales': { sortColumn: 1, sortDirection: 'asc', hiddenColumns: [] } },
+    }));
+
+    expect(xml.indexOf('South')).toBeLessThan(xml.indexOf('North'));
+    // The totals row stays last
+    expect(xml.indexOf('$9,400')).toBeGreaterThan(xml.indexOf('$5,300'));
+  });
+
+  it('uses the chosen page size and orientation', async () => {
+    const xml = await readDocumentXml(await buildResponseDocx(response, { page: { size: 'letter', orientation: 'landscape' } }));
+
+    expect(xml).toMatch(/<w:pgSz w:w="15840" w:h="12240" w:orient="landscape"\/>/);
+  });
+
+  it('leaves out the preamble and unselected sections', async () => {
+    const xml = await readDocumentXml(await buildResponseDocx(response, {
+      includePreamble: false,
+      sectionIds: ['resp-1-sales'],
+    }));
+
+    expect(xml).not.toContain('How did sales do?');
+    expect(xml).not.toContain('Bullet');
+    expect(xml.match(/<w:tbl>/g)).toHaveLength(1);
+  });
+});
@@ -0,0 +1,35 @@
+/**
+ * File download helpers shared by the exporters
+ */
+
+/**
+ * File name with a timestamp, e.g. chat-msg-2-2026-01-15T10-30-00.pdf
+ * With `timestamp: false` the prefix is the file name as the user chose it:
+ * characters file systems reject are replaced and a typed extension dropped.
+ */
+export const getExportFilename = (prefix, extension, { timestamp = true } = {}) => {
+  if (!timestamp) {
+    const name = String(prefix)
+      .replace(/[\\/:*?"<>|]+/g, '-')
+      .replace(new RegExp(`\\.${extension}$`, 'i'), '')
+      .trim();
+    return `${name || 'export'}.${extension}`;
+  }
+  const time = new Date().toISOString().slice(0, 19).replace(/:/g, '-');
+  return `${prefix}-${time}.${extension}`;
+};
+
+/**
+ * Save a Blob through a temporary object URL
+ */
+export const downloadBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Revoke after the click has been handled
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
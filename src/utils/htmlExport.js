@@ -0,0 +1,181 @@
+/**
+ * Standalone HTML export of a response
+ * One self-contained file with the markup ChatResponse renders: the page's
+ * styles for that markup are inlined (ChatResponse.css / DataTable.css as
+ * loaded) and charts are inline SVG, so it opens anywhere without the app.
+ */
+import { formatTableRows, getCellAlignment } from './cellFormat';
+import { renderChartToSVG } from './chartRenderer';
+import { renderMarkdownToHTML } from './markdownRenderer';
+import { escapeHtml, sanitizeHtml } from './sanitizeHtml';
+import { getResponseSections, selectSections } from './responseSections';
+import { applyTableViews } from './tableView';
+import { downloadBlob, getExportFilename } from './download';
+import { createTheme, getChartColors, getThemeStyle } from './theme';
+
+// Page frame; the app's global styles (index.css) aren't part of the export
+const PAGE_CSS = `body {
+  margin: 0;
+  padding: 24px;
+  background: #f5f5f5;
+  font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', 'Roboto', 'Helvetica Neue', Arial, sans-serif;
+}
+
+.chat-export {
+  max-width: 900px;
+  margin: 0 auto;
+}
+
+code,
+pre {
+  font-family: source-code-pro, Menlo, Monaco, Consolas, 'Courier New', monospace;
+}
+
+.chart-capture-container svg {
+  display: block;
+  max-width: 100%;
+  height: auto;
+}`;
+
+/**
+ * Rules of the page's stylesheets; cross-origin sheets can't be read
+ */
+const getStyleRules = () => {
+  if (typeof document === 'undefined') return [];
+  return Array.from(document.styleSheets).flatMap((sheet) => {
+    try {
+      return Array.from(sheet.cssRules);
+    } catch (error) {
+      return [];
+    }
+  });
+};
+
+const ruleApplies = (rule, classNames) => {
+  if (rule.selectorText !== undefined) {
+    return Array.from(rule.selectorText.matchAll(/\.([\w-]+)/g)).some(([, name]) => classNames.has(name));
+  }
+  // @media and other grouping rules
+  if (rule.cssRules) return Array.from(rule.cssRules).some((child) => ruleApplies(child, classNames));
+  return false;
+};
+
+/**
+ * CSS text of the loaded rules that mention a class used in the markup
+ * @param {string} markup - HTML the styles are for
+ * @returns {string}
+ */
+const collectStyles = (markup) => {
+  const classNames = new Set(Array.from(markup.matchAll(/class="([^"]*)"/g)).flatMap(([, value]) => value.split(/\s+/)));
+  return getStyleRules()
+    .filter((rule) => ruleApplies(rule, classNames))
+    .map((rule) => rule.cssText)
+    .join('\n');
+};
+
+/**
+ * Rows/columns table with the DataTable classes and formatted values
+ */
+const rowsTableHtml = (section) => {
+  const { formats, body, totals } = formatTableRows(section);
+  const cells = (row, tag) => row
+    .map((value, c) => `<${tag} class="cell-${getCellAlignment(formats[c])}">${escapeHtml(value)}</${tag}>`)
+    .join('');
+
+  return [
+    '<div class="table-wrapper"><table class="data-table">',
+    `<thead><tr>${cells(section.columns, 'th')}</tr></thead>`,
+    `<tbody>${body.map((row) => `<tr>${cells(row, 'td')}</tr>`).join('')}</tbody>`,
+    totals ? `<tfoot><tr class="totals-row">${cells(totals, 'td')}</tr></tfoot>` : '',
+    '</table></div>'
+  ].join('');
+};
+
+const sectionHtml = (section, colors) => {
+  const heading = (className, tag = 'h3') => (
+    section.heading ? `<${tag} class="${className}">${escapeHtml(section.heading)}</${tag}>` : ''
+  );
+
+  let content = '';
+  if (section.type === 'text') {
+    const text = section.isFormatted
+      ? `<div class="section-text">${sanitizeHtml(renderMarkdownToHTML(section.content))}</div>`
+      : `<p class="section-text">${escapeHtml(section.content)}</p>`;
+    content = `<div class="text-section">${heading('section-heading')}${text}</div>`;
+  } else if (section.type === 'table') {
+    const table = section.rows && section.columns
+      ? rowsTableHtml(section)
+      : `<div class="table-wrapper">${sanitizeHtml(section.tableHtml || '')}</div>`;
+    content = `<div class="table-section">${heading('table-title')}${table}</div>`;
+  } else if (section.type === 'chart') {
+    const chart = renderChartToSVG(section.data, section.chartType || 'bar', { title: section.heading || 'Chart', colors });
+    content = `<div class="chart-section">${heading('chart-title', 'div')}<div class="chart-capture-container">${chart}</div></div>`;
+  }
+  return `<div class="section section-${section.type}">${content}</div>`;
+};
+
+/**
+ * Build a self-contained HTML document for a single response
+ * @param {Object} response - { id, question, answer, sections, charts, chartData, chartType }
+ * @param {Object} options
+ * @param {string} options.title - Document title (defaults to the theme's)
+ * @param {Object} options.tableViews - Table views by section id (see tableView)
+ * @param {string[]} options.sectionIds - Sections to include (default: all)
+ * @param {boolean} options.includePreamble - Whether to write the question and answer (default: true)
+ * @param {Object} options.theme - Theme, complete or partial (see theme)
+ * @returns {string}
+ */
+export const buildResponseHtml = (response, options = {}) => {
+  const { title, tableViews, sectionIds, includePreamble = true } = options;
+  const theme = createTheme(options.theme);
+  const sections = selectSections(applyTableViews(getResponseSections(response), tableViews), sectionIds);
+  const preamble = includePreamble ? `<div class="chat-question-section">
+<div class="question-label">📝 You asked:</div>
+<p class="question-text">${escapeHtml(response.question || '')}</p>
+</div>
+<div class="chat-answer-section">
+<div class="answer-label">🤖 AI Response:</div>
+<p class="answer-text">${escapeHtml(response.answer || '')}</p>
+</div>
+` : '';
+  const colors = getChartColors(theme);
+  const themeStyle = Object.entries(getThemeStyle(theme))
+    .map(([name, value]) => `${name}: ${value}`)
+    .join('; ');
+  const logo = theme.logo
+    ? `<img class="response-logo" src="${escapeHtml(theme.logo.src)}" alt="${escapeHtml(theme.logo.alt || '')}">\n`
+    : '';
+  const body = `<div class="chat-export">
+<div class="chat-response-container" style="${escapeHtml(themeStyle)}">
+<div class="chat-response-content">
+${logo}${preamble}${sections.length > 0 ? `<div class="sections-container">\n${sections.map((section) => sectionHtml(section, colors)).join('\n')}\n</div>` : ''}
+<div class="message-metadata"><span class="timestamp">Generated on ${escapeHtml(new Date().toLocaleString())}</span></div>
+</div>
+</div>
+</div>`;
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title || theme.title)}</title>
+<style>
+${PAGE_CSS}
+${collectStyles(body)}
+</style>
+</head>
+<body>
+${body}
+</body>
+</html>
+`;
+};
+
+/**
+ * Download an HTML document (see getExportFilename for the options)
+ */
+export const saveHtml = (html, prefix, options) => {
+  const blob = new Blob([html], { type: 'text/html;charset=utf-8' });
+  downloadBlob(blob, getExportFilename(prefix, 'html', options));
+};
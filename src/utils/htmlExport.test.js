@@ -0,0 +1,93 @@
+import { buildResponseHtml } from './htmlExport';
+
+const response = {
+  id: 'resp-1',
+  question: 'How did <sales> do?',
+  answer: 'Sales grew in every region.',
+  sections: [
+    {
+      type: 'text',
+      id: 'notes',
+      heading: 'Notes',
+      isFormatted: true,
+      content: '**Bold** text',
+    },
+    {
+      type: 'table',
+      id: 'sales',
+      heading: 'Sales',
+      columns: ['Region', 'Sales'],
+      columnTypes: ['text', { type: 'currency', decimals: 0 }],
+      rows: [['North', 5300], ['Total', 5300]],
+      totalsRow: true,
+    },
+    {
+      type: 'chart',
+      id: 'trend',
+      heading: 'Trend',
+      data: [{ name: 'Jan', value: 10 }, { name: 'Feb', value: 12 }],
+    },
+  ],
+};
+
+describe('buildResponseHtml', () => {
+  let style;
+
+  beforeEach(() => {
+    style = document.createElement('style');
+    style.textContent = `
+      .chat-response-container { border: 1px solid #e0e0e0; }
+      .chat-app-header { color: white; }
+      @media print { .download-bar, .chat-response-content { padding: 0; } }
+    `;
+    document.head.appendChild(style);
+  });
+
+  afterEach(() => {
+    style.remove();
+  });
+
+  test('builds a complete document with escaped text', () => {
+    const html = buildResponseHtml(response, { title: 'Sales <Report>' });
+    expect(html.startsWith('<!DOCTYPE html>')).toBe(true);
+    expect(html).toContain('<title>Sales &lt;Report&gt;</title>');
+    expect(html).toContain('How did &lt;sales&gt; do?');
+    expect(html).toContain('<strong>Bold</strong> text');
+  });
+
+  test('inlines the page styles used by the markup', () => {
+    const html = buildResponseHtml(response);
+    expect(html).toContain('.chat-response-container {border: 1px solid #e0e0e0;}');
+    expect(html).toContain('@media print');
+    expect(html).not.toContain('.chat-app-header');
+  });
+
+  test('writes tables with formatted, aligned cells', () => {
+    const html = buildResponseHtml(response);
+    expect(html).toContain('<th class="cell-right">Sales</th>');
+    expect(html).toContain('<td class="cell-right">$5,300</td>');
+    expect(html).toContain('<tfoot><tr class="totals-row"><td class="cell-left">Total</td>');
+  });
+
+  test('draws charts as inline SVG', () => {
+    const html = buildResponseHtml(response);
+    expect(html).toMatch(/<div class="chart-capture-container"><svg [^>]*aria-label="Trend"/);
+    expect(html).toContain('<rect');
+    expect(html).toContain('>Feb</text>');
+  });
+
+  it('applies the theme to the page, the logo and the charts', () => {
+    const html = buildResponseHtml(response, {
+      theme: {
+        title: 'Acme Report',
+        palette: { brand: '#c0392b', series: { value: '#2e7d32' } },
+        logo: { src: 'https://example.com/logo.png', alt: 'Acme' },
+      },
+    });
+
+    expect(html).toContain('<title>Acme Report</title>');
+    expect(html).toMatch(/class="chat-response-container" style="[^"]*--theme-brand: #c0392b/);
+    expect(html).toContain('<img class="response-logo" src="https://example.com/logo.png" alt="Acme">');
+    expect(html).toContain('fill="#2e7d32"');
+  });
+});
@@ -0,0 +1,180 @@
+/**
+ * HTML table parser
+ * Converts a section's `tableHtml` into the head/body/foot structure
+ * jspdf-autotable takes, so HTML tables export like rows/columns tables.
+ *
+ * Each cell is an autoTable cell definition:
+ *   { content, colSpan, rowSpan, styles: { fontStyle }, inline }
+ * `content` is the plain text (line breaks as \n). When the whole cell is
+ * bold and/or italic that becomes its fontStyle; cells mixing styles keep
+ * their inline nodes (the same nodes as markdownParser) in `inline` so they
+ * can be drawn run by run.
+ */
+import { sanitizeHtml } from './sanitizeHtml';
+
+const BLOCK_TAGS = new Set(['p', 'div', 'li', 'ul', 'ol', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'blockquote', 'pre', 'tr']);
+
+/**
+ * Convert a cell's DOM content to inline nodes
+ */
+const readInline = (parent) => {
+  const nodes = [];
+  parent.childNodes.forEach((node) => {
+    if (node.nodeType === 3) {
+      nodes.push({ type: 'text', value: node.textContent });
+      return;
+    }
+    if (node.nodeType !== 1) return;
+
+    const tag = node.localName;
+    const children = readInline(node);
+    if (tag === 'br') {
+      nodes.push({ type: 'break' });
+    } else if (tag === 'strong' || tag === 'b') {
+      nodes.push({ type: 'strong', children });
+    } else if (tag === 'em' || tag === 'i') {
+      nodes.push({ type: 'emphasis', children });
+    } else if (tag === 'code') {
+      nodes.push({ type: 'code', value: node.textContent });
+    } else if (tag === 'a' && node.getAttribute('href')) {
+      nodes.push({ type: 'link', href: node.getAttribute('href'), children });
+    } else if (BLOCK_TAGS.has(tag)) {
+      nodes.push({ type: 'break' }, ...children, { type: 'break' });
+    } else {
+      nodes.push(...children);
+    }
+  });
+  return nodes;
+};
+
+/**
+ * Flatten inline nodes into styled runs, collapsing whitespace the way
+ * the browser does
+ */
+const toRuns = (nodes, style = {}, runs = []) => {
+  nodes.forEach((node) => {
+    if (node.type === 'text') {
+      runs.push({ ...style, text: node.value.replace(/\s+/g, ' ') });
+    } else if (node.type === 'break') {
+      runs.push({ isBreak: true });
+    } else if (node.type === 'code') {
+      runs.push({ ...style, code: true, text: node.value.replace(/\s+/g, ' ') });
+    } else if (node.type === 'strong') {
+      toRuns(node.children, { ...style, bold: true }, runs);
+    } else if (node.type === 'emphasis') {
+      toRuns(node.children, { ...style, italic: true }, runs);
+    } else if (node.type === 'link') {
+      toRuns(node.children, { ...style, href: node.href }, runs);
+    }
+  });
+  return runs;
+};
+
+/**
+ * Trim spaces at the start and end of each line and drop empty lines
+ */
+const normalizeRuns = (runs) => {
+  const lines = [[]];
+  runs.forEach((run) => {
+    if (run.isBreak) lines.push([]);
+    else lines[lines.length - 1].push({ ...run });
+  });
+
+  const result = [];
+  lines.forEach((line) => {
+    // Collapse spaces across run boundaries
+    line.forEach((run, index) => {
+      if (index > 0 && line[index - 1].text.endsWith(' ')) run.text = run.text.replace(/^ /, '');
+    });
+    if (line.length > 0) {
+      line[0].text = line[0].text.replace(/^ /, '');
+      line[line.length - 1].text = line[line.length - 1].text.replace(/ $/, '');
+    }
+    const content = line.filter((run) => run.text);
+    if (content.length === 0) return;
+    if (result.length > 0) result.push({ isBreak: true });
+    result.push(...content);
+  });
+  return result;
+};
+
+/**
+ * Rebuild inline nodes from runs
+ */
+const toInline = (runs) => runs.map((run) => {
+  if (run.isBreak) return { type: 'break' };
+  let node = run.code ? { type: 'code', value: run.text } : { type: 'text', value: run.text };
+  if (run.italic) node = { type: 'emphasis', children: [node] };
+  if (run.bold) node = { type: 'strong', children: [node] };
+  if (run.href) node = { type: 'link', href: run.href, children: [node] };
+  return node;
+});
+
+const parseCell = (element) => {
+  // Header cells are bold throughout, like in the browser
+  const runs = normalizeRuns(toRuns(readInline(element), element.localName === 'th' ? { bold: true } : {}));
+  const textRuns = runs.filter((run) => !run.isBreak);
+
+  const cell = {
+    content: runs.map((run) => (run.isBreak ? '\n' : run.text)).join(''),
+    colSpan: Math.max(1, parseInt(element.getAttribute('colspan'), 10) || 1),
+    rowSpan: Math.max(1, parseInt(element.getAttribute('rowspan'), 10) || 1),
+    styles: {},
+  };
+
+  const allBold = textRuns.length > 0 && textRuns.every((run) => run.bold);
+  const allItalic = textRuns.length > 0 && textRuns.every((run) => run.italic);
+  const mixed = textRuns.some((run) => run.code || run.href
+    || Boolean(run.bold) !== allBold || Boolean(run.italic) !== allItalic);
+
+  if (mixed) {
+    cell.inline = toInline(runs);
+    // Measure with the widest style so the runs always fit the cell
+    if (textRuns.some((run) => run.bold)) cell.styles.fontStyle = 'bold';
+  } else if (allBold && allItalic) {
+    cell.styles.fontStyle = 'bolditalic';
+  } else if (allBold) {
+    cell.styles.fontStyle = 'bold';
+  } else if (allItalic) {
+    cell.styles.fontStyle = 'italic';
+  }
+
+  return cell;
+};
+
+const parseRows = (rows) => rows.map((row) => Array.from(row.cells).map(parseCell));
+
+/**
+ * Parse the first table in an HTML string
+ * Rows in <thead> form the head; without a <thead>, leading rows made only
+ * of <th> cells are used instead.
+ *
+ * @param {string} html - Table markup (sanitized before parsing)
+ * @returns {{ head: Array, body: Array, foot: Array, columnCount: number } | null}
+ */
+export const parseHtmlTable = (html) => {
+  if (!html || typeof DOMParser === 'undefined') return null;
+
+  const doc = new DOMParser().parseFromString(sanitizeHtml(html), 'text/html');
+  const table = doc.querySelector('table');
+  if (!table) return null;
+
+  const rows = Array.from(table.rows);
+  let headRows = table.tHead ? Array.from(table.tHead.rows) : [];
+  if (!table.tHead) {
+    const firstDataRow = rows.findIndex((row) => Array.from(row.cells).some((cell) => cell.localName !== 'th'));
+    // A table made only of <th> rows still gets its first row as the head
+    headRows = rows.slice(0, firstDataRow === -1 ? 1 : firstDataRow);
+  }
+  const footRows = table.tFoot ? Array.from(table.tFoot.rows) : [];
+  const bodyRows = rows.filter((row) => !headRows.includes(row) && !footRows.includes(row));
+
+  const head = parseRows(headRows);
+  const body = parseRows(bodyRows);
+  const foot = parseRows(footRows);
+
+  const columnCount = Math.max(0, ...[...head, ...body, ...foot]
+    .map((row) => row.reduce((count, cell) => count + cell.colSpan, 0)));
+
+  return { head, body, foot, columnCount };
+};
@@ -0,0 +1,79 @@
+import { parseHtmlTable } from './htmlTableParser';
+
+describe('parseHtmlTable', () => {
+  test('splits thead, tbody and tfoot rows', () => {
+    const table = parseHtmlTable(`
+      <table>
+        <thead><tr><th>Region</th><th>Sales</th></tr></thead>
+        <tbody><tr><td>North</td><td>4,500</td></tr><tr><td>South</td><td>3,800</td></tr></tbody>
+        <tfoot><tr><td>Total</td><td>8,300</td></tr></tfoot>
+      </table>
+    `);
+
+    expect(table.columnCount).toBe(2);
+    expect(table.head.map((row) => row.map((cell) => cell.content))).toEqual([['Region', 'Sales']]);
+    expect(table.body.map((row) => row.map((cell) => cell.content))).toEqual([['North', '4,500'], ['South', '3,800']]);
+    expect(table.foot.map((row) => row.map((cell) => cell.content))).toEqual([['Total', '8,300']]);
+  });
+
+  test('uses leading rows of <th> cells as the head without a thead', () => {
+    const table = parseHtmlTable('<table><tr><th>A</th><th>B</th></tr><tr><td>1</td><td>2</td></tr></table>');
+    expect(table.head).toHaveLength(1);
+    expect(table.body).toHaveLength(1);
+    expect(table.head[0][0].styles.fontStyle).toBe('bold');
+  });
+
+  test('keeps colspan and rowspan', () => {
+    const table = parseHtmlTable(`
+      <table>
+        <tr><th rowspan="2">Region</th><th colspan="2">Revenue</th></tr>
+        <tr><th>Q1</th><th>Q2</th></tr>
+        <tr><td>North</td><td>1</td><td>2</td></tr>
+      </table>
+    `);
+
+    expect(table.columnCount).toBe(3);
+    expect(table.head[0][0]).toMatchObject({ content: 'Region', rowSpan: 2, colSpan: 1 });
+    expect(table.head[0][1]).toMatchObject({ content: 'Revenue', rowSpan: 1, colSpan: 2 });
+  });
+
+  test('turns whole-cell bold and italic into the cell font style', () => {
+    const [row] = parseHtmlTable(
+      '<table><tr><td><strong>Total</strong></td><td><em>n/a</em></td><td><b><i>both</i></b></td><td>plain</td></tr></table>'
+    ).body;
+
+    expect(row.map((cell) => cell.styles.fontStyle)).toEqual(['bold', 'italic', 'bolditalic', undefined]);
+    expect(row.every((cell) => !cell.inline)).toBe(true);
+  });
+
+  test('keeps inline nodes for cells mixing styles', () => {
+    const [[cell]] = parseHtmlTable('<table><tr><td>Up <b>12%</b> on <i>last</i> year</td></tr></table>').body;
+
+    expect(cell.content).toBe('Up 12% on last year');
+    expect(cell.styles.fontStyle).toBe('bold');
+    expect(cell.inline).toEqual([
+      { type: 'text', value: 'Up ' },
+      { type: 'strong', children: [{ type: 'text', value: '12%' }] },
+      { type: 'text', value: ' on ' },
+      { type: 'emphasis', children: [{ type: 'text', value: 'last' }] },
+      { type: 'text', value: ' year' },
+    ]);
+  });
+
+  test('collapses whitespace and keeps line breaks', () => {
+    const [[cell]] = parseHtmlTable('<table><tr><td>\n  East <br>  Coast\n</td></tr></table>').body;
+    expect(cell.content).toBe('East\nCoast');
+  });
+
+  test('sanitizes the markup before reading it', () => {
+    const [[cell]] = parseHtmlTable(
+      '<table><tr><td><img src=x onerror=alert(1)>Safe<script>alert(1)</script></td></tr></table>'
+    ).body;
+    expect(cell.content).toBe('Safe');
+  });
+
+  test('returns null without a table', () => {
+    expect(parseHtmlTable('<p>No table here</p>')).toBeNull();
+    expect(parseHtmlTable('')).toBeNull();
+  });
+});
@@ -0,0 +1,86 @@
+/**
+ * Markdown export of a response, for pasting into wikis and tickets
+ * Text sections keep their markdown, tables become pipe tables with the
+ * values formatted as on screen and charts become a table of their data.
+ */
+import { formatTableRows, getCellAlignment } from './cellFormat';
+import { getSectionData } from './spreadsheetExport';
+import { getResponseSections, selectSections } from './responseSections';
+import { applyTableViews } from './tableView';
+
+/**
+ * Pipes would end the cell and line breaks the row
+ */
+const escapeCell = (value) => String(value ?? '')
+  .replace(/\\/g, '\\\\')
+  .replace(/\|/g, '\\|')
+  .replace(/\r?\n/g, '<br>')
+  .trim();
+
+const pipeRow = (cells) => `| ${cells.join(' | ')} |`;
+
+/**
+ * Pipe table; alignments are 'left' or 'right' per column
+ */
+const pipeTable = (head, body, alignments = []) => [
+  pipeRow(head.map(escapeCell)),
+  pipeRow(head.map((_, c) => (alignments[c] === 'right' ? '---:' : '---'))),
+  ...body.map((row) => pipeRow(head.map((_, c) => escapeCell(row[c]))))
+].join('\n');
+
+/**
+ * Pipe tables have no spans: spanned cells repeat the spanning value and
+ * header rows are joined per column
+ */
+const flattenSectionData = ({ head, body, merges }) => {
+  const grid = [...head, ...body].map((row) => [...row]);
+  merges.forEach(({ s, e }) => {
+    for (let r = s.r; r <= e.r; r++) {
+      for (let c = s.c; c <= e.c; c++) grid[r][c] = grid[s.r][s.c];
+    }
+  });
+
+  const headRows = grid.slice(0, head.length);
+  const columnCount = Math.max(0, ...grid.map((row) => row.length));
+  const header = Array.from({ length: columnCount }, (_, c) => headRows
+    .map((row) => row[c])
+    .filter((value, index, values) => value !== '' && value !== undefined && value !== values[index - 1])
+    .join(' / '));
+  return { header, rows: grid.slice(head.length) };
+};
+
+const tableMarkdown = (section) => {
+  if (section.rows && section.columns) {
+    const { formats, body, totals } = formatTableRows(section);
+    const rows = totals ? [...body, totals.map((cell) => (cell === '' ? '' : `**${cell}**`))] : body;
+    return pipeTable(section.columns, rows, formats.map(getCellAlignment));
+  }
+
+  const data = getSectionData(section);
+  if (!data) return '';
+  const { header, rows } = flattenSectionData(data);
+  return pipeTable(header, rows);
+};
+
+const sectionMarkdown = (section) => {
+  const content = section.type === 'text' ? (section.content || '').trim() : tableMarkdown(section);
+  return [section.heading && `## ${section.heading}`, content].filter(Boolean).join('\n\n');
+};
+
+/**
+ * Markdown for a single response
+ * @param {Object} response - { id, question, answer, sections, charts, chartData, chartType }
+ * @param {Object} options
+ * @param {Object} options.tableViews - Table views by section id (see tableView)
+ * @param {string[]} options.sectionIds - Sections to include (default: all)
+ * @param {boolean} options.includePreamble - Whether to write the question and answer (default: true)
+ * @returns {string}
+ */
+export const buildResponseMarkdown = (response, { tableViews, sectionIds, includePreamble = true } = {}) => {
+  const sections = selectSections(applyTableViews(getResponseSections(response), tableViews), sectionIds);
+  return [
+    includePreamble && `**Question:** ${response.question || ''}`.trim(),
+    includePreamble && `**Answer:** ${response.answer || ''}`.trim(),
+    ...sections.map(sectionMarkdown)
+  ].filter(Boolean).join('\n\n') + '\n';
+};
@@ -0,0 +1,99 @@
+import { buildResponseMarkdown } from './markdownExport';
+
+const response = {
+  id: 'resp-1',
+  question: 'How did sales do?',
+  answer: 'Sales grew in every region.',
+  sections: [
+    {
+      type: 'text',
+      id: 'notes',
+      heading: 'Notes',
+      isFormatted: true,
+      content: '**Bold** text\n\n- First\n- Second',
+    },
+    {
+      type: 'table',
+      id: 'sales',
+      heading: 'Sales',
+      columns: ['Region', 'Sales'],
+      columnTypes: ['text', { type: 'currency', decimals: 0 }],
+      rows: [['North | East', 5300], ['South', 4100], ['Total', 9400]],
+      totalsRow: true,
+    },
+    {
+      type: 'table',
+      id: 'spans',
+      heading: 'Spans',
+      tableHtml: `<table>
+        <thead>
+          <tr><th rowspan="2">Region</th><th colspan="2">Revenue</th></tr>
+          <tr><th>Q1</th><th>Q2</th></tr>
+        </thead>
+        <tbody><tr><td>North</td><td>1</td><td>2</td></tr></tbody>
+      </table>`,
+    },
+    {
+      type: 'chart',
+      id: 'trend',
+      heading: 'Trend',
+      chartType: 'line',
+      data: [{ name: 'Jan', value: 10 }, { name: 'Feb', value: 12 }],
+    },
+  ],
+};
+
+describe('buildResponseMarkdown', () => {
+  const markdown = buildResponseMarkdown(response);
+
+  test('starts with the question and answer', () => {
+    expect(markdown.startsWith('**Question:** How did sales do?\n\n**Answer:** Sales grew in every region.\n\n')).toBe(true);
+  });
+
+  test('keeps text sections as markdown under their heading', () => {
+    expect(markdown).toContain('## Notes\n\n**Bold** text\n\n- First\n- Second');
+  });
+
+  test('writes tables as pipe tables with formatted values', () => {
+    expect(markdown).toContain([
+      '## Sales',
+      '',
+      '| Region | Sales |',
+      '| --- | ---: |',
+      '| North \\| East | $5,300 |',
+      '| South | $4,100 |',
+      '| **Total** | **$9,400** |',
+    ].join('\n'));
+  });
+
+  test('flattens spanned HTML table headers', () => {
+    expect(markdown).toContain([
+      '| Region | Revenue / Q1 | Revenue / Q2 |',
+      '| --- | --- | --- |',
+      '| North | 1 | 2 |',
+    ].join('\n'));
+  });
+
+  test('writes charts as a table of their data', () => {
+    expect(markdown).toContain('## Trend\n\n| name | value |\n| --- | --- |\n| Jan | 10 |\n| Feb | 12 |');
+  });
+
+  test('exports tables as shown', () => {
+    const sorted = buildResponseMarkdown(response, {
+      tableViews: { 'resp-1-sales': { sortColumn: 1, sortDirection: 'asc', hiddenColumns: [0] } },
+    });
+    expect(sorted).toContain('| Sales |\n| ---: |\n| $4,100 |\n| $5,300 |\n| **$9,400** |');
+  });
+
+  test('exports only the chosen sections, with or without the preamble', () => {
+    const selected = buildResponseMarkdown(response, {
+      sectionIds: ['resp-1-trend', 'resp-1-notes'],
+      includePreamble: false,
+    });
+    expect(selected).not.toContain('**Question:**');
+    expect(selected).not.toContain('## Sales');
+    // In the response's order
+    expect(selected.indexOf('## Notes')).toBe(0);
+    expect(selected).toContain('## Trend');
+  });
+});
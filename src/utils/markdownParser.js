@@ -0,0 +1,531 @@
+/**
+ * Markdown parser for formatted text sections
+ * Produces a small document tree shared by the on-screen (HTML) renderer
+ * and the PDF renderer.
+ *
+ * Supported syntax:
+ *   # headings (levels 1-6)
+ *   paragraphs - a single newline inside a paragraph is a line break,
+ *   since chat answers use newlines as visible line breaks
+ *   - / * / + / • bullet lists and 1. / 1) numbered lists, nested by indent
+ *   > blockquotes
+ *   ``` fenced code blocks ```
+ *   --- horizontal rules
+ *   **bold**, __bold__, *italic*, _italic_, ***bold italic***
+ *   `inline code`, [links](https://example.com), \escaped characters
+ */
+
+/**
+ * Node structure
+ * Blocks:
+ *   { type: 'root', children: [block] }
+ *   { type: 'heading', level: 1-6, children: [inline] }
+ *   { type: 'paragraph', children: [inline] }
+ *   { type: 'list', ordered, start, loose, items: [{ type: 'listItem', children: [block] }] }
+ *   { type: 'blockquote', children: [block] }
+ *   { type: 'codeBlock', lang, value }
+ *   { type: 'thematicBreak' }
+ * Inlines:
+ *   { type: 'text', value }
+ *   { type: 'strong', children: [inline] }
+ *   { type: 'emphasis', children: [inline] }
+ *   { type: 'code', value }
+ *   { type: 'link', href, children: [inline] }
+ *   { type: 'break' }
+ */
+
+const TAB_WIDTH = 4;
+
+const HEADING_PATTERN = /^ {0,3}(#{1,6})(?:[ \t]+(.*?))?(?:[ \t]+#+)?[ \t]*$/;
+const FENCE_PATTERN = /^ {0,3}(`{3,}|~{3,})\s*([^`\s]*)/;
+const THEMATIC_BREAK_PATTERN = /^ {0,3}([-*_])(?:[ \t]*\1){2,}[ \t]*$/;
+const BLOCKQUOTE_PATTERN = /^ {0,3}> ?/;
+const LIST_ITEM_PATTERN = /^([ \t]*)([-*+•]|(\d{1,9})[.)])(?:[ \t]+(.*))?$/;
+
+const isBlank = (line) => line.trim() === '';
+
+/**
+ * Width of the leading whitespace, with tabs expanded
+ */
+const indentWidth = (whitespace) => {
+  let width = 0;
+  for (const char of whitespace) {
+    width = char === '\t' ? width + TAB_WIDTH - (width % TAB_WIDTH) : width + 1;
+  }
+  return width;
+};
+
+/**
+ * Remove up to `width` columns of leading whitespace
+ */
+const dedent = (line, width) => {
+  let removed = 0;
+  let index = 0;
+  while (index < line.length && removed < width && (line[index] === ' ' || line[index] === '\t')) {
+    removed = line[index] === '\t' ? removed + TAB_WIDTH - (removed % TAB_WIDTH) : removed + 1;
+    index += 1;
+  }
+  return line.slice(index);
+};
+
+const matchListItem = (line) => {
+  const match = LIST_ITEM_PATTERN.exec(line);
+  if (!match) return null;
+  // A lone "*" / "-" line or "***" is not a list item
+  if (match[4] === undefined && !match[3]) return null;
+  if (THEMATIC_BREAK_PATTERN.test(line)) return null;
+  return {
+    indent: indentWidth(match[1]),
+    ordered: Boolean(match[3]),
+    start: match[3] ? parseInt(match[3], 10) : 1,
+    content: match[4] || '',
+  };
+};
+
+const startsBlock = (line) => (
+  HEADING_PATTERN.test(line)
+  || FENCE_PATTERN.test(line)
+  || THEMATIC_BREAK_PATTERN.test(line)
+  || BLOCKQUOTE_PATTERN.test(line)
+  || Boolean(matchListItem(line))
+);
+
+const parseCodeBlock = (lines, start) => {
+  const [, fence, lang] = FENCE_PATTERN.exec(lines[start]);
+  const body = [];
+  let i = start + 1;
+  while (i < lines.length) {
+    const closing = lines[i].trim();
+    if (closing.startsWith(fence[0].repeat(fence.length)) && closing.replace(new RegExp(`\\${fence[0]}`, 'g'), '') === '') {
+      i += 1;
+      break;
+    }
+    body.push(lines[i]);
+    i += 1;
+  }
+  return { node: { type: 'codeBlock', lang: lang || '', value: body.join('\n') }, next: i };
+};
+
+const parseBlockquote = (lines, start) => {
+  const body = [];
+  let i = start;
+  while (i < lines.length && !isBlank(lines[i])) {
+    if (BLOCKQUOTE_PATTERN.test(lines[i])) {
+      body.push(lines[i].replace(BLOCKQUOTE_PATTERN, ''));
+    } else if (startsBlock(lines[i])) {
+      break;
+    } else {
+      // Lazy continuation line
+      body.push(lines[i]);
+    }
+    i += 1;
+  }
+  return { node: { type: 'blockquote', children: parseBlocks(body) }, next: i };
+};
+
+const parseList = (lines, start) => {
+  const first = matchListItem(lines[start]);
+  const list = { type: 'list', ordered: first.ordered, start: first.start, loose: false, items: [] };
+  let itemLines = null;
+  let previousBlank = false;
+  let i = start;
+
+  const closeItem = () => {
+    if (itemLines) {
+      // Trailing blank lines belong to the gap between items
+      while (itemLines.length > 0 && isBlank(itemLines[itemLines.length - 1])) itemLines.pop();
+      list.items.push({ type: 'listItem', children: parseBlocks(itemLines) });
+    }
+  };
+
+  while (i < lines.length) {
+    const line = lines[i];
+
+    if (isBlank(line)) {
+      previousBlank = true;
+      itemLines.push('');
+      i += 1;
+      continue;
+    }
+
+    const item = matchListItem(line);
+    const lineIndent = indentWidth(line.match(/^[ \t]*/)[0]);
+
+    if (item && item.indent <= first.indent + 1 && item.indent >= first.indent) {
+      // Sibling item - switching between bullets and numbers starts a new list
+      if (item.ordered !== first.ordered) break;
+      if (previousBlank) list.loose = true;
+      closeItem();
+      itemLines = [item.content];
+    } else if (lineIndent > first.indent) {
+      // Nested list or indented continuation of the current item
+      itemLines.push(dedent(line, first.indent + 1));
+    } else if (!previousBlank && !startsBlock(line)) {
+      // Lazy continuation of the item's paragraph
+      itemLines.push(line.trim());
+    } else {
+      break;
+    }
+
+    previousBlank = false;
+    i += 1;
+  }
+
+  closeItem();
+  // Blank lines consumed after the last item are not part of the list
+  while (i > start && isBlank(lines[i - 1])) i -= 1;
+  return { node: list, next: i };
+};
+
+const parseParagraph = (lines, start) => {
+  const body = [];
+  let i = start;
+  while (i < lines.length && !isBlank(lines[i]) && (i === start || !startsBlock(lines[i]))) {
+    body.push(lines[i].trim());
+    i += 1;
+  }
+  return { node: { type: 'paragraph', children: parseInline(body.join('\n')) }, next: i };
+};
+
+/**
+ * Parse lines of markdown into block nodes
+ */
+const parseBlocks = (lines) => {
+  const blocks = [];
+  let i = 0;
+
+  while (i < lines.length) {
+    const line = lines[i];
+    let result;
+
+    if (isBlank(line)) {
+      i += 1;
+      continue;
+    } else if (FENCE_PATTERN.test(line)) {
+      result = parseCodeBlock(lines, i);
+    } else if (HEADING_PATTERN.test(line)) {
+      const [, hashes, content = ''] = HEADING_PATTERN.exec(line);
+      result = { node: { type: 'heading', level: hashes.length, children: parseInline(content) }, next: i + 1 };
+    } else if (THEMATIC_BREAK_PATTERN.test(line)) {
+      result = { node: { type: 'thematicBreak' }, next: i + 1 };
+    } else if (BLOCKQUOTE_PATTERN.test(line)) {
+      result = parseBlockquote(lines, i);
+    } else if (matchListItem(line)) {
+      result = parseList(lines, i);
+    } else {
+      result = parseParagraph(lines, i);
+    }
+
+    blocks.push(result.node);
+    i = result.next;
+  }
+
+  return blocks;
+};
+
+const isWhitespace = (char) => char === undefined || /\s/.test(char);
+const isPunctuation = (char) => char !== undefined && /[\p{P}\p{S}]/u.test(char);
+
+/**
+ * Length of the run of `char` starting at `index`
+ */
+const runLength = (text, index, char) => {
+  let end = index;
+  while (text[end] === char) end += 1;
+  return end - index;
+};
+
+// Delimiter runs as CommonMark defines them: left-flanking runs are
+// followed by something other than space (and punctuation only when space
+// or punctuation comes before); right-flanking runs are the mirror image
+const isLeftFlanking = (before, after) => !isWhitespace(after)
+  && (!isPunctuation(after) || isWhitespace(before) || isPunctuation(before));
+const isRightFlanking = (before, after) => !isWhitespace(before)
+  && (!isPunctuation(before) || isWhitespace(after) || isPunctuation(after));
+
+const canOpen = (text, index, length) => {
+  const before = text[index - 1];
+  const after = text[index + length];
+  if (!isLeftFlanking(before, after)) return false;
+  // Underscores don't open emphasis inside words (snake_case)
+  return text[index] !== '_' || !isRightFlanking(before, after) || isPunctuation(before);
+};
+
+const canClose = (text, index, length) => {
+  const before = text[index - 1];
+  const after = text[index + length];
+  if (!isRightFlanking(before, after)) return false;
+  return text[index] !== '_' || !isLeftFlanking(before, after) || isPunctuation(after);
+};
+
+/**
+ * Find where a code span starting at `index` ends (index after the closing
+ * backticks), or -1 if it isn't closed
+ */
+const findCodeSpanEnd = (text, index) => {
+  const length = runLength(text, index, '`');
+  let search = index + length;
+  while (search < text.length) {
+    const next = text.indexOf('`', search);
+    if (next === -1) return -1;
+    const closing = runLength(text, next, '`');
+    if (closing === length) return next + closing;
+    search = next + closing;
+  }
+  return -1;
+};
+
+/**
+ * Parse a link starting at "[" - returns { node, end } or null
+ */
+const parseLink = (text, index) => {
+  let depth = 0;
+  let labelEnd = -1;
+  for (let i = index; i < text.length; i++) {
+    if (text[i] === '\\') {
+      i += 1;
+    } else if (text[i] === '[') {
+      depth += 1;
+    } else if (text[i] === ']') {
+      depth -= 1;
+      if (depth === 0) {
+        labelEnd = i;
+        break;
+      }
+    }
+  }
+  if (labelEnd === -1 || text[labelEnd + 1] !== '(') return null;
+
+  // The URL may contain balanced parentheses, e.g. wiki/Foo_(bar)
+  const destination = /^\(\s*<?((?:[^\s<>()]|\([^\s<>()]*\))*)>?(?:\s+(?:"[^"]*"|'[^']*'))?\s*\)/.exec(text.slice(labelEnd + 1));
+  if (!destination) return null;
+
+  return {
+    node: { type: 'link', href: destination[1], children: parseInline(text.slice(index + 1, labelEnd)) },
+    end: labelEnd + 1 + destination[0].length,
+  };
+};
+
+/**
+ * Join neighbouring text nodes
+ */
+const mergeText = (nodes) => nodes.reduce((merged, node) => {
+  const last = merged[merged.length - 1];
+  if (node.type === 'text' && last && last.type === 'text') {
+    merged[merged.length - 1] = { type: 'text', value: last.value + node.value };
+  } else {
+    merged.push(node);
+  }
+  return merged;
+}, []);
+
+// An inline node, or what's left of a delimiter run as text
+const toNode = (item) => item.node || { type: 'text', value: item.char.repeat(item.count) };
+
+const unlinkDelimiter = (item) => {
+  item.removed = true;
+  if (item.prevDelimiter) item.prevDelimiter.nextDelimiter = item.nextDelimiter;
+  if (item.nextDelimiter) item.nextDelimiter.prevDelimiter = item.prevDelimiter;
+};
+
+const unlinkItem = (item) => {
+  item.prev.next = item.next;
+  if (item.next) item.next.prev = item.prev;
+};
+
+/**
+ * Pair up emphasis delimiter runs - CommonMark's "process emphasis": each
+ * closer takes the nearest opener of the same character before it, and
+ * what lies between becomes the emphasis' children. Runs that find no
+ * partner stay as text. A single pass, however much is left unclosed.
+ * @param {Object} head - First of the linked items: inline nodes ({ node })
+ *   and delimiter runs ({ char, count, length, canOpen, canClose, index })
+ * @param {Object} firstDelimiter - First delimiter run (runs are linked too)
+ */
+const processEmphasis = (head, firstDelimiter) => {
+  // Openers at or below these run indexes were looked for and not found,
+  // by the kind of closer (character, whether it can open, length mod 3)
+  const bottoms = {};
+  const bottomKey = (closer) => `${closer.char}${closer.canOpen ? 'o' : ''}${closer.length % 3}`;
+  // The "rule of 3": when a run can both open and close, a pair whose
+  // lengths add up to a multiple of 3 doesn't match, unless both are
+  const isOddMatch = (opener, closer) => (closer.canOpen || opener.canClose)
+    && closer.length % 3 !== 0
+    && (opener.length + closer.length) % 3 === 0;
+  let closer = firstDelimiter;
+
+  while (closer) {
+    const nextCloser = closer.nextDelimiter;
+
+    while (closer.canClose && !closer.removed) {
+      const bottom = bottoms[bottomKey(closer)] ?? -1;
+      let opener = closer.prevDelimiter;
+      while (opener && opener.index > bottom
+        && !(opener.char === closer.char && opener.canOpen && !isOddMatch(opener, closer))) {
+        opener = opener.prevDelimiter;
+      }
+
+      if (!opener || opener.index <= bottom) {
+        bottoms[bottomKey(closer)] = closer.index - 1;
+        if (!closer.canOpen) unlinkDelimiter(closer);
+        break;
+      }
+
+      // Strong when both runs have two left, so ***a*** is <em><strong>
+      const use = opener.count >= 2 && closer.count >= 2 ? 2 : 1;
+      const children = [];
+      for (let item = opener.next; item !== closer; item = item.next) {
+        if (item.char) unlinkDelimiter(item);
+        children.push(toNode(item));
+      }
+      const node = { type: use === 2 ? 'strong' : 'emphasis', children: mergeText(children) };
+
+      const item = { node, prev: opener, next: closer };
+      opener.next = item;
+      closer.prev = item;
+
+      opener.count -= use;
+      closer.count -= use;
+      if (opener.count === 0) {
+        unlinkDelimiter(opener);
+        unlinkItem(opener);
+      }
+      if (closer.count === 0) {
+        unlinkDelimiter(closer);
+        unlinkItem(closer);
+      }
+    }
+
+    closer = nextCloser;
+  }
+
+  const nodes = [];
+  for (let item = head.next; item; item = item.next) nodes.push(toNode(item));
+  return mergeText(nodes);
+};
+
+/**
+ * Parse inline markdown into inline nodes
+ * Newlines become line breaks.
+ */
+export const parseInline = (text) => {
+  // Linked items after a placeholder head, so runs can be wrapped in place
+  const head = { next: null };
+  let tail = head;
+  let firstDelimiter = null;
+  let lastDelimiter = null;
+  let buffer = '';
+
+  const append = (item) => {
+    item.prev = tail;
+    item.next = null;
+    tail.next = item;
+    tail = item;
+  };
+
+  const flush = () => {
+    if (buffer) {
+      append({ node: { type: 'text', value: buffer } });
+      buffer = '';
+    }
+  };
+
+  let i = 0;
+  while (i < text.length) {
+    const char = text[i];
+
+    if (char === '\\' && i + 1 < text.length && /[!-/:-@[-`{-~]/.test(text[i + 1])) {
+      buffer += text[i + 1];
+      i += 2;
+      continue;
+    }
+
+    if (char === '\n') {
+      flush();
+      append({ node: { type: 'break' } });
+      i += 1;
+      continue;
+    }
+
+    if (char === '`') {
+      const end = findCodeSpanEnd(text, i);
+      if (end !== -1) {
+        const length = runLength(text, i, '`');
+        flush();
+        append({ node: { type: 'code', value: text.slice(i + length, end - length).replace(/^ (.*) $/, '$1') } });
+        i = end;
+        continue;
+      }
+      const length = runLength(text, i, '`');
+      buffer += text.slice(i, i + length);
+      i += length;
+      continue;
+    }
+
+    if (char === '[') {
+      const link = parseLink(text, i);
+      if (link) {
+        flush();
+        append({ node: link.node });
+        i = link.end;
+        continue;
+      }
+    }
+
+    if (char === '*' || char === '_') {
+      const run = runLength(text, i, char);
+      const canOpenRun = canOpen(text, i, run);
+      const canCloseRun = canClose(text, i, run);
+      if (canOpenRun || canCloseRun) {
+        flush();
+        const delimiter = {
+          char,
+          count: run,
+          length: run,
+          canOpen: canOpenRun,
+          canClose: canCloseRun,
+          index: lastDelimiter ? lastDelimiter.index + 1 : 0,
+          prevDelimiter: lastDelimiter,
+          nextDelimiter: null,
+        };
+        append(delimiter);
+        if (lastDelimiter) lastDelimiter.nextDelimiter = delimiter;
+        else firstDelimiter = delimiter;
+        lastDelimiter = delimiter;
+      } else {
+        buffer += text.slice(i, i + run);
+      }
+      i += run;
+      continue;
+    }
+
+    buffer += char;
+    i += 1;
+  }
+
+  flush();
+  return processEmphasis(head, firstDelimiter);
+};
+
+/**
+ * Parse markdown text into a document tree
+ * @param {string} text - Markdown source
+ * @returns {{ type: 'root', children: Array }}
+ */
+export const parseMarkdown = (text) => {
+  const lines = (text || '').replace(/\r\n?/g, '\n').split('\n');
+  return { type: 'root', children: parseBlocks(lines) };
+};
+
+/**
+ * Wrap unformatted text in a document tree
+ * The text is one paragraph with whitespace collapsed, the same way the
+ * browser lays it out in a <p>; markdown-like markers are kept literally.
+ */
+export const parsePlainText = (text) => {
+  const value = (text || '').replace(/\s+/g, ' ').trim();
+  return {
+    type: 'root',
+    children: value ? [{ type: 'paragraph', children: [{ type: 'text', value }] }] : [],
+  };
+};
@@ -0,0 +1,157 @@
+import { parseMarkdown, parseInline } from './markdownParser';
+import { renderMarkdownToHTML } from './markdownRenderer';
+
+const text = (value) => ({ type: 'text', value });
+
+describe('parseInline', () => {
+  test('parses bold, italic and nested emphasis', () => {
+    expect(parseInline('*both **bold and italic***')).toEqual([
+      {
+        type: 'emphasis',
+        children: [text('both '), { type: 'strong', children: [text('bold and italic')] }],
+      },
+    ]);
+    expect(parseInline('***all***')).toEqual([
+      { type: 'emphasis', children: [{ type: 'strong', children: [text('all')] }] },
+    ]);
+  });
+
+  test('leaves unmatched and spaced delimiters as text', () => {
+    expect(parseInline('5 * 3 * 2 and snake_case_name')).toEqual([text('5 * 3 * 2 and snake_case_name')]);
+    expect(parseInline('**not closed')).toEqual([text('**not closed')]);
+  });
+
+  test('pairs each closer with the nearest opener', () => {
+    expect(parseInline('*a **b** c*')).toEqual([
+      {
+        type: 'emphasis',
+        children: [text('a '), { type: 'strong', children: [text('b')] }, text(' c')],
+      },
+    ]);
+    expect(parseInline('***a* b**')).toEqual([
+      { type: 'strong', children: [{ type: 'emphasis', children: [text('a')] }, text(' b')] },
+    ]);
+    // As in CommonMark: the inner "*" takes one character of the closer
+    expect(parseInline('**a *b**')).toEqual([
+      text('*'),
+      { type: 'emphasis', children: [text('a '), { type: 'emphasis', children: [text('b')] }] },
+    ]);
+  });
+
+  test('matches CommonMark on runs that can open and close (rule of 3) and on punctuation', () => {
+    // Expected output from the CommonMark reference implementation
+    const cases = {
+      '**a*b***': '<p><strong>a<em>b</em></strong></p>',
+      '**unclosed *mixed** text*': '<p><em><em>unclosed <em>mixed</em></em> text</em></p>',
+      '***bold italic*** then plain ***again***': '<p><em><strong>bold italic</strong></em> then plain <em><strong>again</strong></em></p>',
+      '*foo**bar**baz*': '<p><em>foo<strong>bar</strong>baz</em></p>',
+      '*foo**bar*': '<p><em>foo**bar</em></p>',
+      '**foo*bar*baz**': '<p><strong>foo<em>bar</em>baz</strong></p>',
+      'foo***bar***baz': '<p>foo<em><strong>bar</strong></em>baz</p>',
+      // Punctuation next to a run decides whether it opens or closes
+      '*.*bb': '<p>*.*bb</p>',
+      'a*..b*': '<p>a*..b*</p>',
+      '**Sales:** up': '<p><strong>Sales:</strong> up</p>',
+      '*_*b**': '<p><em>_<em>b</em></em></p>',
+    };
+    Object.entries(cases).forEach(([markdown, html]) => {
+      expect(renderMarkdownToHTML(markdown)).toBe(html);
+    });
+  });
+
+  test('parses unclosed delimiters in linear time', () => {
+    const inputs = [
+      '*a '.repeat(5000),
+      '_a '.repeat(5000),
+      '**a *b '.repeat(3000),
+      `${'*a '.repeat(3000)}b*`,
+      '*a* '.repeat(5000) + '**',
+    ];
+    const start = Date.now();
+    inputs.forEach((input) => parseInline(input));
+    expect(Date.now() - start).toBeLessThan(1000);
+    expect(parseInline('*a '.repeat(3))).toEqual([text('*a *a *a ')]);
+  });
+
+  test('parses inline code without formatting its content', () => {
+    expect(parseInline('run `a *b* c` now')).toEqual([
+      text('run '),
+      { type: 'code', value: 'a *b* c' },
+      text(' now'),
+    ]);
+  });
+
+  test('parses links with formatted labels', () => {
+    expect(parseInline('see [the **docs**](https://example.com "Docs")')).toEqual([
+      text('see '),
+      { type: 'link', href: 'https://example.com', children: [text('the '), { type: 'strong', children: [text('docs')] }] },
+    ]);
+  });
+
+  test('allows balanced parentheses in link targets', () => {
+    expect(parseInline('[Foo](https://en.wikipedia.org/wiki/Foo_(bar))')).toEqual([
+      { type: 'link', href: 'https://en.wikipedia.org/wiki/Foo_(bar)', children: [text('Foo')] },
+    ]);
+  });
+
+  test('turns newlines into breaks and honours escapes', () => {
+    expect(parseInline('one\n\\*two\\*')).toEqual([text('one'), { type: 'break' }, text('*two*')]);
+  });
+});
+
+describe('parseMarkdown', () => {
+  test('parses headings, rules and code blocks', () => {
+    const tree = parseMarkdown('## Title ##\n---\n```js\nconst a = 1;\n\n  indented();\n```');
+    expect(tree.children).toEqual([
+      { type: 'heading', level: 2, children: [text('Title')] },
+      { type: 'thematicBreak' },
+      { type: 'codeBlock', lang: 'js', value: 'const a = 1;\n\n  indented();' },
+    ]);
+  });
+
+  test('parses numbered lists with their start number', () => {
+    const [list] = parseMarkdown('3. three\n4. four').children;
+    expect(list).toMatchObject({ type: 'list', ordered: true, start: 3, loose: false });
+    expect(list.items).toHaveLength(2);
+  });
+
+  test('nests tab-indented bullets under the previous item', () => {
+    const [intro, list] = parseMarkdown('Intro\n• **Main**\n\t• Sub one\n\t• Sub two\n• Next').children;
+    expect(intro.type).toBe('paragraph');
+    expect(list.items).toHaveLength(2);
+    const [, nested] = list.items[0].children;
+    expect(nested).toMatchObject({ type: 'list', ordered: false });
+    expect(nested.items.map((item) => item.children[0].children)).toEqual([[text('Sub one')], [text('Sub two')]]);
+  });
+
+  test('marks lists with blank lines between items as loose', () => {
+    const [list] = parseMarkdown('- one\n\n- two').children;
+    expect(list.loose).toBe(true);
+    expect(list.items).toHaveLength(2);
+  });
+
+  test('does not treat bold text at the start of a line as a list', () => {
+    const [paragraph] = parseMarkdown('**1. Mixed Styles:**\nbody').children;
+    expect(paragraph.type).toBe('paragraph');
+    expect(paragraph.children[0]).toEqual({ type: 'strong', children: [text('1. Mixed Styles:')] });
+  });
+
+  test('parses blockquotes with lazy continuation lines', () => {
+    const [quote] = parseMarkdown('> quoted\nstill quoted').children;
+    expect(quote.type).toBe('blockquote');
+    expect(quote.children[0].children).toEqual([text('quoted'), { type: 'break' }, text('still quoted')]);
+  });
+});
+
+describe('renderMarkdownToHTML', () => {
+  test('renders the tree as HTML', () => {
+    expect(renderMarkdownToHTML('# Hi\n1. **one**\n2. `two`\n\n[a](https://x.y)')).toBe(
+      '<h1>Hi</h1><ol><li><strong>one</strong></li><li><code>two</code></li></ol>'
+      + '<p><a href="https://x.y" target="_blank" rel="noopener noreferrer">a</a></p>'
+    );
+  });
+
+  test('escapes text content', () => {
+    expect(renderMarkdownToHTML('a <b> & "c"')).toBe('<p>a &lt;b&gt; &amp; &quot;c&quot;</p>');
+  });
+});
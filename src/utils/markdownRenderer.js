@@ -0,0 +1,68 @@
+/**
+ * HTML renderer for the markdown document tree
+ * Used for the on-screen display of formatted text sections; the PDF
+ * counterpart drawing the same tree is addFormattedText in pdfTextFormatter.
+ * All text is escaped here, so markup in the source is shown as text; the
+ * result is still passed through sanitizeHtml() before it is injected.
+ */
+import { parseMarkdown } from './markdownParser';
+import { escapeHtml, isSafeUrl } from './sanitizeHtml';
+
+const renderInline = (nodes) => nodes.map((node) => {
+  switch (node.type) {
+    case 'text':
+      return escapeHtml(node.value);
+    case 'strong':
+      return `<strong>${renderInline(node.children)}</strong>`;
+    case 'emphasis':
+      return `<em>${renderInline(node.children)}</em>`;
+    case 'code':
+      return `<code>${escapeHtml(node.value)}</code>`;
+    case 'link':
+      // Links to unsafe URLs (javascript:, data:...) are shown as plain text
+      if (!isSafeUrl(node.href)) return renderInline(node.children);
+      return `<a href="${escapeHtml(node.href)}" target="_blank" rel="noopener noreferrer">${renderInline(node.children)}</a>`;
+    case 'break':
+      return '<br />';
+    default:
+      return '';
+  }
+}).join('');
+
+const renderBlocks = (nodes, { tight = false } = {}) => nodes.map((node) => {
+  switch (node.type) {
+    case 'heading':
+      return `<h${node.level}>${renderInline(node.children)}</h${node.level}>`;
+    case 'paragraph':
+      // Paragraphs directly inside tight list items aren't wrapped
+      return tight ? renderInline(node.children) : `<p>${renderInline(node.children)}</p>`;
+    case 'list': {
+      const tag = node.ordered ? 'ol' : 'ul';
+      const start = node.ordered && node.start !== 1 ? ` start="${node.start}"` : '';
+      const items = node.items
+        .map((item) => `<li>${renderBlocks(item.children, { tight: !node.loose })}</li>`)
+        .join('');
+      return `<${tag}${start}>${items}</${tag}>`;
+    }
+    case 'blockquote':
+      return `<blockquote>${renderBlocks(node.children)}</blockquote>`;
+    case 'codeBlock': {
+      const language = node.lang ? ` class="language-${escapeHtml(node.lang)}"` : '';
+      return `<pre><code${language}>${escapeHtml(node.value)}</code></pre>`;
+    }
+    case 'thematicBreak':
+      return '<hr />';
+    default:
+      return '';
+  }
+}).join('');
+
+/**
+ * Render markdown to an HTML string
+ * @param {string|Object} markdown - Markdown source or a parsed document tree
+ * @returns {string} HTML markup
+ */
+export const renderMarkdownToHTML = (markdown) => {
+  const tree = typeof markdown === 'string' || !markdown ? parseMarkdown(markdown) : markdown;
+  return renderBlocks(tree.children);
+};
@@ -0,0 +1,55 @@
+/**
+ * Page setup for PDF exports: paper size and orientation
+ * Exports take it as `options.page`:
+ *   size: 'a4' (default) | 'letter' | 'legal' | 'a3' | 'custom'
+ *   width, height: page size in mm, for 'custom'
+ *   orientation: 'portrait' (default) | 'landscape'
+ */
+
+// Portrait width and height in mm
+export const PAGE_SIZES = {
+  a4: { label: 'A4', width: 210, height: 297 },
+  letter: { label: 'Letter', width: 215.9, height: 279.4 },
+  legal: { label: 'Legal', width: 215.9, height: 355.6 },
+  a3: { label: 'A3', width: 297, height: 420 }
+};
+
+export const DEFAULT_PAGE_SIZE = 'a4';
+
+/**
+ * Complete page options into what jsPDF takes
+ * The format is always portrait (short side first); jsPDF turns the page
+ * for a landscape orientation. A custom size wider than it is tall is
+ * landscape unless an orientation is given.
+ * @param {Object} options - { size, width, height, orientation }
+ * @returns {{ format: number[], orientation: string }}
+ */
+export const resolvePageSetup = ({ size = DEFAULT_PAGE_SIZE, width, height, orientation } = {}) => {
+  if (size === 'custom') {
+    if (!(width > 0) || !(height > 0)) {
+      throw new Error('A custom page size needs a width and height in mm');
+    }
+    return {
+      format: [Math.min(width, height), Math.max(width, height)],
+      orientation: orientation || (width > height ? 'landscape' : 'portrait')
+    };
+  }
+
+  const paper = PAGE_SIZES[String(size).toLowerCase()];
+  if (!paper) {
+    throw new Error(`Unknown page size "${size}"`);
+  }
+  return { format: [paper.width, paper.height], orientation: orientation || 'portrait' };
+};
+
+/**
+ * Page setup of an existing document, from its current page
+ */
+export const getDocumentPageSetup = (pdf) => {
+  const width = pdf.internal.pageSize.getWidth();
+  const height = pdf.internal.pageSize.getHeight();
+  return {
+    format: [Math.min(width, height), Math.max(width, height)],
+    orientation: width > height ? 'landscape' : 'portrait'
+  };
+};
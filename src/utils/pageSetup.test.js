@@ -0,0 +1,37 @@
+import { getDocumentPageSetup, PAGE_SIZES, resolvePageSetup } from './pageSetup';
+
+describe('resolvePageSetup', () => {
+  it('defaults to A4 portrait', () => {
+    expect(resolvePageSetup()).toEqual({ format: [210, 297], orientation: 'portrait' });
+  });
+
+  it('resolves the named sizes and orientation', () => {
+    expect(resolvePageSetup({ size: 'letter', orientation: 'landscape' })).toEqual({
+      format: [PAGE_SIZES.letter.width, PAGE_SIZES.letter.height],
+      orientation: 'landscape',
+    });
+    expect(resolvePageSetup({ size: 'Legal' }).format).toEqual([215.9, 355.6]);
+    expect(resolvePageSetup({ size: 'a3' }).format).toEqual([297, 420]);
+  });
+
+  it('takes custom sizes in mm, landscape when wider than tall', () => {
+    expect(resolvePageSetup({ size: 'custom', width: 300, height: 200 })).toEqual({
+      format: [200, 300],
+      orientation: 'landscape',
+    });
+    expect(resolvePageSetup({ size: 'custom', width: 100, height: 150 }).orientation).toBe('portrait');
+  });
+
+  it('rejects unknown sizes and incomplete custom sizes', () => {
+    expect(() => resolvePageSetup({ size: 'tabloid' })).toThrow('Unknown page size');
+    expect(() => resolvePageSetup({ size: 'custom', width: 100 })).toThrow('width and height');
+  });
+});
+
+describe('getDocumentPageSetup', () => {
+  it('reads the size and orientation of the current page', () => {
+    const pdf = { internal: { pageSize: { getWidth: () => 297, getHeight: () => 210 } } };
+
+    expect(getDocumentPageSetup(pdf)).toEqual({ format: [210, 297], orientation: 'landscape' });
+  });
+});
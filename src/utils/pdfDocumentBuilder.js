@@ -0,0 +1,866 @@
+/**
+ * PDF document builder for chat responses and conversations
+ * Turns the response data shape ({ question, answer, sections / charts / chartData })
+ * into a jsPDF document without needing a mounted React component.
+ */
+import { jsPDF } from 'jspdf';
+import autoTable from 'jspdf-autotable';
+import { addFormattedText, getTableRichTextHooks, measureFormattedTextLead } from './pdfTextFormatter';
+import { parseMarkdown, parsePlainText } from './markdownParser';
+import { parseHtmlTable } from './htmlTableParser';
+import { planTableLayout } from './tableLayout';
+import { formatTableRows, getCellAlignment } from './cellFormat';
+import { applyTableViews } from './tableView';
+import { drawChartToPDF } from './chartRenderer';
+import { getExportFilename } from './download';
+import { getResponseSections, selectSections } from './responseSections';
+import { registerPdfFonts, copyPdfFonts, drawText, splitText, drawTextLines, getTableGlyphHooks } from './pdfFonts';
+import { createTheme, getChartColors, hexToRgb } from './theme';
+import { addHeadersAndFooters, resolveHeaderFooter } from './pdfHeaderFooter';
+import { getDocumentPageSetup, resolvePageSetup } from './pageSetup';
+import { addOutline } from './pdfOutline';
+import {
+  countFittingLines,
+  countLeadLines,
+  DEFAULT_ORPHANS,
+  DEFAULT_WIDOWS,
+  getContentBottom,
+  getTextBottom,
+  needsNewPage,
+  planLineBreaks,
+  TEXT_CLEARANCE
+} from './pdfLayout';
+
+const CHART_HEIGHT = 90;
+// From a section heading's baseline to the content below it (see addSectionHeading)
+const SECTION_HEADING_HEIGHT = 11;
+// From a "Question:" / "Answer:" label to its paragraph
+const LABEL_HEIGHT = 7;
+const TOC_ENTRY_HEIGHT = 8;
+// Title and "Table of Contents" above the first entry
+const TOC_HEADER_HEIGHT = 20;
+const TOC_INDENT = 6;
+// Responses with at least this many headed sections get a table of contents
+export const TOC_MIN_HEADINGS = 5;
+const LOGO_HEIGHT = 12;
+
+/**
+ * Create an empty document with the Unicode font embedded. Only the font
+ * styles the document draws text with are written to the file, and its
+ * streams (fonts included) are compressed.
+ * @param {Object} page - Page size and orientation (see pageSetup; default A4 portrait)
+ * @returns {Promise<jsPDF>}
+ */
+export const createPDFDocument = async (page) => {
+  const { format, orientation } = resolvePageSetup(page);
+  const pdf = new jsPDF({ orientation, unit: 'mm', format, compress: true, putOnlyUsedFonts: true });
+  await registerPdfFonts(pdf);
+  return pdf;
+};
+
+/**
+ * Image data for the theme logo: data URLs are used as they are, other
+ * URLs are fetched. A logo that can't be loaded is left out.
+ */
+const loadLogo = async (logo) => {
+  if (!logo || !logo.src) return null;
+  try {
+    if (logo.src.startsWith('data:')) return { ...logo, data: logo.src };
+    const response = await fetch(logo.src);
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    return { ...logo, data: new Uint8Array(await response.arrayBuffer()) };
+  } catch (error) {
+    console.warn('Could not load the theme logo:', error);
+    return null;
+  }
+};
+
+/**
+ * Resolve a (partial) theme and the page setup into what the drawing code
+ * uses: colours as [r, g, b], font sizes, margins, the loaded logo and the
+ * page format and orientation
+ */
+const getPdfStyle = async (theme, page) => {
+  const resolved = createTheme(theme);
+  const { palette } = resolved;
+  return {
+    title: resolved.title,
+    colors: {
+      brand: hexToRgb(palette.brand),
+      heading: hexToRgb(palette.heading),
+      text: hexToRgb(palette.text),
+      muted: hexToRgb(palette.muted),
+      rule: hexToRgb(palette.rule),
+      tableHeader: hexToRgb(palette.tableHeader),
+      tableStripe: hexToRgb(palette.tableStripe)
+    },
+    chartColors: getChartColors(resolved),
+    fonts: resolved.typography,
+    margins: resolved.margins,
+    logo: await loadLogo(resolved.logo),
+    cover: resolved.cover,
+    page
+  };
+};
+
+/**
+ * Size of the logo in mm: the theme's width/height, or its aspect ratio
+ * at the default height
+ */
+const getLogoSize = (pdf, logo) => {
+  const { width: pixelWidth, height: pixelHeight } = pdf.getImageProperties(logo.data);
+  const aspect = pixelWidth / pixelHeight;
+  if (logo.width && logo.height) return { width: logo.width, height: logo.height };
+  if (logo.width) return { width: logo.width, height: logo.width / aspect };
+  const height = logo.height || LOGO_HEIGHT;
+  return { width: height * aspect, height };
+};
+
+/**
+ * Draw the logo with its top-left corner at x, y
+ */
+const drawLogo = (pdf, logo, x, y, size) => {
+  try {
+    pdf.addImage(logo.data, pdf.getImageProperties(logo.data).fileType, x, y, size.width, size.height);
+  } catch (error) {
+    console.warn('Could not draw the theme logo:', error);
+  }
+};
+
+const getOrientation = (pdf) => {
+  const { pageSize } = pdf.internal;
+  return pageSize.getWidth() > pageSize.getHeight() ? 'landscape' : 'portrait';
+};
+
+/**
+ * Place a block measured to need `height` below yPosition: on the current
+ * page when it fits, else at the top of a new one (see pdfLayout). A page
+ * of the wrong orientation (by default the document's) is always left.
+ * Returns the Y position to draw the block at.
+ *
+ * jsPDF gives pages added without a format the last page's orientation, so
+ * pages are always added with an explicit one; page breaks inside a
+ * landscape table (and inside formatted text) then follow the section.
+ */
+const placeBlock = (pdf, style, yPosition, height, orientation = style.page.orientation) => {
+  const bottom = getContentBottom(pdf.internal.pageSize.getHeight(), style.margins);
+  if (getOrientation(pdf) !== orientation || needsNewPage(yPosition, height, { top: style.margins.top, bottom })) {
+    pdf.addPage(style.page.format, orientation);
+    return style.margins.top;
+  }
+  return yPosition;
+};
+
+/**
+ * Draw a section heading with an underline rule. When the style collects
+ * `headings`, the heading's page and position are recorded for the table
+ * of contents and the outline.
+ */
+const addSectionHeading = (pdf, style, heading, yPosition, { ruleColor = style.colors.rule, ruleWidth = 0.3 } = {}) => {
+  const pageWidth = pdf.internal.pageSize.getWidth();
+  const { margins } = style;
+
+  if (style.headings) {
+    style.headings.push({
+      title: heading,
+      pageNumber: pdf.getCurrentPageInfo().pageNumber,
+      top: Math.max(yPosition - 10, 0)
+    });
+  }
+
+  pdf.setFontSize(style.fonts.heading);
+  pdf.setFont(undefined, 'bold');
+  pdf.setTextColor(...style.colors.heading);
+  drawText(pdf, heading, margins.left, yPosition);
+  pdf.setDrawColor(...ruleColor);
+  pdf.setLineWidth(ruleWidth);
+  pdf.line(margins.left, yPosition + 3, pageWidth - margins.right, yPosition + 3);
+  return yPosition + SECTION_HEADING_HEIGHT;
+};
+
+/**
+ * Draw a bold label followed by a wrapped paragraph (question / answer
+ * blocks). The label stays with the first lines; long paragraphs break
+ * across pages with widow and orphan control.
+ */
+const addLabeledParagraph = (pdf, style, label, text, yPosition, lineSpacing) => {
+  const { margins, fonts, colors } = style;
+  const maxWidth = pdf.internal.pageSize.getWidth() - margins.left - margins.right;
+
+  pdf.setFont(undefined, 'normal');
+  pdf.setFontSize(fonts.body);
+  const wrapped = splitText(pdf, text || '', maxWidth);
+  // Lines are drawn at the font's line height; lineSpacing adds the gap after the block
+  const lineHeight = (pdf.getFontSize() / pdf.internal.scaleFactor) * pdf.getLineHeightFactor();
+  const leadHeight = LABEL_HEIGHT + (countLeadLines(wrapped.lines.length) - 1) * lineHeight + TEXT_CLEARANCE;
+  yPosition = placeBlock(pdf, style, yPosition, leadHeight);
+
+  pdf.setFontSize(fonts.heading);
+  pdf.setFont(undefined, 'bold');
+  pdf.setTextColor(...colors.heading);
+  pdf.text(label, margins.left, yPosition);
+  yPosition += LABEL_HEIGHT;
+
+  pdf.setFont(undefined, 'normal');
+  pdf.setFontSize(fonts.body);
+  pdf.setTextColor(...colors.text);
+  const bottom = getTextBottom(pdf.internal.pageSize.getHeight(), margins);
+  const breaks = planLineBreaks(
+    wrapped.lines.length,
+    countFittingLines(yPosition, bottom, lineHeight),
+    countFittingLines(margins.top, bottom, lineHeight)
+  );
+  // One chunk of lines per page
+  let start = 0;
+  const chunks = [...breaks, wrapped.lines.length].map((end) => {
+    const lines = wrapped.lines.slice(start, end);
+    start = end;
+    return lines;
+  });
+
+  chunks.forEach((lines, index) => {
+    if (index > 0) {
+      pdf.addPage(style.page.format, style.page.orientation);
+      yPosition = margins.top;
+    }
+    if (lines.length > 0) {
+      drawTextLines(pdf, { lines, fallbacks: wrapped.fallbacks }, margins.left, yPosition);
+    }
+  });
+  return yPosition + chunks[chunks.length - 1].length * lineSpacing;
+};
+
+const addTextSection = (pdf, style, section, yPosition) => {
+  const { margins, fonts, colors } = style;
+  const maxWidth = pdf.internal.pageSize.getWidth() - margins.left - margins.right;
+  // Formatted sections are markdown; plain sections are a single paragraph,
+  // exactly as they are shown on screen
+  const tree = section.isFormatted ? parseMarkdown(section.content) : parsePlainText(section.content);
+  const textOptions = {
+    lineHeight: fonts.body * 0.65,
+    fontSize: fonts.body,
+    color: colors.text,
+    headingColor: colors.heading,
+    accentColor: colors.brand,
+    ruleColor: colors.rule,
+    margins,
+  };
+
+  // The heading stays with the first lines of the text
+  const headingHeight = section.heading ? SECTION_HEADING_HEIGHT : 0;
+  const leadHeight = measureFormattedTextLead(pdf, tree, maxWidth, textOptions) + TEXT_CLEARANCE;
+  yPosition = placeBlock(pdf, style, yPosition, headingHeight + leadHeight);
+  if (section.heading) {
+    yPosition = addSectionHeading(pdf, style, section.heading, yPosition);
+  }
+
+  yPosition = addFormattedText(pdf, tree, margins.left, yPosition, maxWidth, textOptions);
+  return yPosition + 8;
+};
+
+/**
+ * Table content in autoTable's head/body/foot form, from either
+ * `rows`/`columns` or `tableHtml`. Typed columns come formatted, with the
+ * alignment of each column and the totals row as the foot.
+ */
+const getTableContent = (section) => {
+  if (section.rows && section.columns) {
+    const { formats, body, totals } = formatTableRows(section);
+    const alignments = formats.map(getCellAlignment);
+    // columnStyles only reach body cells, so head and foot cells align themselves
+    const alignRow = (row) => row.map((content, index) => ({ content, styles: { halign: alignments[index] } }));
+    return {
+      head: [alignRow(section.columns)],
+      body,
+      foot: totals ? [alignRow(totals)] : [],
+      columnCount: section.columns.length,
+      alignments
+    };
+  }
+  if (section.tableHtml) {
+    return parseHtmlTable(section.tableHtml);
+  }
+  return null;
+};
+
+/**
+ * Merge several sets of autoTable hooks; hooks with the same name run in order
+ */
+const mergeTableHooks = (...hookSets) => hookSets.reduce((merged, hooks) => {
+  Object.entries(hooks).forEach(([name, hook]) => {
+    const previous = merged[name];
+    merged[name] = previous ? (data) => { previous(data); hook(data); } : hook;
+  });
+  return merged;
+}, {});
+
+/**
+ * Width available to a table on a page of the given orientation
+ */
+const getTableWidth = (style, orientation) => {
+  const [shortSide, longSide] = style.page.format;
+  return (orientation === 'landscape' ? longSide : shortSide) - style.margins.left - style.margins.right;
+};
+
+// Blank documents with the export's fonts, one per page orientation, to
+// lay tables out on before they're drawn
+const scratchDocuments = new WeakMap();
+
+const getScratchDocument = (pdf, style, orientation) => {
+  if (!scratchDocuments.has(pdf)) scratchDocuments.set(pdf, {});
+  const documents = scratchDocuments.get(pdf);
+  if (!documents[orientation]) {
+    documents[orientation] = new jsPDF({ orientation, unit: 'mm', format: style.page.format });
+    copyPdfFonts(pdf, documents[orientation]);
+  }
+  return documents[orientation];
+};
+
+/**
+ * Height of a table's header and first rows, which its heading stays
+ * with; short tables are kept whole. autoTable itself moves a table to the
+ * next page when its header and footer don't fit, so the footer counts too.
+ * The lead is drawn on a scratch page; a lead taller than a page is Infinity.
+ */
+const measureTableLead = (pdf, style, tableOptions, orientation) => {
+  const { head, body, foot } = tableOptions;
+  const leadRows = body.length < DEFAULT_ORPHANS + DEFAULT_WIDOWS ? body.length : DEFAULT_ORPHANS;
+  // The lead ends with the footer, or its last body or header row
+  const [lastSection, lastRow] = foot.length > 0
+    ? ['foot', foot.length - 1]
+    : (leadRows > 0 ? ['body', leadRows - 1] : ['head', head.length - 1]);
+
+  const scratch = getScratchDocument(pdf, style, orientation);
+  const startY = style.margins.top;
+  let end = null;
+  autoTable(scratch, {
+    ...tableOptions,
+    body: body.slice(0, leadRows),
+    didDrawCell: (data) => {
+      if (tableOptions.didDrawCell) tableOptions.didDrawCell(data);
+      // Split tables draw their other columns on later pages: the first part counts
+      if (!end && data.section === lastSection && data.row.index === lastRow) {
+        end = { pageNumber: data.pageNumber, y: data.cell.y + data.cell.height };
+      }
+    },
+    startY
+  });
+
+  // Start the next measurement on a blank page
+  const pageCount = scratch.getNumberOfPages();
+  scratch.addPage(style.page.format, orientation);
+  for (let page = pageCount; page >= 1; page--) scratch.deletePage(page);
+
+  if (!end) return 0;
+  return end.pageNumber > 1 ? Infinity : end.y - startY;
+};
+
+const addTableSection = (pdf, style, section, yPosition) => {
+  const { margins, fonts, colors } = style;
+  const content = getTableContent(section);
+  // Tables too wide for a portrait page go on a landscape page or split
+  // across pages (see tableLayout). In a landscape document every page is
+  // already the wide one.
+  const isLandscape = style.page.orientation === 'landscape';
+  const plan = content && content.columnCount > 0
+    ? planTableLayout(pdf, content, section, {
+      portraitWidth: getTableWidth(style, isLandscape ? 'landscape' : 'portrait'),
+      landscapeWidth: getTableWidth(style, 'landscape'),
+      fontSize: fonts.table,
+      headFontSize: fonts.tableHead,
+      padding: 2.5
+    })
+    : null;
+
+  const orientation = plan && !isLandscape ? plan.orientation : style.page.orientation;
+  const headingHeight = section.heading ? SECTION_HEADING_HEIGHT : 0;
+  const addHeading = () => {
+    if (section.heading) {
+      yPosition = addSectionHeading(pdf, style, section.heading, yPosition, { ruleColor: colors.brand, ruleWidth: 0.5 });
+    }
+  };
+
+  if (!plan) {
+    yPosition = placeBlock(pdf, style, yPosition, headingHeight);
+    addHeading();
+    return yPosition;
+  }
+
+  try {
+    // Measure on a page of the table's orientation, so columns get their final widths
+    yPosition = placeBlock(pdf, style, yPosition, 0, orientation);
+
+    const columnStyles = {};
+    for (let index = 0; index < content.columnCount; index++) {
+      columnStyles[index] = {
+        ...plan.columnStyles[index],
+        halign: content.alignments ? content.alignments[index] : 'left',
+        overflow: 'linebreak',
+        cellPadding: 2.5
+      };
+    }
+
+    const tableOptions = {
+      ...mergeTableHooks(getTableGlyphHooks(), getTableRichTextHooks({ accentColor: colors.brand })),
+      head: content.head,
+      body: content.body,
+      foot: content.foot,
+      theme: 'grid',
+      headStyles: {
+        fillColor: colors.tableHeader,
+        textColor: colors.heading,
+        fontStyle: 'bold',
+        fontSize: fonts.tableHead,
+        halign: 'left',
+        lineWidth: 0.5,
+        lineColor: colors.brand,
+        overflow: 'linebreak',
+        minCellHeight: 8
+      },
+      bodyStyles: {
+        textColor: colors.text,
+        fontSize: fonts.table,
+        cellPadding: 2.5,
+        overflow: 'linebreak',
+        valign: 'top',
+        minCellHeight: 8
+      },
+      footStyles: {
+        fillColor: colors.tableHeader,
+        textColor: colors.heading,
+        fontStyle: 'bold',
+        fontSize: fonts.tableHead,
+        halign: 'left',
+        lineWidth: 0.5,
+        lineColor: colors.brand,
+        minCellHeight: 8
+      },
+      showFoot: 'lastPage',
+      alternateRowStyles: {
+        fillColor: colors.tableStripe
+      },
+      margin: margins,
+      styles: {
+        font: pdf.getFont().fontName,
+        lineColor: colors.rule,
+        lineWidth: 0.2,
+        overflow: 'linebreak',
+        minCellHeight: 8,
+        halign: 'left',
+        fontSize: fonts.table
+      },
+      tableWidth: 'auto',
+      // Rows that fit a page aren't split across two
+      rowPageBreak: 'avoid',
+      horizontalPageBreak: plan.split,
+      horizontalPageBreakRepeat: plan.repeatColumn,
+      columnStyles
+    };
+
+    // The heading stays with the table's header and first rows
+    yPosition = placeBlock(pdf, style, yPosition, headingHeight + measureTableLead(pdf, style, tableOptions, orientation), orientation);
+    addHeading();
+    autoTable(pdf, { ...tableOptions, startY: yPosition });
+
+    if (pdf.lastAutoTable && pdf.lastAutoTable.finalY) {
+      return pdf.lastAutoTable.finalY + 12;
+    }
+    return yPosition + 100; // Fallback
+  } catch (tableError) {
+    console.error('Error rendering table:', tableError);
+    return yPosition + 50;
+  }
+};
+
+const addChartSection = (pdf, style, section, yPosition) => {
+  if (!section.data || section.data.length === 0) return yPosition;
+
+  const { margins } = style;
+  const maxWidth = pdf.internal.pageSize.getWidth() - margins.left - margins.right;
+  const headingHeight = section.heading ? SECTION_HEADING_HEIGHT : 0;
+  // Short (landscape or custom) pages get a lower chart
+  const chartHeight = Math.min(CHART_HEIGHT, pdf.internal.pageSize.getHeight() - margins.top - margins.bottom - headingHeight - 10);
+
+  // Keep the heading on the same page as the chart
+  yPosition = placeBlock(pdf, style, yPosition, headingHeight + chartHeight);
+  if (section.heading) {
+    yPosition = addSectionHeading(pdf, style, section.heading, yPosition);
+  }
+
+  try {
+    drawChartToPDF(pdf, section.data, section.chartType || 'bar', {
+      x: margins.left,
+      y: yPosition,
+      width: maxWidth,
+      height: chartHeight,
+    }, { colors: style.chartColors });
+  } catch (chartError) {
+    console.error('Error rendering chart:', chartError);
+  }
+  return yPosition + chartHeight + 10;
+};
+
+/**
+ * Draw a page title, with the theme logo at the right margin
+ * @returns {number} Y position below the title (and logo)
+ */
+const addTitle = (pdf, style, title, yPosition) => {
+  const { margins, fonts, colors, logo } = style;
+  let nextY = yPosition + fonts.title * 0.75;
+
+  if (logo) {
+    const size = getLogoSize(pdf, logo);
+    const top = yPosition - 6;
+    drawLogo(pdf, logo, pdf.internal.pageSize.getWidth() - margins.right - size.width, top, size);
+    nextY = Math.max(nextY, top + size.height + 6);
+  }
+
+  pdf.setFontSize(fonts.title);
+  pdf.setFont(undefined, 'bold');
+  pdf.setTextColor(...colors.heading);
+  drawText(pdf, title, margins.left, yPosition);
+  return nextY;
+};
+
+const writeResponse = (pdf, style, response, options = {}) => {
+  const { title = style.title, startY = style.margins.top, tableViews, sectionIds, includePreamble = true } = options;
+  const { fonts } = style;
+  let yPosition = addTitle(pdf, style, title, startY);
+
+  if (includePreamble) {
+    yPosition = addLabeledParagraph(pdf, style, 'Question:', response.question, yPosition, fonts.body * 0.6) + 10;
+    yPosition = addLabeledParagraph(pdf, style, 'Answer:', response.answer, yPosition, fonts.body * 0.65) + 12;
+  } else {
+    yPosition += 4;
+  }
+
+  const sections = selectSections(applyTableViews(getResponseSections(response), tableViews), sectionIds);
+  if (sections.length === 0) return yPosition;
+
+  for (const section of sections) {
+    if (section.type === 'text') {
+      yPosition = addTextSection(pdf, style, section, yPosition);
+    } else if (section.type === 'table') {
+      yPosition = addTableSection(pdf, style, section, yPosition);
+    } else if (section.type === 'chart') {
+      yPosition = addChartSection(pdf, style, section, yPosition);
+    }
+  }
+
+  return yPosition;
+};
+
+/**
+ * Write a response (title, question, answer and all sections) into an
+ * existing document, starting at the current page.
+ *
+ * @param {jsPDF} pdf - jsPDF instance
+ * @param {Object} response - { id, question, answer, sections, charts, chartData, chartType }
+ * @param {Object} options
+ * @param {string} options.title - Title drawn above the question (default: the theme title)
+ * @param {number} options.startY - Y position to start at
+ * @param {Object} options.tableViews - Table views by section id (see tableView)
+ * @param {string[]} options.sectionIds - Sections to include (default: all)
+ * @param {boolean} options.includePreamble - Whether to write the question and answer (default: true)
+ * @param {Object} options.theme - Theme, complete or partial (see theme)
+ * @param {Object} options.page - Size and orientation of added pages (default: the document's)
+ * @returns {Promise<number>} Y position after the last rendered block
+ */
+export const writeResponseToPDF = async (pdf, response, options = {}) => {
+  const page = options.page ? resolvePageSetup(options.page) : getDocumentPageSetup(pdf);
+  const style = await getPdfStyle(options.theme, page);
+  return writeResponse(pdf, style, response, options);
+};
+
+/**
+ * Fill the current page with the theme's cover: logo, title, subtitle,
+ * author and date
+ */
+const addCoverPage = (pdf, style) => {
+  const { margins, fonts, colors, logo, cover } = style;
+  const pageWidth = pdf.internal.pageSize.getWidth();
+  const pageHeight = pdf.internal.pageSize.getHeight();
+  const maxWidth = pageWidth - margins.left - margins.right;
+  // Height of a line drawn by drawTextLines at the current font size
+  const lineHeight = () => (pdf.getFontSize() / pdf.internal.scaleFactor) * pdf.getLineHeightFactor();
+
+  // Brand band across the top of the page
+  pdf.setFillColor(...colors.brand);
+  pdf.rect(0, 0, pageWidth, 8, 'F');
+
+  if (logo) {
+    drawLogo(pdf, logo, margins.left, margins.top + 10, getLogoSize(pdf, logo));
+  }
+
+  let yPosition = pageHeight * 0.4;
+  pdf.setFont(undefined, 'bold');
+  pdf.setFontSize(fonts.title * 1.75);
+  pdf.setTextColor(...colors.brand);
+  const title = splitText(pdf, cover.title || style.title, maxWidth);
+  drawTextLines(pdf, title, margins.left, yPosition);
+  yPosition += title.lines.length * lineHeight();
+
+  if (cover.subtitle) {
+    pdf.setFont(undefined, 'normal');
+    pdf.setFontSize(fonts.heading * 1.3);
+    pdf.setTextColor(...colors.heading);
+    const subtitle = splitText(pdf, cover.subtitle, maxWidth);
+    drawTextLines(pdf, subtitle, margins.left, yPosition);
+    yPosition += subtitle.lines.length * lineHeight();
+  }
+
+  pdf.setDrawColor(...colors.brand);
+  pdf.setLineWidth(0.8);
+  pdf.line(margins.left, yPosition, margins.left + 40, yPosition);
+  yPosition += 10;
+
+  const date = cover.date instanceof Date
+    ? cover.date.toLocaleDateString(undefined, { year: 'numeric', month: 'long', day: 'numeric' })
+    : cover.date || new Date().toLocaleDateString(undefined, { year: 'numeric', month: 'long', day: 'numeric' });
+  pdf.setFont(undefined, 'normal');
+  pdf.setFontSize(fonts.body + 1);
+  pdf.setTextColor(...colors.text);
+  [cover.author && `Prepared by ${cover.author}`, date].filter(Boolean).forEach((line) => {
+    drawText(pdf, line, margins.left, yPosition);
+    yPosition += lineHeight() * 1.2;
+  });
+};
+
+/**
+ * Style for the page content: the logo moves to the running header when
+ * the header shows it
+ */
+const getContentStyle = (style, headerFooter) => {
+  const { header } = resolveHeaderFooter(headerFooter);
+  return header && header.logo ? { ...style, logo: null } : style;
+};
+
+/**
+ * Headed sections of a response: the entries of its table of contents
+ */
+const getHeadedSections = (response, sectionIds) => (
+  selectSections(getResponseSections(response), sectionIds).filter((section) => section.heading)
+);
+
+/**
+ * Whether a response gets a table of contents: as `toc` says, or by
+ * default when it has at least TOC_MIN_HEADINGS headed sections
+ */
+const hasTableOfContents = (toc, headingCount) => (
+  typeof toc === 'boolean' ? toc && headingCount > 0 : headingCount >= TOC_MIN_HEADINGS
+);
+
+/**
+ * Number of entries that fit on a table of contents page; the first page
+ * also holds the document title
+ */
+const getTocEntriesPerPage = (style, pageHeight, isFirstPage) => Math.floor(
+  (pageHeight - style.margins.top - style.margins.bottom - (isFirstPage ? TOC_HEADER_HEIGHT : 0)) / TOC_ENTRY_HEIGHT
+);
+
+/**
+ * Reserve pages for the table of contents: the current page and as many
+ * more as the entries need. They are filled in by addTableOfContents once
+ * the layout is done and every entry's page number is known.
+ */
+const reserveTableOfContents = (pdf, style, entryCount) => {
+  const pageHeight = pdf.internal.pageSize.getHeight();
+  const firstPageEntries = getTocEntriesPerPage(style, pageHeight, true);
+  const extraPages = Math.ceil(Math.max(0, entryCount - firstPageEntries) / getTocEntriesPerPage(style, pageHeight, false));
+  for (let i = 0; i < extraPages; i++) {
+    pdf.addPage(style.page.format, style.page.orientation);
+  }
+};
+
+/**
+ * Fill the reserved table of contents pages. Entries are
+ * { title, pageNumber, top, level }: level 0 entries are numbered, level 1
+ * entries (section headings of a conversation turn) are indented. Every
+ * entry links to its position in the document.
+ */
+const addTableOfContents = (pdf, style, title, entries, firstPage) => {
+  const { margins, fonts, colors } = style;
+  let tocPage = firstPage;
+  pdf.setPage(tocPage);
+
+  const pageWidth = pdf.internal.pageSize.getWidth();
+  const pageHeight = pdf.internal.pageSize.getHeight();
+  const maxWidth = pageWidth - margins.left - margins.right;
+  let yPosition = margins.top;
+
+  pdf.setFontSize(fonts.title);
+  pdf.setFont(undefined, 'bold');
+  pdf.setTextColor(...colors.heading);
+  drawText(pdf, title, margins.left, yPosition);
+  yPosition += 8;
+
+  pdf.setFontSize(fonts.heading);
+  pdf.setTextColor(...colors.brand);
+  pdf.text('Table of Contents', margins.left, yPosition);
+  yPosition += 3;
+  pdf.setDrawColor(...colors.brand);
+  pdf.setLineWidth(0.5);
+  pdf.line(margins.left, yPosition, pageWidth - margins.right, yPosition);
+  yPosition = margins.top + TOC_HEADER_HEIGHT;
+
+  let pageEntries = getTocEntriesPerPage(style, pageHeight, true);
+  let entriesOnPage = 0;
+  let number = 0;
+  entries.forEach((entry) => {
+    if (entriesOnPage === pageEntries) {
+      tocPage += 1;
+      pdf.setPage(tocPage);
+      yPosition = margins.top;
+      pageEntries = getTocEntriesPerPage(style, pageHeight, false);
+      entriesOnPage = 0;
+    }
+
+    const isNested = entry.level > 0;
+    if (!isNested) number += 1;
+    const indent = isNested ? TOC_INDENT : 0;
+    const pageLabel = String(entry.pageNumber);
+    pdf.setFontSize(isNested ? fonts.body - 1 : fonts.body);
+    pdf.setFont(undefined, 'normal');
+    pdf.setTextColor(...colors.text);
+    const labelWidth = pdf.getTextWidth(pageLabel);
+    const { lines, fallbacks } = splitText(pdf, isNested ? entry.title : `${number}. ${entry.title}`, maxWidth - indent - labelWidth - 10);
+    const entryTitle = lines.length > 1 ? `${lines[0].trimEnd()}...` : lines[0];
+
+    drawTextLines(pdf, { lines: [entryTitle], fallbacks }, margins.left + indent, yPosition);
+    pdf.text(pageLabel, pageWidth - margins.right, yPosition, { align: 'right' });
+    pdf.link(margins.left, yPosition - 5, maxWidth, TOC_ENTRY_HEIGHT - 1, { pageNumber: entry.pageNumber, top: entry.top || 0 });
+    yPosition += TOC_ENTRY_HEIGHT;
+    entriesOnPage += 1;
+  });
+};
+
+/**
+ * Build a complete document for a single response, after the theme's
+ * cover page when it has one. Section headings become bookmarks and, for
+ * long responses, a table of contents.
+ * @param {Object} response - { id, question, answer, sections, charts, chartData, chartType }
+ * @param {Object} options - title, tableViews, sectionIds, includePreamble and theme (see writeResponseToPDF)
+ * @param {Object} options.page - Page size and orientation (see pageSetup)
+ * @param {Object|boolean} options.headerFooter - Running header and footer (see pdfHeaderFooter)
+ * @param {boolean} options.toc - Table of contents page (default: with 5 or more headed sections)
+ * @returns {Promise<jsPDF>}
+ */
+export const buildResponsePDF = async (response, options = {}) => {
+  const pdf = await createPDFDocument(options.page);
+  const style = await getPdfStyle(options.theme, resolvePageSetup(options.page));
+  const title = options.title || style.title;
+  if (style.cover) {
+    addCoverPage(pdf, style);
+    pdf.addPage(style.page.format, style.page.orientation);
+  }
+  const firstPage = pdf.getNumberOfPages();
+
+  const headingCount = getHeadedSections(response, options.sectionIds).length;
+  const withToc = hasTableOfContents(options.toc, headingCount);
+  if (withToc) {
+    reserveTableOfContents(pdf, style, headingCount);
+    pdf.addPage(style.page.format, style.page.orientation);
+  }
+
+  const headings = [];
+  writeResponse(pdf, { ...getContentStyle(style, options.headerFooter), headings }, response, options);
+  if (withToc) {
+    addTableOfContents(pdf, style, title, headings, firstPage);
+  }
+  addOutline(pdf, headings);
+  addHeadersAndFooters(pdf, { ...style, title }, options.headerFooter, { firstPage });
+  pdf.setPage(pdf.getNumberOfPages());
+  return pdf;
+};
+
+/**
+ * Build the list of turns for a conversation export.
+ * Each response is a turn; a question that never got a response is kept
+ * as a question-only turn so nothing in the conversation is dropped.
+ */
+export const getConversationTurns = (messages) => {
+  const turns = [];
+  messages.forEach((msg, index) => {
+    if (msg.type === 'response') {
+      turns.push({ question: msg.question, response: msg });
+    } else if (msg.type === 'question') {
+      const next = messages[index + 1];
+      if (!next || next.type !== 'response') {
+        turns.push({ question: msg.content, response: null });
+      }
+    }
+  });
+  return turns;
+};
+
+/**
+ * Build one document for a whole conversation: the theme's cover page when
+ * it has one, a table of contents (turns, with their section headings
+ * below them), then every turn on its own page(s). The outline follows the
+ * table of contents.
+ *
+ * @param {Array} messages - Chat messages ({ type: 'question' | 'response', ... })
+ * @param {Object} options
+ * @param {Object} options.tableViews - Table views by section id (see tableView)
+ * @param {Object} options.theme - Theme, complete or partial (see theme)
+ * @param {string} options.title - Document title (default: "Conversation Export")
+ * @param {Object} options.page - Page size and orientation (see pageSetup)
+ * @param {Object|boolean} options.headerFooter - Running header and footer (see pdfHeaderFooter)
+ * @returns {Promise<jsPDF>}
+ */
+export const buildConversationPDF = async (messages, options = {}) => {
+  const { tableViews, title: documentTitle = 'Conversation Export' } = options;
+  const pdf = await createPDFDocument(options.page);
+  const style = await getPdfStyle(options.theme, resolvePageSetup(options.page));
+  const { format, orientation } = style.page;
+  const contentStyle = getContentStyle(style, options.headerFooter);
+  const { margins } = style;
+  const turns = getConversationTurns(messages);
+
+  if (style.cover) {
+    addCoverPage(pdf, style);
+    pdf.addPage(format, orientation);
+  }
+  const tocFirstPage = pdf.getNumberOfPages();
+  const headingCount = turns.reduce((count, turn) => (
+    count + (turn.response ? getHeadedSections(turn.response).length : 0)
+  ), 0);
+  reserveTableOfContents(pdf, style, turns.length + headingCount);
+
+  const tocEntries = [];
+  for (let i = 0; i < turns.length; i++) {
+    const turn = turns[i];
+    pdf.addPage(format, orientation);
+    tocEntries.push({ title: turn.question, pageNumber: pdf.getNumberOfPages(), level: 0 });
+
+    const title = `Turn ${i + 1}`;
+    if (turn.response) {
+      const headings = [];
+      writeResponse(pdf, { ...contentStyle, headings }, turn.response, { title, tableViews });
+      headings.forEach((heading) => tocEntries.push({ ...heading, level: 1 }));
+    } else {
+      // Unanswered question - write the question only
+      const yPosition = addTitle(pdf, contentStyle, title, margins.top);
+      addLabeledParagraph(pdf, contentStyle, 'Question:', turn.question, yPosition, style.fonts.body * 0.6);
+    }
+  }
+
+  addTableOfContents(pdf, style, documentTitle, tocEntries, tocFirstPage);
+  addOutline(pdf, tocEntries);
+  addHeadersAndFooters(pdf, { ...style, title: documentTitle }, options.headerFooter, { firstPage: tocFirstPage });
+  pdf.setPage(pdf.getNumberOfPages());
+  return pdf;
+};
+
+/**
+ * Get the document as a Blob (for uploads, previews or scripts)
+ */
+export const pdfToBlob = (pdf) => pdf.output('blob');
+
+/**
+ * Save the document with a timestamped file name: `<prefix>-<timestamp>.pdf`,
+ * or `<prefix>.pdf` with `{ timestamp: false }`
+ */
+export const savePDF = (pdf, prefix, options) => {
+  pdf.save(getExportFilename(prefix, 'pdf', options));
+};
@@ -0,0 +1,100 @@
+/**
+ * @jest-environment node
+ */
+import fs from 'fs';
+import { buildConversationPDF, buildResponsePDF } from './pdfDocumentBuilder';
+import { setPdfFontData } from './pdfFonts';
+import { SAMPLE_MESSAGES } from '../data/sampleMessages';
+
+// Text drawn on a page, from its content stream
+const pageText = (pdf, page) => pdf.internal.pages[page].join('\n');
+const findPage = (pdf, text) => {
+  for (let page = 1; page <= pdf.getNumberOfPages(); page++) {
+    if (pageText(pdf, page).includes(text)) return page;
+  }
+  return -1;
+};
+
+const filler = (lines) => ({
+  id: 'filler',
+  type: 'text',
+  content: Array.from({ length: lines }, (_, i) => `Filler${i + 1}`).join('\n\n'),
+  isFormatted: true,
+});
+
+describe('page layout', () => {
+  const table = {
+    id: 'table',
+    type: 'table',
+    heading: 'Regional Sales',
+    layout: 'portrait',
+    columns: ['Region', 'Notes'],
+    // Tall rows: the header and first two rows need about 50mm
+    rows: Array.from({ length: 6 }, (_, i) => [`Region${i + 1}`, 'Revenue grew strongly across the quarter. '.repeat(8)]),
+  };
+
+  it('keeps a table heading with the table header and first rows', async () => {
+    // From plenty of room for the table to room for the heading only
+    for (const lines of [4, 8, 12, 16, 20, 24, 28]) {
+      const pdf = await buildResponsePDF({ id: 'r', question: 'Q', answer: 'A', sections: [filler(lines), table] });
+      const headingPage = findPage(pdf, 'Regional Sales');
+
+      expect(headingPage).toBe(findPage(pdf, 'Notes'));
+      expect(headingPage).toBe(findPage(pdf, 'Region2'));
+    }
+  });
+
+  it('keeps a split table on the page it fits, though its other columns follow on the next', async () => {
+    const wide = {
+      id: 'wide',
+      type: 'table',
+      heading: 'Monthly Sales',
+      layout: 'split',
+      columns: ['Region', ...Array.from({ length: 24 }, (_, i) => `Month ${i + 1}`)],
+      rows: Array.from({ length: 3 }, (_, i) => [`Region${i + 1}`, ...Array.from({ length: 24 }, () => '1,234,567.89')]),
+    };
+    const pdf = await buildResponsePDF({ id: 'r', question: 'Q', answer: 'A', sections: [filler(4), wide] });
+
+    expect(pdf.getNumberOfPages()).toBeGreaterThan(1);
+    expect(findPage(pdf, 'Monthly Sales')).toBe(1);
+    expect(findPage(pdf, 'Region3')).toBe(1);
+  });
+
+  it('breaks long answers across pages', async () => {
+    const answer = Array.from({ length: 300 }, (_, i) => `Sentence ${i + 1} of the answer.`).join(' ');
+    const pdf = await buildResponsePDF({ id: 'r', question: 'Q', answer });
+
+    expect(pdf.getNumberOfPages()).toBe(2);
+    expect(findPage(pdf, 'Sentence 300')).toBe(2);
+  });
+});
+
+describe('file size', () => {
+  const readFont = (name) => fs.readFileSync(require.resolve(`dejavu-fonts-ttf/ttf/${name}`)).toString('base64');
+  const sizeOf = (pdf) => pdf.output('arraybuffer').byteLength;
+
+  beforeAll(() => {
+    setPdfFontData({
+      normal: readFont('DejaVuSans.ttf'),
+      bold: readFont('DejaVuSans-Bold.ttf'),
+      italic: readFont('DejaVuSans-Oblique.ttf'),
+      bolditalic: readFont('DejaVuSans-BoldOblique.ttf'),
+      mono: readFont('DejaVuSansMono.ttf'),
+      monobold: readFont('DejaVuSansMono-Bold.ttf'),
+    });
+  });
+
+  // Back to the standard fonts for the other tests
+  afterAll(() => setPdfFontData(null));
+
+  it('embeds only the font styles that are drawn, compressed', async () => {
+    // The six DejaVu files are about 3.4 MB; embedded whole, a short answer took 650 KB
+    const short = await buildResponsePDF({ id: 'r', question: 'Q', answer: 'A' });
+    expect(short.output()).toContain('/FontName /DejaVuSans');
+    expect(short.output()).not.toContain('/FontName /DejaVuSansMono');
+    expect(sizeOf(short)).toBeLessThan(150 * 1024);
+
+    const conversation = await buildConversationPDF(SAMPLE_MESSAGES);
+    expect(sizeOf(conversation)).toBeLessThan(400 * 1024);
+  });
+});
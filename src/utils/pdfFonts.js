@@ -0,0 +1,366 @@
+/**
+ * Font embedding for PDF exports
+ * Embeds a Unicode TTF family (DejaVu Sans: Latin, Greek, Cyrillic, Arabic,
+ * Hebrew, symbols...) so text in exports matches what users see in the chat.
+ * DejaVu Sans Mono is embedded alongside it for inline code and code blocks.
+ * Export documents only write the styles they draw with (see createPDFDocument).
+ *
+ * Characters the embedded font has no glyph for (emojis, CJK...) are drawn as
+ * small images rendered by the browser's own fonts. The text itself keeps an
+ * EM SPACE placeholder of the same width, so line wrapping stays correct.
+ *
+ * When the font files can't be loaded (e.g. scripts running outside the
+ * browser that didn't call setPdfFontData), exports fall back to the built-in
+ * Helvetica / Courier and emojis are replaced with text equivalents.
+ */
+import dejaVuSansUrl from 'dejavu-fonts-ttf/ttf/DejaVuSans.ttf';
+import dejaVuSansBoldUrl from 'dejavu-fonts-ttf/ttf/DejaVuSans-Bold.ttf';
+import dejaVuSansObliqueUrl from 'dejavu-fonts-ttf/ttf/DejaVuSans-Oblique.ttf';
+import dejaVuSansBoldObliqueUrl from 'dejavu-fonts-ttf/ttf/DejaVuSans-BoldOblique.ttf';
+import dejaVuSansMonoUrl from 'dejavu-fonts-ttf/ttf/DejaVuSansMono.ttf';
+import dejaVuSansMonoBoldUrl from 'dejavu-fonts-ttf/ttf/DejaVuSansMono-Bold.ttf';
+
+export const PDF_FONT_FAMILY = 'DejaVuSans';
+export const PDF_MONO_FONT_FAMILY = 'DejaVuSansMono';
+
+const FONT_FILES = {
+  normal: { file: 'DejaVuSans.ttf', url: dejaVuSansUrl, family: PDF_FONT_FAMILY, style: 'normal' },
+  bold: { file: 'DejaVuSans-Bold.ttf', url: dejaVuSansBoldUrl, family: PDF_FONT_FAMILY, style: 'bold' },
+  italic: { file: 'DejaVuSans-Oblique.ttf', url: dejaVuSansObliqueUrl, family: PDF_FONT_FAMILY, style: 'italic' },
+  bolditalic: { file: 'DejaVuSans-BoldOblique.ttf', url: dejaVuSansBoldObliqueUrl, family: PDF_FONT_FAMILY, style: 'bolditalic' },
+  mono: { file: 'DejaVuSansMono.ttf', url: dejaVuSansMonoUrl, family: PDF_MONO_FONT_FAMILY, style: 'normal' },
+  monobold: { file: 'DejaVuSansMono-Bold.ttf', url: dejaVuSansMonoBoldUrl, family: PDF_MONO_FONT_FAMILY, style: 'bold' },
+};
+
+const EM_SPACE = '\u2003';
+
+/**
+ * Emoji sequences: pictographs with variation selectors, skin tones and ZWJ
+ * joins, flags and keycaps
+ */
+const EMOJI_PATTERN = /\p{Extended_Pictographic}(?:\uFE0F|\u200D\p{Extended_Pictographic}|[\u{1F3FB}-\u{1F3FF}])*|[\u{1F1E6}-\u{1F1FF}]{2}|[#*0-9]\uFE0F?\u20E3/gu;
+
+/**
+ * Common emoji replacements for PDF rendering
+ * Used when no Unicode font is embedded - the standard fonts can't render emojis
+ */
+const EMOJI_REPLACEMENTS = {
+  '💼': '[Briefcase] ',
+  '🎯': '[Target] ',
+  '📊': '[Chart] ',
+  '📈': '[Trending Up] ',
+  '📉': '[Trending Down] ',
+  '✅': '[Check] ',
+  '❌': '[X] ',
+  '⚠️': '[Warning] ',
+  '💡': '[Idea] ',
+  '🔍': '[Search] ',
+  '📝': '[Note] ',
+  '🚀': '[Rocket] ',
+  '⭐': '[Star] ',
+  '👍': '[Thumbs Up] ',
+  '👎': '[Thumbs Down] ',
+  '🔥': '[Fire] ',
+  '💰': '[Money] ',
+  '📱': '[Phone] ',
+  '💻': '[Computer] ',
+  '🌟': '[Star] ',
+  '📅': '[Calendar] ',
+  '🎉': '[Party] ',
+  '⏰': '[Clock] ',
+  '📧': '[Email] ',
+  '🔔': '[Bell] ',
+  '📌': '[Pin] ',
+  '📑': '[Document] ',
+  '🥧': '[Pie] ',
+  '📐': '[Ruler] ',
+  '🏆': '[Trophy] ',
+  '✍️': '[Writing] ',
+  '📋': '[Clipboard] ',
+  '🗺️': '[Map] ',
+};
+
+/**
+ * Remove emojis, e.g. from headings used as names
+ */
+export const stripEmojis = (text) => (text || '').replace(EMOJI_PATTERN, '').replace(/\s+/g, ' ').trim();
+
+/**
+ * Replace emojis with text equivalents for PDF rendering
+ */
+export const replaceEmojisForPDF = (text) => {
+  if (!text) return text;
+  let result = text;
+  Object.keys(EMOJI_REPLACEMENTS).forEach(emoji => {
+    result = result.split(emoji).join(EMOJI_REPLACEMENTS[emoji]);
+  });
+  // Remove any remaining emojis (fallback for unlisted ones)
+  // Emoji regex pattern - removes most emoji characters
+  result = result.replace(/[\u{1F300}-\u{1F9FF}]|[\u{2600}-\u{26FF}]|[\u{2700}-\u{27BF}]/gu, '');
+  return result;
+};
+
+let fontDataPromise = null;
+
+const arrayBufferToBase64 = (buffer) => {
+  const bytes = new Uint8Array(buffer);
+  let binary = '';
+  // Chunked to stay under the argument limit of String.fromCharCode
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+};
+
+const loadFontData = () => {
+  if (!fontDataPromise) {
+    fontDataPromise = Promise.all(
+      Object.entries(FONT_FILES).map(async ([key, { url }]) => {
+        const response = await fetch(url);
+        if (!response.ok) {
+          throw new Error(`Failed to load ${url}: ${response.status}`);
+        }
+        return [key, arrayBufferToBase64(await response.arrayBuffer())];
+      })
+    )
+      .then(entries => Object.fromEntries(entries))
+      .catch((error) => {
+        console.warn('PDF font unavailable, falling back to Helvetica:', error.message);
+        // Allow a later export to retry
+        fontDataPromise = null;
+        return null;
+      });
+  }
+  return fontDataPromise;
+};
+
+/**
+ * Provide the font files directly as base64 strings keyed by style
+ * ({ normal, bold, italic, bolditalic, mono, monobold }), e.g. when building
+ * documents from a script where the bundled font URLs can't be fetched.
+ * The mono entries are optional; code then uses Courier.
+ */
+export const setPdfFontData = (fontData) => {
+  fontDataPromise = Promise.resolve(fontData);
+};
+
+/**
+ * Embed the Unicode font family into a document and make it the current font
+ * @param {jsPDF} pdf - jsPDF instance
+ * @returns {Promise<boolean>} whether the font was embedded
+ */
+export const registerPdfFonts = async (pdf) => {
+  const fontData = await loadFontData();
+  if (!fontData) return false;
+
+  Object.entries(FONT_FILES).forEach(([key, { file, family, style }]) => {
+    if (!fontData[key]) return;
+    pdf.addFileToVFS(file, fontData[key]);
+    pdf.addFont(file, family, style);
+  });
+  pdf.setFont(PDF_FONT_FAMILY, 'normal');
+  return true;
+};
+
+/**
+ * Embed the fonts another document has embedded, without loading them again
+ * @param {jsPDF} source - Document the fonts were registered with
+ * @param {jsPDF} target - Document to embed them into
+ */
+export const copyPdfFonts = (source, target) => {
+  Object.values(FONT_FILES).forEach(({ file, family, style }) => {
+    if (!source.existsFileInVFS(file)) return;
+    target.addFileToVFS(file, source.getFileFromVFS(file));
+    target.addFont(file, family, style);
+  });
+};
+
+/**
+ * Font family for code: the embedded mono font, or Courier without it
+ */
+export const getMonoFontFamily = (pdf) => (
+  pdf.getFontList()[PDF_MONO_FONT_FAMILY] ? PDF_MONO_FONT_FAMILY : 'courier'
+);
+
+/**
+ * Embedded TTF fonts carry a character map; the standard fonts only cover Latin-1
+ */
+const getCodeMap = (pdf) => pdf.getFont().metadata?.cmap?.unicode?.codeMap;
+
+const hasGlyph = (codeMap, char) => {
+  const codePoint = char.codePointAt(0);
+  if (codePoint < 0x20 || /\s/.test(char)) return true;
+  return Boolean(codeMap[codePoint]);
+};
+
+let glyphImagesSupported = null;
+const glyphImageCache = {};
+const GLYPH_IMAGE_SIZE = 64;
+const GLYPH_FONT_STACK = '"Apple Color Emoji", "Segoe UI Emoji", "Noto Color Emoji", "Noto Sans CJK SC", "Microsoft YaHei", sans-serif';
+
+const canRenderGlyphImages = () => {
+  if (glyphImagesSupported === null) {
+    try {
+      glyphImagesSupported = typeof document !== 'undefined'
+        && Boolean(document.createElement('canvas').getContext('2d'));
+    } catch (error) {
+      glyphImagesSupported = false;
+    }
+  }
+  return glyphImagesSupported;
+};
+
+/**
+ * Render a single glyph (or emoji sequence) to a square PNG using the
+ * browser's fonts. The baseline sits at 80% of the height, like the text.
+ */
+const renderGlyphImage = (glyph, color) => {
+  const key = `${glyph}|${color}`;
+  if (!(key in glyphImageCache)) {
+    const canvas = document.createElement('canvas');
+    canvas.width = GLYPH_IMAGE_SIZE;
+    canvas.height = GLYPH_IMAGE_SIZE;
+    const ctx = canvas.getContext('2d');
+    ctx.font = `${GLYPH_IMAGE_SIZE * 0.85}px ${GLYPH_FONT_STACK}`;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'alphabetic';
+    ctx.fillStyle = color;
+    ctx.fillText(glyph, GLYPH_IMAGE_SIZE / 2, GLYPH_IMAGE_SIZE * 0.8);
+    glyphImageCache[key] = canvas.toDataURL('image/png');
+  }
+  return glyphImageCache[key];
+};
+
+/**
+ * Prepare text for the current font
+ * Every emoji or character the font can't draw is replaced by an EM SPACE
+ * placeholder and queued in `fallbacks`, in reading order.
+ *
+ * @returns {{ text: string, fallbacks: string[] }}
+ */
+export const prepareText = (pdf, text) => {
+  const source = text == null ? '' : String(text);
+  const codeMap = getCodeMap(pdf);
+  if (!codeMap || !canRenderGlyphImages()) {
+    return { text: replaceEmojisForPDF(source), fallbacks: [] };
+  }
+
+  let result = '';
+  const fallbacks = [];
+  const addPlain = (plain) => {
+    for (const char of plain) {
+      if (char === EM_SPACE) {
+        result += ' ';
+      } else if (hasGlyph(codeMap, char)) {
+        result += char;
+      } else {
+        result += EM_SPACE;
+        fallbacks.push(char);
+      }
+    }
+  };
+
+  let lastIndex = 0;
+  for (const match of source.matchAll(EMOJI_PATTERN)) {
+    addPlain(source.slice(lastIndex, match.index));
+    const sequence = match[0];
+    // Single text-style symbols the font has (©, ®, ⚠ ...) stay as text
+    if (Array.from(sequence).length === 1 && hasGlyph(codeMap, sequence)) {
+      result += sequence;
+    } else {
+      result += EM_SPACE;
+      fallbacks.push(sequence);
+    }
+    lastIndex = match.index + sequence.length;
+  }
+  addPlain(source.slice(lastIndex));
+
+  return { text: result, fallbacks };
+};
+
+/**
+ * Draw the queued fallback glyphs over the placeholders of a line that has
+ * already been drawn with pdf.text(). Consumes entries from `fallbacks`.
+ */
+export const drawFallbackGlyphs = (pdf, line, x, y, fallbacks, { align = 'left', baseline = 'alphabetic' } = {}) => {
+  if (fallbacks.length === 0 || !line.includes(EM_SPACE)) return;
+
+  const em = pdf.getFontSize() / pdf.internal.scaleFactor;
+  let startX = x;
+  if (align === 'right') startX -= pdf.getTextWidth(line);
+  else if (align === 'center') startX -= pdf.getTextWidth(line) / 2;
+
+  let top = y - em * 0.8;
+  if (baseline === 'middle') top = y - em / 2;
+  else if (baseline === 'top') top = y;
+
+  let index = line.indexOf(EM_SPACE);
+  while (index !== -1 && fallbacks.length > 0) {
+    const image = renderGlyphImage(fallbacks.shift(), pdf.getTextColor());
+    pdf.addImage(image, 'PNG', startX + pdf.getTextWidth(line.slice(0, index)), top, em, em);
+    index = line.indexOf(EM_SPACE, index + 1);
+  }
+};
+
+/**
+ * Draw a single line of text, including glyphs the font doesn't cover
+ * Accepts the same options as pdf.text() (align, baseline...)
+ */
+export const drawText = (pdf, text, x, y, options = {}) => {
+  const prepared = prepareText(pdf, text);
+  pdf.text(prepared.text, x, y, options);
+  drawFallbackGlyphs(pdf, prepared.text, x, y, prepared.fallbacks, options);
+};
+
+/**
+ * Wrap text to a width with the current font
+ * @returns {{ lines: string[], fallbacks: string[] }}
+ */
+export const splitText = (pdf, text, maxWidth) => {
+  const prepared = prepareText(pdf, text);
+  return { lines: pdf.splitTextToSize(prepared.text, maxWidth), fallbacks: prepared.fallbacks };
+};
+
+/**
+ * Draw lines produced by splitText(), one under another, with the
+ * document's line height
+ */
+export const drawTextLines = (pdf, { lines, fallbacks }, x, y) => {
+  const lineHeight = (pdf.getFontSize() / pdf.internal.scaleFactor) * pdf.getLineHeightFactor();
+  pdf.text(lines, x, y);
+  lines.forEach((line, index) => {
+    drawFallbackGlyphs(pdf, line, x, y + index * lineHeight, fallbacks);
+  });
+};
+
+/**
+ * jspdf-autotable hooks that apply the same glyph fallback to table cells
+ * Merge them into the autoTable options.
+ */
+export const getTableGlyphHooks = () => ({
+  didParseCell: ({ doc, cell }) => {
+    const fallbacks = [];
+    cell.text = cell.text.map((line) => {
+      const prepared = prepareText(doc, line);
+      fallbacks.push(...prepared.fallbacks);
+      return prepared.text;
+    });
+    cell.glyphFallbacks = fallbacks;
+  },
+  didDrawCell: ({ doc, cell }) => {
+    if (!cell.glyphFallbacks || cell.glyphFallbacks.length === 0) return;
+
+    // Mirror autoTable's own text placement
+    const fontSize = doc.getFontSize() / doc.internal.scaleFactor;
+    const lineHeight = fontSize * doc.getLineHeightFactor();
+    const textPos = cell.getTextPos();
+    let y = textPos.y + fontSize * (2 - 1.15);
+    if (cell.styles.valign === 'middle') y -= (cell.text.length / 2) * lineHeight;
+    else if (cell.styles.valign === 'bottom') y -= cell.text.length * lineHeight;
+
+    const align = cell.styles.halign === 'right' || cell.styles.halign === 'center' ? cell.styles.halign : 'left';
+    cell.text.forEach((line, index) => {
+      drawFallbackGlyphs(doc, line, textPos.x, y + index * lineHeight, cell.glyphFallbacks, { align });
+    });
+  },
+});
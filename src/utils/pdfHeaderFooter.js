@@ -0,0 +1,116 @@
+/**
+ * Running headers and footers for PDF exports
+ * Drawn on every page once the layout is complete, when the page count is
+ * known: the header holds the document title and logo, the footer the page
+ * number ("Page X of Y"), the generation time and an optional label such
+ * as "Confidential".
+ *
+ * Exports take them as `options.headerFooter`:
+ *   header: false | { title: true | string, logo: boolean }
+ *   footer: false | { pageNumbers: false | template, timestamp: boolean | string, label: string }
+ * Page number templates use {page} and {total}. `false` for headerFooter
+ * leaves every page bare.
+ */
+import { drawText } from './pdfFonts';
+
+export const DEFAULT_HEADER_FOOTER = {
+  header: { title: true, logo: true },
+  footer: { pageNumbers: 'Page {page} of {total}', timestamp: true, label: '' }
+};
+
+// Height of the header logo in mm
+const HEADER_LOGO_HEIGHT = 5;
+
+const resolvePart = (value, defaults) => {
+  if (value === false || value === null) return null;
+  if (value === undefined || value === true) return { ...defaults };
+  return { ...defaults, ...value };
+};
+
+/**
+ * Complete header/footer options; a disabled part is null
+ * @param {Object|boolean} options - See the module comment
+ * @returns {{ header: Object|null, footer: Object|null }}
+ */
+export const resolveHeaderFooter = (options) => {
+  if (options === false) return { header: null, footer: null };
+  const { header, footer } = options && typeof options === 'object' ? options : {};
+  return {
+    header: resolvePart(header, DEFAULT_HEADER_FOOTER.header),
+    footer: resolvePart(footer, DEFAULT_HEADER_FOOTER.footer)
+  };
+};
+
+/**
+ * Fill a page number template: "Page {page} of {total}"
+ */
+export const formatPageLabel = (template, page, total) => String(template)
+  .replace(/\{page\}/g, page)
+  .replace(/\{total\}/g, total);
+
+const drawHeaderLogo = (pdf, logo, right, bottom) => {
+  try {
+    const { width, height, fileType } = pdf.getImageProperties(logo.data);
+    const logoWidth = HEADER_LOGO_HEIGHT * (width / height);
+    pdf.addImage(logo.data, fileType, right - logoWidth, bottom - HEADER_LOGO_HEIGHT, logoWidth, HEADER_LOGO_HEIGHT);
+  } catch (error) {
+    console.warn('Could not draw the header logo:', error);
+  }
+};
+
+/**
+ * Draw the header and footer on every page from `firstPage` (pages before
+ * it, such as a cover, stay bare). Headers sit in the top margin and
+ * footers in the bottom margin, above and below a thin rule.
+ *
+ * @param {jsPDF} pdf - Laid out document
+ * @param {Object} style - { title, logo (loaded image or null), margins, colors: { muted, rule } as [r, g, b], fonts: { small } }
+ * @param {Object|boolean} options - Header/footer options (see resolveHeaderFooter)
+ * @param {Object} placement
+ * @param {number} placement.firstPage - First page to decorate (default 1)
+ * @param {Date} placement.date - Generation time shown in the footer (default now)
+ */
+export const addHeadersAndFooters = (pdf, style, options, { firstPage = 1, date = new Date() } = {}) => {
+  const { header, footer } = resolveHeaderFooter(options);
+  if (!header && !footer) return;
+
+  const { margins, colors, fonts } = style;
+  const total = pdf.getNumberOfPages();
+  const title = header && (typeof header.title === 'string' ? header.title : header.title && style.title);
+  const logo = header && header.logo ? style.logo : null;
+  const timestamp = footer && (typeof footer.timestamp === 'string'
+    ? footer.timestamp
+    : footer.timestamp && `Generated on ${date.toLocaleString()}`);
+
+  for (let page = firstPage; page <= total; page++) {
+    pdf.setPage(page);
+    const pageWidth = pdf.internal.pageSize.getWidth();
+    const pageHeight = pdf.internal.pageSize.getHeight();
+    const right = pageWidth - margins.right;
+
+    pdf.setFont(undefined, 'normal');
+    pdf.setFontSize(fonts.small - 1);
+    pdf.setTextColor(...colors.muted);
+    pdf.setDrawColor(...colors.rule);
+    pdf.setLineWidth(0.2);
+
+    if (header && (title || logo)) {
+      // Clear of the cap height of a title at the top margin
+      const ruleY = margins.top - 6;
+      if (title) drawText(pdf, title, margins.left, ruleY - 2);
+      if (logo) drawHeaderLogo(pdf, logo, right, ruleY - 1);
+      pdf.line(margins.left, ruleY, right, ruleY);
+    }
+
+    if (footer) {
+      const ruleY = pageHeight - margins.bottom + 4;
+      const textY = ruleY + 4.5;
+      pdf.line(margins.left, ruleY, right, ruleY);
+      if (timestamp) drawText(pdf, timestamp, margins.left, textY);
+      if (footer.label) drawText(pdf, footer.label, pageWidth / 2, textY, { align: 'center' });
+      if (footer.pageNumbers) {
+        drawText(pdf, formatPageLabel(footer.pageNumbers, page, total), right, textY, { align: 'right' });
+      }
+    }
+  }
+};
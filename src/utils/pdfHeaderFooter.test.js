@@ -0,0 +1,101 @@
+/**
+ * @jest-environment node
+ */
+import { jsPDF } from 'jspdf';
+import { addHeadersAndFooters, formatPageLabel, resolveHeaderFooter, DEFAULT_HEADER_FOOTER } from './pdfHeaderFooter';
+
+const style = {
+  title: 'Sales Report',
+  logo: null,
+  margins: { top: 15, right: 15, bottom: 15, left: 15 },
+  colors: { muted: [150, 150, 150], rule: [224, 224, 224] },
+  fonts: { small: 9 },
+};
+
+const createDocument = (pageCount) => {
+  const pdf = new jsPDF('p', 'mm', 'a4');
+  for (let i = 1; i < pageCount; i++) pdf.addPage('a4', 'portrait');
+  return pdf;
+};
+
+// Text drawn on a page, from its content stream
+const pageText = (pdf, page) => pdf.internal.pages[page].join('\n');
+
+describe('resolveHeaderFooter', () => {
+  it('uses the defaults without options', () => {
+    expect(resolveHeaderFooter()).toEqual(DEFAULT_HEADER_FOOTER);
+    expect(resolveHeaderFooter(true)).toEqual(DEFAULT_HEADER_FOOTER);
+  });
+
+  it('merges options and disables parts set to false', () => {
+    const { header, footer } = resolveHeaderFooter({ header: false, footer: { label: 'Confidential' } });
+
+    expect(header).toBeNull();
+    expect(footer).toEqual({ ...DEFAULT_HEADER_FOOTER.footer, label: 'Confidential' });
+  });
+
+  it('disables both with false', () => {
+    expect(resolveHeaderFooter(false)).toEqual({ header: null, footer: null });
+  });
+});
+
+describe('formatPageLabel', () => {
+  it('fills the page number template', () => {
+    expect(formatPageLabel('Page {page} of {total}', 2, 5)).toBe('Page 2 of 5');
+    expect(formatPageLabel('{page}/{total}', 1, 1)).toBe('1/1');
+  });
+});
+
+describe('addHeadersAndFooters', () => {
+  it('numbers every page against the final page count', () => {
+    const pdf = createDocument(3);
+    addHeadersAndFooters(pdf, style, undefined, { date: new Date(2026, 0, 15, 9, 30) });
+
+    [1, 2, 3].forEach((page) => {
+      const text = pageText(pdf, page);
+      expect(text).toContain(`(Page ${page} of 3)`);
+      expect(text).toContain('(Sales Report)');
+      expect(text).toContain('Generated on');
+    });
+  });
+
+  it('leaves pages before firstPage bare', () => {
+    const pdf = createDocument(3);
+    addHeadersAndFooters(pdf, style, { footer: { label: 'Confidential' } }, { firstPage: 2 });
+
+    expect(pageText(pdf, 1)).not.toContain('Page 1 of 3');
+    expect(pageText(pdf, 2)).toContain('(Page 2 of 3)');
+    expect(pageText(pdf, 3)).toContain('(Confidential)');
+  });
+
+  it('draws only the parts asked for', () => {
+    const pdf = createDocument(2);
+    addHeadersAndFooters(pdf, style, {
+      header: { title: 'Q1 Review' },
+      footer: { pageNumbers: '{page}/{total}', timestamp: false },
+    });
+
+    const text = pageText(pdf, 2);
+    expect(text).toContain('(Q1 Review)');
+    expect(text).not.toContain('Sales Report');
+    expect(text).toContain('(2/2)');
+    expect(text).not.toContain('Generated on');
+  });
+
+  it('prepares the footer text for the font, like the rest of the text', () => {
+    const pdf = createDocument(1);
+    addHeadersAndFooters(pdf, style, { footer: { pageNumbers: '📅 {page}/{total}', timestamp: '📅 Friday' } });
+
+    const text = pageText(pdf, 1);
+    expect(text).toContain('([Calendar]  Friday)');
+    expect(text).toContain('([Calendar]  1/1)');
+  });
+
+  it('draws nothing when disabled', () => {
+    const pdf = createDocument(1);
+    const before = pageText(pdf, 1);
+    addHeadersAndFooters(pdf, style, false);
+
+    expect(pageText(pdf, 1)).toBe(before);
+  });
+});
@@ -0,0 +1,80 @@
+/**
+ * Page layout rules for PDF exports
+ * Blocks are measured before they are placed, so what has to stay together
+ * moves to the next page as a whole instead of being split:
+ *   - keep with next: a heading stays with the start of what follows it
+ *     (the first lines of text, a chart, a table's header and first rows)
+ *   - orphans: a paragraph that breaks leaves at least this many lines at
+ *     the bottom of the page...
+ *   - widows: ...and carries at least this many over to the next one
+ *
+ * Positions are in mm from the top of the page. Text is placed by its
+ * baseline, which stays TEXT_CLEARANCE above the bottom margin.
+ */
+
+export const DEFAULT_ORPHANS = 2;
+export const DEFAULT_WIDOWS = 2;
+
+// Room under the last baseline of a page, for descenders and the footer
+export const TEXT_CLEARANCE = 10;
+
+/**
+ * Lowest point content may reach on a page: the bottom margin
+ */
+export const getContentBottom = (pageHeight, margins) => pageHeight - margins.bottom;
+
+/**
+ * Lowest baseline text may have on a page
+ */
+export const getTextBottom = (pageHeight, margins) => getContentBottom(pageHeight, margins) - TEXT_CLEARANCE;
+
+/**
+ * Number of lines whose baselines fit between y and `bottom`
+ */
+export const countFittingLines = (y, bottom, lineHeight) => (
+  y > bottom ? 0 : Math.floor((bottom - y) / lineHeight) + 1
+);
+
+/**
+ * Whether a block of the given height, placed at y, has to move to a new
+ * page. A block at the top of a page stays: it wouldn't fit any better on
+ * the next one.
+ */
+export const needsNewPage = (y, height, { top, bottom }) => y > top && y + height > bottom;
+
+/**
+ * Lines at the start of a run that can't be separated from each other:
+ * all of them when the run is too short to break
+ */
+export const countLeadLines = (lineCount, { orphans = DEFAULT_ORPHANS, widows = DEFAULT_WIDOWS } = {}) => (
+  lineCount < orphans + widows ? lineCount : Math.min(orphans, lineCount)
+);
+
+/**
+ * Page breaks for a run of lines (a paragraph, a code block) with widow
+ * and orphan control
+ * @param {number} lineCount - Lines in the run
+ * @param {number} firstPageLines - Lines that fit on the current page
+ * @param {number} pageLines - Lines that fit on an empty page
+ * @param {Object} options - orphans and widows (minimum lines either side of a break)
+ * @returns {number[]} Indexes of the lines that start a new page; 0 moves
+ *   the whole run to the next page
+ */
+export const planLineBreaks = (lineCount, firstPageLines, pageLines, { orphans = DEFAULT_ORPHANS, widows = DEFAULT_WIDOWS } = {}) => {
+  const breaks = [];
+  let start = 0;
+  let capacity = firstPageLines;
+
+  while (lineCount - start > capacity) {
+    let breakAt = start + capacity;
+    if (lineCount - breakAt < widows) breakAt = lineCount - widows;
+    if (breakAt - start < Math.min(orphans, lineCount - start)) breakAt = start;
+    // Pages too short for the rules: fill them anyway
+    if (breakAt === start && breaks.length > 0) breakAt = start + Math.max(capacity, 1);
+
+    breaks.push(breakAt);
+    start = breakAt;
+    capacity = pageLines;
+  }
+  return breaks;
+};
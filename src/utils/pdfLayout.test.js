@@ -0,0 +1,62 @@
+import { countFittingLines, countLeadLines, needsNewPage, planLineBreaks } from './pdfLayout';
+
+describe('planLineBreaks', () => {
+  it('does not break runs that fit', () => {
+    expect(planLineBreaks(5, 5, 40)).toEqual([]);
+  });
+
+  it('breaks where the page ends', () => {
+    expect(planLineBreaks(10, 4, 40)).toEqual([4]);
+    expect(planLineBreaks(100, 10, 40)).toEqual([10, 50, 90]);
+  });
+
+  it('moves the whole run when too few lines would stay behind', () => {
+    expect(planLineBreaks(10, 1, 40)).toEqual([0]);
+    expect(planLineBreaks(10, 0, 40)).toEqual([0]);
+  });
+
+  it('breaks earlier when too few lines would go on', () => {
+    expect(planLineBreaks(10, 9, 40)).toEqual([8]);
+  });
+
+  it('moves short runs that cannot honour both rules', () => {
+    expect(planLineBreaks(3, 2, 40)).toEqual([0]);
+  });
+
+  it('takes other orphan and widow counts', () => {
+    expect(planLineBreaks(10, 1, 40, { orphans: 1, widows: 1 })).toEqual([1]);
+    expect(planLineBreaks(10, 5, 40, { orphans: 3, widows: 6 })).toEqual([4]);
+  });
+
+  it('still fills pages too short for the rules', () => {
+    expect(planLineBreaks(3, 0, 1)).toEqual([0, 1, 2]);
+  });
+});
+
+describe('countLeadLines', () => {
+  it('keeps the orphan count, or short runs whole', () => {
+    expect(countLeadLines(10)).toBe(2);
+    expect(countLeadLines(3)).toBe(3);
+    expect(countLeadLines(10, { orphans: 3 })).toBe(3);
+  });
+});
+
+describe('countFittingLines', () => {
+  it('counts the baselines down to the bottom', () => {
+    expect(countFittingLines(50, 80, 10)).toBe(4);
+    expect(countFittingLines(85, 80, 10)).toBe(0);
+  });
+});
+
+describe('needsNewPage', () => {
+  const page = { top: 15, bottom: 280 };
+
+  it('moves blocks that run past the bottom', () => {
+    expect(needsNewPage(200, 50, page)).toBe(false);
+    expect(needsNewPage(250, 50, page)).toBe(true);
+  });
+
+  it('keeps blocks at the top of a page, even when taller than it', () => {
+    expect(needsNewPage(15, 400, page)).toBe(false);
+  });
+});
@@ -0,0 +1,40 @@
+/**
+ * PDF outline (the viewer's bookmarks panel)
+ * Built from the table of contents entries once the layout is complete:
+ *   { title, pageNumber, level }
+ * Level 0 entries are top-level bookmarks; level 1 entries nest under the
+ * level 0 entry before them.
+ */
+
+/**
+ * A PDF text string for a bookmark title. jsPDF writes outline titles
+ * byte for byte, so anything beyond ASCII is encoded as UTF-16BE with a
+ * byte order mark, which every viewer reads.
+ */
+export const toPdfTextString = (text) => {
+  const value = String(text);
+  if (/^[\x20-\x7e]*$/.test(value)) return value;
+  let encoded = '\u00fe\u00ff';
+  for (let i = 0; i < value.length; i++) {
+    const code = value.charCodeAt(i);
+    encoded += String.fromCharCode(code >> 8, code & 0xff);
+  }
+  return encoded;
+};
+
+/**
+ * Add the entries as bookmarks and open the bookmarks panel with the
+ * document. Nothing is added without entries.
+ * @param {jsPDF} pdf - Document with every entry's page laid out
+ * @param {Array} entries - { title, pageNumber, level }
+ */
+export const addOutline = (pdf, entries) => {
+  if (entries.length === 0) return;
+
+  let parent = null;
+  entries.forEach(({ title, pageNumber, level = 0 }) => {
+    const item = pdf.outline.add(level > 0 ? parent : null, toPdfTextString(title), { pageNumber });
+    if (level === 0) parent = item;
+  });
+  pdf.setDisplayMode(undefined, undefined, 'UseOutlines');
+};
@@ -0,0 +1,57 @@
+/**
+ * @jest-environment node
+ */
+import { jsPDF } from 'jspdf';
+import { addOutline, toPdfTextString } from './pdfOutline';
+
+describe('toPdfTextString', () => {
+  it('keeps ASCII titles as they are', () => {
+    expect(toPdfTextString('Sales (Q1)')).toBe('Sales (Q1)');
+  });
+
+  it('encodes other titles as UTF-16BE with a byte order mark', () => {
+    expect(toPdfTextString('Ü€')).toBe('\u00fe\u00ff\u0000\u00dc\u0020\u00ac');
+  });
+});
+
+describe('addOutline', () => {
+  const createDocument = () => {
+    const pdf = new jsPDF();
+    pdf.addPage();
+    pdf.addPage();
+    return pdf;
+  };
+
+  it('nests level 1 entries under the level 0 entry before them', () => {
+    const pdf = createDocument();
+    addOutline(pdf, [
+      { title: 'Turn 1', pageNumber: 1, level: 0 },
+      { title: 'Sales', pageNumber: 2, level: 1 },
+      { title: 'Trend', pageNumber: 3, level: 1 },
+      { title: 'Turn 2', pageNumber: 3, level: 0 },
+    ]);
+
+    const [first, second] = pdf.outline.root.children;
+    expect(first.title).toBe('Turn 1');
+    expect(first.children.map((item) => item.title)).toEqual(['Sales', 'Trend']);
+    expect(first.children[1].options).toEqual({ pageNumber: 3 });
+    expect(second.children).toEqual([]);
+  });
+
+  it('opens the bookmarks panel with the document', () => {
+    const pdf = createDocument();
+    addOutline(pdf, [{ title: 'Sales', pageNumber: 2 }]);
+    const output = pdf.output();
+
+    expect(output).toContain('/Outlines');
+    expect(output).toContain('/Title (Sales)');
+    expect(output).toContain('/PageMode /UseOutlines');
+  });
+
+  it('adds nothing without entries', () => {
+    const pdf = createDocument();
+    addOutline(pdf, []);
+
+    expect(pdf.output()).not.toContain('/Outlines');
+  });
+});
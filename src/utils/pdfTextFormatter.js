@@ -1,387 +1,520 @@
 /**
  * Utility functions for rendering formatted text in PDFs
- * Supports: bold, italic, bullet points, colors, line breaks
+ * Draws the document tree from markdownParser - the same tree the on-screen
+ * HTML renderer (markdownRenderer) uses - so exports match what users see.
+ * Supports: headings, paragraphs, bold, italic, inline code, links, bullet
+ * and numbered lists, blockquotes, code blocks, rules, line breaks
  */
+import { prepareText, drawFallbackGlyphs, replaceEmojisForPDF, getMonoFontFamily } from './pdfFonts';
+import { parseMarkdown } from './markdownParser';
+import { isSafeUrl } from './sanitizeHtml';
+import { DEFAULT_THEME } from './theme';
+import { countFittingLines, countLeadLines, DEFAULT_ORPHANS, DEFAULT_WIDOWS, getTextBottom, needsNewPage, planLineBreaks } from './pdfLayout';
+
+// Emoji replacement now lives with the font handling; re-exported for existing callers
+export { replaceEmojisForPDF };
+
+const LIST_INDENT = 8;
+const QUOTE_INDENT = 6;
+const CODE_PADDING = 2.5;
+const HEADING_SCALES = { 1: 1.4, 2: 1.25, 3: 1.1 };
+const HEADING_TEXT_COLOR = [51, 51, 51];
+// Links and the quote bar
+const ACCENT_COLOR = [102, 126, 234];
+const QUOTE_COLOR = [102, 102, 102];
+const CODE_BACKGROUND = [243, 243, 246];
+const CODE_BLOCK_BACKGROUND = [246, 248, 250];
+const RULE_LINE_COLOR = [224, 224, 224];
+
+const setColor = (pdf, color) => {
+  if (Array.isArray(color)) {
+    pdf.setTextColor(...color);
+  } else if (typeof color === 'string') {
+    const rgb = hexToRgb(color);
+    pdf.setTextColor(rgb.r, rgb.g, rgb.b);
+  }
+};
 
 /**
- * Common emoji replacements for PDF rendering
- * jsPDF doesn't support emoji rendering, so we replace them with text
+ * Flatten inline nodes into styled runs
  */
-const EMOJI_REPLACEMENTS = {
-  '💼': '[Briefcase] ',
-  '🎯': '[Target] ',
-  '📊': '[Chart] ',
-  '📈': '[Trending Up] ',
-  '📉': '[Trending Down] ',
-  '✅': '[Check] ',
-  '❌': '[X] ',
-  '⚠️': '[Warning] ',
-  '💡': '[Idea] ',
-  '🔍': '[Search] ',
-  '📝': '[Note] ',
-  '🚀': '[Rocket] ',
-  '⭐': '[Star] ',
-  '👍': '[Thumbs Up] ',
-  '👎': '[Thumbs Down] ',
-  '🔥': '[Fire] ',
-  '💰': '[Money] ',
-  '📱': '[Phone] ',
-  '💻': '[Computer] ',
-  '🌟': '[Star] ',
-  '📅': '[Calendar] ',
-  '🎉': '[Party] ',
-  '⏰': '[Clock] ',
-  '📧': '[Email] ',
-  '🔔': '[Bell] ',
-  '📌': '[Pin] ',
-  '📑': '[Document] ',
-  '🥧': '[Pie] ',
-  '📐': '[Ruler] ',
-  '🏆': '[Trophy] ',
-  '✍️': '[Writing] ',
-  '📋': '[Clipboard] ',
-  '🗺️': '[Map] ',
+const flattenInline = (nodes, style = {}) => nodes.flatMap((node) => {
+  switch (node.type) {
+    case 'text':
+      return [{ ...style, text: node.value }];
+    case 'strong':
+      return flattenInline(node.children, { ...style, bold: true });
+    case 'emphasis':
+      return flattenInline(node.children, { ...style, italic: true });
+    case 'code':
+      return [{ ...style, code: true, text: node.value }];
+    case 'link':
+      // Same rule as on screen: unsafe URLs are plain text
+      return flattenInline(node.children, isSafeUrl(node.href) ? { ...style, href: node.href } : style);
+    case 'break':
+      return [{ isBreak: true }];
+    default:
+      return [];
+  }
+});
+
+const applyRunFont = (ctx, run, fontSize) => {
+  const { pdf } = ctx;
+  if (run.code) {
+    pdf.setFont(ctx.monoFamily, run.bold ? 'bold' : 'normal');
+    pdf.setFontSize(fontSize * 0.9);
+    return;
+  }
+  let fontStyle = 'normal';
+  if (run.bold && run.italic) fontStyle = 'bolditalic';
+  else if (run.bold) fontStyle = 'bold';
+  else if (run.italic) fontStyle = 'italic';
+  pdf.setFont(ctx.fontFamily, fontStyle);
+  pdf.setFontSize(fontSize);
 };
 
 /**
- * Replace emojis with text equivalents for PDF rendering
+ * Lowest baseline on the current page
  */
-export const replaceEmojisForPDF = (text) => {
-  if (!text) return text;
-  let result = text;
-  Object.keys(EMOJI_REPLACEMENTS).forEach(emoji => {
-    result = result.split(emoji).join(EMOJI_REPLACEMENTS[emoji]);
-  });
-  // Remove any remaining emojis (fallback for unlisted ones)
-  // Emoji regex pattern - removes most emoji characters
-  result = result.replace(/[\u{1F300}-\u{1F9FF}]|[\u{2600}-\u{26FF}]|[\u{2700}-\u{27BF}]/gu, '');
-  return result;
+const getPageBottom = (ctx) => getTextBottom(ctx.pageHeight ?? ctx.pdf.internal.pageSize.getHeight(), ctx.margins);
+
+/**
+ * Start a new page, the size and orientation of the current one
+ * @returns {number} baseline of its first line
+ */
+const addPage = (ctx) => {
+  const { pageSize } = ctx.pdf.internal;
+  const width = pageSize.getWidth();
+  const height = pageSize.getHeight();
+  ctx.pdf.addPage([Math.min(width, height), Math.max(width, height)], width > height ? 'landscape' : 'portrait');
+  return ctx.margins.top;
 };
 
 /**
- * Text formatting object structure
- * {
- *   text: "string content",
- *   bold: true/false,
- *   italic: true/false,
- *   color: [r, g, b] or '#hexcolor',
- *   fontSize: 10,
- *   isBullet: true/false,
- *   indent: 0 (in mm)
- * }
+ * Start a new page when the next line wouldn't fit
+ */
+const ensureLine = (ctx, y) => (y > getPageBottom(ctx) ? addPage(ctx) : y);
+
+/**
+ * Start a new page unless `height` below baseline y fits on this one
+ * (keeps a block's first lines, or a heading and what follows, together)
  */
+const ensureRoom = (ctx, y, height) => (
+  needsNewPage(y, height, { top: ctx.margins.top, bottom: getPageBottom(ctx) }) ? addPage(ctx) : y
+);
 
 /**
- * Parse simple markdown-like text to formatted segments
- * Supports:
- *   **bold text**
- *   *italic text*
- *   • bullet points
- *   Line breaks with \n
+ * Page breaks for `lineCount` lines starting at baseline y (see planLineBreaks)
  */
-export const parseFormattedText = (text) => {
-  // Replace emojis before processing
-  const cleanText = replaceEmojisForPDF(text);
-  const segments = [];
+const planBreaks = (ctx, lineCount, y, lineHeight, rules = {}) => {
+  const bottom = getPageBottom(ctx);
+  return planLineBreaks(
+    lineCount,
+    countFittingLines(y, bottom, lineHeight),
+    countFittingLines(ctx.margins.top, bottom, lineHeight),
+    { orphans: ctx.orphans, widows: ctx.widows, ...rules }
+  );
+};
 
-  // Split by newlines first
-  const lines = cleanText.split('\n');
+/**
+ * Only plain spaces - trimStart() would also drop EM SPACE glyph placeholders
+ */
+const trimLeadingSpaces = (text) => text.replace(/^ +/, '');
 
-  lines.forEach((line) => {
-    if (!line.trim()) {
-      segments.push({ text: '', isNewline: true });
+/**
+ * Break styled runs into lines that fit `width`
+ */
+const layoutRuns = (ctx, runs, width, fontSize) => {
+  const { pdf } = ctx;
+  const lines = [[]];
+  let lineWidth = 0;
+
+  runs.forEach((run) => {
+    if (run.isBreak) {
+      lines.push([]);
+      lineWidth = 0;
       return;
     }
 
-    // Check for bullet point and determine indent level
-    const hasTab = line.startsWith('\t');
-    const trimmed = line.trim();
-    
-    // Check if it's a numbered list (1., 2., etc.) - these should NOT be treated as bullets
-    const isNumberedList = /^\d+\.\s/.test(trimmed);
-    
-    // Only treat as bullet if it starts with bullet markers AND is not a numbered list
-    const isBullet = !isNumberedList && (trimmed.startsWith('•') || trimmed.startsWith('-') || (trimmed.startsWith('*') && !trimmed.startsWith('**')));
-    
-    // Determine indent: sub-bullets (with tabs) get more indent
-    let indentLevel = 0;
-    if (isBullet) {
-      if (hasTab) {
-        indentLevel = 20; // Sub-bullet indent (increased for better visibility)
-      } else {
-        indentLevel = 8;  // Main bullet indent
+    applyRunFont(ctx, run, fontSize);
+    // Emojis and characters the font can't draw become placeholders
+    const { text, fallbacks } = prepareText(pdf, run.text);
+
+    text.split(' ').forEach((word, wordIdx) => {
+      let piece = wordIdx > 0 ? ` ${word}` : word;
+      const line = lines[lines.length - 1];
+      if (line.length === 0) piece = trimLeadingSpaces(piece);
+      if (!piece) return;
+
+      let pieceWidth = pdf.getTextWidth(piece);
+      // Lines only break between words, which may fall between two runs
+      const previous = line[line.length - 1];
+      const atWordBoundary = piece.startsWith(' ') || (previous && previous.text.endsWith(' '));
+      if (line.length > 0 && lineWidth + pieceWidth > width && atWordBoundary) {
+        piece = trimLeadingSpaces(piece);
+        pieceWidth = pdf.getTextWidth(piece);
+        lines.push([]);
+        lineWidth = 0;
       }
-    }
-    
-    // Remove bullet marker and clean content
-    let content = isBullet ? trimmed.replace(/^[•\-*]\s*/, '') : line;
-
-    // Parse inline formatting
-    const inlineSegments = parseInlineFormatting(content.trim());
-
-    inlineSegments.forEach((seg, idx) => {
-      segments.push({
-        ...seg,
-        isBullet: isBullet && idx === 0,
-        indent: indentLevel,
-        isSubBullet: hasTab && isBullet,
-      });
+      lines[lines.length - 1].push({ run, text: piece, width: pieceWidth, fallbacks });
+      lineWidth += pieceWidth;
     });
-
-    segments.push({ text: '', isNewline: true });
   });
 
-  return segments;
+  return lines;
 };
 
 /**
- * Parse inline formatting: **bold** and *italic*
- * Preserves emojis and special Unicode symbols
+ * Draw styled runs as wrapped lines starting at baseline `y`, with widow
+ * and orphan control; `keepTogether` keeps every line on one page
+ * @returns {number} baseline of the line after the text
  */
-const parseInlineFormatting = (text) => {
-  const segments = [];
-  let currentText = '';
-  let isBold = false;
-  let isItalic = false;
-  let i = 0;
-
-  while (i < text.length) {
-    // Check for ***bold+italic*** (must check this before ** and *)
-    if (text.substring(i, i + 3) === '***') {
-      if (currentText) {
-        segments.push({
-          text: currentText,
-          bold: isBold,
-          italic: isItalic,
-        });
-        currentText = '';
+const renderRuns = (ctx, runs, x, y, width, { fontSize = ctx.fontSize, lineHeight = ctx.lineHeight, color = ctx.color, keepTogether = false } = {}) => {
+  const { pdf } = ctx;
+  const em = fontSize / pdf.internal.scaleFactor;
+  const lines = layoutRuns(ctx, runs, width, fontSize);
+  const breaks = planBreaks(ctx, lines.length, y, lineHeight, keepTogether ? { orphans: lines.length } : {});
+  let currentY = y;
+
+  lines.forEach((line, index) => {
+    if (breaks.includes(index)) currentY = addPage(ctx);
+    let currentX = x;
+    let previousHref = null;
+
+    line.forEach(({ run, text, width: pieceWidth, fallbacks }) => {
+      applyRunFont(ctx, run, fontSize);
+      const leading = text.length - trimLeadingSpaces(text).length;
+      const spaceWidth = leading ? pdf.getTextWidth(text.slice(0, leading)) : 0;
+
+      if (run.code) {
+        pdf.setFillColor(...CODE_BACKGROUND);
+        pdf.rect(currentX + spaceWidth - 0.6, currentY - em * 0.78, pieceWidth - spaceWidth + 1.2, em * 1.02, 'F');
       }
-      isBold = !isBold;
-      isItalic = !isItalic;
-      i += 3;
-      continue;
-    }
-    
-    // Check for **bold**
-    if (text.substring(i, i + 2) === '**') {
-      if (currentText) {
-        segments.push({
-          text: currentText,
-          bold: isBold,
-          italic: isItalic,
-        });
-        currentText = '';
-      }
-      isBold = !isBold;
-      i += 2;
-      continue;
-    }
 
-    // Check for *italic* (but not ** or ***)
-    if (text[i] === '*' && text[i + 1] !== '*' && text[i - 1] !== '*') {
-      if (currentText) {
-        segments.push({
-          text: currentText,
-          bold: isBold,
-          italic: isItalic,
-        });
-        currentText = '';
+      setColor(pdf, run.href ? ctx.accentColor : color);
+      pdf.text(text, currentX, currentY);
+      drawFallbackGlyphs(pdf, text, currentX, currentY, fallbacks);
+
+      if (run.href) {
+        // Spaces between words of the same link are underlined too
+        const inset = previousHref === run.href ? 0 : spaceWidth;
+        const linkX = currentX + inset;
+        const linkWidth = pieceWidth - inset;
+        pdf.setDrawColor(...ctx.accentColor);
+        pdf.setLineWidth(0.2);
+        pdf.line(linkX, currentY + 0.6, linkX + linkWidth, currentY + 0.6);
+        pdf.link(linkX, currentY - em * 0.8, linkWidth, em, { url: run.href });
       }
-      isItalic = !isItalic;
-      i += 1;
-      continue;
-    }
-
-    // Preserve all characters including emojis and special symbols
-    currentText += text[i];
-    i += 1;
-  }
 
-  if (currentText) {
-    segments.push({
-      text: currentText,
-      bold: isBold,
-      italic: isItalic,
+      previousHref = run.href || null;
+      currentX += pieceWidth;
     });
-  }
 
-  return segments;
+    currentY += lineHeight;
+  });
+
+  return currentY;
 };
 
 /**
- * Add formatted text to PDF
- * @param {jsPDF} pdf - jsPDF instance
- * @param {Array} segments - Array of formatted text segments
- * @param {number} xPosition - Starting X position
- * @param {number} yPosition - Current Y position (will be updated)
- * @param {number} maxWidth - Maximum width for text wrapping
- * @param {Object} options - Additional options
+ * Lines of a code block, font size and line height
  */
-export const addFormattedText = (pdf, segments, xPosition, yPosition, maxWidth, options = {}) => {
-  const {
-    lineHeight = 7,
-    fontSize = 10,
-    color = [0, 0, 0],
-    pageHeight = 297,
-  } = options;
+const layoutCodeBlock = (ctx, node, width) => {
+  const { pdf } = ctx;
+  const fontSize = ctx.fontSize * 0.9;
+  const lineHeight = (fontSize / pdf.internal.scaleFactor) * 1.5;
+  const textWidth = width - 2 * CODE_PADDING;
+
+  pdf.setFont(ctx.monoFamily, 'normal');
+  pdf.setFontSize(fontSize);
+  const { text, fallbacks } = prepareText(pdf, node.value.replace(/\t/g, '    '));
+  // Only wrap lines that don't fit, so indentation is preserved
+  const lines = text.split('\n').flatMap((line) => (
+    pdf.getTextWidth(line) > textWidth ? pdf.splitTextToSize(line, textWidth) : [line]
+  ));
+  return { lines, fallbacks, fontSize, lineHeight };
+};
 
-  let currentY = yPosition;
-  let currentLineSegments = [];
-  let currentBulletIndent = 0;
-
-  segments.forEach((segment, index) => {
-    // Handle newlines
-    if (segment.isNewline) {
-      if (currentLineSegments.length > 0) {
-        currentY = renderTextLine(
-          pdf,
-          currentLineSegments,
-          xPosition,
-          currentY,
-          maxWidth,
-          lineHeight,
-          fontSize,
-          color,
-          currentBulletIndent,
-          pageHeight
-        );
-        currentLineSegments = [];
-        currentBulletIndent = 0; // Reset bullet indent after rendering
-      } else {
-        // Empty line - add spacing for paragraph break
-        currentY += lineHeight;
-      }
-      return;
+const renderCodeBlock = (ctx, node, x, y, width) => {
+  const { pdf } = ctx;
+  const { lines, fallbacks, fontSize, lineHeight } = layoutCodeBlock(ctx, node, width);
+
+  let currentY = y + CODE_PADDING;
+  const breaks = planBreaks(ctx, lines.length, currentY, lineHeight);
+  lines.forEach((line, index) => {
+    const startsPage = breaks.includes(index);
+    if (startsPage) currentY = addPage(ctx);
+    const startsBox = index === 0 || startsPage;
+    const top = currentY - lineHeight * 0.7 - (startsBox ? CODE_PADDING : 0);
+    const bottom = currentY + lineHeight * 0.3 + (index === lines.length - 1 ? CODE_PADDING : 0);
+
+    pdf.setFillColor(...CODE_BLOCK_BACKGROUND);
+    pdf.rect(x, top, width, bottom - top, 'F');
+    pdf.setFont(ctx.monoFamily, 'normal');
+    pdf.setFontSize(fontSize);
+    setColor(pdf, HEADING_TEXT_COLOR);
+    pdf.text(line, x + CODE_PADDING, currentY);
+    drawFallbackGlyphs(pdf, line, x + CODE_PADDING, currentY, fallbacks);
+    currentY += lineHeight;
+  });
+
+  return currentY + CODE_PADDING + ctx.lineHeight * 0.5;
+};
+
+/**
+ * Distance from the first baseline of `blocks` to the last baseline that
+ * has to be on the same page: the first lines of the first block, or a
+ * heading and the start of the block after it
+ */
+const measureLead = (ctx, blocks, width) => {
+  const [block, next] = blocks;
+  if (!block) return 0;
+
+  switch (block.type) {
+    case 'heading': {
+      const scale = HEADING_SCALES[block.level] || 1;
+      const lineCount = layoutRuns(ctx, flattenInline(block.children, { bold: true }), width, ctx.fontSize * scale).length;
+      const height = (lineCount - 1) * ctx.lineHeight * scale;
+      if (!next) return height;
+      // Same spacing as renderBlocks
+      const gap = ctx.lineHeight * scale + ctx.lineHeight * 0.2 + (next.type === 'heading' ? ctx.lineHeight * 0.3 : 0);
+      return height + gap + measureLead(ctx, blocks.slice(1), width);
+    }
+    case 'paragraph': {
+      const lineCount = layoutRuns(ctx, flattenInline(block.children), width, ctx.fontSize).length;
+      return (countLeadLines(lineCount, ctx) - 1) * ctx.lineHeight;
+    }
+    case 'list':
+      return block.items.length > 0 ? measureLead(ctx, block.items[0].children, width - LIST_INDENT) : 0;
+    case 'blockquote':
+      return measureLead(ctx, block.children, width - QUOTE_INDENT);
+    case 'codeBlock': {
+      const { lines, lineHeight } = layoutCodeBlock(ctx, block, width);
+      return CODE_PADDING + (countLeadLines(lines.length, ctx) - 1) * lineHeight;
     }
+    default:
+      return 0;
+  }
+};
 
-    // Track bullet indent from the segment
-    if (segment.isBullet) {
-      currentBulletIndent = segment.indent || 8;
+/**
+ * Draw the quote bar beside content that may have run over several pages
+ */
+const drawQuoteBar = (ctx, x, startPage, startY, endY) => {
+  const { pdf } = ctx;
+  const endPage = pdf.getNumberOfPages();
+  pdf.setDrawColor(...ctx.accentColor);
+  pdf.setLineWidth(1);
+  for (let page = startPage; page <= endPage; page++) {
+    pdf.setPage(page);
+    const top = page === startPage ? startY : ctx.margins.top - ctx.lineHeight * 0.7;
+    const bottom = page === endPage ? endY : getPageBottom(ctx);
+    pdf.line(x, top, x, bottom);
+  }
+};
+
+const renderList = (ctx, node, x, y, width) => {
+  const { pdf } = ctx;
+  let currentY = y;
+
+  node.items.forEach((item, index) => {
+    // The marker goes with the item's first lines
+    currentY = ensureRoom(ctx, currentY, measureLead(ctx, item.children, width - LIST_INDENT));
+
+    // Marker on the baseline of the item's first line
+    pdf.setFont(ctx.fontFamily, 'normal');
+    pdf.setFontSize(ctx.fontSize);
+    setColor(pdf, ctx.color);
+    if (node.ordered) {
+      pdf.text(`${node.start + index}.`, x + LIST_INDENT - 2, currentY, { align: 'right' });
+    } else {
+      pdf.text('•', x + 2, currentY);
     }
 
-    currentLineSegments.push(segment);
+    currentY = renderBlocks(ctx, item.children, x + LIST_INDENT, currentY, width - LIST_INDENT, {
+      tight: !node.loose,
+    });
   });
 
-  // Render remaining segments
-  if (currentLineSegments.length > 0) {
-    currentY = renderTextLine(
-      pdf,
-      currentLineSegments,
-      xPosition,
-      currentY,
-      maxWidth,
-      lineHeight,
-      fontSize,
-      color,
-      currentBulletIndent,
-      pageHeight
-    );
-  }
-
   return currentY;
 };
 
 /**
- * Render a single line of formatted text
+ * Draw block nodes one under another
+ * @returns {number} baseline for whatever follows
  */
-const renderTextLine = (
-  pdf,
-  segments,
-  xPosition,
-  yPosition,
-  maxWidth,
-  lineHeight,
-  baseFontSize,
-  baseColor,
-  bulletIndent,
-  pageHeight
-) => {
-  const margin = 15;
-  let currentY = yPosition;
-  const startX = xPosition + bulletIndent;
-  let currentX = startX;
-
-  // Add bullet point if needed
-  if (bulletIndent > 0) {
-    pdf.setFont(undefined, 'normal');
-    pdf.setFontSize(baseFontSize);
-    if (Array.isArray(baseColor)) {
-      pdf.setTextColor(...baseColor);
+const renderBlocks = (ctx, blocks, x, y, width, { tight = false, color = ctx.color } = {}) => {
+  const { pdf } = ctx;
+  const blockSpacing = tight ? 0 : ctx.lineHeight * 0.5;
+  let currentY = y;
+
+  blocks.forEach((block, index) => {
+    switch (block.type) {
+      case 'heading': {
+        const scale = HEADING_SCALES[block.level] || 1;
+        if (index > 0) currentY += ctx.lineHeight * 0.3;
+        currentY = ensureRoom(ctx, currentY, measureLead(ctx, blocks.slice(index), width));
+        currentY = renderRuns(ctx, flattenInline(block.children, { bold: true }), x, currentY, width, {
+          fontSize: ctx.fontSize * scale,
+          lineHeight: ctx.lineHeight * scale,
+          color: ctx.headingColor,
+          keepTogether: true,
+        });
+        currentY += ctx.lineHeight * 0.2;
+        break;
+      }
+      case 'paragraph':
+        currentY = renderRuns(ctx, flattenInline(block.children), x, currentY, width, { color }) + blockSpacing;
+        break;
+      case 'list':
+        currentY = renderList({ ...ctx, color }, block, x, currentY, width) + (tight ? 0 : blockSpacing);
+        break;
+      case 'blockquote': {
+        currentY = ensureRoom(ctx, currentY, measureLead(ctx, block.children, width - QUOTE_INDENT));
+        const startPage = pdf.getNumberOfPages();
+        const startY = currentY - ctx.lineHeight * 0.7;
+        currentY = renderBlocks(ctx, block.children, x + QUOTE_INDENT, currentY, width - QUOTE_INDENT, {
+          tight: true,
+          color: QUOTE_COLOR,
+        });
+        drawQuoteBar(ctx, x + 1.5, startPage, startY, currentY - ctx.lineHeight * 0.7);
+        currentY += blockSpacing;
+        break;
+      }
+      case 'codeBlock':
+        currentY = renderCodeBlock(ctx, block, x, currentY, width);
+        break;
+      case 'thematicBreak': {
+        currentY = ensureLine(ctx, currentY);
+        const ruleY = currentY - ctx.lineHeight * 0.35;
+        pdf.setDrawColor(...ctx.ruleColor);
+        pdf.setLineWidth(0.3);
+        pdf.line(x, ruleY, x + width, ruleY);
+        currentY += ctx.lineHeight * 0.5;
+        break;
+      }
+      default:
+        break;
     }
-    // Position bullet based on indent level
-    // Main bullets (8mm): position at xPosition + 2
-    // Sub-bullets (20mm): position at xPosition + 12 (more indented)
-    const bulletX = bulletIndent > 15 ? xPosition + 12 : xPosition + 2;
-    pdf.text('•', bulletX, currentY);
-  }
+  });
 
-  // Render each segment inline, wrapping as needed
-  segments.forEach((segment) => {
-    if (!segment.text) return;
-
-    // Set font properties for this segment
-    let fontStyle = 'normal';
-    if (segment.bold && segment.italic) fontStyle = 'bolditalic';
-    else if (segment.bold) fontStyle = 'bold';
-    else if (segment.italic) fontStyle = 'italic';
-
-    pdf.setFont(undefined, fontStyle);
-    pdf.setFontSize(baseFontSize);
-
-    // Set color
-    const segmentColor = segment.color || baseColor;
-    if (Array.isArray(segmentColor)) {
-      pdf.setTextColor(...segmentColor);
-    } else if (typeof segmentColor === 'string') {
-      const rgb = hexToRgb(segmentColor);
-      pdf.setTextColor(rgb.r, rgb.g, rgb.b);
-    }
+  return currentY;
+};
 
-    // Split segment text by spaces for word wrapping
-    const words = segment.text.split(' ');
-    
-    words.forEach((word, wordIdx) => {
-      // Add space before word if not first word
-      const textToAdd = (wordIdx > 0 || currentX > startX) ? ' ' + word : word;
-      const textWidth = pdf.getTextWidth(textToAdd);
-      
-      // Check if text fits on current line
-      if (currentX + textWidth > xPosition + maxWidth - 5) {
-        // Move to next line
-        currentY += lineHeight;
-        currentX = startX;
-        
-        // Check for page break
-        if (currentY > pageHeight - margin - 10) {
-          pdf.addPage();
-          currentY = margin;
-          currentX = startX;
-          
-          // Re-add bullet if it was a bullet line
-          if (bulletIndent > 0) {
-            pdf.setFont(undefined, 'normal');
-            if (Array.isArray(baseColor)) {
-              pdf.setTextColor(...baseColor);
-            }
-            pdf.text('•', xPosition + 2, currentY);
-            pdf.setFont(undefined, fontStyle); // Restore font style
-          }
-        }
-        
-        // Render word without leading space on new line
-        pdf.text(word, currentX, currentY);
-        currentX += pdf.getTextWidth(word);
-      } else {
-        // Render word on current line
-        pdf.text(textToAdd, currentX, currentY);
-        currentX += textWidth;
-      }
-    });
-  });
+const createContext = (pdf, options) => {
+  const {
+    lineHeight = 7,
+    fontSize = 10,
+    color = [0, 0, 0],
+    pageHeight,
+    margin,
+    margins = margin === undefined ? DEFAULT_THEME.margins : { top: margin, bottom: margin },
+    orphans = DEFAULT_ORPHANS,
+    widows = DEFAULT_WIDOWS,
+    headingColor = HEADING_TEXT_COLOR,
+    accentColor = ACCENT_COLOR,
+    ruleColor = RULE_LINE_COLOR,
+  } = options;
 
-  return currentY + lineHeight;
+  return {
+    pdf,
+    fontFamily: pdf.getFont().fontName,
+    monoFamily: getMonoFontFamily(pdf),
+    lineHeight,
+    fontSize,
+    color,
+    pageHeight,
+    margins,
+    orphans,
+    widows,
+    headingColor,
+    accentColor,
+    ruleColor,
+  };
 };
 
+const toTree = (markdown) => (typeof markdown === 'string' || !markdown ? parseMarkdown(markdown) : markdown);
+
+/**
+ * Add formatted text to PDF
+ * @param {jsPDF} pdf - jsPDF instance
+ * @param {string|Object} markdown - Markdown source, or a tree from
+ *   parseMarkdown() / parsePlainText()
+ * @param {number} xPosition - Left edge
+ * @param {number} yPosition - Baseline of the first line
+ * @param {number} maxWidth - Width available for the text
+ * @param {Object} options - lineHeight, fontSize, color; margins ({ top, bottom }
+ *   in mm, or `margin` for both) and pageHeight (default: the current page's);
+ *   orphans and widows (see pdfLayout); headingColor, accentColor (links,
+ *   quote bars) and ruleColor as [r, g, b]
+ * @returns {number} Y position after the text
+ */
+export const addFormattedText = (pdf, markdown, xPosition, yPosition, maxWidth, options = {}) => {
+  const ctx = createContext(pdf, options);
+  const y = renderBlocks(ctx, toTree(markdown).children, xPosition, yPosition, maxWidth);
+  pdf.setFont(ctx.fontFamily, 'normal');
+  return y;
+};
+
+/**
+ * Room the start of formatted text needs on its page: the distance from its
+ * first baseline to the last baseline that can't move to the next page
+ * (the first lines, or a heading and the lines after it). Takes the same
+ * arguments as addFormattedText.
+ * @returns {number}
+ */
+export const measureFormattedTextLead = (pdf, markdown, maxWidth, options = {}) => {
+  const ctx = createContext(pdf, options);
+  const lead = measureLead(ctx, toTree(markdown).children, maxWidth);
+  pdf.setFont(ctx.fontFamily, 'normal');
+  return lead;
+};
+
+/**
+ * jspdf-autotable hooks that draw cells carrying inline nodes (`inline` on
+ * the cell definition, see htmlTableParser) run by run, so bold and italic
+ * words inside a cell keep their style. Merge them into the autoTable options.
+ * @param {Object} options - { accentColor } of links as [r, g, b]
+ */
+export const getTableRichTextHooks = ({ accentColor = ACCENT_COLOR } = {}) => ({
+  willDrawCell: ({ cell }) => {
+    if (!cell.raw || !cell.raw.inline) return;
+    // autoTable draws cell.text right after this hook; keep it for layout only
+    cell.richTextLines = cell.text;
+    cell.text = [];
+  },
+  didDrawCell: ({ doc, cell }) => {
+    if (!cell.richTextLines) return;
+
+    const { fontSize, textColor, valign } = cell.styles;
+    const em = fontSize / doc.internal.scaleFactor;
+    const lineHeight = em * doc.getLineHeightFactor();
+    const textPos = cell.getTextPos();
+    // Mirror autoTable's own text placement
+    let y = textPos.y + em * (2 - 1.15);
+    if (valign === 'middle') y -= (cell.richTextLines.length / 2) * lineHeight;
+    else if (valign === 'bottom') y -= cell.richTextLines.length * lineHeight;
+
+    const ctx = {
+      pdf: doc,
+      fontFamily: doc.getFont().fontName,
+      monoFamily: getMonoFontFamily(doc),
+      lineHeight,
+      fontSize,
+      color: textColor,
+      pageHeight: Infinity,
+      margins: { top: 0, bottom: 0 },
+      headingColor: HEADING_TEXT_COLOR,
+      accentColor,
+      ruleColor: RULE_LINE_COLOR,
+    };
+    const width = cell.width - cell.padding('left') - cell.padding('right');
+    renderRuns(ctx, flattenInline(cell.raw.inline), textPos.x, y, width);
+    cell.text = cell.richTextLines;
+    cell.richTextLines = null;
+  },
+});
+
 /**
  * Convert hex color to RGB
  */
@@ -396,21 +529,6 @@ const hexToRgb = (hex) => {
     : { r: 0, g: 0, b: 0 };
 };
 
-/**
- * Create a formatted text segment
- */
-export const createTextSegment = (text, options = {}) => {
-  return {
-    text,
-    bold: options.bold || false,
-    italic: options.italic || false,
-    color: options.color || [0, 0, 0],
-    fontSize: options.fontSize || 10,
-    isBullet: options.isBullet || false,
-    indent: options.indent || 0,
-  };
-};
-
 /**
  * Create bullet point text
  */
@@ -0,0 +1,180 @@
+import { addFormattedText } from './pdfTextFormatter';
+import { parseMarkdown } from './markdownParser';
+import { renderMarkdownToHTML } from './markdownRenderer';
+
+/**
+ * Minimal jsPDF stand-in that records each piece of text with the font
+ * style and link it was drawn with
+ */
+const createRecordingPDF = ({ width = 210, height = 297 } = {}) => {
+  const drawn = [];
+  const addedPages = [];
+  let font = { fontName: 'helvetica', fontStyle: 'normal' };
+  let fontSize = 10;
+
+  const pdf = {
+    drawn,
+    addedPages,
+    internal: {
+      scaleFactor: 72 / 25.4,
+      pageSize: { getWidth: () => width, getHeight: () => height },
+    },
+    getFont: () => font,
+    getFontList: () => ({ helvetica: ['normal', 'bold', 'italic', 'bolditalic'] }),
+    setFont: (name, style) => {
+      font = { fontName: name || font.fontName, fontStyle: style || 'normal' };
+    },
+    setFontSize: (size) => {
+      fontSize = size;
+    },
+    getFontSize: () => fontSize,
+    getTextWidth: (text) => text.length * 2,
+    splitTextToSize: (text) => [text],
+    text: (text, x, y) => {
+      drawn.push({ text, font: font.fontName, style: font.fontStyle, x, y });
+    },
+    link: (x, y, width, height, { url }) => {
+      drawn[drawn.length - 1].href = url;
+    },
+    getTextColor: () => '#000000',
+    setTextColor: () => {},
+    setFillColor: () => {},
+    setDrawColor: () => {},
+    setLineWidth: () => {},
+    rect: () => {},
+    line: () => {},
+    addPage: (format, orientation) => {
+      addedPages.push({ format, orientation });
+    },
+    setPage: () => {},
+    getNumberOfPages: () => 1,
+  };
+  return pdf;
+};
+
+/**
+ * Words with their formatting as drawn in the PDF
+ */
+const pdfWords = (markdown) => {
+  const pdf = createRecordingPDF();
+  addFormattedText(pdf, parseMarkdown(markdown), 15, 20, 500);
+  return pdf.drawn
+    .filter(({ text }) => !/^(•|\d+\.)$/.test(text))
+    .flatMap(({ text, font, style, href }) => text.split(/\s+/).filter(Boolean).map((word) => ({
+      word,
+      bold: style.includes('bold'),
+      italic: style.includes('italic'),
+      code: font === 'courier',
+      href: href || null,
+    })));
+};
+
+/**
+ * Words with their formatting as shown on screen
+ */
+const htmlWords = (markdown) => {
+  const container = document.createElement('div');
+  container.innerHTML = renderMarkdownToHTML(markdown);
+  const walker = document.createTreeWalker(container, NodeFilter.SHOW_TEXT);
+  const words = [];
+
+  while (walker.nextNode()) {
+    const node = walker.currentNode;
+    const within = (selector) => Boolean(node.parentElement.closest(selector));
+    const isHeading = within('h1, h2, h3, h4, h5, h6');
+    const link = node.parentElement.closest('a');
+    node.textContent.split(/\s+/).filter(Boolean).forEach((word) => {
+      words.push({
+        word,
+        bold: within('strong') || isHeading,
+        italic: within('em'),
+        code: within('code'),
+        href: link ? link.getAttribute('href') : null,
+      });
+    });
+  }
+  return words;
+};
+
+describe('PDF and HTML renderers', () => {
+  const samples = {
+    'bold and italic': 'This is *italic text* followed by **bold text** and then *both **bold and italic*** together.',
+    'triple asterisks': '***bold italic*** then plain ***again***',
+    'unmatched markers': '5 * 3 * 2 and **not closed',
+    'bullets and numbered lists': '• **Main** point\n\t• *sub* point\n1. first\n2. second',
+    headings: '# Title\n## Sub **title**\ntext',
+    'inline code and links': 'Run `npm *test*` then read [the **docs**](https://example.com/docs).',
+    'quotes and code blocks': '> quoted *words*\n\n```\nconst a = 1;\n```',
+    'line breaks and paragraphs': 'Line *one*\nLine two\n\n\nNew **paragraph**',
+  };
+
+  Object.entries(samples).forEach(([name, markdown]) => {
+    test(`agree on ${name}`, () => {
+      expect(pdfWords(markdown)).toEqual(htmlWords(markdown));
+    });
+  });
+});
+
+describe('page breaks', () => {
+  const paragraphs = Array.from({ length: 20 }, (_, i) => `Paragraph ${i}`).join('\n\n');
+
+  it('break at the bottom margin of the current page', () => {
+    const pdf = createRecordingPDF({ width: 279.4, height: 215.9 });
+    addFormattedText(pdf, paragraphs, 20, 20, 200, { lineHeight: 10, margins: { top: 25, bottom: 20 } });
+
+    const breakIndex = pdf.drawn.findIndex(({ y }) => y === 25);
+    expect(breakIndex).toBeGreaterThan(0);
+    expect(Math.max(...pdf.drawn.slice(0, breakIndex).map(({ y }) => y))).toBeLessThanOrEqual(215.9 - 20 - 10);
+  });
+
+  it('add pages with the size and orientation of the current one', () => {
+    const pdf = createRecordingPDF({ width: 279.4, height: 215.9 });
+    addFormattedText(pdf, paragraphs, 20, 20, 200, { lineHeight: 10 });
+
+    expect(pdf.addedPages.length).toBeGreaterThan(0);
+    expect(pdf.addedPages[0]).toEqual({ format: [215.9, 279.4], orientation: 'landscape' });
+  });
+
+  describe('keeping lines together', () => {
+    // Page with room for baselines from 10 to 80
+    const options = { lineHeight: 10, fontSize: 10, margins: { top: 10, bottom: 10 } };
+    // Five lines of 20 words at 200mm
+    const fiveLines = 'word '.repeat(100).trim();
+    // Baseline of each line, as drawn word by word
+    const lineYs = (pdf) => pdf.drawn
+      .filter(({ text }) => text.includes('word'))
+      .map(({ y }) => y)
+      .filter((y, index, ys) => index === 0 || y !== ys[index - 1]);
+
+    it('moves a heading to the next page with the first lines after it', () => {
+      const pdf = createRecordingPDF({ height: 100 });
+      addFormattedText(pdf, `## Outlook\n\n${fiveLines}`, 20, 70, 200, options);
+
+      expect(pdf.addedPages).toHaveLength(1);
+      expect(pdf.drawn.find(({ text }) => text.includes('Outlook')).y).toBe(10);
+    });
+
+    it('leaves no single line at the bottom of a page', () => {
+      const pdf = createRecordingPDF({ height: 100 });
+      addFormattedText(pdf, fiveLines, 20, 75, 200, options);
+
+      expect(lineYs(pdf)[0]).toBe(10);
+    });
+
+    it('carries no single line over to the next page', () => {
+      const pdf = createRecordingPDF({ height: 100 });
+      addFormattedText(pdf, fiveLines, 20, 50, 200, options);
+
+      // Four lines would fit; three stay so two go on
+      expect(lineYs(pdf)).toEqual([50, 60, 70, 10, 20]);
+    });
+
+    it('follows the orphans and widows options', () => {
+      const pdf = createRecordingPDF({ height: 100 });
+      addFormattedText(pdf, fiveLines, 20, 50, 200, { ...options, orphans: 1, widows: 1 });
+
+      expect(lineYs(pdf)).toEqual([50, 60, 70, 80, 10]);
+    });
+  });
+});
+
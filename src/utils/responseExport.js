@@ -0,0 +1,79 @@
+/**
+ * Response exports as chosen in the export dialog
+ * One settings object for every format the dialog offers:
+ *   format: 'pdf' | 'docx' | 'html'
+ *   fileName: file name without extension (default: chat-<id>-<timestamp>)
+ *   title, sectionIds, includePreamble, tableViews, page, theme: as the builders take them
+ *   headerFooter: running header and footer in PDFs (see pdfHeaderFooter)
+ *   toc: table of contents in PDFs (see buildResponsePDF)
+ */
+import { buildResponsePDF, savePDF } from './pdfDocumentBuilder';
+import { buildResponseDocx, saveDocx } from './docxExport';
+import { buildResponseHtml, saveHtml } from './htmlExport';
+
+export const EXPORT_FORMATS = {
+  pdf: { label: 'PDF', extension: 'pdf', hasPages: true },
+  docx: { label: 'Word', extension: 'docx', hasPages: true },
+  html: { label: 'HTML', extension: 'html', hasPages: false }
+};
+
+const getBuildOptions = ({ title, tableViews, sectionIds, includePreamble, page, theme, headerFooter, toc }) => ({
+  title,
+  tableViews,
+  sectionIds,
+  includePreamble,
+  page,
+  theme,
+  headerFooter,
+  toc
+});
+
+const getFileTarget = (response, settings) => {
+  const fileName = settings.fileName && settings.fileName.trim();
+  return {
+    prefix: fileName || `chat-${response.id}`,
+    fileOptions: { timestamp: !fileName }
+  };
+};
+
+/**
+ * Build the PDF for these settings without saving it (for the preview)
+ * @returns {Promise<jsPDF>}
+ */
+export const buildExportPDF = (response, settings) => buildResponsePDF(response, getBuildOptions(settings));
+
+/**
+ * Number of pages of the PDF for these settings. Word lays out its own
+ * pages, so for Word this is an estimate.
+ * @returns {Promise<number>}
+ */
+export const countExportPages = async (response, settings) => {
+  const pdf = await buildExportPDF(response, settings);
+  return pdf.getNumberOfPages();
+};
+
+/**
+ * Download a PDF built with buildExportPDF under the settings' file name
+ */
+export const saveExportPDF = (pdf, response, settings) => {
+  const { prefix, fileOptions } = getFileTarget(response, settings);
+  savePDF(pdf, prefix, fileOptions);
+};
+
+/**
+ * Build the export and download it
+ * @param {Object} response - { id, question, answer, sections, charts, chartData, chartType }
+ * @param {Object} settings - See the module comment
+ */
+export const exportResponse = async (response, settings) => {
+  const options = getBuildOptions(settings);
+  const { prefix, fileOptions } = getFileTarget(response, settings);
+
+  if (settings.format === 'docx') {
+    await saveDocx(await buildResponseDocx(response, options), prefix, fileOptions);
+  } else if (settings.format === 'html') {
+    saveHtml(buildResponseHtml(response, options), prefix, fileOptions);
+  } else {
+    saveExportPDF(await buildExportPDF(response, settings), response, settings);
+  }
+};
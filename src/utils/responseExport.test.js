@@ -0,0 +1,92 @@
+/**
+ * @jest-environment node
+ */
+import { jsPDF } from 'jspdf';
+import * as pdfHeaderFooter from './pdfHeaderFooter';
+import { buildExportPDF, countExportPages, saveExportPDF } from './responseExport';
+
+const response = {
+  id: 'resp-1',
+  question: 'How did sales do?',
+  answer: 'Sales grew in every region.',
+  sections: Array.from({ length: 12 }, (_, index) => ({
+    id: `region-${index + 1}`,
+    type: 'text',
+    heading: `Region ${index + 1}`,
+    content: 'Revenue grew on the back of strong demand. '.repeat(12),
+  })),
+};
+
+describe('buildExportPDF', () => {
+  it('lays out the chosen sections on the chosen page', async () => {
+    const pdf = await buildExportPDF(response, {
+      sectionIds: ['resp-1-region-1'],
+      page: { size: 'letter', orientation: 'landscape' },
+    });
+
+    expect(pdf.getNumberOfPages()).toBe(1);
+    expect(pdf.internal.pageSize.getWidth()).toBeCloseTo(279.4, 1);
+  });
+
+  it('passes the title and the header and footer through', async () => {
+    const addHeadersAndFooters = jest.spyOn(pdfHeaderFooter, 'addHeadersAndFooters');
+    const headerFooter = { header: false, footer: { pageNumbers: false, timestamp: true, label: 'Internal' } };
+
+    await buildExportPDF(response, { title: 'Q1 review', headerFooter, sectionIds: ['resp-1-region-1'] });
+
+    expect(addHeadersAndFooters).toHaveBeenCalledWith(
+      expect.anything(),
+      expect.objectContaining({ title: 'Q1 review' }),
+      headerFooter,
+      expect.anything(),
+    );
+    addHeadersAndFooters.mockRestore();
+  });
+
+  it('counts the pages of the same document', async () => {
+    const pdf = await buildExportPDF(response, {});
+
+    expect(pdf.getNumberOfPages()).toBeGreaterThan(1);
+    await expect(countExportPages(response, {})).resolves.toBe(pdf.getNumberOfPages());
+  });
+});
+
+describe('table of contents and outline', () => {
+  // Page of each "Region" heading, from the table of contents links
+  const getTocLinks = (pdf) => pdf.internal.getPageInfo(1).pageContext.annotations
+    .filter((annotation) => annotation.type === 'link')
+    .map((annotation) => annotation.options.pageNumber);
+
+  it('lists the headed sections of long responses on their pages', async () => {
+    const pdf = await buildExportPDF(response, {});
+    const links = getTocLinks(pdf);
+
+    expect(links).toHaveLength(12);
+    expect(links[0]).toBe(2);
+    expect(links[11]).toBe(pdf.getNumberOfPages());
+    expect(pdf.outline.root.children.map((item) => item.title)).toEqual(response.sections.map((section) => section.heading));
+  });
+
+  it('leaves the table of contents out of short responses, or when turned off', async () => {
+    const short = await buildExportPDF(response, { sectionIds: ['resp-1-region-1', 'resp-1-region-2'] });
+    const off = await buildExportPDF(response, { toc: false });
+
+    expect(getTocLinks(short)).toEqual([]);
+    expect(short.outline.root.children).toHaveLength(2);
+    expect(getTocLinks(off)).toEqual([]);
+    expect(off.getNumberOfPages()).toBe((await buildExportPDF(response, {})).getNumberOfPages() - 1);
+  });
+});
+
+describe('saveExportPDF', () => {
+  it('saves under the chosen file name, or a timestamped default', () => {
+    const pdf = new jsPDF();
+    const save = jest.spyOn(pdf, 'save').mockImplementation(() => {});
+
+    saveExportPDF(pdf, response, { fileName: 'Q1 review' });
+    saveExportPDF(pdf, response, { fileName: '  ' });
+
+    expect(save).toHaveBeenNthCalledWith(1, 'Q1 review.pdf');
+    expect(save.mock.calls[1][0]).toMatch(/^chat-resp-1-\d{4}-\d{2}-\d{2}T[\d-]+\.pdf$/);
+  });
+});
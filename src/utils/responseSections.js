@@ -0,0 +1,47 @@
+/**
+ * Response sections
+ * Every response shape (sections, charts or a single chartData) as one flat
+ * list of sections, shared by the UI and the exporters.
+ */
+
+/**
+ * Normalize the supported response inputs into a flat list of sections
+ * When a responseId is given, section ids are prefixed with it so they stay
+ * unique when several responses are rendered (or exported) together.
+ */
+export const getResponseSections = ({ id, sections = [], charts = [], chartData, chartType = 'bar' }) => {
+  let baseSections = [];
+  if (sections.length > 0) {
+    baseSections = sections;
+  } else if (charts.length > 0) {
+    baseSections = charts.map((chart, i) => ({
+      id: `chart-${i}`,
+      heading: `Data Visualization ${i + 1}`,
+      ...chart,
+      // `charts` entries carry the chart type in `type`
+      type: 'chart',
+      chartType: chart.chartType || chart.type || 'bar'
+    }));
+  } else if (chartData) {
+    baseSections = [{
+      type: 'chart',
+      id: 'chart-0',
+      heading: 'Data Visualization',
+      data: chartData,
+      chartType
+    }];
+  }
+
+  if (!id) return baseSections;
+  return baseSections.map(section => ({
+    ...section,
+    id: `${id}-${section.id}`
+  }));
+};
+
+/**
+ * The sections chosen for an export, by id (all of them without a list)
+ */
+export const selectSections = (sections, sectionIds) => (
+  Array.isArray(sectionIds) ? sections.filter((section) => sectionIds.includes(section.id)) : sections
+);
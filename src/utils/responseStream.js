@@ -0,0 +1,156 @@
+/**
+ * Streamed responses
+ * The chat service can stream a response as NDJSON (Content-Type
+ * application/x-ndjson: one JSON event per line) so it shows while it's
+ * being written:
+ *
+ *   { "type": "start", "id": "resp-42" }                optional, the response id
+ *   { "type": "answer", "text": "Sales " }              the next piece of the answer
+ *   { "type": "response", "chartData": [...], ... }     other response fields (charts, chartData, chartType)
+ *   { "type": "section", "section": { ... } }           the next section (text, table or chart)
+ *   { "type": "error", "message": "..." }               the service gave up
+ *   { "type": "done" }                                  the response is complete
+ *
+ * Unknown event types are ignored, so the service can add its own.
+ */
+
+export const NDJSON_CONTENT_TYPE = 'application/x-ndjson';
+
+// Response fields a "response" event may set
+const RESPONSE_FIELDS = ['charts', 'chartData', 'chartType'];
+
+/**
+ * Whether a Content-Type header announces a streamed response
+ */
+export const isStreamContentType = (contentType) => (
+  typeof contentType === 'string' && contentType.split(';')[0].trim().toLowerCase() === NDJSON_CONTENT_TYPE
+);
+
+/**
+ * A section with an id: its own, or its position (`section-2`), so that
+ * sections without one still get distinct keys and table views
+ */
+export const withSectionId = (section, index) => (
+  section.id !== undefined && section.id !== null && section.id !== '' ? section : { ...section, id: `section-${index}` }
+);
+
+/**
+ * A response before its first event
+ */
+export const createStreamState = (id) => ({ id, answer: '', sections: [], done: false });
+
+/**
+ * The response after one more event (the state isn't changed)
+ * @throws {Error} On "error" events and malformed events
+ */
+export const applyStreamEvent = (state, event) => {
+  if (!event || typeof event !== 'object') {
+    throw new Error('The chat service sent an invalid stream event');
+  }
+
+  switch (event.type) {
+    case 'start':
+      return event.id ? { ...state, id: String(event.id) } : state;
+    case 'answer':
+      return { ...state, answer: state.answer + (event.text || '') };
+    case 'response': {
+      const fields = {};
+      RESPONSE_FIELDS.forEach((key) => {
+        if (event[key] !== undefined) fields[key] = event[key];
+      });
+      return { ...state, ...fields };
+    }
+    case 'section':
+      if (!event.section || typeof event.section !== 'object') {
+        throw new Error('The chat service sent a section event without a section');
+      }
+      return { ...state, sections: [...state.sections, withSectionId(event.section, state.sections.length)] };
+    case 'error':
+      throw new Error(event.message || 'The chat service stopped answering');
+    case 'done':
+      return { ...state, done: true };
+    default:
+      return state;
+  }
+};
+
+/**
+ * The events that stream a complete response: its answer word by word,
+ * then its other fields, then its sections one by one
+ */
+export const getResponseEvents = (response) => {
+  const events = [];
+  if (response.id) events.push({ type: 'start', id: response.id });
+  (String(response.answer || '').match(/\S+\s*|\s+/g) || []).forEach((text) => {
+    events.push({ type: 'answer', text });
+  });
+
+  const fields = {};
+  RESPONSE_FIELDS.forEach((key) => {
+    if (response[key] !== undefined) fields[key] = response[key];
+  });
+  if (Object.keys(fields).length > 0) events.push({ type: 'response', ...fields });
+
+  (response.sections || []).forEach((section) => {
+    events.push({ type: 'section', section });
+  });
+  events.push({ type: 'done' });
+  return events;
+};
+
+/**
+ * Call onLine with each line of a byte stream, as the lines arrive
+ * @param {ReadableStream} body - e.g. a fetch response's body
+ */
+export const readLines = async (body, onLine) => {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  try {
+    for (;;) {
+      const { value, done } = await reader.read();
+      buffer += done ? decoder.decode() : decoder.decode(value, { stream: true });
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+      lines.forEach((line) => onLine(line.replace(/\r$/, '')));
+      if (done) break;
+    }
+    if (buffer) onLine(buffer);
+  } catch (error) {
+    // Stop the download when a line can't be used
+    reader.cancel().catch(() => {});
+    throw error;
+  }
+};
+
+/**
+ * Read a streamed response
+ * @param {ReadableStream} body - NDJSON events
+ * @param {Object} options
+ * @param {string} options.id - Response id, unless the stream names one
+ * @param {Function} options.onUpdate - Called with the response so far after each event
+ * @returns {Promise<Object>} The complete response: { id, answer, sections, ... }
+ * @throws {Error} When the stream reports an error or ends before "done"
+ */
+export const readResponseStream = async (body, { id, onUpdate } = {}) => {
+  let state = createStreamState(id);
+
+  await readLines(body, (line) => {
+    if (state.done || !line.trim()) return;
+    let event;
+    try {
+      event = JSON.parse(line);
+    } catch (error) {
+      throw new Error('The chat service sent an invalid stream event');
+    }
+    state = applyStreamEvent(state, event);
+    if (!state.done && onUpdate) onUpdate(state);
+  });
+
+  if (!state.done) {
+    throw new Error('The response stream ended before the response was complete');
+  }
+  const { done, ...response } = state;
+  return response;
+};
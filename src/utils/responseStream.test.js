@@ -0,0 +1,142 @@
+/**
+ * @jest-environment node
+ */
+import { ReadableStream } from 'stream/web';
+import {
+  applyStreamEvent,
+  createStreamState,
+  getResponseEvents,
+  isStreamContentType,
+  readLines,
+  readResponseStream,
+} from './responseStream';
+
+// A byte stream delivering the text in chunks of `size` bytes
+const createBody = (text, size = 7) => {
+  const bytes = new TextEncoder().encode(text);
+  return new ReadableStream({
+    start(controller) {
+      for (let i = 0; i < bytes.length; i += size) {
+        controller.enqueue(bytes.slice(i, i + size));
+      }
+      controller.close();
+    },
+  });
+};
+
+const toNdjson = (events) => events.map((event) => `${JSON.stringify(event)}\n`).join('');
+
+const response = {
+  id: 'resp-7',
+  answer: 'Sales grew 12% — led by the North.',
+  chartData: [{ name: 'North', value: 12 }],
+  chartType: 'line',
+  sections: [
+    { id: 'summary', type: 'text', heading: 'Summary', content: 'Up **12%**' },
+    { id: 'by-region', type: 'table', heading: 'By region', columns: ['Region'], rows: [['North']] },
+  ],
+};
+
+describe('isStreamContentType', () => {
+  it('recognizes NDJSON with or without parameters', () => {
+    expect(isStreamContentType('application/x-ndjson')).toBe(true);
+    expect(isStreamContentType('application/x-ndjson; charset=utf-8')).toBe(true);
+    expect(isStreamContentType('application/json')).toBe(false);
+    expect(isStreamContentType(null)).toBe(false);
+  });
+});
+
+describe('applyStreamEvent', () => {
+  it('appends answer text and sections', () => {
+    let state = createStreamState('r1');
+    state = applyStreamEvent(state, { type: 'answer', text: 'Hello ' });
+    state = applyStreamEvent(state, { type: 'answer', text: 'world' });
+    state = applyStreamEvent(state, { type: 'section', section: { id: 's1', type: 'text', content: 'A' } });
+    expect(state).toMatchObject({ id: 'r1', answer: 'Hello world', done: false });
+    expect(state.sections).toHaveLength(1);
+  });
+
+  it('numbers sections that come without an id', () => {
+    let state = createStreamState('r1');
+    state = applyStreamEvent(state, { type: 'section', section: { type: 'text', content: 'A' } });
+    state = applyStreamEvent(state, { type: 'section', section: { id: 's1', type: 'text', content: 'B' } });
+    state = applyStreamEvent(state, { type: 'section', section: { type: 'text', content: 'C' } });
+    expect(state.sections.map((section) => section.id)).toEqual(['section-0', 's1', 'section-2']);
+  });
+
+  it('leaves the state as it was', () => {
+    const state = createStreamState('r1');
+    applyStreamEvent(state, { type: 'answer', text: 'Hello' });
+    expect(state.answer).toBe('');
+  });
+
+  it('sets chart fields from response events and ignores unknown events', () => {
+    let state = createStreamState('r1');
+    state = applyStreamEvent(state, { type: 'response', chartData: [], chartType: 'pie', answer: 'ignored' });
+    state = applyStreamEvent(state, { type: 'progress', percent: 50 });
+    expect(state).toEqual({ id: 'r1', answer: '', sections: [], chartData: [], chartType: 'pie', done: false });
+  });
+
+  it('fails on error events and sections without a section', () => {
+    const state = createStreamState('r1');
+    expect(() => applyStreamEvent(state, { type: 'error', message: 'Model overloaded' })).toThrow('Model overloaded');
+    expect(() => applyStreamEvent(state, { type: 'section' })).toThrow('without a section');
+    expect(() => applyStreamEvent(state, { type: 'section', section: 'text' })).toThrow('without a section');
+    expect(() => applyStreamEvent(state, 'answer')).toThrow('invalid stream event');
+  });
+});
+
+describe('readLines', () => {
+  it('splits lines across chunk boundaries, including multi-byte characters', async () => {
+    const lines = [];
+    await readLines(createBody('first — line\r\nsecond\nlast', 3), (line) => lines.push(line));
+    expect(lines).toEqual(['first — line', 'second', 'last']);
+  });
+});
+
+describe('readResponseStream', () => {
+  it('rebuilds the response its events stream', async () => {
+    const streamed = await readResponseStream(createBody(toNdjson(getResponseEvents(response))), { id: 'fallback' });
+    expect(streamed).toEqual(response);
+  });
+
+  it('reports the response so far after each event', async () => {
+    const updates = [];
+    await readResponseStream(createBody(toNdjson([
+      { type: 'answer', text: 'One ' },
+      { type: 'answer', text: 'two' },
+      { type: 'section', section: { id: 's1', type: 'text', content: 'A' } },
+      { type: 'done' },
+    ])), { id: 'r1', onUpdate: (state) => updates.push(state) });
+
+    expect(updates.map((state) => state.answer)).toEqual(['One ', 'One two', 'One two']);
+    expect(updates.map((state) => state.sections.length)).toEqual([0, 0, 1]);
+    expect(updates[0].id).toBe('r1');
+  });
+
+  it('fails when the stream ends early, reports an error or sends something else', async () => {
+    await expect(readResponseStream(createBody(toNdjson([{ type: 'answer', text: 'Half' }]))))
+      .rejects.toThrow('ended before the response was complete');
+    await expect(readResponseStream(createBody(toNdjson([{ type: 'error', message: 'Timed out' }]))))
+      .rejects.toThrow('Timed out');
+    await expect(readResponseStream(createBody('<html>\n')))
+      .rejects.toThrow('invalid stream event');
+  });
+});
+
+describe('getResponseEvents', () => {
+  it('streams the answer word by word, then the chart fields, then each section', () => {
+    const events = getResponseEvents(response);
+    const answerEvents = events.filter((event) => event.type === 'answer');
+    expect(answerEvents.map((event) => event.text).join('')).toBe(response.answer);
+    expect(answerEvents.length).toBeGreaterThan(5);
+    expect(events.map((event) => event.type)).toEqual([
+      'start',
+      ...answerEvents.map(() => 'answer'),
+      'response',
+      'section',
+      'section',
+      'done',
+    ]);
+  });
+});
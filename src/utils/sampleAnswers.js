@@ -0,0 +1,41 @@
+/**
+ * Sample answers
+ * How the offline provider (see chatProviders) and the development chat
+ * server (scripts/mock-chat-server.mjs) answer: a sample question gets its
+ * sample response, any other question the list of sample questions.
+ * This module imports nothing, so the server can load it from its source.
+ */
+
+/**
+ * A question as it's matched: case, surrounding space and the closing
+ * punctuation don't count
+ */
+export const normalizeQuestion = (text) => String(text).trim().toLowerCase().replace(/[?.!\s]+$/, '');
+
+/**
+ * The answer to a question from a conversation's responses
+ * @param {Array} messages - Conversation whose responses are the samples
+ * @param {string} question - The question asked
+ * @param {Object} options
+ * @param {string} options.unknownAnswer - Answer to questions without a sample
+ * @returns {Object} The response fields ({ id, answer, sections, ... }); the
+ *   id is the sample's, and there's none for unknown questions
+ */
+export const getSampleAnswer = (messages, question, { unknownAnswer }) => {
+  const responses = messages.filter((message) => message.type === 'response');
+  const sample = responses.find((response) => normalizeQuestion(response.question) === normalizeQuestion(question));
+  if (sample) {
+    const { type, question: sampleQuestion, ...response } = sample;
+    return response;
+  }
+  return {
+    answer: unknownAnswer,
+    sections: [{
+      id: 'sample-questions',
+      type: 'text',
+      heading: 'Sample questions',
+      content: responses.map((response) => `- ${response.question}`).join('\n'),
+      isFormatted: true
+    }]
+  };
+};
@@ -0,0 +1,27 @@
+import { getSampleAnswer, normalizeQuestion } from './sampleAnswers';
+
+const messages = [
+  { id: 'q1', type: 'question', content: 'How are sales?' },
+  { id: 'resp-1', type: 'response', question: 'How are sales?', answer: 'Up.', sections: [] },
+  { id: 'resp-2', type: 'response', question: 'Which region leads?', answer: 'West.', chartData: [] },
+];
+
+describe('normalizeQuestion', () => {
+  it('ignores case, surrounding space and closing punctuation', () => {
+    expect(normalizeQuestion('  How are SALES?! ')).toBe('how are sales');
+  });
+});
+
+describe('getSampleAnswer', () => {
+  it('answers a sample question with its response fields', () => {
+    expect(getSampleAnswer(messages, 'which region leads', { unknownAnswer: 'No' }))
+      .toEqual({ id: 'resp-2', answer: 'West.', chartData: [] });
+  });
+
+  it('lists the sample questions for any other question', () => {
+    const answer = getSampleAnswer(messages, 'What is the weather?', { unknownAnswer: 'Ask one of these:' });
+    expect(answer.id).toBeUndefined();
+    expect(answer.answer).toBe('Ask one of these:');
+    expect(answer.sections[0].content).toBe('- How are sales?\n- Which region leads?');
+  });
+});
@@ -0,0 +1,163 @@
+/**
+ * Allow-list HTML sanitizer
+ * Every piece of HTML that comes from the backend or from model output goes
+ * through sanitizeHtml() before it reaches dangerouslySetInnerHTML.
+ *
+ * - Elements outside the allow-list are unwrapped (their text is kept),
+ *   except DROPPED_TAGS which are removed with everything inside them
+ * - Attributes outside the per-tag allow-list are removed (on*, style, src...)
+ * - Links only keep http(s), mailto and relative URLs
+ * - Comments are removed
+ *
+ * Parsing uses the browser's DOMParser, which doesn't run scripts or load
+ * resources. Without a DOMParser the markup is escaped and shown as text.
+ */
+const HTML_ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;',
+};
+
+const NUMBER_ATTRIBUTE = /^\d{1,4}$/;
+
+/**
+ * Allowed tags and, per tag, allowed attributes
+ */
+const ALLOWED_TAGS = {
+  a: ['href', 'title', 'target', 'rel'],
+  b: [],
+  blockquote: [],
+  br: [],
+  caption: [],
+  code: ['class'],
+  col: ['span'],
+  colgroup: ['span'],
+  del: [],
+  div: [],
+  em: [],
+  h1: [],
+  h2: [],
+  h3: [],
+  h4: [],
+  h5: [],
+  h6: [],
+  hr: [],
+  i: [],
+  li: [],
+  ol: ['start'],
+  p: [],
+  pre: [],
+  s: [],
+  span: [],
+  strong: [],
+  sub: [],
+  sup: [],
+  table: [],
+  tbody: [],
+  td: ['colspan', 'rowspan'],
+  tfoot: [],
+  th: ['colspan', 'rowspan', 'scope'],
+  thead: [],
+  tr: [],
+  u: [],
+  ul: [],
+};
+
+/**
+ * Removed together with their content - never meaningful as text
+ */
+const DROPPED_TAGS = new Set([
+  'applet', 'audio', 'base', 'button', 'embed', 'form', 'frame', 'frameset', 'head', 'iframe',
+  'input', 'link', 'math', 'meta', 'noembed', 'noframes', 'noscript', 'object', 'option', 'script',
+  'select', 'style', 'svg', 'template', 'textarea', 'title', 'video', 'xmp',
+]);
+
+/**
+ * Attribute value checks; attributes without one accept any value
+ */
+const ATTRIBUTE_CHECKS = {
+  href: (value) => isSafeUrl(value),
+  target: (value) => value === '_blank',
+  class: (value) => /^language-[\w-]+$/.test(value),
+  colspan: (value) => NUMBER_ATTRIBUTE.test(value),
+  rowspan: (value) => NUMBER_ATTRIBUTE.test(value),
+  span: (value) => NUMBER_ATTRIBUTE.test(value),
+  start: (value) => NUMBER_ATTRIBUTE.test(value),
+  scope: (value) => ['row', 'col', 'rowgroup', 'colgroup'].includes(value),
+};
+
+/**
+ * Escape text for use in HTML content and attribute values
+ */
+export const escapeHtml = (text) => String(text).replace(/[&<>"']/g, (char) => HTML_ESCAPES[char]);
+
+/**
+ * Whether a URL is safe to link to: http(s), mailto, or relative
+ * Whitespace and control characters are ignored the way browsers ignore
+ * them, so "java\tscript:" is still recognised as a script URL.
+ */
+export const isSafeUrl = (url) => {
+  if (typeof url !== 'string') return false;
+  // eslint-disable-next-line no-control-regex
+  const normalized = url.replace(/[\u0000- \u007F-\u009F]/g, '').toLowerCase();
+  const scheme = /^([a-z][a-z0-9+.-]*):/.exec(normalized);
+  if (!scheme) return true;
+  return ['http', 'https', 'mailto'].includes(scheme[1]);
+};
+
+const sanitizeAttributes = (element, tag) => {
+  const allowed = ALLOWED_TAGS[tag];
+  Array.from(element.attributes).forEach(({ name, value }) => {
+    const check = ATTRIBUTE_CHECKS[name];
+    if (!allowed.includes(name) || (check && !check(value.trim()))) {
+      element.removeAttribute(name);
+    }
+  });
+
+  // Links opening a new tab must not get a handle on this window
+  if (element.getAttribute('target') === '_blank') {
+    element.setAttribute('rel', 'noopener noreferrer');
+  }
+};
+
+const sanitizeChildren = (parent) => {
+  Array.from(parent.childNodes).forEach((node) => {
+    if (node.nodeType === 3) return; // Text
+
+    if (node.nodeType !== 1) {
+      // Comments, processing instructions...
+      node.remove();
+      return;
+    }
+
+    const tag = node.localName;
+    if (DROPPED_TAGS.has(tag)) {
+      node.remove();
+      return;
+    }
+
+    sanitizeChildren(node);
+
+    if (Object.prototype.hasOwnProperty.call(ALLOWED_TAGS, tag) && node.namespaceURI === 'http://www.w3.org/1999/xhtml') {
+      sanitizeAttributes(node, tag);
+    } else {
+      node.replaceWith(...Array.from(node.childNodes));
+    }
+  });
+};
+
+/**
+ * Sanitize untrusted HTML against the allow-list
+ * @param {string} html - Untrusted markup
+ * @returns {string} Markup that is safe to inject
+ */
+export const sanitizeHtml = (html) => {
+  if (!html) return '';
+  if (typeof DOMParser === 'undefined') return escapeHtml(html);
+
+  const doc = new DOMParser().parseFromString(html, 'text/html');
+  sanitizeChildren(doc.body);
+  return doc.body.innerHTML;
+};
@@ -0,0 +1,133 @@
+/* eslint-disable no-script-url -- the suite is made of script URLs */
+import { sanitizeHtml, isSafeUrl } from './sanitizeHtml';
+import { renderMarkdownToHTML } from './markdownRenderer';
+
+/**
+ * Inject markup the way React does and check that nothing in it can run
+ */
+const expectInert = (html) => {
+  const container = document.createElement('div');
+  container.innerHTML = html;
+  container.querySelectorAll('*').forEach((element) => {
+    expect(['script', 'iframe', 'object', 'embed', 'svg', 'math', 'img', 'style', 'base', 'form'])
+      .not.toContain(element.localName);
+    Array.from(element.attributes).forEach(({ name, value }) => {
+      expect(name).not.toMatch(/^on/i);
+      expect(name).not.toMatch(/^(src|srcset|style|action|formaction|xlink:href)$/i);
+      if (name === 'href') expect(isSafeUrl(value)).toBe(true);
+    });
+  });
+};
+
+const XSS_VECTORS = [
+  '<script>alert(1)</script>',
+  '<SCRIPT SRC=//evil.example/xss.js></SCRIPT>',
+  '<img src=x onerror=alert(1)>',
+  '<img src="javascript:alert(1)">',
+  '<svg onload=alert(1)><circle r="5"/></svg>',
+  '<svg><script>alert(1)</script></svg>',
+  '<math><mtext><table><mglyph><style><img src=x onerror=alert(1)>',
+  '<iframe src="javascript:alert(1)"></iframe>',
+  '<iframe srcdoc="<script>alert(1)</script>"></iframe>',
+  '<object data="data:text/html,<script>alert(1)</script>"></object>',
+  '<embed src="javascript:alert(1)">',
+  '<a href="javascript:alert(1)">click</a>',
+  '<a href=" JaVaScRiPt:alert(1)">click</a>',
+  '<a href="jav&#x09;ascript:alert(1)">click</a>',
+  '<a href="javascript&colon;alert(1)">click</a>',
+  '<a href="&#106;&#97;&#118;&#97;&#115;&#99;&#114;&#105;&#112;&#116;&#58;alert(1)">click</a>',
+  '<a href="vbscript:msgbox(1)">click</a>',
+  '<a href="data:text/html;base64,PHNjcmlwdD5hbGVydCgxKTwvc2NyaXB0Pg==">click</a>',
+  '<a href="https://example.com" onclick="alert(1)">click</a>',
+  '<div onmouseover="alert(1)">hover</div>',
+  '<p style="background:url(javascript:alert(1))">styled</p>',
+  '<body onload=alert(1)>',
+  '<details open ontoggle=alert(1)>',
+  '<video><source onerror=alert(1)></video>',
+  '<audio src=x onerror=alert(1)></audio>',
+  '<input autofocus onfocus=alert(1)>',
+  '<form action="javascript:alert(1)"><button>go</button></form>',
+  '<button formaction="javascript:alert(1)">go</button>',
+  '<base href="javascript:alert(1)//">',
+  '<meta http-equiv="refresh" content="0;url=javascript:alert(1)">',
+  '<link rel=stylesheet href="javascript:alert(1)">',
+  '<style>@import "javascript:alert(1)";</style>',
+  '<noscript><p title="</noscript><img src=x onerror=alert(1)>"></noscript>',
+  '<template><img src=x onerror=alert(1)></template>',
+  '<!--<img src=x onerror=alert(1)>-->',
+  '<table><tr><td background="javascript:alert(1)" onmouseover=alert(1)>cell</td></tr></table>',
+  '<marquee onstart=alert(1)>text</marquee>',
+  '<x onclick=alert(1)>custom element</x>',
+  '<isindex type=image src=1 onerror=alert(1)>',
+  '<div><scr<script>ipt>alert(1)</scr</script>ipt></div>',
+  '"><img src=x onerror=alert(1)>',
+];
+
+describe('sanitizeHtml', () => {
+  XSS_VECTORS.forEach((vector) => {
+    test(`neutralises ${vector}`, () => {
+      expectInert(sanitizeHtml(vector));
+    });
+  });
+
+  test('keeps allowed formatting and table markup', () => {
+    const html = '<table><thead><tr><th scope="col" colspan="2">Head</th></tr></thead>'
+      + '<tbody><tr><td rowspan="2"><strong>Bold</strong> <em>it</em></td><td>x</td></tr></tbody></table>';
+    expect(sanitizeHtml(html)).toBe(html);
+  });
+
+  test('keeps the text of unknown elements', () => {
+    expect(sanitizeHtml('<font color="red">red <b>bold</b></font>')).toBe('red <b>bold</b>');
+  });
+
+  test('drops dangerous elements together with their content', () => {
+    expect(sanitizeHtml('before<script>alert(1)</script>after')).toBe('beforeafter');
+  });
+
+  test('removes unsafe links but keeps safe ones', () => {
+    expect(sanitizeHtml('<a href="javascript:alert(1)">x</a>')).toBe('<a>x</a>');
+    expect(sanitizeHtml('<a href="https://example.com/a?b=1">x</a>')).toBe('<a href="https://example.com/a?b=1">x</a>');
+    expect(sanitizeHtml('<a href="/docs" target="_blank">x</a>')).toBe('<a href="/docs" target="_blank" rel="noopener noreferrer">x</a>');
+  });
+
+  test('rejects malformed numeric attributes', () => {
+    expect(sanitizeHtml('<table><tr><td colspan="2; x">a</td></tr></table>')).toBe('<table><tbody><tr><td>a</td></tr></tbody></table>');
+  });
+});
+
+describe('isSafeUrl', () => {
+  test.each([
+    ['https://example.com', true],
+    ['http://example.com', true],
+    ['mailto:team@example.com', true],
+    ['/relative/path', true],
+    ['#anchor', true],
+    ['javascript:alert(1)', false],
+    ['  javascript:alert(1)', false],
+    ['java\nscript:alert(1)', false],
+    ['\u0001javascript:alert(1)', false],
+    ['data:text/html,hi', false],
+    ['vbscript:x', false],
+    ['file:///etc/passwd', false],
+  ])('%s -> %s', (url, expected) => {
+    expect(isSafeUrl(url)).toBe(expected);
+  });
+});
+
+describe('formatted text sections', () => {
+  test('show raw markup in model answers as text', () => {
+    const html = sanitizeHtml(renderMarkdownToHTML('**Hi** <img src=x onerror=alert(1)> <script>alert(1)</script>'));
+    expect(html).toBe('<p><strong>Hi</strong> &lt;img src=x onerror=alert(1)&gt; &lt;script&gt;alert(1)&lt;/script&gt;</p>');
+    expectInert(html);
+  });
+
+  test('render markdown links to unsafe URLs as plain text', () => {
+    const html = sanitizeHtml(renderMarkdownToHTML('[click](javascript:alert(1)) and [ok](https://example.com)'));
+    expect(html).toBe('<p>click and <a href="https://example.com" target="_blank" rel="noopener noreferrer">ok</a></p>');
+  });
+
+  test('escape quotes in link targets', () => {
+    const html = sanitizeHtml(renderMarkdownToHTML('[x](https://example.com/"onmouseover="alert(1))'));
+    expectInert(html);
+  });
+});
@@ -0,0 +1,233 @@
+/**
+ * CSV and Excel export of a response's tables and chart data
+ * Each table or chart section becomes one block of rows: a CSV block or an
+ * XLSX sheet named from the section heading. Values stay raw (numbers,
+ * ISO dates) so spreadsheets can calculate with them; in XLSX, typed
+ * columns (see cellFormat) also get a matching number format.
+ */
+import { getColumnFormats } from './cellFormat';
+import { parseHtmlTable } from './htmlTableParser';
+import { stripEmojis } from './pdfFonts';
+import { applyTableViews } from './tableView';
+import { getResponseSections } from './responseSections';
+import { downloadBlob, getExportFilename } from './download';
+
+const MAX_SHEET_NAME_LENGTH = 31;
+const MAX_COLUMN_WIDTH = 50;
+
+/**
+ * Lay out autoTable-style rows (cells with colSpan/rowSpan) on a grid,
+ * leaving spanned positions empty and recording them as merges
+ */
+const expandSpans = (rows, rowOffset, merges) => {
+  const grid = rows.map(() => []);
+  rows.forEach((row, r) => {
+    let c = 0;
+    row.forEach((cell) => {
+      while (grid[r][c] !== undefined) c += 1;
+      const colSpan = cell.colSpan || 1;
+      const rowSpan = cell.rowSpan || 1;
+      for (let dr = 0; dr < rowSpan && r + dr < rows.length; dr++) {
+        for (let dc = 0; dc < colSpan; dc++) grid[r + dr][c + dc] = '';
+      }
+      grid[r][c] = cell.content;
+      if (colSpan > 1 || rowSpan > 1) {
+        merges.push({ s: { r: rowOffset + r, c }, e: { r: rowOffset + r + rowSpan - 1, c: c + colSpan - 1 } });
+      }
+      c += colSpan;
+    });
+  });
+  return grid.map((row) => Array.from(row, (value) => value ?? ''));
+};
+
+/**
+ * Tabular data of a table or chart section
+ * @param {Object} section - Table (rows/columns or tableHtml) or chart section
+ * @returns {{ name: string, head: Array, body: Array, formats: Array, merges: Array } | null}
+ */
+export const getSectionData = (section) => {
+  const name = stripEmojis(section.heading);
+
+  if (section.type === 'table' && section.rows && section.columns) {
+    return {
+      name,
+      head: [section.columns],
+      body: section.rows,
+      formats: getColumnFormats(section),
+      merges: []
+    };
+  }
+
+  if (section.type === 'table' && section.tableHtml) {
+    const table = parseHtmlTable(section.tableHtml);
+    if (!table) return null;
+    const merges = [];
+    const head = expandSpans(table.head, 0, merges);
+    const body = expandSpans([...table.body, ...table.foot], head.length, merges);
+    return { name, head, body, formats: [], merges };
+  }
+
+  if (section.type === 'chart' && Array.isArray(section.data) && section.data.length > 0) {
+    // Columns are every key used by the data points, in first-seen order
+    const keys = [];
+    section.data.forEach((point) => Object.keys(point).forEach((key) => {
+      if (!keys.includes(key)) keys.push(key);
+    }));
+    return {
+      name,
+      head: [keys],
+      body: section.data.map((point) => keys.map((key) => point[key] ?? '')),
+      formats: [],
+      merges: []
+    };
+  }
+
+  return null;
+};
+
+/**
+ * Data of every table and chart section of a response, as shown
+ * @param {Object} response - { id, sections, charts, chartData, chartType }
+ * @param {Object} options
+ * @param {Object} options.tableViews - Table views by section id (see tableView)
+ */
+export const getResponseData = (response, { tableViews } = {}) => (
+  applyTableViews(getResponseSections(response), tableViews)
+    .map(getSectionData)
+    .filter(Boolean)
+);
+
+/**
+ * Quote a CSV value when needed. Text that spreadsheets would run as a
+ * formula gets a leading apostrophe.
+ */
+const toCSVValue = (value) => {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value !== 'string') return String(value);
+
+  let text = value;
+  if (/^[=+@\t\r]/.test(text) || /^-[^\d.]/.test(text)) text = `'${text}`;
+  return /[",\r\n]|^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * CSV text for one or more data blocks; with several blocks each starts
+ * with its name and they are separated by a blank line
+ * @param {Array} dataList - Results of getSectionData
+ * @returns {string}
+ */
+export const toCSV = (dataList) => dataList.map((data) => {
+  const rows = [...data.head, ...data.body];
+  if (dataList.length > 1) rows.unshift([data.name]);
+  return rows.map((row) => row.map(toCSVValue).join(',')).join('\r\n');
+}).join('\r\n\r\n');
+
+const getCurrencySymbol = (currency) => new Intl.NumberFormat('en-US', { style: 'currency', currency })
+  .formatToParts(0)
+  .find((part) => part.type === 'currency').value;
+
+/**
+ * Excel number format for a typed column
+ */
+const getNumberFormat = (format, values) => {
+  const withDecimals = (pattern, decimals) => (decimals > 0 ? `${pattern}.${'0'.repeat(decimals)}` : pattern);
+  const number = withDecimals('#,##0', format.decimals ?? (values.every(Number.isInteger) ? 0 : 2));
+  const suffix = format.suffix ? `"${format.suffix.replace(/"/g, '')}"` : '';
+
+  if (format.type === 'currency') return `"${getCurrencySymbol(format.currency || 'USD')}"${number}${suffix}`;
+  if (format.type === 'percent') return `${withDecimals('0', format.decimals ?? 1)}%`;
+  if (format.type === 'number') return `${number}${suffix}`;
+  if (format.type === 'date') return 'yyyy-mm-dd';
+  return null;
+};
+
+/**
+ * Date-only ISO strings become dates. Workbooks store the date as it is
+ * written, so it's made at UTC midnight (which exceljs writes as is).
+ */
+const toSheetValue = (value, format) => {
+  if (format && format.type === 'date' && typeof value === 'string') {
+    const match = value.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    if (match) return new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+  }
+  return value ?? '';
+};
+
+const addSheet = (workbook, data, name) => {
+  const body = data.body.map((row) => row.map((value, c) => toSheetValue(value, data.formats[c])));
+  const rows = [...data.head, ...body];
+  const sheet = workbook.addWorksheet(name);
+  sheet.addRows(rows);
+
+  data.formats.forEach((format, c) => {
+    const values = body.map((row) => row[c]).filter((value) => typeof value === 'number');
+    const numberFormat = getNumberFormat(format, values);
+    if (!numberFormat) return;
+    body.forEach((row, r) => {
+      if (typeof row[c] === 'number' || row[c] instanceof Date) {
+        sheet.getCell(data.head.length + r + 1, c + 1).numFmt = numberFormat;
+      }
+    });
+  });
+
+  data.merges.forEach(({ s, e }) => sheet.mergeCells(s.r + 1, s.c + 1, e.r + 1, e.c + 1));
+
+  // Fit columns to their longest value
+  const columnCount = Math.max(0, ...rows.map((row) => row.length));
+  for (let c = 0; c < columnCount; c++) {
+    sheet.getColumn(c + 1).width = Math.min(MAX_COLUMN_WIDTH, Math.max(8, ...rows.map((row) => String(row[c] instanceof Date ? '0000-00-00' : row[c] ?? '').length + 2)));
+  }
+  return sheet;
+};
+
+/**
+ * Make a heading a valid, unique sheet name: no []:*?/\, at most 31
+ * characters, no leading or trailing apostrophe
+ */
+export const getSheetName = (name, usedNames, fallback) => {
+  let base = (name || '').replace(/[[\]:*?/\\]/g, ' ').replace(/\s+/g, ' ').replace(/^'+|'+$/g, '').trim();
+  base = base.slice(0, MAX_SHEET_NAME_LENGTH).trim() || fallback;
+
+  let sheetName = base;
+  for (let n = 2; usedNames.has(sheetName.toLowerCase()); n++) {
+    const suffix = ` (${n})`;
+    sheetName = `${base.slice(0, MAX_SHEET_NAME_LENGTH - suffix.length).trim()}${suffix}`;
+  }
+  usedNames.add(sheetName.toLowerCase());
+  return sheetName;
+};
+
+/**
+ * Workbook with one sheet per data block. exceljs is large, so it's only
+ * loaded for the first Excel export.
+ * @param {Array} dataList - Results of getSectionData
+ * @returns {Promise<ExcelJS.Workbook>}
+ */
+export const buildWorkbook = async (dataList) => {
+  const { default: ExcelJS } = await import('exceljs');
+  const workbook = new ExcelJS.Workbook();
+  const usedNames = new Set();
+  dataList.forEach((data, index) => {
+    addSheet(workbook, data, getSheetName(data.name, usedNames, `Sheet ${index + 1}`));
+  });
+  return workbook;
+};
+
+/**
+ * Download data blocks as a CSV file
+ */
+export const saveCSV = (dataList, prefix) => {
+  // The byte order mark makes Excel read the file as UTF-8
+  const blob = new Blob([`\uFEFF${toCSV(dataList)}`], { type: 'text/csv;charset=utf-8' });
+  downloadBlob(blob, getExportFilename(prefix, 'csv'));
+};
+
+/**
+ * Download data blocks as an Excel workbook
+ */
+export const saveWorkbook = async (dataList, prefix) => {
+  const buffer = await (await buildWorkbook(dataList)).xlsx.writeBuffer();
+  const blob = new Blob([buffer], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' });
+  downloadBlob(blob, getExportFilename(prefix, 'xlsx'));
+};
@@ -0,0 +1,102 @@
+import ExcelJS from 'exceljs';
+import { buildWorkbook, getResponseData, getSectionData, getSheetName, toCSV } from './spreadsheetExport';
+
+const salesSection = {
+  type: 'table',
+  id: 'sales',
+  heading: '💼 Quarterly Sales: Summary',
+  columns: ['Region', 'Sales', 'Growth', 'Updated'],
+  columnTypes: ['text', { type: 'currency', decimals: 0, suffix: 'K' }, 'percent', 'date'],
+  rows: [['North', 5300, 0.185, '2026-01-15'], ['South, East', 4100, 0.12, '2026-02-01']],
+};
+
+const chartSection = {
+  type: 'chart',
+  id: 'trend',
+  heading: '📈 Trend',
+  data: [{ name: 'Jan', value: 10 }, { name: 'Feb', value: 12, value2: 4 }],
+};
+
+describe('getSectionData', () => {
+  test('keeps raw table values and strips emojis from the name', () => {
+    const data = getSectionData(salesSection);
+    expect(data.name).toBe('Quarterly Sales: Summary');
+    expect(data.head).toEqual([['Region', 'Sales', 'Growth', 'Updated']]);
+    expect(data.body[0]).toEqual(['North', 5300, 0.185, '2026-01-15']);
+  });
+
+  test('uses every key of the chart data as a column', () => {
+    const data = getSectionData(chartSection);
+    expect(data.head).toEqual([['name', 'value', 'value2']]);
+    expect(data.body).toEqual([['Jan', 10, ''], ['Feb', 12, 4]]);
+  });
+
+  test('lays out HTML tables with their spans', () => {
+    const data = getSectionData({
+      type: 'table',
+      tableHtml: '<table><tr><th rowspan="2">Region</th><th colspan="2">Revenue</th></tr><tr><th>Q1</th><th>Q2</th></tr>'
+        + '<tr><td>North</td><td>1</td><td>2</td></tr></table>',
+    });
+    expect(data.head).toEqual([['Region', 'Revenue', ''], ['', 'Q1', 'Q2']]);
+    expect(data.body).toEqual([['North', '1', '2']]);
+    expect(data.merges).toEqual([{ s: { r: 0, c: 0 }, e: { r: 1, c: 0 } }, { s: { r: 0, c: 1 }, e: { r: 0, c: 2 } }]);
+  });
+
+  test('skips text sections and applies table views', () => {
+    const response = {
+      sections: [{ type: 'text', id: 'intro', content: 'Hi' }, salesSection, chartSection],
+    };
+    const data = getResponseData(response, { tableViews: { sales: { hiddenColumns: [3], sortColumn: 1 } } });
+    expect(data.map((block) => block.name)).toEqual(['Quarterly Sales: Summary', 'Trend']);
+    expect(data[0].body).toEqual([['South, East', 4100, 0.12], ['North', 5300, 0.185]]);
+  });
+});
+
+describe('toCSV', () => {
+  test('quotes values and guards against formulas', () => {
+    const csv = toCSV([{ name: 'T', head: [['A', 'B']], body: [['x, "y"', '=SUM(A1)'], [-5, '-cmd'], [null, ' pad']] }]);
+    expect(csv).toBe('A,B\r\n"x, ""y""",\'=SUM(A1)\r\n-5,\'-cmd\r\n," pad"');
+  });
+
+  test('names each block when there are several', () => {
+    const csv = toCSV([getSectionData(chartSection), getSectionData(chartSection)]);
+    expect(csv.split('\r\n\r\n')).toHaveLength(2);
+    expect(csv.startsWith('Trend\r\nname,value,value2\r\nJan,10,\r\n')).toBe(true);
+  });
+});
+
+describe('buildWorkbook', () => {
+  test('makes valid, unique sheet names', () => {
+    const used = new Set();
+    expect(getSheetName('Sales: Q1/Q2 [draft]', used, 'Sheet 1')).toBe('Sales Q1 Q2 draft');
+    expect(getSheetName('sales q1 q2 draft', used, 'Sheet 2')).toBe('sales q1 q2 draft (2)');
+    expect(getSheetName('', used, 'Sheet 3')).toBe('Sheet 3');
+    expect(getSheetName('A'.repeat(40), used, 'Sheet 4')).toHaveLength(31);
+  });
+
+  test('writes one sheet per block with number formats', async () => {
+    const workbook = await buildWorkbook([getSectionData(salesSection), getSectionData(chartSection)]);
+    const buffer = await workbook.xlsx.writeBuffer();
+    const read = new ExcelJS.Workbook();
+    await read.xlsx.load(buffer);
+
+    expect(read.worksheets.map((sheet) => sheet.name)).toEqual(['Quarterly Sales Summary', 'Trend']);
+    const sheet = read.getWorksheet('Quarterly Sales Summary');
+    expect(sheet.getCell('B2')).toMatchObject({ value: 5300, numFmt: '"$"#,##0"K"' });
+    expect(sheet.getCell('C2')).toMatchObject({ value: 0.185, numFmt: '0.0%' });
+    expect(sheet.getCell('D2').numFmt).toBe('yyyy-mm-dd');
+    expect(sheet.getCell('D2').value).toEqual(new Date(Date.UTC(2026, 0, 15)));
+    expect(read.getWorksheet('Trend').getCell('C3').value).toBe(4);
+  });
+
+  test('merges the spanned cells of HTML tables', async () => {
+    const data = getSectionData({
+      type: 'table',
+      tableHtml: '<table><tr><th rowspan="2">Region</th><th colspan="2">Revenue</th></tr><tr><th>Q1</th><th>Q2</th></tr></table>',
+    });
+    const read = new ExcelJS.Workbook();
+    await read.xlsx.load(await (await buildWorkbook([data])).xlsx.writeBuffer());
+
+    expect(read.worksheets[0].model.merges).toEqual(expect.arrayContaining(['A1:A2', 'B1:C1']));
+  });
+});
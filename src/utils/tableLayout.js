@@ -0,0 +1,188 @@
+/**
+ * Wide table layout for PDF exports
+ * Measures a table's columns and decides how it goes on the page:
+ *   - as is, when the columns fit the portrait width without being squashed
+ *   - on a landscape page, when they fit that width instead
+ *   - split across pages (autoTable's horizontal page break) with a key
+ *     column repeated on every page, when they don't fit either
+ *
+ * Table sections can steer this:
+ *   layout: 'auto' (default) | 'portrait' | 'landscape' | 'split'
+ *   keyColumn: index or column name repeated when splitting (default 0)
+ *   columnWidths: { [index or column name]: mm } fixed column widths
+ *   shrinkColumns: [index or column name] the only columns allowed to wrap;
+ *     the others keep the width of their content
+ */
+
+// Narrowest a wrapping column may get, unless its content is narrower
+const MIN_READABLE_WIDTH = 22;
+// Widest a wrapping column gets when the table is split across pages
+const MAX_SPLIT_COLUMN_WIDTH = 80;
+
+const getCellText = (cell) => {
+  if (cell == null) return '';
+  if (typeof cell === 'object') return String(cell.content ?? '');
+  return String(cell);
+};
+
+const getSpan = (cell, key) => (cell && typeof cell === 'object' && cell[key] > 1 ? cell[key] : 1);
+
+/**
+ * Visit every cell with the index of the column it starts in, accounting
+ * for cells of earlier rows that span down into the row
+ */
+const forEachCell = (rows, callback) => {
+  const occupied = [];
+  rows.forEach((row, rowIndex) => {
+    let column = 0;
+    row.forEach((cell) => {
+      while (occupied[rowIndex] && occupied[rowIndex][column]) column += 1;
+      const colSpan = getSpan(cell, 'colSpan');
+      const rowSpan = getSpan(cell, 'rowSpan');
+      for (let r = rowIndex + 1; r < rowIndex + rowSpan; r++) {
+        occupied[r] = occupied[r] || [];
+        for (let c = column; c < column + colSpan; c++) occupied[r][c] = true;
+      }
+      callback(cell, column, colSpan);
+      column += colSpan;
+    });
+  });
+};
+
+/**
+ * Width of each column's content without wrapping, and of its longest word
+ * @returns {Array<{ natural: number, longestWord: number }>}
+ */
+export const measureColumns = (pdf, content, { fontSize, headFontSize = fontSize, padding }) => {
+  const columns = Array.from({ length: content.columnCount }, () => ({ natural: 0, longestWord: 0 }));
+  const fontName = pdf.getFont().fontName;
+
+  const measure = (rows, size, defaultStyle) => {
+    pdf.setFontSize(size);
+    forEachCell(rows, (cell, column, colSpan) => {
+      // Spanning cells don't size single columns
+      if (colSpan > 1 || !columns[column]) return;
+      const style = (cell && cell.styles && cell.styles.fontStyle) || defaultStyle;
+      pdf.setFont(fontName, style);
+      const lines = getCellText(cell).split('\n');
+      const natural = Math.max(...lines.map((line) => pdf.getTextWidth(line))) + 2 * padding;
+      const longestWord = Math.max(...lines.flatMap((line) => line.split(/\s+/)).map((word) => pdf.getTextWidth(word))) + 2 * padding;
+      columns[column].natural = Math.max(columns[column].natural, natural);
+      columns[column].longestWord = Math.max(columns[column].longestWord, longestWord);
+    });
+  };
+
+  measure(content.head, headFontSize, 'bold');
+  measure(content.body, fontSize, 'normal');
+  measure(content.foot || [], headFontSize, 'bold');
+  pdf.setFont(fontName, 'normal');
+  return columns;
+};
+
+/**
+ * Resolve a column given by index or by its heading
+ */
+const resolveColumn = (content, key) => {
+  if (typeof key === 'number') return key >= 0 && key < content.columnCount ? key : -1;
+  const headRow = content.head[content.head.length - 1] || [];
+  let found = -1;
+  forEachCell([headRow], (cell, column) => {
+    if (found === -1 && getCellText(cell).trim() === String(key).trim()) found = column;
+  });
+  return found;
+};
+
+const resolveColumnMap = (content, declared) => {
+  const map = {};
+  if (Array.isArray(declared)) {
+    declared.forEach((width, index) => {
+      if (typeof width === 'number') map[index] = width;
+    });
+  } else if (declared) {
+    Object.entries(declared).forEach(([key, width]) => {
+      const index = resolveColumn(content, /^\d+$/.test(key) ? Number(key) : key);
+      if (index !== -1 && typeof width === 'number') map[index] = width;
+    });
+  }
+  return map;
+};
+
+/**
+ * Whether the columns fit `available` with every wrapping column still
+ * wide enough to read. Columns shrink in proportion to their content,
+ * like autoTable does.
+ */
+const fitsWidth = (columns, available) => {
+  const fixedWidth = columns.filter((column) => !column.shrinkable).reduce((sum, column) => sum + column.width, 0);
+  const shrinkable = columns.filter((column) => column.shrinkable);
+  const remaining = available - fixedWidth;
+  const naturalWidth = shrinkable.reduce((sum, column) => sum + column.width, 0);
+
+  if (remaining < 0) return false;
+  if (naturalWidth <= remaining) return true;
+
+  const scale = remaining / naturalWidth;
+  return shrinkable.every((column) => (
+    column.width * scale >= Math.min(column.width, Math.max(column.longestWord, MIN_READABLE_WIDTH))
+  ));
+};
+
+/**
+ * Decide how a table section is laid out
+ * @param {jsPDF} pdf - jsPDF instance, used for measuring text
+ * @param {Object} content - { head, body, foot, columnCount } as given to autoTable
+ * @param {Object} section - The table section (layout options)
+ * @param {Object} options - portraitWidth / landscapeWidth available for the
+ *   table, fontSize / headFontSize and cell padding
+ * @returns {{ orientation: string, split: boolean, repeatColumn: number|null, columnStyles: Object }}
+ */
+export const planTableLayout = (pdf, content, section, options) => {
+  const { portraitWidth, landscapeWidth } = options;
+  const measured = measureColumns(pdf, content, options);
+  const declaredWidths = resolveColumnMap(content, section.columnWidths);
+  const shrinkSet = Array.isArray(section.shrinkColumns)
+    ? new Set(section.shrinkColumns.map((key) => resolveColumn(content, key)))
+    : null;
+
+  const columns = measured.map((column, index) => {
+    if (declaredWidths[index] !== undefined) {
+      return { ...column, width: declaredWidths[index], shrinkable: false, fixed: true };
+    }
+    return { ...column, width: column.natural, shrinkable: !shrinkSet || shrinkSet.has(index), fixed: false };
+  });
+
+  const layout = section.layout || 'auto';
+  let orientation = 'portrait';
+  let split = false;
+
+  if (layout === 'landscape') {
+    orientation = 'landscape';
+  } else if (layout === 'split') {
+    split = !fitsWidth(columns, portraitWidth);
+  } else if (layout === 'auto' && !fitsWidth(columns, portraitWidth)) {
+    orientation = 'landscape';
+    split = !fitsWidth(columns, landscapeWidth);
+  }
+
+  const columnStyles = {};
+  columns.forEach((column, index) => {
+    let cellWidth = 'auto';
+    if (column.fixed) {
+      cellWidth = column.width;
+    } else if (split && column.shrinkable) {
+      // Split pages don't shrink columns, so long text needs a width to wrap at
+      cellWidth = column.natural > MAX_SPLIT_COLUMN_WIDTH ? MAX_SPLIT_COLUMN_WIDTH : 'wrap';
+    } else if (!column.shrinkable) {
+      cellWidth = 'wrap';
+    }
+    columnStyles[index] = { cellWidth };
+  });
+
+  const keyColumn = resolveColumn(content, section.keyColumn ?? 0);
+  return {
+    orientation,
+    split,
+    repeatColumn: split && keyColumn !== -1 ? keyColumn : null,
+    columnStyles,
+  };
+};
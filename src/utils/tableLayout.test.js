@@ -0,0 +1,82 @@
+import { measureColumns, planTableLayout } from './tableLayout';
+
+// Every character is 2mm wide, whatever the font
+const createFakePdf = () => ({
+  getFont: () => ({ fontName: 'helvetica' }),
+  setFont: () => {},
+  setFontSize: () => {},
+  getTextWidth: (text) => text.length * 2,
+});
+
+const widths = { portraitWidth: 180, landscapeWidth: 267, fontSize: 7.5, padding: 2.5 };
+
+const table = (columns, rows) => ({ head: [columns], body: rows, foot: [], columnCount: columns.length });
+
+describe('measureColumns', () => {
+  test('measures the widest line and longest word of each column', () => {
+    const [first, second] = measureColumns(createFakePdf(), table(['Name', 'Notes'], [['Ada', 'two words\nlonger line here']]), widths);
+    expect(first).toEqual({ natural: 13, longestWord: 13 });
+    expect(second).toEqual({ natural: 37, longestWord: 17 });
+  });
+
+  test('places cells after row spans and ignores spanning cells', () => {
+    const content = {
+      head: [
+        [{ content: 'Region', rowSpan: 2 }, { content: 'A very long spanning heading', colSpan: 2 }],
+        ['Q1', 'Quarter 2'],
+      ],
+      body: [],
+      columnCount: 3,
+    };
+    const columns = measureColumns(createFakePdf(), content, widths);
+    expect(columns.map((column) => column.natural)).toEqual([17, 9, 23]);
+  });
+});
+
+describe('planTableLayout', () => {
+  const narrow = table(['Region', 'Sales'], [['North', '4,500']]);
+  // Cells can't shrink below their longest word (31mm): 7 columns need more than
+  // portrait's 180mm but fit landscape, 12 columns don't fit either
+  const wide = table(Array.from({ length: 7 }, (_, i) => `Column ${i}`), [Array(7).fill('Requirements documentation overview')]);
+  const veryWide = table(Array.from({ length: 12 }, (_, i) => `Column ${i}`), [Array(12).fill('Requirements documentation overview')]);
+
+  test('keeps tables that fit on a portrait page', () => {
+    expect(planTableLayout(createFakePdf(), narrow, {}, widths)).toMatchObject({ orientation: 'portrait', split: false });
+  });
+
+  test('switches tables that would be squashed to landscape', () => {
+    expect(planTableLayout(createFakePdf(), wide, {}, widths)).toMatchObject({ orientation: 'landscape', split: false });
+  });
+
+  test('splits tables too wide for landscape and repeats the key column', () => {
+    const plan = planTableLayout(createFakePdf(), veryWide, { keyColumn: 'Column 2' }, widths);
+    expect(plan).toMatchObject({ orientation: 'landscape', split: true, repeatColumn: 2 });
+  });
+
+  test('follows the layout the section asks for', () => {
+    expect(planTableLayout(createFakePdf(), wide, { layout: 'portrait' }, widths)).toMatchObject({ orientation: 'portrait', split: false });
+    expect(planTableLayout(createFakePdf(), narrow, { layout: 'landscape' }, widths).orientation).toBe('landscape');
+    expect(planTableLayout(createFakePdf(), wide, { layout: 'split' }, widths)).toMatchObject({
+      orientation: 'portrait', split: true, repeatColumn: 0,
+    });
+  });
+
+  test('uses declared widths and only lets the listed columns wrap', () => {
+    const plan = planTableLayout(createFakePdf(), wide, {
+      layout: 'portrait',
+      columnWidths: { 'Column 1': 40, 3: 25 },
+      shrinkColumns: ['Column 0', 4],
+    }, widths);
+
+    expect(plan.columnStyles[0].cellWidth).toBe('auto');
+    expect(plan.columnStyles[1].cellWidth).toBe(40);
+    expect(plan.columnStyles[2].cellWidth).toBe('wrap');
+    expect(plan.columnStyles[3].cellWidth).toBe(25);
+    expect(plan.columnStyles[4].cellWidth).toBe('auto');
+  });
+
+  test('counts declared widths when deciding whether a table fits', () => {
+    const declared = { columnWidths: { 0: 30, 1: 30, 2: 30, 3: 30, 4: 30, 5: 30, 6: 30 } };
+    expect(planTableLayout(createFakePdf(), wide, declared, widths).orientation).toBe('landscape');
+  });
+});
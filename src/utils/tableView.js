@@ -0,0 +1,142 @@
+/**
+ * Table views
+ * The sort, filter and visible columns a reader picked for a rows/columns
+ * table section. The DataTable component renders through applyTableView,
+ * and the exporters use it too so downloads match what's on screen.
+ *
+ * A view is:
+ *   { sortColumn: index | null, sortDirection: 'asc' | 'desc',
+ *     filter: string, hiddenColumns: [index], columnWidths: { index: px } }
+ * Column widths only apply on screen.
+ */
+import { formatCell, getColumnFormats } from './cellFormat';
+
+export const DEFAULT_TABLE_VIEW = {
+  sortColumn: null,
+  sortDirection: 'asc',
+  filter: '',
+  hiddenColumns: [],
+  columnWidths: {},
+};
+
+/**
+ * Whether a view changes anything about the table's content
+ */
+export const isDefaultTableView = (view) => !view || (
+  view.sortColumn == null && !(view.filter || '').trim() && !(view.hiddenColumns || []).length
+);
+
+/**
+ * Value to sort a cell by: numbers (also read from preformatted strings in
+ * numeric columns), timestamps for dates, otherwise the text
+ */
+const getSortValue = (value, format) => {
+  if (value === null || value === undefined || value === '') return null;
+  if (typeof value === 'number') return value;
+  if (format.type === 'date') {
+    const time = new Date(value).getTime();
+    return Number.isNaN(time) ? String(value) : time;
+  }
+  if (['currency', 'percent', 'number'].includes(format.type)) {
+    const number = parseFloat(String(value).replace(/[^\d.-]/g, ''));
+    return Number.isNaN(number) ? String(value) : number;
+  }
+  return String(value);
+};
+
+const collator = new Intl.Collator('en-US', { numeric: true, sensitivity: 'base' });
+
+const compareValues = (a, b) => {
+  if (typeof a === 'number' && typeof b === 'number') return a - b;
+  return collator.compare(String(a), String(b));
+};
+
+/**
+ * Remap section options that refer to columns by index after hiding columns.
+ * Options naming columns by heading don't need it.
+ */
+const remapColumnKey = (key, indexMap) => (typeof key === 'number' ? indexMap.get(key) : key);
+
+const remapColumnOptions = (section, indexMap) => {
+  const remapped = {};
+  if (section.keyColumn !== undefined) {
+    remapped.keyColumn = remapColumnKey(section.keyColumn, indexMap);
+  }
+  if (Array.isArray(section.shrinkColumns)) {
+    remapped.shrinkColumns = section.shrinkColumns
+      .map((key) => remapColumnKey(key, indexMap))
+      .filter((key) => key !== undefined);
+  }
+  if (section.columnWidths) {
+    remapped.columnWidths = {};
+    Object.entries(section.columnWidths).forEach(([key, width]) => {
+      const column = /^\d+$/.test(key) ? indexMap.get(Number(key)) : key;
+      if (column !== undefined) remapped.columnWidths[column] = width;
+    });
+  }
+  return remapped;
+};
+
+/**
+ * Apply a view to a rows/columns table section
+ * The totals row stays last and is neither sorted nor filtered.
+ *
+ * @param {Object} section - Table section with `columns` and `rows`
+ * @param {Object} view - Table view (see above)
+ * @returns {Object} The section as currently shown, with raw values kept
+ */
+export const applyTableView = (section, view) => {
+  if (!section.rows || !section.columns || isDefaultTableView(view)) return section;
+
+  const formats = getColumnFormats(section);
+  const hidden = new Set(view.hiddenColumns || []);
+  const visibleIndexes = section.columns.map((_, index) => index).filter((index) => !hidden.has(index));
+  const indexMap = new Map(visibleIndexes.map((index, position) => [index, position]));
+
+  let rows = section.rows;
+  let totals = null;
+  if (section.totalsRow === true && rows.length > 0) {
+    totals = rows[rows.length - 1];
+    rows = rows.slice(0, -1);
+  }
+
+  const filter = (view.filter || '').trim().toLowerCase();
+  if (filter) {
+    rows = rows.filter((row) => visibleIndexes.some((index) => (
+      formatCell(row[index], formats[index]).toLowerCase().includes(filter)
+    )));
+  }
+
+  const { sortColumn, sortDirection } = view;
+  if (sortColumn != null && sortColumn < section.columns.length) {
+    const direction = sortDirection === 'desc' ? -1 : 1;
+    rows = rows
+      .map((row, position) => ({ row, position, value: getSortValue(row[sortColumn], formats[sortColumn]) }))
+      .sort((a, b) => {
+        // Empty cells go last either way; ties keep their order
+        if (a.value === null || b.value === null) {
+          return (a.value === null) - (b.value === null) || a.position - b.position;
+        }
+        return compareValues(a.value, b.value) * direction || a.position - b.position;
+      })
+      .map(({ row }) => row);
+  }
+
+  const pick = (row) => visibleIndexes.map((index) => row[index]);
+  const result = {
+    ...section,
+    ...remapColumnOptions(section, indexMap),
+    columns: pick(section.columns),
+    rows: [...rows, ...(totals ? [totals] : [])].map(pick),
+  };
+  if (section.columnTypes) result.columnTypes = visibleIndexes.map((index) => section.columnTypes[index]);
+  if (Array.isArray(section.totalsRow)) result.totalsRow = pick(section.totalsRow);
+  return result;
+};
+
+/**
+ * Apply the views of a { [sectionId]: view } map to a list of sections
+ */
+export const applyTableViews = (sections, views = {}) => sections.map((section) => (
+  section.type === 'table' && views[section.id] ? applyTableView(section, views[section.id]) : section
+));
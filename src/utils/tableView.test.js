@@ -0,0 +1,75 @@
+import { applyTableView, applyTableViews, DEFAULT_TABLE_VIEW, isDefaultTableView } from './tableView';
+
+const section = {
+  type: 'table',
+  id: 'sales',
+  columns: ['Region', 'Sales', 'Growth', 'Updated'],
+  columnTypes: ['text', { type: 'currency', decimals: 0 }, 'percent', 'date'],
+  rows: [
+    ['North', 5300, 0.185, '2026-01-15'],
+    ['Central', 4500, null, '2026-02-01'],
+    ['south', 5100, 0.168, '2025-12-20'],
+    ['Total', 14900, 0.166, '2026-02-01'],
+  ],
+  totalsRow: true,
+  keyColumn: 0,
+  columnWidths: { 1: 30, Growth: 20 },
+  shrinkColumns: [0, 3],
+};
+
+const view = (changes) => ({ ...DEFAULT_TABLE_VIEW, ...changes });
+const regions = (result) => result.rows.map((row) => row[0]);
+
+describe('applyTableView', () => {
+  test('returns the section unchanged for the default view', () => {
+    expect(applyTableView(section, DEFAULT_TABLE_VIEW)).toBe(section);
+    expect(applyTableView(section, undefined)).toBe(section);
+    expect(isDefaultTableView(view({ columnWidths: { 0: 200 } }))).toBe(true);
+  });
+
+  test('sorts by raw values and keeps the totals row last', () => {
+    expect(regions(applyTableView(section, view({ sortColumn: 1 })))).toEqual(['Central', 'south', 'North', 'Total']);
+    expect(regions(applyTableView(section, view({ sortColumn: 1, sortDirection: 'desc' })))).toEqual(['North', 'south', 'Central', 'Total']);
+    expect(regions(applyTableView(section, view({ sortColumn: 3 })))).toEqual(['south', 'North', 'Central', 'Total']);
+  });
+
+  test('sorts text case-insensitively and empty cells last', () => {
+    expect(regions(applyTableView(section, view({ sortColumn: 0 })))).toEqual(['Central', 'North', 'south', 'Total']);
+    expect(regions(applyTableView(section, view({ sortColumn: 2, sortDirection: 'desc' })))).toEqual(['North', 'south', 'Central', 'Total']);
+  });
+
+  test('sorts preformatted numbers by their value', () => {
+    const preformatted = {
+      columns: ['Region', 'Sales'],
+      columnTypes: ['text', 'currency'],
+      rows: [['A', '$11,600K'], ['B', '$9,900K'], ['C', '$12,400K']],
+    };
+    expect(regions(applyTableView(preformatted, view({ sortColumn: 1 })))).toEqual(['B', 'A', 'C']);
+  });
+
+  test('filters on the formatted text of visible columns', () => {
+    expect(regions(applyTableView(section, view({ filter: '$5,' })))).toEqual(['North', 'south', 'Total']);
+    expect(regions(applyTableView(section, view({ filter: 'jan 15' })))).toEqual(['North', 'Total']);
+    // Only the totals row is left
+    expect(applyTableView(section, view({ filter: 'north', hiddenColumns: [0] })).rows).toHaveLength(1);
+  });
+
+  test('hides columns and remaps options that refer to them by index', () => {
+    const result = applyTableView(section, view({ hiddenColumns: [1] }));
+    expect(result.columns).toEqual(['Region', 'Growth', 'Updated']);
+    expect(result.columnTypes).toEqual(['text', 'percent', 'date']);
+    expect(result.rows[0]).toEqual(['North', 0.185, '2026-01-15']);
+    expect(result.columnWidths).toEqual({ Growth: 20 });
+    expect(result.shrinkColumns).toEqual([0, 2]);
+    expect(result.keyColumn).toBe(0);
+
+    expect(applyTableView(section, view({ hiddenColumns: [0] })).keyColumn).toBeUndefined();
+  });
+
+  test('applies views to table sections by id', () => {
+    const text = { type: 'text', id: 'intro', content: 'Hi' };
+    const [first, second] = applyTableViews([text, section], { sales: view({ hiddenColumns: [3] }), intro: view({ filter: 'x' }) });
+    expect(first).toBe(text);
+    expect(second.columns).toHaveLength(3);
+  });
+});
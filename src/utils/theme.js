@@ -0,0 +1,177 @@
+/**
+ * Themes: the branding of responses on screen and in exports
+ * One object holds the palette, typography, PDF margins, logo and cover
+ * page. ChatResponse reads it from its `theme` prop or a ThemeProvider;
+ * the UI gets it as CSS custom properties (getThemeStyle) and the PDF
+ * builder through its `theme` option.
+ */
+import { CHART_COLORS, SERIES_COLORS } from './chartRenderer';
+
+/**
+ * @typedef {Object} Theme
+ * @property {string} title - Title of exported documents
+ * @property {Object} palette - Hex colours: brand, brandSecondary (gradient end),
+ *   heading, text, muted, rule, tableHeader, tableStripe, surface (answer and
+ *   header backgrounds), series ({ value, value2, value3 }) and categories
+ *   (pie / radial bar slices)
+ * @property {Object} typography - fontFamily (UI) and PDF font sizes in
+ *   points: title, heading, body, table, tableHead, small
+ * @property {Object} margins - PDF page margins in mm: { top, right, bottom, left }
+ * @property {Object|null} logo - { src (data URL or URL), width, height (mm),
+ *   alt }; drawn next to the title. Height defaults to 12mm, width follows
+ *   the image's aspect ratio
+ * @property {Object|null} cover - Cover page of PDF exports: { title,
+ *   subtitle, author, date }. Title defaults to the theme title, date to today
+ */
+export const DEFAULT_THEME = {
+  title: 'Chat Response',
+  palette: {
+    brand: '#667eea',
+    brandSecondary: '#764ba2',
+    heading: '#333333',
+    text: '#555555',
+    muted: '#969696',
+    rule: '#e0e0e0',
+    tableHeader: '#f0f4f8',
+    tableStripe: '#f9f9f9',
+    surface: '#f0f4f8',
+    series: { ...SERIES_COLORS },
+    categories: [...CHART_COLORS]
+  },
+  typography: {
+    fontFamily: "-apple-system, BlinkMacSystemFont, 'Segoe UI', 'Roboto', 'Helvetica Neue', Arial, sans-serif",
+    title: 16,
+    heading: 11,
+    body: 10,
+    table: 7.5,
+    tableHead: 8,
+    small: 9
+  },
+  margins: { top: 15, right: 15, bottom: 15, left: 15 },
+  logo: null,
+  cover: null
+};
+
+/**
+ * Ready-made palettes for the export dialog, applied over the current theme
+ * (title, logo and cover page are kept)
+ */
+export const THEME_PRESETS = {
+  classic: { label: 'Classic', theme: { palette: DEFAULT_THEME.palette } },
+  slate: {
+    label: 'Slate',
+    theme: {
+      palette: {
+        brand: '#37474f',
+        brandSecondary: '#263238',
+        heading: '#212121',
+        tableHeader: '#eceff1',
+        surface: '#eceff1',
+        series: { value: '#546e7a', value2: '#ff8a65', value3: '#4db6ac' },
+        categories: ['#546e7a', '#ff8a65', '#4db6ac', '#9575cd', '#f06292', '#aed581']
+      }
+    }
+  },
+  forest: {
+    label: 'Forest',
+    theme: {
+      palette: {
+        brand: '#2e7d32',
+        brandSecondary: '#1b5e20',
+        heading: '#1b3a1d',
+        tableHeader: '#e8f5e9',
+        surface: '#e8f5e9',
+        series: { value: '#43a047', value2: '#fbc02d', value3: '#8d6e63' },
+        categories: ['#43a047', '#fbc02d', '#8d6e63', '#26a69a', '#7cb342', '#ef6c00']
+      }
+    }
+  },
+  print: {
+    label: 'Print (grayscale)',
+    theme: {
+      palette: {
+        brand: '#424242',
+        brandSecondary: '#212121',
+        heading: '#000000',
+        text: '#212121',
+        muted: '#757575',
+        rule: '#bdbdbd',
+        tableHeader: '#eeeeee',
+        tableStripe: '#fafafa',
+        surface: '#f5f5f5',
+        series: { value: '#424242', value2: '#9e9e9e', value3: '#bdbdbd' },
+        categories: ['#212121', '#616161', '#9e9e9e', '#bdbdbd', '#e0e0e0', '#757575']
+      }
+    }
+  }
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const mergeDeep = (base, overrides) => {
+  if (!isPlainObject(base) || !isPlainObject(overrides)) return overrides === undefined ? base : overrides;
+  const merged = { ...base };
+  Object.entries(overrides).forEach(([key, value]) => {
+    merged[key] = mergeDeep(base[key], value);
+  });
+  return merged;
+};
+
+/**
+ * Complete a partial theme. Nested objects merge; arrays and other values
+ * replace. A number for `margins` applies to every side.
+ * @param {Object} overrides - Partial theme
+ * @param {Theme} base - Theme to start from
+ * @returns {Theme}
+ */
+export const createTheme = (overrides = {}, base = DEFAULT_THEME) => {
+  const { margins, ...rest } = overrides || {};
+  const theme = mergeDeep(base, rest);
+  if (typeof margins === 'number') {
+    theme.margins = { top: margins, right: margins, bottom: margins, left: margins };
+  } else if (margins) {
+    theme.margins = { ...base.margins, ...margins };
+  }
+  return theme;
+};
+
+/**
+ * Hex colour (#rgb or #rrggbb) as [r, g, b]
+ */
+export const hexToRgb = (hex) => {
+  const value = String(hex).replace('#', '');
+  const full = value.length === 3 ? value.split('').map((c) => c + c).join('') : value;
+  if (!/^[0-9a-f]{6}$/i.test(full)) return [0, 0, 0];
+  return [0, 2, 4].map((i) => parseInt(full.substring(i, i + 2), 16));
+};
+
+/**
+ * Series and category colours for chartRenderer / Recharts
+ */
+export const getChartColors = (theme) => ({
+  series: { ...SERIES_COLORS, ...theme.palette.series },
+  categories: theme.palette.categories && theme.palette.categories.length > 0
+    ? theme.palette.categories
+    : CHART_COLORS
+});
+
+/**
+ * CSS custom properties for the UI (ChatResponse.css / DataTable.css read
+ * them, with the default theme as fallback)
+ * @returns {Object} React style object
+ */
+export const getThemeStyle = (theme) => {
+  const { palette, typography } = theme;
+  return {
+    '--theme-brand': palette.brand,
+    '--theme-brand-secondary': palette.brandSecondary,
+    '--theme-heading': palette.heading,
+    '--theme-text': palette.text,
+    '--theme-muted': palette.muted,
+    '--theme-rule': palette.rule,
+    '--theme-table-header': palette.tableHeader,
+    '--theme-table-stripe': palette.tableStripe,
+    '--theme-surface': palette.surface,
+    '--theme-font-family': typography.fontFamily
+  };
+};
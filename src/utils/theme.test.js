@@ -0,0 +1,87 @@
+import { createTheme, DEFAULT_THEME, getChartColors, getThemeStyle, hexToRgb, THEME_PRESETS } from './theme';
+import { CHART_COLORS, SERIES_COLORS } from './chartRenderer';
+
+describe('createTheme', () => {
+  it('returns the default theme without overrides', () => {
+    expect(createTheme()).toEqual(DEFAULT_THEME);
+    expect(createTheme(null)).toEqual(DEFAULT_THEME);
+  });
+
+  it('merges nested overrides and keeps the rest', () => {
+    const theme = createTheme({ palette: { brand: '#ff0000', series: { value: '#00ff00' } }, typography: { body: 11 } });
+
+    expect(theme.palette.brand).toBe('#ff0000');
+    expect(theme.palette.heading).toBe(DEFAULT_THEME.palette.heading);
+    expect(theme.palette.series).toEqual({ ...SERIES_COLORS, value: '#00ff00' });
+    expect(theme.typography.body).toBe(11);
+    expect(theme.typography.title).toBe(DEFAULT_THEME.typography.title);
+    // The default isn't modified
+    expect(DEFAULT_THEME.palette.brand).toBe('#667eea');
+  });
+
+  it('replaces arrays', () => {
+    const theme = createTheme({ palette: { categories: ['#111111', '#222222'] } });
+
+    expect(theme.palette.categories).toEqual(['#111111', '#222222']);
+  });
+
+  it('accepts one number for every margin, or some sides', () => {
+    expect(createTheme({ margins: 20 }).margins).toEqual({ top: 20, right: 20, bottom: 20, left: 20 });
+    expect(createTheme({ margins: { top: 30 } }).margins).toEqual({ top: 30, right: 15, bottom: 15, left: 15 });
+  });
+
+  it('completes a base theme', () => {
+    const base = createTheme({ title: 'Acme', palette: { brand: '#123456' } });
+    const theme = createTheme({ palette: { heading: '#000000' } }, base);
+
+    expect(theme.title).toBe('Acme');
+    expect(theme.palette.brand).toBe('#123456');
+    expect(theme.palette.heading).toBe('#000000');
+  });
+});
+
+describe('hexToRgb', () => {
+  it('converts long and short hex colours', () => {
+    expect(hexToRgb('#667eea')).toEqual([102, 126, 234]);
+    expect(hexToRgb('#fff')).toEqual([255, 255, 255]);
+  });
+
+  it('falls back to black for invalid colours', () => {
+    expect(hexToRgb('blue')).toEqual([0, 0, 0]);
+  });
+});
+
+describe('getChartColors', () => {
+  it('returns the theme series and categories', () => {
+    const colors = getChartColors(createTheme({ palette: { series: { value2: '#abcdef' }, categories: ['#111111'] } }));
+
+    expect(colors.series).toEqual({ ...SERIES_COLORS, value2: '#abcdef' });
+    expect(colors.categories).toEqual(['#111111']);
+  });
+
+  it('falls back to the default categories when empty', () => {
+    expect(getChartColors(createTheme({ palette: { categories: [] } })).categories).toEqual(CHART_COLORS);
+  });
+});
+
+describe('getThemeStyle', () => {
+  it('exposes the palette and font as CSS custom properties', () => {
+    const style = getThemeStyle(createTheme({ palette: { brand: '#ff0000' }, typography: { fontFamily: 'Georgia, serif' } }));
+
+    expect(style['--theme-brand']).toBe('#ff0000');
+    expect(style['--theme-heading']).toBe(DEFAULT_THEME.palette.heading);
+    expect(style['--theme-font-family']).toBe('Georgia, serif');
+  });
+});
+
+describe('THEME_PRESETS', () => {
+  it('change the palette and keep the rest of the theme', () => {
+    const current = createTheme({ title: 'Acme', logo: { src: 'data:image/png;base64,AA' }, palette: { brand: '#123456' } });
+    const theme = createTheme(THEME_PRESETS.print.theme, current);
+
+    expect(theme.title).toBe('Acme');
+    expect(theme.logo).toEqual(current.logo);
+    expect(theme.palette.brand).toBe(THEME_PRESETS.print.theme.palette.brand);
+    expect(createTheme(THEME_PRESETS.classic.theme, current).palette).toEqual(DEFAULT_THEME.palette);
+  });
+});